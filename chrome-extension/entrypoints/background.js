@@ -7,9 +7,19 @@
 import {
   STORAGE_KEY_REPORTS,
   STORAGE_KEY_SETTINGS,
-  BASE_EXPORT_FOLDER
+  BASE_EXPORT_FOLDER,
+  NATIVE_HOST_NAME,
+  REPO_REPORTS_FOLDER,
+  DEFAULT_EXPORT_FORMAT
 } from '../lib/constants.js';
 import { formatReportAsMarkdown } from '../lib/markdown-formatter.js';
+import { formatReportAsJson, formatSessionAsJson } from '../lib/json-formatter.js';
+import { formatSessionAsHar } from '../lib/har-formatter.js';
+import { formatSessionAsTest, TEST_FRAMEWORKS } from '../lib/test-generator.js';
+import { captureElementScreenshot, captureElementScreenshots } from '../lib/screenshot-capture.js';
+import { redactData } from '../lib/redaction.js';
+import { captureMatchedRules } from '../lib/css-rules.js';
+import { resolveConsoleStacks } from '../lib/source-maps.js';
 
 export default defineBackground(() => {
   const STORAGE_KEY = STORAGE_KEY_REPORTS;
@@ -21,6 +31,23 @@ export default defineBackground(() => {
     return (result[SETTINGS_KEY] && result[SETTINGS_KEY].projectMappings) || [];
   }
 
+  // Get redaction settings from storage (defaults applied by redactData)
+  async function getRedactionSettings() {
+    var result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return (result[SETTINGS_KEY] && result[SETTINGS_KEY].redaction) || {};
+  }
+
+  // Redact secrets and PII from a report or session
+  async function redact(data) {
+    return redactData(data, await getRedactionSettings());
+  }
+
+  // Rewrite bundled console stack frames to original source positions
+  async function resolveReportStacks(report) {
+    var consoleErrors = await resolveConsoleStacks(report.consoleErrors, report.url);
+    return Object.assign({}, report, { consoleErrors: consoleErrors });
+  }
+
   // Match URL against project mappings
   function matchUrlToProject(url, mappings) {
     if (!url || mappings.length === 0) return null;
@@ -89,14 +116,20 @@ export default defineBackground(() => {
     if (matchedProject) {
       return {
         folder: BASE_EXPORT_FOLDER + '/' + sanitizeFolderName(matchedProject.folder),
-        projectName: matchedProject.name
+        projectName: matchedProject.name,
+        repoPath: matchedProject.repoPath || null,
+        format: matchedProject.format || DEFAULT_EXPORT_FORMAT,
+        editor: matchedProject.editor || null
       };
     }
 
     var domainFolder = getDomainFolder(url);
     return {
       folder: BASE_EXPORT_FOLDER + '/' + domainFolder,
-      projectName: null
+      projectName: null,
+      repoPath: null,
+      format: DEFAULT_EXPORT_FORMAT,
+      editor: null
     };
   }
 
@@ -107,6 +140,11 @@ export default defineBackground(() => {
       title: 'AI Context Capture',
       contexts: ['all']
     });
+    chrome.contextMenus.create({
+      id: 'capture-region',
+      title: 'AI Context Capture (Region)',
+      contexts: ['all']
+    });
   });
 
   // Handle context menu click
@@ -116,6 +154,11 @@ export default defineBackground(() => {
         // Content script not loaded
       });
     }
+    if (info.menuItemId === 'capture-region' && tab.id) {
+      chrome.tabs.sendMessage(tab.id, { type: 'START_REGION_PICKER' }).catch(function() {
+        // Content script not loaded
+      });
+    }
   });
 
   // Get all reports from storage
@@ -156,7 +199,7 @@ export default defineBackground(() => {
     }
 
     // Element identifier
-    var element = (report.element && report.element.tagName) || 'element';
+    var element = report.region ? 'region' : (report.element && report.element.tagName) || 'element';
     var id = (report.element && report.element.elementId)
       ? '-' + report.element.elementId.replace(/[^a-z0-9]/gi, '-').slice(0, 20)
       : '';
@@ -165,16 +208,8 @@ export default defineBackground(() => {
     return parts.join('-') + '.md';
   }
 
-  // Export a single report to file
-  async function exportReportToFile(report) {
-    var exportInfo = await getExportFolder(report.url);
-    var markdown = formatReportAsMarkdown(report, exportInfo.projectName);
-    var filename = generateFilename(report);
-    var filepath = exportInfo.folder + '/' + filename;
-
-    // Use data URL for service worker compatibility
-    var dataUrl = 'data:text/markdown;base64,' + btoa(unescape(encodeURIComponent(markdown)));
-
+  // Download a data URL to a path under the Downloads folder
+  function downloadDataUrl(dataUrl, filepath) {
     return new Promise(function(resolve, reject) {
       chrome.downloads.download({
         url: dataUrl,
@@ -185,12 +220,164 @@ export default defineBackground(() => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
-          resolve({ downloadId: downloadId, folder: exportInfo.folder, projectName: exportInfo.projectName });
+          resolve(downloadId);
         }
       });
     });
   }
 
+  // Send a message to the native host (fails if the host is not installed)
+  function sendNativeMessage(message) {
+    return new Promise(function(resolve, reject) {
+      chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, message, function(response) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || !response.success) {
+          reject(new Error((response && response.error) || 'No response from native host'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // Write all files of one export through a single transport, so links
+  // between them (a report's screenshots) resolve. Projects with a repo path
+  // go through the native host into <repoPath>/.ai-reports/; if any native
+  // write fails, every file of the export is written to the Downloads folder
+  // instead (files already written to the repository stay there).
+  // writeFiles receives a copy of exportInfo with the chosen transport.
+  async function writeExport(exportInfo, writeFiles) {
+    if (exportInfo.repoPath) {
+      try {
+        return await writeFiles(Object.assign({}, exportInfo, { transport: 'native' }));
+      } catch (error) {
+        console.warn('Native host write failed, falling back to downloads:', error.message);
+      }
+    }
+    return writeFiles(Object.assign({}, exportInfo, { transport: 'downloads' }));
+  }
+
+  // Write a base64 file for an export through the transport chosen by
+  // writeExport
+  async function writeExportFile(exportInfo, relativePath, base64, mimeType) {
+    if (exportInfo.transport === 'native') {
+      var response = await sendNativeMessage({
+        type: 'write',
+        repoPath: exportInfo.repoPath,
+        path: relativePath,
+        data: base64
+      });
+      return { transport: 'native', path: response.path };
+    }
+
+    var filepath = exportInfo.folder + '/' + relativePath;
+    await downloadDataUrl('data:' + mimeType + ';base64,' + base64, filepath);
+    return { transport: 'downloads', path: filepath };
+  }
+
+  // Base64-encode text (UTF-8 safe)
+  function textToBase64(text) {
+    return btoa(unescape(encodeURIComponent(text)));
+  }
+
+  // Write the markdown and/or JSON files for an export, per the project's format
+  async function writeReportFormats(exportInfo, basePath, markdown, getJson) {
+    var written = null;
+
+    if (exportInfo.format !== 'json') {
+      written = await writeExportFile(exportInfo, basePath + '.md', textToBase64(markdown), 'text/markdown');
+    }
+    if (exportInfo.format === 'json' || exportInfo.format === 'both') {
+      var jsonWritten = await writeExportFile(exportInfo, basePath + '.json', textToBase64(getJson()), 'application/json');
+      written = written || jsonWritten;
+    }
+
+    return written;
+  }
+
+  // Build the response fields shared by report and session exports
+  function exportResult(exportInfo, written) {
+    return {
+      folder: written.transport === 'native'
+        ? exportInfo.repoPath + '/' + REPO_REPORTS_FOLDER
+        : exportInfo.folder,
+      projectName: exportInfo.projectName,
+      transport: written.transport,
+      path: written.path
+    };
+  }
+
+  // Capture a cropped screenshot of an element in the given tab
+  async function captureScreenshot(tabId, rect) {
+    var tab = await chrome.tabs.get(tabId);
+    return captureElementScreenshot(tab.windowId, rect);
+  }
+
+  // Capture cropped screenshots of several elements from one tab capture
+  async function captureScreenshots(tabId, rects) {
+    var tab = await chrome.tabs.get(tabId);
+    return captureElementScreenshots(tab.windowId, rects);
+  }
+
+  // Export a single report to file
+  async function exportReportToFile(report) {
+    // Stored reports may predate the current rules; always redact on export
+    report = await redact(report);
+    var exportInfo = await getExportFolder(report.url);
+    var filename = generateFilename(report);
+
+    var written = await writeExport(exportInfo, function(exportTarget) {
+      return writeReportFiles(report, exportTarget, filename);
+    });
+    return exportResult(exportInfo, written);
+  }
+
+  // Write a report's screenshots and its markdown and/or JSON
+  async function writeReportFiles(report, exportInfo, filename) {
+    // Write the screenshot next to the markdown file so the link resolves
+    var screenshotFile = null;
+    if (report.screenshot && report.screenshot.dataUrl) {
+      var screenshot = await writeExportFile(
+        exportInfo,
+        filename.replace(/\.md$/, '.png'),
+        report.screenshot.dataUrl.split(',')[1],
+        'image/png'
+      );
+      // Use the name actually written in case the native host uniquified it
+      screenshotFile = screenshot.path.split(/[\\/]/).pop();
+    }
+
+    // Multi-element reports get one screenshot per element. The first keeps
+    // the single-report name so readers that look for <report>.png find it.
+    var screenshotFiles = [];
+    var elements = report.elements || [];
+    for (var i = 0; i < elements.length; i++) {
+      var elementFile = null;
+      if (elements[i].screenshot && elements[i].screenshot.dataUrl) {
+        var elementScreenshot = await writeExportFile(
+          exportInfo,
+          filename.replace(/\.md$/, i === 0 ? '.png' : '-' + (i + 1) + '.png'),
+          elements[i].screenshot.dataUrl.split(',')[1],
+          'image/png'
+        );
+        elementFile = elementScreenshot.path.split(/[\\/]/).pop();
+      }
+      screenshotFiles.push(elementFile);
+    }
+
+    var formatOptions = {
+      screenshotFile: screenshotFile,
+      screenshotFiles: screenshotFiles,
+      editor: { editor: exportInfo.editor, repoPath: exportInfo.repoPath }
+    };
+    var markdown = formatReportAsMarkdown(report, exportInfo.projectName, formatOptions);
+
+    return writeReportFormats(exportInfo, filename.replace(/\.md$/, ''), markdown, function() {
+      return formatReportAsJson(report, exportInfo.projectName, formatOptions);
+    });
+  }
+
   // Export all reports to files
   async function exportAllReports() {
     var reports = await getReports();
@@ -211,13 +398,16 @@ export default defineBackground(() => {
   // Handle messages from content scripts and devtools
   chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
     if (message.type === 'SAVE_REPORT') {
-      // Save report and export to file
-      saveReport(message.report)
-        .then(function() {
-          return exportReportToFile(message.report);
+      // Resolve stacks, redact, save report and export to file
+      resolveReportStacks(message.report)
+        .then(redact)
+        .then(function(report) {
+          return saveReport(report).then(function() {
+            return exportReportToFile(report);
+          });
         })
         .then(function(result) {
-          sendResponse({ success: true, folder: result.folder, projectName: result.projectName });
+          sendResponse({ success: true, folder: result.folder, projectName: result.projectName, transport: result.transport });
         })
         .catch(function(error) {
           console.error('Failed to save report:', error);
@@ -229,7 +419,7 @@ export default defineBackground(() => {
     if (message.type === 'EXPORT_REPORT') {
       exportReportToFile(message.report)
         .then(function(result) {
-          sendResponse({ success: true, folder: result.folder, projectName: result.projectName });
+          sendResponse({ success: true, folder: result.folder, projectName: result.projectName, transport: result.transport });
         })
         .catch(function(error) {
           sendResponse({ success: false, error: error.message });
@@ -286,6 +476,52 @@ export default defineBackground(() => {
       return true;
     }
 
+    if (message.type === 'CAPTURE_SCREENSHOT') {
+      var tabId = message.tabId || (sender.tab && sender.tab.id);
+      captureScreenshot(tabId, message.rect)
+        .then(function(screenshot) {
+          sendResponse({ success: true, screenshot: screenshot });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
+    if (message.type === 'CAPTURE_SCREENSHOTS') {
+      var screenshotsTabId = message.tabId || (sender.tab && sender.tab.id);
+      captureScreenshots(screenshotsTabId, message.rects)
+        .then(function(screenshots) {
+          sendResponse({ success: true, screenshots: screenshots });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
+    if (message.type === 'GET_MATCHED_RULES') {
+      captureMatchedRules(message.tabId, message.ancestors)
+        .then(function(matchedRules) {
+          sendResponse({ success: true, matchedRules: matchedRules });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
+    if (message.type === 'PING_NATIVE_HOST') {
+      sendNativeMessage({ type: 'ping' })
+        .then(function(response) {
+          sendResponse({ success: true, version: response.version });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
     if (message.type === 'SHOW_MODAL_IN_TAB') {
       // Forward to content script in the specified tab
       chrome.tabs.sendMessage(message.tabId, {
@@ -304,7 +540,29 @@ export default defineBackground(() => {
     if (message.type === 'EXPORT_SESSION') {
       exportSessionToFile(message.session, message.markdown, message.comment)
         .then(function(result) {
-          sendResponse({ success: true, folder: result.folder, projectName: result.projectName });
+          sendResponse({ success: true, folder: result.folder, projectName: result.projectName, transport: result.transport });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
+    if (message.type === 'EXPORT_SESSION_HAR') {
+      exportSessionHarToFile(message.session, message.comment)
+        .then(function(result) {
+          sendResponse({ success: true, folder: result.folder, projectName: result.projectName, transport: result.transport });
+        })
+        .catch(function(error) {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+
+    if (message.type === 'EXPORT_SESSION_TEST') {
+      exportSessionTestToFile(message.session, message.framework, message.comment)
+        .then(function(result) {
+          sendResponse({ success: true, folder: result.folder, projectName: result.projectName, transport: result.transport });
         })
         .catch(function(error) {
           sendResponse({ success: false, error: error.message });
@@ -343,26 +601,52 @@ export default defineBackground(() => {
 
   // Export a session to file
   async function exportSessionToFile(session, markdown, comment) {
+    // The inspector redacts before formatting the markdown; redact the
+    // session again for the JSON export in case it came from elsewhere
+    session = await redact(session);
     var exportInfo = await getExportFolder(session.url);
     var filename = generateSessionFilename(session);
-    var filepath = exportInfo.folder + '/sessions/' + filename;
 
-    // Use data URL for service worker compatibility
-    var dataUrl = 'data:text/markdown;base64,' + btoa(unescape(encodeURIComponent(markdown)));
-
-    return new Promise(function(resolve, reject) {
-      chrome.downloads.download({
-        url: dataUrl,
-        filename: filepath,
-        saveAs: false,
-        conflictAction: 'uniquify'
-      }, function(downloadId) {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve({ downloadId: downloadId, folder: exportInfo.folder, projectName: exportInfo.projectName });
-        }
+    var written = await writeExport(exportInfo, function(exportTarget) {
+      return writeReportFormats(exportTarget, 'sessions/' + filename.replace(/\.md$/, ''), markdown, function() {
+        return formatSessionAsJson(session, comment, exportInfo.projectName);
       });
     });
+    return exportResult(exportInfo, written);
+  }
+
+  // Export a session's network log as a HAR file next to the session markdown
+  async function exportSessionHarToFile(session, comment) {
+    session = await redact(session);
+    var exportInfo = await getExportFolder(session.url);
+    var filename = generateSessionFilename(session).replace(/\.md$/, '.har');
+
+    var har = formatSessionAsHar(session, {
+      creatorVersion: chrome.runtime.getManifest().version,
+      comment: comment
+    });
+
+    var written = await writeExport(exportInfo, function(exportTarget) {
+      return writeExportFile(exportTarget, 'sessions/' + filename, textToBase64(har), 'application/json');
+    });
+    return exportResult(exportInfo, written);
+  }
+
+  // Export a session as a Playwright or Cypress spec next to the session markdown
+  async function exportSessionTestToFile(session, framework, comment) {
+    if (!TEST_FRAMEWORKS[framework]) {
+      throw new Error('Unknown test framework: ' + framework);
+    }
+
+    session = await redact(session);
+    var exportInfo = await getExportFolder(session.url);
+    var filename = generateSessionFilename(session).replace(/\.md$/, TEST_FRAMEWORKS[framework].extension);
+
+    var source = formatSessionAsTest(session, framework, { comment: comment });
+
+    var written = await writeExport(exportInfo, function(exportTarget) {
+      return writeExportFile(exportTarget, 'sessions/' + filename, textToBase64(source), 'text/javascript');
+    });
+    return exportResult(exportInfo, written);
   }
 });
@@ -3,21 +3,30 @@
  *
  * Provides a custom element picker activated via context menu.
  * Highlights elements on hover and shows capture modal on click.
+ * Shift-click collects several elements into one report, and region mode
+ * captures every element inside a dragged rectangle.
  * Captures framework info, console errors, and network requests.
  */
 
 import { getConsoleInjectorCode } from '../lib/console-capture.js';
 import { getNetworkInjectorCode } from '../lib/network-capture.js';
+import { MIN_REGION_SIZE, MAX_REGION_ELEMENTS, DEFAULT_CONTEXT_RADIUS } from '../lib/constants.js';
+import { getCaptureSettings, getStyleOptions } from '../lib/storage.ts';
 import {
   sanitizeValue,
   sanitizeObject,
   getCssSelector,
   getXPath,
   getComputedStyles,
+  getBoundingRect,
   getElementId,
   getTextContent,
   getDataAttributes,
-  getEventListenerTypes
+  getEventListenerTypes,
+  getElementContext,
+  getCustomProperties,
+  matchDesignTokens,
+  getAccessibilityInfo
 } from '../lib/shared-utils.js';
 
 export default defineContentScript({
@@ -26,10 +35,18 @@ export default defineContentScript({
   main() {
     // State
     var modal = null;
-    var currentElementData = null;
+    var currentElements = [];
     var pickerActive = false;
     var highlightOverlay = null;
     var hoveredElement = null;
+    var selectedElements = [];
+    var selectionMarkers = [];
+    var regionOverlay = null;
+    var regionStart = null;
+    var currentRegion = null;
+    var contextRadius = DEFAULT_CONTEXT_RADIUS;
+    var styleOptions = {};
+    var captureSettingsLoaded = Promise.resolve();
 
     // ========== INJECTOR INITIALIZATION ==========
 
@@ -84,6 +101,28 @@ export default defineContentScript({
           border-radius: 2px;
           white-space: nowrap;
         }
+        .ccr-selection-marker {
+          position: absolute;
+          pointer-events: none;
+          border: 2px solid #0d9488;
+          background: rgba(13, 148, 136, 0.1);
+          z-index: 2147483645;
+        }
+        .ccr-selection-marker::after {
+          content: attr(data-index);
+          position: absolute;
+          top: -10px;
+          left: -10px;
+          min-width: 18px;
+          height: 18px;
+          border-radius: 9px;
+          background: #0d9488;
+          color: white;
+          font-size: 11px;
+          font-family: system-ui, sans-serif;
+          line-height: 18px;
+          text-align: center;
+        }
         body.ccr-picker-active {
           cursor: crosshair !important;
         }
@@ -148,10 +187,128 @@ export default defineContentScript({
       e.stopPropagation();
 
       var element = hoveredElement || e.target;
-      var elementData = captureElementData(element);
+
+      // Shift-click adds or removes elements and keeps the picker open
+      if (e.shiftKey) {
+        toggleSelection(element);
+        return;
+      }
+
+      // A plain click after shift-clicks adds the last element and finishes
+      if (selectedElements.length > 0) {
+        if (selectedElements.indexOf(element) === -1) {
+          toggleSelection(element);
+        }
+        finishSelection();
+        return;
+      }
+
+      stopPicker();
+      captureSettingsLoaded.then(function() {
+        var elementData = captureElementData(element);
+        return captureScreenshot(elementData.boundingRect).then(function(screenshot) {
+          elementData.screenshot = screenshot;
+          showModal([elementData]);
+        });
+      });
+    }
+
+    // ========== MULTI-SELECT ==========
+
+    function toggleSelection(element) {
+      var index = selectedElements.indexOf(element);
+      if (index !== -1) {
+        selectedElements.splice(index, 1);
+        selectionMarkers.splice(index, 1)[0].remove();
+      } else {
+        selectedElements.push(element);
+        selectionMarkers.push(createSelectionMarker(element));
+      }
+
+      selectionMarkers.forEach(function(marker, i) {
+        marker.setAttribute('data-index', String(i + 1));
+      });
+    }
+
+    // Numbered outline that stays on a selected element while picking continues
+    function createSelectionMarker(element) {
+      var rect = element.getBoundingClientRect();
+      var marker = document.createElement('div');
+      marker.className = 'ccr-selection-marker';
+      marker.setAttribute('data-ai-context-extension', '');
+      marker.style.top = (rect.top + window.scrollY) + 'px';
+      marker.style.left = (rect.left + window.scrollX) + 'px';
+      marker.style.width = rect.width + 'px';
+      marker.style.height = rect.height + 'px';
+      document.body.appendChild(marker);
+      return marker;
+    }
+
+    function clearSelection() {
+      selectionMarkers.forEach(function(marker) {
+        marker.remove();
+      });
+      selectionMarkers = [];
+      selectedElements = [];
+    }
+
+    function finishSelection() {
+      var elements = selectedElements.slice();
 
       stopPicker();
-      showModal(elementData);
+      captureSettingsLoaded.then(function() {
+        var elementData = elements.map(captureElementData);
+        return captureScreenshots(elementData.map(function(data) {
+          return data.boundingRect;
+        })).then(function(screenshots) {
+          elementData.forEach(function(data, i) {
+            data.screenshot = screenshots[i];
+          });
+          showModal(elementData);
+        });
+      });
+    }
+
+    // Ask the background script for a cropped screenshot of the element.
+    // Waits for the highlight overlay to be hidden before capturing.
+    function captureScreenshot(rect) {
+      return new Promise(function(resolve) {
+        requestAnimationFrame(function() {
+          requestAnimationFrame(function() {
+            chrome.runtime.sendMessage({
+              type: 'CAPTURE_SCREENSHOT',
+              rect: rect
+            }, function(response) {
+              if (chrome.runtime.lastError || !response || !response.success) {
+                resolve(null);
+              } else {
+                resolve(response.screenshot);
+              }
+            });
+          });
+        });
+      });
+    }
+
+    // Screenshots of several elements from a single tab capture, since
+    // captureVisibleTab is rate limited. Same overlay timing as above.
+    function captureScreenshots(rects) {
+      return new Promise(function(resolve) {
+        requestAnimationFrame(function() {
+          requestAnimationFrame(function() {
+            chrome.runtime.sendMessage({
+              type: 'CAPTURE_SCREENSHOTS',
+              rects: rects
+            }, function(response) {
+              if (chrome.runtime.lastError || !response || !response.success) {
+                resolve(rects.map(function() { return null; }));
+              } else {
+                resolve(response.screenshots);
+              }
+            });
+          });
+        });
+      });
     }
 
     function handleKeyDown(e) {
@@ -161,11 +318,20 @@ export default defineContentScript({
         e.preventDefault();
         stopPicker();
       }
+
+      // Enter finishes a shift-click selection
+      if (e.key === 'Enter' && selectedElements.length > 0) {
+        e.preventDefault();
+        finishSelection();
+      }
     }
 
     function startPicker() {
       if (pickerActive) return;
 
+      stopRegionPicker();
+      loadCaptureSettings();
+
       pickerActive = true;
       createHighlightOverlay();
       document.body.classList.add('ccr-picker-active');
@@ -190,10 +356,247 @@ export default defineContentScript({
       document.removeEventListener('keydown', handleKeyDown, true);
 
       hoveredElement = null;
+      clearSelection();
+    }
+
+    // ========== REGION SELECTION ==========
+
+    // Never worth reporting on their own inside a region
+    var IGNORED_REGION_TAGS = /^(SCRIPT|STYLE|LINK|META|NOSCRIPT|TEMPLATE|BR|WBR)$/;
+    var REGION_HINT = 'Drag to select a region \u00b7 Esc to cancel';
+    var EMPTY_REGION_HINT = 'No elements in that region \u00b7 Drag again or press Esc';
+
+    function createRegionOverlay() {
+      if (regionOverlay) return regionOverlay;
+
+      regionOverlay = document.createElement('div');
+      regionOverlay.id = 'ccr-region-overlay';
+      regionOverlay.setAttribute('data-ai-context-extension', '');
+      regionOverlay.innerHTML = `
+        <div class="ccr-region-hint"></div>
+        <div class="ccr-region-box"></div>
+      `;
+
+      var style = document.createElement('style');
+      style.textContent = `
+        #ccr-region-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          z-index: 2147483646;
+          cursor: crosshair;
+          background: rgba(0, 0, 0, 0.05);
+          display: none;
+        }
+        #ccr-region-overlay .ccr-region-hint {
+          position: absolute;
+          top: 12px;
+          left: 50%;
+          transform: translateX(-50%);
+          background: #4285f4;
+          color: white;
+          font-size: 12px;
+          font-family: system-ui, sans-serif;
+          padding: 4px 10px;
+          border-radius: 4px;
+          pointer-events: none;
+        }
+        #ccr-region-overlay .ccr-region-box {
+          position: absolute;
+          border: 2px dashed #4285f4;
+          background: rgba(66, 133, 244, 0.1);
+          pointer-events: none;
+          display: none;
+        }
+      `;
+
+      document.head.appendChild(style);
+      document.body.appendChild(regionOverlay);
+      regionOverlay.addEventListener('mousedown', handleRegionMouseDown);
+      return regionOverlay;
+    }
+
+    function startRegionPicker() {
+      stopPicker();
+      loadCaptureSettings();
+      createRegionOverlay();
+      regionOverlay.querySelector('.ccr-region-hint').textContent = REGION_HINT;
+      regionOverlay.style.display = 'block';
+      document.addEventListener('keydown', handleRegionKeyDown, true);
+    }
+
+    function stopRegionPicker() {
+      if (!regionOverlay) return;
+
+      regionOverlay.style.display = 'none';
+      regionOverlay.querySelector('.ccr-region-box').style.display = 'none';
+      regionStart = null;
+
+      document.removeEventListener('mousemove', handleRegionMouseMove, true);
+      document.removeEventListener('mouseup', handleRegionMouseUp, true);
+      document.removeEventListener('keydown', handleRegionKeyDown, true);
+    }
+
+    function handleRegionMouseDown(e) {
+      if (e.button !== 0) return;
+      e.preventDefault();
+
+      regionStart = { x: e.clientX, y: e.clientY };
+      document.addEventListener('mousemove', handleRegionMouseMove, true);
+      document.addEventListener('mouseup', handleRegionMouseUp, true);
+    }
+
+    function handleRegionMouseMove(e) {
+      if (!regionStart) return;
+
+      var region = regionFromPoints(regionStart, e);
+      var box = regionOverlay.querySelector('.ccr-region-box');
+      box.style.display = 'block';
+      box.style.top = region.top + 'px';
+      box.style.left = region.left + 'px';
+      box.style.width = region.width + 'px';
+      box.style.height = region.height + 'px';
+    }
+
+    function handleRegionMouseUp(e) {
+      if (!regionStart) return;
+
+      var region = regionFromPoints(regionStart, e);
+      document.removeEventListener('mousemove', handleRegionMouseMove, true);
+      document.removeEventListener('mouseup', handleRegionMouseUp, true);
+      regionStart = null;
+
+      // Treat a click or tiny drag as a miss and let the user drag again
+      if (region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) {
+        regionOverlay.querySelector('.ccr-region-box').style.display = 'none';
+        return;
+      }
+
+      // Nothing to capture: say so and let the user drag again
+      var elements = findRegionElements(region);
+      if (elements.length === 0) {
+        regionOverlay.querySelector('.ccr-region-box').style.display = 'none';
+        regionOverlay.querySelector('.ccr-region-hint').textContent = EMPTY_REGION_HINT;
+        return;
+      }
+
+      stopRegionPicker();
+      captureRegion(region, elements);
+    }
+
+    function handleRegionKeyDown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        stopRegionPicker();
+      }
+    }
+
+    // Viewport rect (same shape as getBoundingRect) spanning two pointer positions
+    function regionFromPoints(start, e) {
+      var left = Math.min(start.x, e.clientX);
+      var top = Math.min(start.y, e.clientY);
+      return {
+        top: Math.round(top),
+        left: Math.round(left),
+        width: Math.round(Math.abs(e.clientX - start.x)),
+        height: Math.round(Math.abs(e.clientY - start.y)),
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight
+      };
+    }
+
+    // Visible elements intersecting the region, reduced to the smallest
+    // containers that cover it: the outermost elements lying fully inside,
+    // plus partially covered elements with nothing smaller inside them.
+    // Large ancestors that merely overlap the region are dropped.
+    function findRegionElements(region) {
+      var right = region.left + region.width;
+      var bottom = region.top + region.height;
+      var candidates = [];
+      var all = document.body.querySelectorAll('*');
+
+      for (var i = 0; i < all.length; i++) {
+        var el = all[i];
+        if (IGNORED_REGION_TAGS.test(el.tagName) || el.ownerSVGElement) continue;
+
+        var rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
+        if (rect.right <= region.left || rect.left >= right ||
+            rect.bottom <= region.top || rect.top >= bottom) continue;
+
+        if (el.closest('[data-ai-context-extension], #claude-context-report-modal, #ccr-highlight-overlay')) continue;
+        var style = getComputedStyle(el);
+        if (style.visibility === 'hidden' || style.opacity === '0') continue;
+
+        candidates.push({
+          element: el,
+          inside: rect.left >= region.left && rect.right <= right &&
+                  rect.top >= region.top && rect.bottom <= bottom
+        });
+      }
+
+      var insideSet = new Set();
+      var containsCandidate = new Set();
+      candidates.forEach(function(candidate) {
+        if (candidate.inside) insideSet.add(candidate.element);
+        for (var parent = candidate.element.parentElement; parent; parent = parent.parentElement) {
+          if (containsCandidate.has(parent)) break;
+          containsCandidate.add(parent);
+        }
+      });
+
+      var selected = candidates.filter(function(candidate) {
+        if (candidate.inside) {
+          return !hasAncestorIn(candidate.element, insideSet);
+        }
+        return !containsCandidate.has(candidate.element);
+      }).map(function(candidate) {
+        return candidate.element;
+      });
+
+      // A partially covered leaf can sit inside a fully covered container
+      var selectedSet = new Set(selected);
+      return selected.filter(function(el) {
+        return !hasAncestorIn(el, selectedSet);
+      });
+    }
+
+    function hasAncestorIn(el, set) {
+      for (var parent = el.parentElement; parent; parent = parent.parentElement) {
+        if (set.has(parent)) return true;
+      }
+      return false;
+    }
+
+    function captureRegion(region, elements) {
+      captureSettingsLoaded.then(function() {
+        var elementData = elements.slice(0, MAX_REGION_ELEMENTS).map(captureElementData);
+        return captureScreenshot(region).then(function(screenshot) {
+          showModal(elementData, {
+            rect: region,
+            elementCount: elements.length,
+            screenshot: screenshot
+          });
+        });
+      });
     }
 
     // ========== ELEMENT DATA CAPTURE ==========
 
+    // Refreshed whenever a picker starts; settings can change in the DevTools
+    // panel. Captures wait for captureSettingsLoaded, so the first one after
+    // a picker starts uses the new settings.
+    function loadCaptureSettings() {
+      captureSettingsLoaded = Promise.all([getCaptureSettings(), getStyleOptions(location.href)]).then(function(results) {
+        contextRadius = results[0].contextRadius;
+        styleOptions = results[1];
+      }).catch(function() {
+        // Keep the previous settings
+      });
+    }
+
     function captureElementData(el) {
       if (!el) return null;
 
@@ -203,6 +606,9 @@ export default defineContentScript({
       // Get framework and component info
       var framework = detectFramework();
       var component = getComponentInfo(el);
+      component.line = null;
+      component.column = null;
+      component.elementSource = getElementSource(el);
 
       // Check for developer-provided context via data attribute
       var dataAttrs = getDataAttributes(el);
@@ -221,14 +627,22 @@ export default defineContentScript({
         }
       }
 
+      var computedStyles = getComputedStyles(el, styleOptions);
+      var customProperties = getCustomProperties(el);
+
       return {
         selector: getCssSelector(el),
         xpath: getXPath(el),
-        computedStyles: getComputedStyles(el),
+        computedStyles: computedStyles,
+        customProperties: customProperties,
+        designTokens: matchDesignTokens(Object.assign({}, computedStyles, customProperties)),
+        boundingRect: getBoundingRect(el),
+        accessibility: getAccessibilityInfo(el),
         url: location.href,
         tagName: el.tagName.toLowerCase(),
         elementId: getElementId(el),
         textContent: getTextContent(el),
+        context: getElementContext(el, contextRadius),
         // Phase 1 enhanced fields
         framework: framework,
         component: component,
@@ -383,6 +797,25 @@ export default defineContentScript({
       return component;
     }
 
+    // JSX call site that rendered an element: the data-ai-source attribute
+    // added by the SDK build plugins, or React's _debugSource (development
+    // builds before React 19)
+    function getElementSource(el) {
+      var match = /^(.+):(\d+):(\d+)$/.exec(el.getAttribute('data-ai-source') || '');
+      if (match) {
+        return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
+      }
+
+      var fiberKey = Object.keys(el).find(function(k) {
+        return k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$');
+      });
+      var source = fiberKey && el[fiberKey] && el[fiberKey]._debugSource;
+      if (source && source.fileName) {
+        return { file: source.fileName, line: source.lineNumber || null, column: source.columnNumber || null };
+      }
+      return null;
+    }
+
     // Read captured console/network logs from page context
     function readCapturedLogs() {
       return {
@@ -409,6 +842,7 @@ export default defineContentScript({
             <span class="ccr-element-id"></span>
             <span class="ccr-element-text"></span>
           </div>
+          <div class="ccr-element-list"></div>
           <textarea class="ccr-comment" placeholder="Describe what to fix or change..." rows="3"></textarea>
           <div class="ccr-actions">
             <button class="ccr-skip">Skip</button>
@@ -453,6 +887,9 @@ export default defineContentScript({
           max-width: 90vw;
           padding: 16px;
         }
+        #claude-context-report-modal .ccr-dialog.ccr-multiple {
+          width: 480px;
+        }
         #claude-context-report-modal .ccr-header {
           display: flex;
           justify-content: space-between;
@@ -498,6 +935,31 @@ export default defineContentScript({
           overflow: hidden;
           text-overflow: ellipsis;
         }
+        #claude-context-report-modal .ccr-element-list {
+          max-height: 50vh;
+          overflow-y: auto;
+          margin-bottom: 12px;
+        }
+        #claude-context-report-modal .ccr-element-item {
+          background: #f5f5f5;
+          border-radius: 4px;
+          padding: 8px 12px;
+          margin-bottom: 8px;
+        }
+        #claude-context-report-modal .ccr-element-comment {
+          width: 100%;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 6px 8px;
+          margin-top: 6px;
+          font-size: 13px;
+          font-family: inherit;
+          resize: vertical;
+        }
+        #claude-context-report-modal .ccr-element-comment:focus {
+          outline: none;
+          border-color: #4285f4;
+        }
         #claude-context-report-modal .ccr-comment {
           width: 100%;
           border: 1px solid #ddd;
@@ -571,7 +1033,13 @@ export default defineContentScript({
       modal.querySelector('.ccr-skip').addEventListener('click', hideModal);
       modal.querySelector('.ccr-save').addEventListener('click', handleSave);
 
-      var textarea = modal.querySelector('.ccr-comment');
+      bindCommentKeys(modal.querySelector('.ccr-comment'));
+
+      return modal;
+    }
+
+    // Save on Ctrl/Cmd+Enter and close on Escape from any comment field
+    function bindCommentKeys(textarea) {
       textarea.addEventListener('input', updateSaveButton);
       textarea.addEventListener('keydown', function(e) {
         if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
@@ -581,28 +1049,82 @@ export default defineContentScript({
           hideModal();
         }
       });
+    }
 
-      return modal;
+    // List entry with its own comment field, for multi-element reports
+    function createElementListItem(elementData, index) {
+      var item = document.createElement('div');
+      item.className = 'ccr-element-item';
+
+      var elementId = document.createElement('span');
+      elementId.className = 'ccr-element-id';
+      elementId.textContent = (index + 1) + '. ' + (elementData.elementId || elementData.tagName || 'element');
+      item.appendChild(elementId);
+
+      if (elementData.textContent) {
+        var elementText = document.createElement('span');
+        elementText.className = 'ccr-element-text';
+        elementText.textContent = '"' + elementData.textContent + '"';
+        item.appendChild(elementText);
+      }
+
+      var comment = document.createElement('textarea');
+      comment.className = 'ccr-element-comment';
+      comment.placeholder = 'Comment on this element (optional)';
+      comment.rows = 2;
+      bindCommentKeys(comment);
+      item.appendChild(comment);
+
+      return item;
     }
 
-    function showModal(elementData) {
-      currentElementData = elementData;
+    // region: { rect, elementCount, screenshot } when opened from region mode
+    function showModal(elements, region) {
+      currentElements = elements;
+      currentRegion = region || null;
       var m = createModal();
+      var multiple = elements.length > 1;
 
-      var elementId = m.querySelector('.ccr-element-id');
-      var elementText = m.querySelector('.ccr-element-text');
+      m.querySelector('.ccr-dialog').classList.toggle('ccr-multiple', multiple);
+      if (currentRegion) {
+        m.querySelector('.ccr-title').textContent = 'Add Region Report (' + elements.length +
+          (elements.length === 1 ? ' element)' : ' elements)');
+      } else {
+        m.querySelector('.ccr-title').textContent = multiple
+          ? 'Add Context Report (' + elements.length + ' elements)'
+          : 'Add Context Report';
+      }
 
-      elementId.textContent = elementData.elementId || elementData.tagName || 'element';
+      var elementInfo = m.querySelector('.ccr-element-info');
+      var elementList = m.querySelector('.ccr-element-list');
+      elementList.innerHTML = '';
+      elementInfo.style.display = multiple ? 'none' : 'block';
+      elementList.style.display = multiple ? 'block' : 'none';
 
-      if (elementData.textContent) {
-        elementText.textContent = '"' + elementData.textContent + '"';
-        elementText.style.display = 'block';
+      if (multiple) {
+        elements.forEach(function(elementData, i) {
+          elementList.appendChild(createElementListItem(elementData, i));
+        });
       } else {
-        elementText.style.display = 'none';
+        var elementData = elements[0];
+        var elementId = m.querySelector('.ccr-element-id');
+        var elementText = m.querySelector('.ccr-element-text');
+
+        elementId.textContent = elementData.elementId || elementData.tagName || 'element';
+
+        if (elementData.textContent) {
+          elementText.textContent = '"' + elementData.textContent + '"';
+          elementText.style.display = 'block';
+        } else {
+          elementText.style.display = 'none';
+        }
       }
 
       var textarea = m.querySelector('.ccr-comment');
       textarea.value = '';
+      textarea.placeholder = multiple
+        ? 'Describe the overall issue...'
+        : 'Describe what to fix or change...';
 
       var feedback = m.querySelector('.ccr-feedback');
       feedback.textContent = '';
@@ -617,15 +1139,23 @@ export default defineContentScript({
     function hideModal() {
       if (modal) {
         modal.style.display = 'none';
-        currentElementData = null;
+        currentElements = [];
+        currentRegion = null;
       }
     }
 
+    // Multi-element reports can be saved with only per-element comments
+    function hasComment() {
+      return Array.prototype.some.call(
+        modal.querySelectorAll('.ccr-comment, .ccr-element-comment'),
+        function(textarea) { return textarea.value.trim(); }
+      );
+    }
+
     function updateSaveButton() {
       if (!modal) return;
-      var textarea = modal.querySelector('.ccr-comment');
       var saveBtn = modal.querySelector('.ccr-save');
-      saveBtn.disabled = !textarea.value.trim();
+      saveBtn.disabled = !hasComment();
     }
 
     function showFeedback(message, isSuccess) {
@@ -635,45 +1165,88 @@ export default defineContentScript({
       feedback.className = 'ccr-feedback ' + (isSuccess ? 'success' : 'error');
     }
 
+    function buildReportElement(elementData) {
+      return {
+        selector: elementData.selector,
+        xpath: elementData.xpath,
+        computedStyles: elementData.computedStyles,
+        tagName: elementData.tagName,
+        elementId: elementData.elementId,
+        textContent: elementData.textContent,
+        customProperties: elementData.customProperties || {},
+        designTokens: elementData.designTokens || null,
+        accessibility: elementData.accessibility || null,
+        context: elementData.context || null
+      };
+    }
+
     function handleSave() {
-      if (!currentElementData || !modal) return;
+      if (currentElements.length === 0 || !modal) return;
 
       var textarea = modal.querySelector('.ccr-comment');
       var comment = textarea.value.trim();
 
-      if (!comment) {
+      if (!hasComment()) {
         showFeedback('Please enter a comment', false);
         return;
       }
 
+      // Top-level element fields describe the first element, so readers
+      // that predate multi-select still get a complete report
+      var first = currentElements[0];
+      var multiple = currentElements.length > 1;
       var report = {
         reportId: crypto.randomUUID(),
-        url: currentElementData.url,
+        url: first.url,
         comment: comment,
-        element: {
-          selector: currentElementData.selector,
-          xpath: currentElementData.xpath,
-          computedStyles: currentElementData.computedStyles,
-          tagName: currentElementData.tagName,
-          elementId: currentElementData.elementId,
-          textContent: currentElementData.textContent
-        },
+        element: buildReportElement(first),
         // Phase 1 enhanced fields
-        framework: currentElementData.framework,
-        component: currentElementData.component,
-        dataAttributes: currentElementData.dataAttributes,
-        eventListeners: currentElementData.eventListeners,
-        consoleErrors: currentElementData.consoleErrors,
-        networkRequests: currentElementData.networkRequests,
-        developerContext: currentElementData.developerContext
+        framework: first.framework,
+        component: first.component,
+        dataAttributes: first.dataAttributes,
+        eventListeners: first.eventListeners,
+        consoleErrors: first.consoleErrors,
+        networkRequests: first.networkRequests,
+        developerContext: first.developerContext,
+        // Multi-element screenshots are kept per element below
+        screenshot: multiple ? null : first.screenshot || null
       };
 
+      if (multiple) {
+        var elementComments = modal.querySelectorAll('.ccr-element-list .ccr-element-comment');
+        report.elements = currentElements.map(function(elementData, i) {
+          return {
+            comment: elementComments[i].value.trim(),
+            element: buildReportElement(elementData),
+            component: elementData.component,
+            dataAttributes: elementData.dataAttributes,
+            eventListeners: elementData.eventListeners,
+            developerContext: elementData.developerContext,
+            screenshot: elementData.screenshot || null
+          };
+        });
+      }
+
+      // Region reports keep one screenshot of the whole dragged area
+      if (currentRegion) {
+        report.region = {
+          top: currentRegion.rect.top,
+          left: currentRegion.rect.left,
+          width: currentRegion.rect.width,
+          height: currentRegion.rect.height,
+          viewportWidth: currentRegion.rect.viewportWidth,
+          viewportHeight: currentRegion.rect.viewportHeight,
+          elementCount: currentRegion.elementCount
+        };
+        report.screenshot = currentRegion.screenshot || null;
+      }
+
       chrome.runtime.sendMessage({
         type: 'SAVE_REPORT',
         report: report
       }, function(response) {
         if (response && response.success) {
-          showFeedback('Report saved!', true);
+          showFeedback(response.transport === 'native' ? 'Report saved to repo!' : 'Report saved!', true);
           setTimeout(hideModal, 800);
         } else {
           showFeedback('Failed to save report', false);
@@ -688,8 +1261,12 @@ export default defineContentScript({
         startPicker();
         sendResponse({ success: true });
       }
+      if (message.type === 'START_REGION_PICKER') {
+        startRegionPicker();
+        sendResponse({ success: true });
+      }
       if (message.type === 'SHOW_MODAL') {
-        showModal(message.elementData);
+        showModal([message.elementData]);
         sendResponse({ success: true });
       }
       return true;
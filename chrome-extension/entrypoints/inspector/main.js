@@ -7,7 +7,12 @@ import {
   getSessionStatusCode
 } from '../../lib/session-recorder.js';
 import { getInteractionRecorderInjectorCode } from '../../lib/interaction-recorder.js';
+import { getReplayRecorderInjectorCode } from '../../lib/replay-recorder.js';
+import { createReplayPlayer } from '../../lib/replay-player.js';
 import { formatSessionAsMarkdown } from '../../lib/markdown-formatter.js';
+import { redactData } from '../../lib/redaction.js';
+import { resolveConsoleStacks } from '../../lib/source-maps.js';
+import { getRedactionSettings } from '../../lib/storage.ts';
 
 // State
 let isRecording = false;
@@ -15,7 +20,13 @@ let sessionData = null;
 let durationInterval = null;
 let statusPollInterval = null;
 let startTime = null;
+let startUrl = null;
 let timelineEvents = [];
+let replayData = null;
+let replayPlayer = null;
+let replayScale = 1;
+let replayAnimationFrame = null;
+let replayLastTick = 0;
 
 // DOM Elements
 const recordingStatus = document.getElementById('recording-status');
@@ -31,12 +42,25 @@ const timeline = document.getElementById('timeline');
 const timelineBadge = document.getElementById('timeline-badge');
 const commentInput = document.getElementById('comment-input');
 const exportMdBtn = document.getElementById('export-md-btn');
+const exportHarBtn = document.getElementById('export-har-btn');
+const exportTestBtn = document.getElementById('export-test-btn');
+const testFrameworkSelect = document.getElementById('test-framework');
 const copyBtn = document.getElementById('copy-btn');
 const feedback = document.getElementById('feedback');
 const snapshotDialog = document.getElementById('snapshot-dialog');
 const snapshotForm = document.getElementById('snapshot-form');
 const snapshotLabel = document.getElementById('snapshot-label');
 const snapshotCancel = document.getElementById('snapshot-cancel');
+const replaySection = document.getElementById('replay-section');
+const replayBadge = document.getElementById('replay-badge');
+const replayStage = document.getElementById('replay-stage');
+const replayFrame = document.getElementById('replay-frame');
+const replayPointer = document.getElementById('replay-pointer');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replayScrubber = document.getElementById('replay-scrubber');
+const replayMarkers = document.getElementById('replay-markers');
+const replayTime = document.getElementById('replay-time');
+const replaySpeed = document.getElementById('replay-speed');
 
 // Inject recording scripts into the page
 async function injectRecordingScripts() {
@@ -55,7 +79,16 @@ async function injectRecordingScripts() {
             if (isException2) {
               console.error('Failed to inject interaction recorder');
             }
-            resolve();
+            // Finally the replay recorder, started together with the session
+            chrome.devtools.inspectedWindow.eval(
+              getReplayRecorderInjectorCode(),
+              (result3, isException3) => {
+                if (isException3) {
+                  console.error('Failed to inject replay recorder');
+                }
+                resolve();
+              }
+            );
           }
         );
       }
@@ -83,11 +116,15 @@ async function startRecording() {
 
     const sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     await evalInPage(getStartSessionCode(sessionId));
+    // Generated tests start from the page the recording started on
+    startUrl = await evalInPage('location.href');
 
     isRecording = true;
     startTime = Date.now();
     timelineEvents = [];
     sessionData = null;
+    replayData = null;
+    loadReplay();
 
     updateUI();
     startDurationTimer();
@@ -111,6 +148,13 @@ async function stopRecording() {
     if (sessionData) {
       sessionData.url = pageInfo.url;
       sessionData.title = pageInfo.title;
+      sessionData.startUrl = startUrl || pageInfo.url;
+      sessionData.consoleLog = await resolveConsoleStacks(sessionData.consoleLog, pageInfo.url);
+      // Scrub bodies, storage snapshots and URLs before export or copy
+      sessionData = redactData(sessionData, await getRedactionSettings());
+      // The replay is only shown here; exports and copies use the rest
+      replayData = sessionData.replay || null;
+      delete sessionData.replay;
     }
 
     isRecording = false;
@@ -119,6 +163,7 @@ async function stopRecording() {
 
     addTimelineEvent('stop', 'Recording Stopped', 'Duration: ' + formatDuration(sessionData?.duration || 0));
     updateUI();
+    loadReplay();
     showFeedback('Recording stopped - ready to export', true);
   } catch (error) {
     console.error('Failed to stop recording:', error);
@@ -236,6 +281,8 @@ function updateUI() {
   // Export buttons
   const hasSession = sessionData !== null;
   exportMdBtn.disabled = !hasSession;
+  exportHarBtn.disabled = !hasSession || !sessionData.networkLog?.length;
+  exportTestBtn.disabled = !hasSession;
   copyBtn.disabled = !hasSession;
 
   // Update stats from session data if stopped
@@ -311,6 +358,127 @@ function getEventIcon(type) {
   }
 }
 
+// Load the recorded replay into the player
+function loadReplay() {
+  stopReplayPlayback();
+  replayPlayer = null;
+
+  if (!replayData || !replayData.snapshot) {
+    replaySection.hidden = true;
+    return;
+  }
+
+  replaySection.hidden = false;
+  replayPlayer = createReplayPlayer(replayFrame, replayData, {
+    onPointer: renderReplayPointer,
+    onViewport: resizeReplayStage
+  });
+
+  replayScrubber.max = replayPlayer.duration;
+  replayBadge.textContent = replayData.truncated
+    ? 'Truncated at ' + formatDurationShort(replayPlayer.duration)
+    : formatDurationShort(replayPlayer.duration);
+  renderReplayMarkers();
+  seekReplay(0);
+}
+
+// Show the replay at a time offset and sync the controls
+function seekReplay(time) {
+  if (!replayPlayer) return;
+  replayPlayer.seek(time);
+  replayScrubber.value = replayPlayer.getTime();
+  replayTime.textContent = formatDurationShort(replayPlayer.getTime()) + ' / ' + formatDurationShort(replayPlayer.duration);
+}
+
+// Scale the recorded viewport to fit the panel width
+function resizeReplayStage(viewport) {
+  replayScale = Math.min(1, replayStage.clientWidth / viewport.width);
+  replayFrame.style.width = viewport.width + 'px';
+  replayFrame.style.height = viewport.height + 'px';
+  replayFrame.style.transform = 'scale(' + replayScale + ')';
+  replayStage.style.height = Math.round(viewport.height * replayScale) + 'px';
+}
+
+// Position the pointer overlay
+function renderReplayPointer(pointer) {
+  replayPointer.hidden = !pointer;
+  if (!pointer) return;
+  replayPointer.style.left = (pointer.x * replayScale) + 'px';
+  replayPointer.style.top = (pointer.y * replayScale) + 'px';
+  replayPointer.classList.toggle('clicking', pointer.clicking);
+}
+
+// Mark console errors, failed requests and snapshots on the scrubber
+function renderReplayMarkers() {
+  replayMarkers.textContent = '';
+  if (!replayPlayer || !replayPlayer.duration || !sessionData) return;
+
+  const markers = [];
+  (sessionData.consoleLog || []).filter(c => c.type === 'error').forEach(c => {
+    markers.push({ type: 'error', time: c.timestamp, label: 'Error: ' + c.message });
+  });
+  (sessionData.networkLog || []).filter(n => n.failed).forEach(n => {
+    markers.push({ type: 'network', time: n.timestamp, label: n.method + ' ' + n.url + ' -> ' + n.status });
+  });
+  (sessionData.snapshots || []).forEach(s => {
+    markers.push({ type: 'snapshot', time: s.timestamp, label: 'Snapshot: ' + s.label });
+  });
+
+  markers.forEach(marker => {
+    const offset = marker.time - replayData.startTime;
+    if (offset < 0 || offset > replayPlayer.duration) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'replay-marker ' + marker.type;
+    button.style.left = (offset / replayPlayer.duration * 100) + '%';
+    button.title = formatDurationShort(offset) + ' ' + marker.label.substring(0, 200);
+    button.addEventListener('click', () => {
+      stopReplayPlayback();
+      seekReplay(offset);
+    });
+    replayMarkers.appendChild(button);
+  });
+}
+
+// Toggle replay playback
+function toggleReplayPlayback() {
+  if (replayAnimationFrame) {
+    stopReplayPlayback();
+    return;
+  }
+  if (!replayPlayer) return;
+
+  if (replayPlayer.getTime() >= replayPlayer.duration) {
+    seekReplay(0);
+  }
+  replayLastTick = performance.now();
+  replayPlayBtn.classList.add('playing');
+  replayAnimationFrame = requestAnimationFrame(tickReplay);
+}
+
+// Advance playback by the elapsed time times the selected speed
+function tickReplay(now) {
+  const elapsed = (now - replayLastTick) * Number(replaySpeed.value);
+  replayLastTick = now;
+  seekReplay(replayPlayer.getTime() + elapsed);
+
+  if (replayPlayer.getTime() >= replayPlayer.duration) {
+    stopReplayPlayback();
+    return;
+  }
+  replayAnimationFrame = requestAnimationFrame(tickReplay);
+}
+
+// Stop replay playback
+function stopReplayPlayback() {
+  if (replayAnimationFrame) {
+    cancelAnimationFrame(replayAnimationFrame);
+    replayAnimationFrame = null;
+  }
+  replayPlayBtn.classList.remove('playing');
+}
+
 // Export session as Markdown
 async function exportSession() {
   if (!sessionData) return;
@@ -335,13 +503,66 @@ async function exportSession() {
       });
     });
 
-    showFeedback('Session exported!', true);
+    showFeedback(response.transport === 'native' ? 'Session exported to repo!' : 'Session exported!', true);
   } catch (error) {
     console.error('Export failed:', error);
     showFeedback('Failed to export session', false);
   }
 }
 
+// Export session network activity as a HAR file
+async function exportHar() {
+  if (!sessionData) return;
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        type: 'EXPORT_SESSION_HAR',
+        session: sessionData,
+        comment: commentInput.value.trim()
+      }, (resp) => {
+        if (resp && resp.success) {
+          resolve(resp);
+        } else {
+          reject(new Error(resp?.error || 'Export failed'));
+        }
+      });
+    });
+
+    showFeedback(response.transport === 'native' ? 'HAR exported to repo!' : 'HAR exported!', true);
+  } catch (error) {
+    console.error('HAR export failed:', error);
+    showFeedback('Failed to export HAR', false);
+  }
+}
+
+// Export session as a Playwright or Cypress test
+async function exportTest() {
+  if (!sessionData) return;
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        type: 'EXPORT_SESSION_TEST',
+        session: sessionData,
+        framework: testFrameworkSelect.value,
+        comment: commentInput.value.trim()
+      }, (resp) => {
+        if (resp && resp.success) {
+          resolve(resp);
+        } else {
+          reject(new Error(resp?.error || 'Export failed'));
+        }
+      });
+    });
+
+    showFeedback(response.transport === 'native' ? 'Test exported to repo!' : 'Test exported!', true);
+  } catch (error) {
+    console.error('Test export failed:', error);
+    showFeedback('Failed to export test', false);
+  }
+}
+
 // Copy session to clipboard
 async function copySession() {
   if (!sessionData) return;
@@ -400,6 +621,19 @@ snapshotCancel.addEventListener('click', () => {
 });
 
 exportMdBtn.addEventListener('click', exportSession);
+exportHarBtn.addEventListener('click', exportHar);
+exportTestBtn.addEventListener('click', exportTest);
+
+replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+replayScrubber.addEventListener('input', () => {
+  stopReplayPlayback();
+  seekReplay(Number(replayScrubber.value));
+});
+window.addEventListener('resize', () => {
+  if (replayPlayer) {
+    resizeReplayStage(replayPlayer.getViewport());
+  }
+});
 copyBtn.addEventListener('click', copySession);
 
 // Initialize
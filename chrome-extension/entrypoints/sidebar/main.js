@@ -1,10 +1,15 @@
 // Sidebar script - handles element selection display and capture
-import { getElementCaptureCode } from '../../lib/element-capture.js';
+import { getElementCaptureCode, getBoundingRectCode } from '../../lib/element-capture.js';
 import { getFrameworkDetectorCode } from '../../lib/framework-detector.js';
 import { getConsoleLogReaderCode } from '../../lib/console-capture.js';
 import { getNetworkLogReaderCode } from '../../lib/network-capture.js';
-import { saveReport, getReports, deleteReport, clearReports, getProjectMappings, saveProjectMappings } from '../../lib/storage.ts';
+import { getRuleTargetCode, getRuleTargetCleanupCode } from '../../lib/css-rules.js';
+import { resolveConsoleStacks, resolveComponentFile, createSourceCache } from '../../lib/source-maps.js';
+import { saveReport, getReports, deleteReport, clearReports, getProjectMappings, saveProjectMappings, getRedactionSettings, saveRedactionSettings, getCaptureSettings, saveCaptureSettings, getStyleOptions, getEditorOptions } from '../../lib/storage.ts';
 import { formatReportAsMarkdown } from '../../lib/markdown-formatter.js';
+import { getEditorUrl } from '../../lib/editor-links.js';
+import { DEFAULT_EXPORT_FORMAT, MAX_CONTEXT_RADIUS, STYLE_PROFILES, DEFAULT_STYLE_PROFILE, EDITORS } from '../../lib/constants.js';
+import { redactData, BUILT_IN_REDACTION_RULES, parseCustomRules, formatCustomRules } from '../../lib/redaction.js';
 
 // Constants
 var BASE_EXPORT_FOLDER = 'ai-agent-reports';
@@ -15,9 +20,19 @@ var projectMappingsCache = [];
 // State variable to track currently selected element data
 var currentElementData = null;
 
+// Editor settings of the inspected page's project mapping
+var editorOptions = null;
+
 // Details expanded state
 var detailsExpanded = false;
 
+// Source maps fetched to find component files, kept until the inspected
+// page navigates
+var sourceCache = createSourceCache();
+
+// Incremented on every selection, so results of an earlier one are dropped
+var selectionCount = 0;
+
 // Generate smart filename from report
 function generateFilename(report) {
   var parts = [];
@@ -34,7 +49,7 @@ function generateFilename(report) {
   } catch (e) {
     parts.push('unknown');
   }
-  var element = (report.element && report.element.tagName) || 'element';
+  var element = report.region ? 'region' : (report.element && report.element.tagName) || 'element';
   var id = (report.element && report.element.elementId)
     ? '-' + report.element.elementId.replace(/[^a-z0-9]/gi, '-').slice(0, 20)
     : '';
@@ -57,11 +72,32 @@ async function exportAllReports() {
   });
 }
 
+// Read the inspected page's URL
+function getInspectedUrl() {
+  return new Promise(function(resolve) {
+    chrome.devtools.inspectedWindow.eval('location.href', function(result, isException) {
+      resolve(isException ? '' : result);
+    });
+  });
+}
+
+// Style options of the matching project, unless a profile is picked in the panel
+async function getPanelStyleOptions() {
+  var styles = await getStyleOptions(await getInspectedUrl());
+  var profile = document.getElementById('style-profile').value;
+  if (profile) {
+    styles.profile = profile;
+  }
+  return styles;
+}
+
 // Capture comprehensive element data via eval in inspected page context
-function captureElementData() {
+async function captureElementData() {
+  var capture = await getCaptureSettings();
+  var styles = await getPanelStyleOptions();
   return new Promise(function(resolve) {
     chrome.devtools.inspectedWindow.eval(
-      getElementCaptureCode(),
+      getElementCaptureCode({ contextRadius: capture.contextRadius, styles: styles }),
       function(result, isException) {
         if (isException || !result) {
           resolve(null);
@@ -89,6 +125,26 @@ function captureFrameworkData() {
   });
 }
 
+// Fill in the component file through source maps when the page recorded
+// none (apps without the SDK or the Vite plugin)
+function resolveComponentSource(frameworkData, pageUrl) {
+  if (!frameworkData || !frameworkData.componentSource) {
+    return Promise.resolve();
+  }
+  var componentSource = frameworkData.componentSource;
+  delete frameworkData.componentSource;
+
+  return resolveComponentFile(componentSource, pageUrl, sourceCache).then(function(location) {
+    if (location) {
+      frameworkData.component.file = location.file;
+      frameworkData.component.line = location.line;
+      frameworkData.component.column = location.column;
+    }
+  }).catch(function() {
+    // Leave the file unknown
+  });
+}
+
 // Capture console errors via eval in inspected page context
 function captureConsoleErrors() {
   return new Promise(function(resolve) {
@@ -121,8 +177,70 @@ function captureNetworkRequests() {
   });
 }
 
+// Capture a cropped screenshot of the selected element via the background script
+function captureScreenshot(rect) {
+  return new Promise(function(resolve) {
+    if (!rect) {
+      resolve(null);
+      return;
+    }
+    chrome.runtime.sendMessage({
+      type: 'CAPTURE_SCREENSHOT',
+      tabId: chrome.devtools.inspectedWindow.tabId,
+      rect: rect
+    }, function(response) {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        resolve(null);
+      } else {
+        resolve(response.screenshot);
+      }
+    });
+  });
+}
+
+// Read the selected element's rect again right before its screenshot, as
+// the page may have scrolled or reflowed since it was selected
+function captureCurrentRect(fallback) {
+  return new Promise(function(resolve) {
+    chrome.devtools.inspectedWindow.eval(getBoundingRectCode(), function(result, isException) {
+      resolve(isException || !result ? fallback : result);
+    });
+  });
+}
+
+// Capture the stylesheet rules matching the selected element. The page
+// marks $0 so the background script can find it over the DevTools protocol.
+function captureMatchedRules() {
+  return new Promise(function(resolve) {
+    chrome.devtools.inspectedWindow.eval(getRuleTargetCode(), function(ancestors, isException) {
+      if (isException || !ancestors) {
+        resolve(null);
+        return;
+      }
+      chrome.runtime.sendMessage({
+        type: 'GET_MATCHED_RULES',
+        tabId: chrome.devtools.inspectedWindow.tabId,
+        ancestors: ancestors
+      }, function(response) {
+        chrome.devtools.inspectedWindow.eval(getRuleTargetCleanupCode());
+        if (chrome.runtime.lastError || !response || !response.success) {
+          resolve(null);
+        } else {
+          resolve(response.matchedRules);
+        }
+      });
+    });
+  });
+}
+
 // Update display with captured element data
 function updateDisplay() {
+  var selection = ++selectionCount;
+
+  // Nothing to save until the new element's data is in
+  currentElementData = null;
+  updateSaveButtonState();
+
   // Capture all data in parallel
   Promise.all([
     captureElementData(),
@@ -130,6 +248,21 @@ function updateDisplay() {
     captureConsoleErrors(),
     captureNetworkRequests()
   ]).then(function(results) {
+    var pageUrl = results[0] && results[0].url;
+    return Promise.all([
+      resolveComponentSource(results[1], pageUrl),
+      getEditorOptions(pageUrl)
+    ]).then(function(resolved) {
+      return selection === selectionCount ? { results: results, editorOptions: resolved[1] } : null;
+    });
+  }).then(function(captured) {
+    // Another element was selected meanwhile
+    if (!captured) {
+      return;
+    }
+    editorOptions = captured.editorOptions;
+
+    var results = captured.results;
     var data = results[0];
     var frameworkData = results[1];
     var consoleErrors = results[2];
@@ -168,6 +301,8 @@ function updateDisplay() {
     var propsValue = document.getElementById('props-value');
     var stateDetail = document.getElementById('state-detail');
     var stateValue = document.getElementById('state-value');
+    var hooksDetail = document.getElementById('hooks-detail');
+    var hooksValue = document.getElementById('hooks-value');
     var dataAttrsDetail = document.getElementById('data-attrs-detail');
     var dataAttrsValue = document.getElementById('data-attrs-value');
     var consoleErrorsDetail = document.getElementById('console-errors-detail');
@@ -186,6 +321,7 @@ function updateDisplay() {
       componentDetail.style.display = 'none';
       propsDetail.style.display = 'none';
       stateDetail.style.display = 'none';
+      hooksDetail.style.display = 'none';
       dataAttrsDetail.style.display = 'none';
       consoleErrorsDetail.style.display = 'none';
       networkDetail.style.display = 'none';
@@ -242,7 +378,18 @@ function updateDisplay() {
       componentDetail.style.display = 'block';
       var componentHtml = '<span class="component-name">' + escapeHtml(data.component.name) + '</span>';
       if (data.component.file) {
-        componentHtml += '<span class="component-file">' + escapeHtml(data.component.file) + '</span>';
+        var componentFile = data.component.file + (data.component.line ? ':' + data.component.line : '');
+        componentHtml += '<span class="component-file">' + formatEditorLink(componentFile, data.component, data.url) + '</span>';
+      }
+      if (data.component.hierarchy) {
+        componentHtml += '<span class="component-tree">' + data.component.hierarchy.map(function(ancestor) {
+          return ancestor.file ? formatEditorLink(ancestor.name, ancestor, data.url) : escapeHtml(ancestor.name);
+        }).join(' › ') + '</span>';
+      }
+      var elementSource = data.component.elementSource;
+      if (elementSource) {
+        var sourceText = elementSource.file + (elementSource.line ? ':' + elementSource.line + (elementSource.column ? ':' + elementSource.column : '') : '');
+        componentHtml += '<span class="component-file">Rendered at ' + formatEditorLink(sourceText, elementSource, data.url) + '</span>';
       }
       componentValue.innerHTML = componentHtml;
     } else {
@@ -265,6 +412,18 @@ function updateDisplay() {
       stateDetail.style.display = 'none';
     }
 
+    // Display Component Hooks: name (hook #index): value, one per line
+    if (data.component && data.component.hooks && data.component.hooks.length > 0) {
+      hooksDetail.style.display = 'block';
+      hooksValue.textContent = data.component.hooks.map(function(hook) {
+        var label = hook.hook + (hook.index !== null ? ' #' + hook.index : '');
+        return (hook.name ? hook.name + ' (' + label + ')' : label) + ': ' +
+          (hook.value === undefined ? 'undefined' : JSON.stringify(hook.value));
+      }).join('\n');
+    } else {
+      hooksDetail.style.display = 'none';
+    }
+
     // Display Data Attributes (Phase 1)
     if (data.dataAttributes && Object.keys(data.dataAttributes).length > 0) {
       dataAttrsDetail.style.display = 'block';
@@ -383,6 +542,12 @@ async function handleSave() {
   }
 
   var elementData = currentElementData;
+  var screenshot = await captureScreenshot(await captureCurrentRect(elementData.boundingRect));
+  var matchedRules = await captureMatchedRules();
+  var consoleErrors = await resolveConsoleStacks(
+    elementData.consoleErrors ? elementData.consoleErrors.slice(-10) : [],
+    elementData.url
+  );
 
   var report = {
     reportId: crypto.randomUUID(),
@@ -395,18 +560,27 @@ async function handleSave() {
       computedStyles: elementData.computedStyles,
       tagName: elementData.tagName,
       elementId: elementData.elementId,
-      textContent: elementData.textContent
+      textContent: elementData.textContent,
+      customProperties: elementData.customProperties || {},
+      designTokens: elementData.designTokens || null,
+      accessibility: elementData.accessibility || null,
+      context: elementData.context || null,
+      matchedRules: matchedRules
     },
     // Phase 1 enhanced fields
     framework: elementData.framework,
     component: elementData.component,
     dataAttributes: elementData.dataAttributes,
     eventListeners: elementData.eventListeners,
-    consoleErrors: elementData.consoleErrors ? elementData.consoleErrors.slice(-10) : [],
+    consoleErrors: consoleErrors,
     networkRequests: elementData.networkRequests ? elementData.networkRequests.slice(-20) : [],
-    developerContext: elementData.developerContext
+    developerContext: elementData.developerContext,
+    screenshot: screenshot
   };
 
+  // Scrub secrets and PII before anything is stored
+  report = redactData(report, await getRedactionSettings());
+
   try {
     await saveReport(report);
     var response = await new Promise(function(resolve, reject) {
@@ -425,7 +599,8 @@ async function handleSave() {
     updateSaveButtonState();
     updateReportsBadge();
     var projectInfo = response.projectName ? ' (' + response.projectName + ')' : '';
-    showFeedback('Saved!' + projectInfo, true);
+    var destination = response.transport === 'native' ? ' to repo' : '';
+    showFeedback('Saved' + destination + '!' + projectInfo, true);
   } catch (error) {
     console.error('Failed to save report:', error);
     showFeedback('Failed to save report', false);
@@ -439,6 +614,31 @@ function truncate(str, maxLength) {
   return str.substring(0, maxLength - 1) + '…';
 }
 
+// Location text linking to the project's editor, if one is configured.
+// Dev-server links are requested by openInEditor rather than followed.
+function formatEditorLink(text, location, pageUrl) {
+  var url = getEditorUrl(location, editorOptions, pageUrl);
+  if (!url) return escapeHtml(text);
+
+  var editor = EDITORS[editorOptions.editor];
+  return '<a class="editor-link" href="' + escapeHtml(url) + '" title="Open in ' + escapeHtml(editor.label) + '"' +
+    (editor.url ? '' : ' data-dev-server="true"') + '>' + escapeHtml(text) + '</a>';
+}
+
+// Ask the dev server to open a file (its /__open-in-editor endpoint)
+async function openInEditor(url) {
+  try {
+    var response = await fetch(url);
+    if (!response.ok) {
+      throw new Error('HTTP ' + response.status);
+    }
+    showFeedback('Opened in editor', true);
+  } catch (error) {
+    console.error('Open in editor failed:', error);
+    showFeedback('Dev server could not open the file', false);
+  }
+}
+
 // Escape HTML to prevent XSS
 function escapeHtml(str) {
   if (!str) return '';
@@ -475,6 +675,9 @@ function switchView(viewName) {
     renderReportList();
   } else if (viewName === 'settings') {
     renderMappingsList();
+    renderRedactionSettings();
+    renderCaptureSettings();
+    renderNativeHostStatus();
   }
 }
 
@@ -510,6 +713,17 @@ async function renderReportList() {
     var tagName = (report.element && report.element.tagName) || 'element';
     var elemId = (report.element && report.element.elementId) ? '#' + report.element.elementId : '';
     var elemDisplay = '<' + tagName + '>' + elemId;
+    var comment = report.comment;
+    if (report.region) {
+      var elementCount = report.elements ? report.elements.length : 1;
+      elemDisplay = 'Region (' + elementCount + (elementCount === 1 ? ' element)' : ' elements)');
+    } else if (report.elements && report.elements.length > 1) {
+      elemDisplay += ' +' + (report.elements.length - 1) + ' more';
+    }
+    if (report.elements && report.elements.length > 1) {
+      // Multi-element reports may only have per-element comments
+      comment = comment || report.elements.map(function(item) { return item.comment; }).filter(Boolean).join(' / ');
+    }
 
     var urlDisplay = '';
     try {
@@ -524,7 +738,7 @@ async function renderReportList() {
         '<span class="report-element">' + escapeHtml(elemDisplay) + '</span>' +
         '<span class="report-url">' + escapeHtml(urlDisplay) + '</span>' +
       '</div>' +
-      '<p class="report-comment">' + escapeHtml(report.comment) + '</p>' +
+      '<p class="report-comment">' + escapeHtml(comment) + '</p>' +
       '<div class="report-actions">' +
         '<button class="action-btn copy-btn" data-id="' + escapeHtml(report.reportId) + '">Copy</button>' +
         '<button class="action-btn export-btn" data-id="' + escapeHtml(report.reportId) + '">Export</button>' +
@@ -547,7 +761,7 @@ async function handleDragStart(e) {
   if (!report) return;
 
   e.currentTarget.classList.add('dragging');
-  var markdown = formatReportAsMarkdown(report);
+  var markdown = formatReportAsMarkdown(report, null, { editor: await getEditorOptions(report.url) });
   e.dataTransfer.setData('text/plain', markdown);
   e.dataTransfer.setData('text/markdown', markdown);
   e.dataTransfer.effectAllowed = 'copy';
@@ -584,11 +798,126 @@ async function renderMappingsList() {
         '</div>' +
       '</div>' +
       '<span class="mapping-patterns">' + escapeHtml(patternsDisplay) + '</span>' +
-      '<span class="mapping-folder">→ ' + escapeHtml(mapping.folder) + '/</span>' +
+      '<span class="mapping-folder">→ ' + escapeHtml(mapping.folder) + '/' +
+        (mapping.format === 'json' ? ' (JSON)' : mapping.format === 'both' ? ' (Markdown + JSON)' : '') +
+      '</span>' +
+      (formatStyleOptions(mapping)
+        ? '<span class="mapping-folder">Styles: ' + escapeHtml(formatStyleOptions(mapping)) + '</span>'
+        : '') +
+      (mapping.repoPath
+        ? '<span class="mapping-repo">⇢ ' + escapeHtml(mapping.repoPath) + '/.ai-reports/</span>'
+        : '') +
+      (EDITORS[mapping.editor]
+        ? '<span class="mapping-folder">Opens in ' + escapeHtml(EDITORS[mapping.editor].label) + '</span>'
+        : '') +
     '</div>';
   }).join('');
 }
 
+// Short description of a mapping's style options, or '' for the defaults
+function formatStyleOptions(mapping) {
+  var parts = [];
+  var profile = STYLE_PROFILES[mapping.styleProfile];
+  if (profile && mapping.styleProfile !== DEFAULT_STYLE_PROFILE) {
+    parts.push(profile.label);
+  }
+  if (mapping.nonDefaultStyles && profile !== STYLE_PROFILES.all) {
+    parts.push('non-default only');
+  }
+  return parts.join(', ');
+}
+
+// Fill a <select> with the style profiles, after any options already in it
+function populateStyleProfiles(select) {
+  Object.keys(STYLE_PROFILES).forEach(function(name) {
+    var option = document.createElement('option');
+    option.value = name;
+    option.textContent = STYLE_PROFILES[name].label;
+    select.appendChild(option);
+  });
+}
+
+// Fill a <select> with the editors, after any options already in it
+function populateEditors(select) {
+  Object.keys(EDITORS).forEach(function(name) {
+    var option = document.createElement('option');
+    option.value = name;
+    option.textContent = EDITORS[name].label;
+    select.appendChild(option);
+  });
+}
+
+async function renderRedactionSettings() {
+  var redaction = await getRedactionSettings();
+
+  document.getElementById('redaction-enabled').checked = redaction.enabled;
+  document.getElementById('redaction-rules').innerHTML = BUILT_IN_REDACTION_RULES.map(function(rule) {
+    var checked = redaction.disabledRules.indexOf(rule.name) === -1 ? ' checked' : '';
+    return '<label class="redaction-option">' +
+      '<input type="checkbox" data-rule="' + escapeHtml(rule.name) + '"' + checked + '>' +
+      escapeHtml(rule.name) +
+      '<span class="rule-description">- ' + escapeHtml(rule.description) + '</span>' +
+    '</label>';
+  }).join('');
+  document.getElementById('redaction-custom').value = formatCustomRules(redaction.customRules);
+  document.getElementById('redaction-paths').value = redaction.denylistPaths.join('\n');
+}
+
+async function handleRedactionSave() {
+  var disabledRules = [];
+  document.querySelectorAll('#redaction-rules input[data-rule]').forEach(function(input) {
+    if (!input.checked) disabledRules.push(input.dataset.rule);
+  });
+
+  var customRules = parseCustomRules(document.getElementById('redaction-custom').value);
+  for (var i = 0; i < customRules.length; i++) {
+    try {
+      new RegExp(customRules[i].pattern, customRules[i].flags);
+    } catch (e) {
+      showFeedback('Invalid pattern: ' + customRules[i].name, false);
+      return;
+    }
+  }
+
+  await saveRedactionSettings({
+    enabled: document.getElementById('redaction-enabled').checked,
+    disabledRules: disabledRules,
+    customRules: customRules,
+    denylistPaths: document.getElementById('redaction-paths').value
+      .split('\n').map(function(p) { return p.trim(); }).filter(function(p) { return p; })
+  });
+  showFeedback('Redaction settings saved', true);
+}
+
+async function renderCaptureSettings() {
+  var capture = await getCaptureSettings();
+  document.getElementById('context-radius').value = capture.contextRadius;
+}
+
+async function handleCaptureSave() {
+  var radius = parseInt(document.getElementById('context-radius').value, 10);
+  if (isNaN(radius) || radius < 0 || radius > MAX_CONTEXT_RADIUS) {
+    showFeedback('Context radius must be 0-' + MAX_CONTEXT_RADIUS, false);
+    return;
+  }
+
+  await saveCaptureSettings({ contextRadius: radius });
+  showFeedback('Capture settings saved', true);
+}
+
+function renderNativeHostStatus() {
+  var status = document.getElementById('native-host-status');
+  chrome.runtime.sendMessage({ type: 'PING_NATIVE_HOST' }, function(response) {
+    if (response && response.success) {
+      status.textContent = 'Native host connected (v' + response.version + ')';
+      status.classList.add('connected');
+    } else {
+      status.textContent = 'Native host not installed - see native-host/README.md';
+      status.classList.remove('connected');
+    }
+  });
+}
+
 function openMappingDialog(mapping) {
   var dialog = document.getElementById('mapping-dialog');
   var form = document.getElementById('mapping-form');
@@ -596,12 +925,22 @@ function openMappingDialog(mapping) {
   var nameInput = document.getElementById('mapping-name');
   var patternsInput = document.getElementById('mapping-patterns');
   var folderInput = document.getElementById('mapping-folder');
+  var repoPathInput = document.getElementById('mapping-repo-path');
+  var formatInput = document.getElementById('mapping-format');
+  var styleProfileInput = document.getElementById('mapping-style-profile');
+  var nonDefaultStylesInput = document.getElementById('mapping-non-default-styles');
+  var editorInput = document.getElementById('mapping-editor');
 
   if (mapping) {
     idInput.value = mapping.id;
     nameInput.value = mapping.name;
     patternsInput.value = mapping.patterns.join('\n');
     folderInput.value = mapping.folder;
+    repoPathInput.value = mapping.repoPath || '';
+    formatInput.value = mapping.format || DEFAULT_EXPORT_FORMAT;
+    styleProfileInput.value = mapping.styleProfile || DEFAULT_STYLE_PROFILE;
+    nonDefaultStylesInput.checked = !!mapping.nonDefaultStyles;
+    editorInput.value = mapping.editor || '';
   } else {
     form.reset();
     idInput.value = '';
@@ -617,30 +956,58 @@ async function handleMappingSubmit(e) {
   var nameInput = document.getElementById('mapping-name');
   var patternsInput = document.getElementById('mapping-patterns');
   var folderInput = document.getElementById('mapping-folder');
+  var repoPathInput = document.getElementById('mapping-repo-path');
+  var formatInput = document.getElementById('mapping-format');
 
   var id = idInput.value;
   var name = nameInput.value.trim();
   var patterns = patternsInput.value.split('\n').map(function(p) { return p.trim(); }).filter(function(p) { return p; });
   var folder = folderInput.value.trim().toLowerCase().replace(/[^a-z0-9.-]/g, '-').replace(/-+/g, '-');
+  var repoPath = repoPathInput.value.trim().replace(/[\\/]+$/, '');
+  var format = formatInput.value;
+  var styleProfile = document.getElementById('mapping-style-profile').value;
+  var nonDefaultStyles = document.getElementById('mapping-non-default-styles').checked;
+  var editor = document.getElementById('mapping-editor').value;
 
   if (!name || patterns.length === 0 || !folder) {
     showFeedback('Please fill all fields', false);
     return;
   }
 
+  // The native host only accepts absolute paths (POSIX or Windows drive)
+  if (repoPath && !/^(\/|[a-zA-Z]:[\\/])/.test(repoPath)) {
+    showFeedback('Repository path must be absolute', false);
+    return;
+  }
+
   var mappings = await getProjectMappings();
 
   if (id) {
     var index = mappings.findIndex(function(m) { return m.id === id; });
     if (index !== -1) {
-      mappings[index] = { id: id, name: name, patterns: patterns, folder: folder };
+      mappings[index] = {
+        id: id,
+        name: name,
+        patterns: patterns,
+        folder: folder,
+        repoPath: repoPath || undefined,
+        format: format,
+        styleProfile: styleProfile,
+        nonDefaultStyles: nonDefaultStyles,
+        editor: editor || undefined
+      };
     }
   } else {
     mappings.push({
       id: crypto.randomUUID(),
       name: name,
       patterns: patterns,
-      folder: folder
+      folder: folder,
+      repoPath: repoPath || undefined,
+      format: format,
+      styleProfile: styleProfile,
+      nonDefaultStyles: nonDefaultStyles,
+      editor: editor || undefined
     });
   }
 
@@ -667,7 +1034,7 @@ async function copyReportToClipboard(reportId) {
     return;
   }
 
-  var markdown = formatReportAsMarkdown(report);
+  var markdown = formatReportAsMarkdown(report, null, { editor: await getEditorOptions(report.url) });
 
   try {
     await navigator.clipboard.writeText(markdown);
@@ -701,7 +1068,8 @@ async function handleExportReport(reportId) {
       });
     });
     var projectInfo = response.projectName ? ' (' + response.projectName + ')' : '';
-    showFeedback('Exported!' + projectInfo, true);
+    var destination = response.transport === 'native' ? ' to repo' : '';
+    showFeedback('Exported' + destination + '!' + projectInfo, true);
   } catch (error) {
     console.error('Export failed:', error);
     showFeedback('Failed to export', false);
@@ -756,6 +1124,11 @@ async function handleClearAll() {
 
 // ============ Event Listeners ============
 
+// Start a new source cache on navigation, as scripts may have been rebuilt
+chrome.devtools.network.onNavigated.addListener(function() {
+  sourceCache = createSourceCache();
+});
+
 // Listen for selection changes
 chrome.devtools.panels.elements.onSelectionChanged.addListener(function() {
   updateDisplay();
@@ -802,6 +1175,15 @@ document.getElementById('export-all-btn').addEventListener('click', handleExport
 // Clear all button
 document.getElementById('clear-all-btn').addEventListener('click', handleClearAll);
 
+// Settings: Save redaction settings
+document.getElementById('save-redaction-btn').addEventListener('click', handleRedactionSave);
+
+// Settings: Save capture settings
+document.getElementById('save-capture-btn').addEventListener('click', handleCaptureSave);
+
+// Capture: Re-capture when the style profile changes
+document.getElementById('style-profile').addEventListener('change', updateDisplay);
+
 // Settings: Add mapping
 document.getElementById('add-mapping-btn').addEventListener('click', function() {
   openMappingDialog(null);
@@ -815,6 +1197,14 @@ document.getElementById('mapping-cancel').addEventListener('click', function() {
   document.getElementById('mapping-dialog').close();
 });
 
+// Component row: dev-server editor links are requested, not followed
+document.getElementById('component-value').addEventListener('click', function(e) {
+  var link = e.target.closest('a.editor-link[data-dev-server]');
+  if (!link) return;
+  e.preventDefault();
+  openInEditor(link.href);
+});
+
 // Settings: Mapping list actions
 document.getElementById('mappings-list').addEventListener('click', async function(e) {
   var button = e.target.closest('button');
@@ -835,6 +1225,9 @@ document.getElementById('mappings-list').addEventListener('click', async functio
 
 // ============ Initialize ============
 
+populateStyleProfiles(document.getElementById('style-profile'));
+populateStyleProfiles(document.getElementById('mapping-style-profile'));
+populateEditors(document.getElementById('mapping-editor'));
 updateDisplay();
 updateSaveButtonState();
 updateReportsBadge();
@@ -0,0 +1,297 @@
+/**
+ * CSS Rules Module
+ *
+ * Captures the stylesheet rules that match the selected element, with their
+ * source location, so a report says which file to edit rather than only the
+ * final computed values.
+ *
+ * The DevTools panel marks $0 with getRuleTargetCode() via
+ * chrome.devtools.inspectedWindow.eval(), then the background service worker
+ * runs captureMatchedRules(), which reads the rules over the DevTools
+ * protocol (chrome.debugger) and finds the element by that marker.
+ * getRuleTargetCleanupCode() removes the marker again.
+ */
+
+import { MAX_MATCHED_RULES, MAX_STRING_LENGTH } from './constants.js';
+
+/** Attribute that marks the element whose rules are read */
+const TARGET_ATTRIBUTE = 'data-ai-context-rules-target';
+
+const PROTOCOL_VERSION = '1.3';
+
+/**
+ * Properties an element inherits from its ancestors. Rules matching an
+ * ancestor only matter for these (and for custom properties).
+ */
+const INHERITED_PROPERTIES = new Set([
+  'color', 'cursor', 'direction', 'visibility', 'quotes',
+  'font', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight',
+  'font-stretch', 'font-feature-settings', 'font-variation-settings',
+  'line-height', 'letter-spacing', 'word-spacing', 'word-break', 'overflow-wrap',
+  'text-align', 'text-indent', 'text-transform', 'text-shadow', 'text-rendering',
+  'white-space', 'hyphens', 'tab-size', 'caret-color', 'accent-color', 'color-scheme',
+  'list-style', 'list-style-type', 'list-style-position', 'list-style-image',
+  'border-collapse', 'border-spacing', 'caption-side', 'empty-cells',
+  'pointer-events', 'user-select', '-webkit-font-smoothing'
+]);
+
+/**
+ * @typedef {Object} RuleDeclaration
+ * @property {string} name - Property name as written
+ * @property {string} value - Declared value, without !important
+ * @property {boolean} important - Declared with !important
+ * @property {boolean} valid - False when the browser could not parse it
+ * @property {boolean} overridden - A higher-precedence declaration wins
+ */
+
+/**
+ * @typedef {Object} MatchedRule
+ * @property {string} selector - Matching selectors, or "element.style" for the style attribute
+ * @property {Object|null} source - Where the rule is written: {url, line, column, inline, sourceMapURL}
+ * @property {string[]} media - Enclosing media queries
+ * @property {RuleDeclaration[]} declarations - Declarations in source order
+ */
+
+/**
+ * @typedef {Object} MatchedRules
+ * @property {MatchedRule[]} rules - Rules matching the element, highest precedence first
+ * @property {Array<{ancestor: string|null, rules: MatchedRule[]}>} inherited -
+ *   Rules inherited from ancestors, nearest first; only inherited properties are kept
+ */
+
+/**
+ * Returns code that marks $0 for captureMatchedRules() and returns labels
+ * for its ancestors (nearest first, following slots and shadow hosts like
+ * the protocol's inherited entries).
+ *
+ * @returns {string} JavaScript code to eval in the inspected page
+ */
+export function getRuleTargetCode() {
+  return `
+    (function() {
+      var el = $0;
+      if (!el || el.nodeType !== 1) return null;
+      el.setAttribute('${TARGET_ATTRIBUTE}', '');
+
+      function parentOf(node) {
+        if (node.assignedSlot) return node.assignedSlot;
+        if (node.parentElement) return node.parentElement;
+        var root = node.parentNode;
+        return root && root.host ? root.host : null;
+      }
+
+      var ancestors = [];
+      for (var node = parentOf(el); node; node = parentOf(node)) {
+        var label = node.tagName.toLowerCase();
+        if (node.id) label += '#' + node.id;
+        var classes = typeof node.className === 'string' ? node.className.trim() : '';
+        if (classes) label += '.' + classes.split(/\\s+/).slice(0, 3).join('.');
+        ancestors.push(label);
+      }
+      return ancestors;
+    })()
+  `;
+}
+
+/**
+ * Returns code that removes the marker set by getRuleTargetCode().
+ *
+ * @returns {string} JavaScript code to eval in the inspected page
+ */
+export function getRuleTargetCleanupCode() {
+  return `
+    document.querySelectorAll('[${TARGET_ATTRIBUTE}]').forEach(function(el) {
+      el.removeAttribute('${TARGET_ATTRIBUTE}');
+    })
+  `;
+}
+
+/**
+ * Reads the CSS rules matching the marked element in a tab. Attaches the
+ * debugger for the duration of the call; this works alongside an open
+ * DevTools window.
+ *
+ * @param {number} tabId - Tab containing the element marked by getRuleTargetCode()
+ * @param {string[]} [ancestors] - Ancestor labels returned by getRuleTargetCode()
+ * @returns {Promise<MatchedRules|null>} Matched rules, or null if the marked
+ *   element is not in the top-level document
+ */
+export async function captureMatchedRules(tabId, ancestors) {
+  const target = { tabId: tabId };
+  const sheets = {};
+  const onEvent = (source, method, params) => {
+    if (source.tabId === tabId && method === 'CSS.styleSheetAdded') {
+      sheets[params.header.styleSheetId] = params.header;
+    }
+  };
+
+  await chrome.debugger.attach(target, PROTOCOL_VERSION);
+  chrome.debugger.onEvent.addListener(onEvent);
+  try {
+    // CSS.enable reports every existing stylesheet through styleSheetAdded
+    await chrome.debugger.sendCommand(target, 'DOM.enable');
+    await chrome.debugger.sendCommand(target, 'CSS.enable');
+
+    const { root } = await chrome.debugger.sendCommand(target, 'DOM.getDocument', { depth: 0 });
+    const { nodeId } = await chrome.debugger.sendCommand(target, 'DOM.querySelector', {
+      nodeId: root.nodeId,
+      selector: '[' + TARGET_ATTRIBUTE + ']'
+    });
+    if (!nodeId) return null;
+
+    const matched = await chrome.debugger.sendCommand(target, 'CSS.getMatchedStylesForNode', { nodeId: nodeId });
+    return buildMatchedRules(matched, sheets, ancestors || []);
+  } finally {
+    chrome.debugger.onEvent.removeListener(onEvent);
+    await chrome.debugger.detach(target).catch(() => {});
+  }
+}
+
+/**
+ * Convert a CSS.getMatchedStylesForNode result into MatchedRules.
+ * @private
+ */
+function buildMatchedRules(matched, sheets, ancestors) {
+  const rules = buildRuleGroup(matched.inlineStyle, matched.matchedCSSRules, sheets);
+
+  const inherited = (matched.inherited || []).map((entry, index) => ({
+    ancestor: ancestors[index] || null,
+    rules: buildRuleGroup(entry.inlineStyle, entry.matchedCSSRules, sheets)
+      .map(rule => Object.assign(rule, {
+        declarations: rule.declarations.filter(d => d.name.startsWith('--') || INHERITED_PROPERTIES.has(d.name))
+      }))
+      .filter(rule => rule.declarations.length > 0)
+  }));
+
+  markOverridden([rules].concat(inherited.map(entry => entry.rules)));
+
+  // Keep the element's own rules first when trimming to the cap
+  let remaining = MAX_MATCHED_RULES - rules.length;
+  const result = { rules: rules.slice(0, MAX_MATCHED_RULES), inherited: [] };
+  for (const entry of inherited) {
+    if (remaining <= 0) break;
+    if (entry.rules.length === 0) continue;
+    result.inherited.push({ ancestor: entry.ancestor, rules: entry.rules.slice(0, remaining) });
+    remaining -= entry.rules.length;
+  }
+  return result;
+}
+
+/**
+ * Rules of one node, highest precedence first: the style attribute, then
+ * author rules in reverse cascade order. User-agent rules are left out since
+ * they cannot be edited.
+ * @private
+ */
+function buildRuleGroup(inlineStyle, ruleMatches, sheets) {
+  const rules = [];
+  if (inlineStyle) {
+    const declarations = buildDeclarations(inlineStyle);
+    if (declarations.length > 0) {
+      rules.push({ selector: 'element.style', source: null, media: [], declarations: declarations });
+    }
+  }
+
+  (ruleMatches || []).slice().reverse().forEach(match => {
+    const rule = match.rule;
+    if (rule.origin !== 'regular') return;
+
+    const selectors = rule.selectorList.selectors;
+    const matching = (match.matchingSelectors || []).map(i => selectors[i]).filter(Boolean);
+
+    rules.push({
+      selector: matching.length > 0 ? matching.map(s => s.text).join(', ') : rule.selectorList.text,
+      source: buildSource(rule, matching[0] || selectors[0], sheets[rule.styleSheetId]),
+      media: (rule.media || []).map(media => media.text),
+      declarations: buildDeclarations(rule.style)
+    });
+  });
+  return rules;
+}
+
+/**
+ * Declarations as written in the source. Longhands the browser expands from
+ * a shorthand have no source range and are skipped, unless the stylesheet
+ * has no source text at all (e.g. constructed stylesheets).
+ * @private
+ */
+function buildDeclarations(style) {
+  const properties = (style.cssProperties || []).filter(p => !p.disabled);
+  const declared = properties.filter(p => p.range);
+  return (declared.length > 0 ? declared : properties).map(p => ({
+    name: p.name,
+    value: truncate(p.value),
+    important: !!p.important,
+    valid: p.parsedOk !== false,
+    overridden: false
+  }));
+}
+
+/**
+ * 1-based location of the matching selector, offset by the position of
+ * inline <style> elements within their document.
+ * @private
+ */
+function buildSource(rule, selector, header) {
+  if (!header) return null;
+
+  const range = (selector && selector.range) || rule.style.range;
+  const startLine = header.startLine || 0;
+  const startColumn = header.startColumn || 0;
+
+  const source = {
+    url: header.isConstructed ? null : header.sourceURL || null,
+    line: range ? startLine + range.startLine + 1 : null,
+    column: range ? (range.startLine === 0 ? startColumn : 0) + range.startColumn + 1 : null,
+    inline: !!header.isInline
+  };
+  if (header.sourceMapURL) {
+    source.sourceMapURL = header.sourceMapURL;
+  }
+  return source;
+}
+
+/**
+ * Flag declarations that lose the cascade. `groups` are the element's rules
+ * followed by each ancestor's, each highest precedence first. Shorthands and
+ * their longhands are compared by name only.
+ * @private
+ */
+function markOverridden(groups) {
+  const seen = new Set();
+
+  groups.forEach(rules => {
+    const normal = new Set();
+    const important = new Set();
+    const groupImportant = new Set(rules.flatMap(rule =>
+      rule.declarations.filter(d => d.valid && d.important).map(d => d.name)));
+
+    rules.forEach(rule => {
+      // Within a rule the last declaration wins
+      rule.declarations.slice().reverse().forEach(declaration => {
+        if (!declaration.valid) return;
+        const name = declaration.name;
+        if (declaration.important) {
+          declaration.overridden = seen.has(name) || important.has(name);
+          important.add(name);
+        } else {
+          declaration.overridden = seen.has(name) || groupImportant.has(name) || normal.has(name);
+          normal.add(name);
+        }
+      });
+    });
+
+    // Anything the element or a nearer ancestor sets hides inherited values
+    normal.forEach(name => seen.add(name));
+    important.forEach(name => seen.add(name));
+  });
+}
+
+/**
+ * Truncate long values such as data URIs.
+ * @private
+ */
+function truncate(value) {
+  if (!value || value.length <= MAX_STRING_LENGTH) return value || '';
+  return value.substring(0, MAX_STRING_LENGTH) + '...';
+}
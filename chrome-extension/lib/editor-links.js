@@ -0,0 +1,77 @@
+/**
+ * Editor Links Module
+ *
+ * Builds open-in-editor links for the source locations in reports
+ * (`component.file` with its line, `component.elementSource`), for the
+ * editor chosen in the page's project mapping. Used by the Markdown
+ * formatter and the DevTools sidebar's component row.
+ */
+
+import { EDITORS, OPEN_IN_EDITOR_PATH } from './constants.js';
+
+/**
+ * Link that opens a source location in the project's editor.
+ *
+ * @param {{file: string, line?: number|null, column?: number|null}} location -
+ *   Source location, with a project-relative or absolute path
+ * @param {{editor?: string|null, repoPath?: string|null}|null} settings - The
+ *   editor and repository path of the page's project mapping
+ * @param {string} pageUrl - URL of the page; its origin serves the dev-server
+ *   endpoint
+ * @returns {string|null} Editor URL, or null when no editor is configured or
+ *   the path cannot be made absolute (a relative path without a repository
+ *   path, or a URL)
+ */
+export function getEditorUrl(location, settings, pageUrl) {
+  const editor = settings && EDITORS[settings.editor];
+  if (!editor || !location || !location.file || /^[a-z][a-z0-9+.-]*:\/\//i.test(location.file)) {
+    return null;
+  }
+
+  const line = location.line || 1;
+  const column = location.column || 1;
+
+  // The dev server resolves project-relative paths against its own root
+  if (!editor.url) {
+    const origin = getOrigin(pageUrl);
+    return origin
+      ? origin + OPEN_IN_EDITOR_PATH + '?file=' + encodeURIComponent(location.file + ':' + line + ':' + column)
+      : null;
+  }
+
+  const absolutePath = resolvePath(location.file, settings.repoPath);
+  if (!absolutePath) return null;
+
+  return editor.url
+    .replace('{path}', encodeURI(absolutePath).replace(/[?#&]/g, encodeURIComponent))
+    .replace('{line}', line)
+    .replace('{column}', column);
+}
+
+/**
+ * Absolute path with forward slashes, joining relative paths to the
+ * repository path, or null. Windows paths get a leading slash, as editor
+ * URLs expect: /C:/code/app/src/App.jsx
+ * @private
+ */
+function resolvePath(file, repoPath) {
+  let filePath = file.replace(/\\/g, '/');
+  if (!/^(\/|[a-zA-Z]:\/)/.test(filePath)) {
+    if (!repoPath) return null;
+    filePath = repoPath.replace(/\\/g, '/').replace(/\/+$/, '') + '/' + filePath.replace(/^\.\//, '');
+  }
+  return /^[a-zA-Z]:\//.test(filePath) ? '/' + filePath : filePath;
+}
+
+/**
+ * Origin of an http(s) URL, or null.
+ * @private
+ */
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -7,24 +7,40 @@
  */
 
 import { getElementUtilsCode } from './shared-utils.js';
+import { DEFAULT_CONTEXT_RADIUS } from './constants.js';
 
 /**
  * Returns an eval-ready code string that extracts comprehensive
  * element data from the currently selected element ($0).
  *
+ * @param {Object} [options] - Capture options
+ * @param {number} [options.contextRadius] - Ancestor levels and siblings per side
+ *   to capture as layout context (0 disables)
+ * @param {{profile: string, nonDefaultOnly: boolean}} [options.styles] - Computed-style
+ *   profile and non-default filter (see getComputedStyles)
  * @returns {string} JavaScript code string to execute via eval
  *
  * Returns object structure:
  * {
  *   selector: string,      // Full CSS selector path from html > body
  *   xpath: string,         // Absolute XPath from /html[1]/body[1]
- *   computedStyles: {},    // Filtered subset of computed styles
- *   url: string            // location.href
+ *   computedStyles: {},    // Computed styles of the selected profile
+ *   customProperties: {},  // CSS custom properties in scope
+ *   designTokens: {} | null, // Style and custom property names mapped to SDK token names
+ *   boundingRect: {},      // Viewport rect used to crop the screenshot
+ *   accessibility: {},     // Role, name, states, contrast and violations (see getAccessibilityInfo)
+ *   url: string,           // location.href
+ *   context: {} | null     // Ancestors, siblings and parent HTML (see getElementContext)
  * }
  *
  * Returns null if no element is selected ($0 is null/undefined).
  */
-export function getElementCaptureCode() {
+export function getElementCaptureCode(options) {
+  const contextRadius = options && options.contextRadius !== undefined
+    ? options.contextRadius
+    : DEFAULT_CONTEXT_RADIUS;
+  const styleOptions = JSON.stringify((options && options.styles) || {});
+
   return `
     (function() {
       if (!$0) return null;
@@ -34,16 +50,44 @@ export function getElementCaptureCode() {
 
       var elemId = getElementId($0);
       var textContent = getTextContent($0);
+      var computedStyles = getComputedStyles($0, ${styleOptions});
+      var customProperties = getCustomProperties($0);
 
       return {
         selector: getCssSelector($0),
         xpath: getXPath($0),
-        computedStyles: getComputedStyles($0),
+        computedStyles: computedStyles,
+        customProperties: customProperties,
+        designTokens: matchDesignTokens(Object.assign({}, computedStyles, customProperties)),
+        boundingRect: getBoundingRect($0),
+        accessibility: getAccessibilityInfo($0),
         url: location.href,
         tagName: $0.tagName.toLowerCase(),
         elementId: elemId,
-        textContent: textContent
+        textContent: textContent,
+        context: getElementContext($0, ${Number(contextRadius) || 0})
       };
     })()
   `;
 }
+
+/**
+ * Returns an eval-ready code string that reads the current viewport rect
+ * of the selected element ($0), in the same form as the capture's
+ * boundingRect. The page may scroll or reflow between selecting an element
+ * and taking its screenshot.
+ *
+ * @returns {string} JavaScript code string to execute via eval; evaluates
+ *   to null if no element is selected
+ */
+export function getBoundingRectCode() {
+  return `
+    (function() {
+      if (!$0) return null;
+
+      ${getElementUtilsCode()}
+
+      return getBoundingRect($0);
+    })()
+  `;
+}
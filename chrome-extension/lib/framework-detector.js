@@ -9,6 +9,14 @@
  */
 
 import { getSanitizationCode } from './shared-utils.js';
+import {
+  COMPONENT_SOURCE_LENGTH,
+  MAX_SOURCE_MAP_SCRIPTS,
+  MAX_COMPONENT_HIERARCHY,
+  MAX_HIERARCHY_PROPS,
+  HIERARCHY_PROP_LENGTH,
+  MAX_COMPONENT_HOOKS
+} from './constants.js';
 
 /**
  * Returns an eval-ready code string that detects the framework
@@ -26,10 +34,36 @@ import { getSanitizationCode } from './shared-utils.js';
  *     name: string | null,
  *     props: Record<string, unknown> | null,
  *     state: Record<string, unknown> | null,
- *     file: string | null
+ *     file: string | null,
+ *     line: number | null,          // declaration position, when the SDK
+ *     column: number | null,        // registered one (build plugins do)
+ *     elementSource: {              // JSX call site that rendered the element
+ *       file: string,
+ *       line: number | null,
+ *       column: number | null
+ *     } | null,
+ *     hierarchy: Array<{            // root first, ending with the nearest component
+ *       name: string,
+ *       file: string | null,
+ *       line: number | null,
+ *       key: string | null,
+ *       props: Record<string, string | number | boolean> | null
+ *     }> | null,
+ *     hooks: Array<{                // React function components, in call order
+ *       index: number | null,       // position in the fiber's hook list
+ *       hook: string,               // 'useState', 'useReducer', 'useContext',
+ *                                   // 'useMemo' or 'useSyncExternalStore'
+ *       name: string | null,        // variable name from the SDK registration,
+ *                                   // or the context's displayName
+ *       value: unknown
+ *     }> | null
  *   },
  *   dataAttributes: Record<string, string>,
- *   eventListeners: string[]
+ *   eventListeners: string[],
+ *   componentSource: {      // React/Vue component without a known file:
+ *     code: string,         // start of its function's source text
+ *     scripts: string[]     // page-origin scripts that may define it
+ *   } | null                // (see resolveComponentFile in source-maps.js)
  * }
  */
 export function getFrameworkDetectorCode() {
@@ -37,11 +71,19 @@ export function getFrameworkDetectorCode() {
     (function() {
       var result = {
         framework: { name: null, version: null },
-        component: { name: null, props: null, state: null, file: null },
+        component: {
+          name: null, props: null, state: null, file: null,
+          line: null, column: null, elementSource: null, hierarchy: null,
+          hooks: null
+        },
         dataAttributes: {},
-        eventListeners: []
+        eventListeners: [],
+        componentSource: null
       };
 
+      // Function defining the extracted React/Vue component, if any
+      var componentFunction = null;
+
       // =========================================
       // Framework Detection
       // =========================================
@@ -168,7 +210,7 @@ export function getFrameworkDetectorCode() {
         // =========================================
 
         function getReactComponent(el) {
-          var component = { name: null, props: null, state: null, file: null };
+          var component = { name: null, props: null, state: null, file: null, hooks: null };
 
           // Find React fiber key
           var fiberKey = Object.keys(el).find(function(k) {
@@ -191,6 +233,7 @@ export function getFrameworkDetectorCode() {
               // Check for function/class component
               if (current.type && typeof current.type === 'function') {
                 component.name = current.type.displayName || current.type.name || 'Anonymous';
+                componentFunction = current.type;
 
                 // Get props (sanitized)
                 if (current.memoizedProps) {
@@ -201,6 +244,8 @@ export function getFrameworkDetectorCode() {
                 if (current.memoizedState && current.tag === 1) {
                   // tag 1 = ClassComponent
                   component.state = sanitizeObject(current.memoizedState, 2);
+                } else if (current.tag !== 1) {
+                  component.hooks = getReactHooks(current, getRegistration(component.name));
                 }
 
                 // Try to get file from _debugSource or _source
@@ -219,6 +264,137 @@ export function getFrameworkDetectorCode() {
           return component;
         }
 
+        // =========================================
+        // React Hooks
+        // =========================================
+
+        // Hooks taking more than one node in the fiber's hook list:
+        // useTransition adds its start function, useSyncExternalStore its
+        // subscription effect, and useActionState (useFormState in React
+        // 18.3) its pending state and action queue
+        var hookNodeCounts = { useTransition: 2, useSyncExternalStore: 2, useActionState: 3, useFormState: 3 };
+
+        // Hooks of a function component in call order: useState and
+        // useReducer state, useContext values, useMemo results and external
+        // store snapshots. Hook types come from React development builds
+        // (_debugHookTypes) or the SDK registration, and are otherwise
+        // inferred from the hook objects.
+        function getReactHooks(fiber, registration) {
+          var registered = registration && Array.isArray(registration.hooks) ? registration.hooks : [];
+          var types = Array.isArray(fiber._debugHookTypes) ? fiber._debugHookTypes : null;
+          var contexts = getContextDependencies(fiber);
+          var hooks = [];
+          var hook = fiber.memoizedState;
+          var index = 0;
+          var call = 0;
+          var contextIndex = 0;
+
+          var addHook = function(hookIndex, type, name, value) {
+            if (hooks.length >= ${MAX_COMPONENT_HOOKS}) return;
+            hooks.push({ index: hookIndex, hook: type, name: name || null, value: sanitizeValue(value, 3) });
+          };
+
+          while (types ? call < types.length : (hook || call < registered.length)) {
+            var info = registered[call] || {};
+            var type = types ? types[call] : info.hook;
+            call++;
+
+            // useContext reads the context without adding to the hook list
+            if (type === 'useContext') {
+              var context = contexts[contextIndex++];
+              if (context) addHook(null, type, info.name || context.name, context.value);
+              continue;
+            }
+            if (type === 'useDebugValue' || type === 'use') continue;
+            if (!hook || typeof hook !== 'object') break;
+
+            type = type || getHookType(hook);
+            var state = hook.memoizedState;
+            if (type === 'useState' || type === 'useReducer' || type === 'useSyncExternalStore') {
+              addHook(index, type, info.name, state);
+            } else if (type === 'useMemo' && Array.isArray(state)) {
+              addHook(index, type, info.name, state[0]);
+            }
+            for (var nodes = hookNodeCounts[type] || 1; nodes > 0 && hook; nodes--) {
+              hook = hook.next;
+              index++;
+            }
+          }
+
+          // Without hook types, contexts cannot be placed among the hooks
+          if (!types) {
+            contexts.slice(contextIndex).forEach(function(context) {
+              addHook(null, 'useContext', context.name, context.value);
+            });
+          }
+
+          return hooks.length > 0 ? hooks : null;
+        }
+
+        // Type of a hook object from its shape, or null for hooks that are
+        // not reported (effects, refs, callbacks, transitions)
+        function getHookType(hook) {
+          var queue = hook.queue;
+          var state = hook.memoizedState;
+          if (queue && typeof queue.lastRenderedReducer === 'function') {
+            return isBasicStateReducer(queue.lastRenderedReducer) ? 'useState' : 'useReducer';
+          }
+          if (queue && typeof queue.getSnapshot === 'function') {
+            return 'useSyncExternalStore';
+          }
+          if (!queue && Array.isArray(state) && state.length === 2 &&
+              (state[1] === null || Array.isArray(state[1])) && typeof state[0] !== 'function') {
+            return 'useMemo';
+          }
+          return null;
+        }
+
+        // Whether a state queue's reducer is React's built-in one for
+        // useState, by name or (in minified builds) by its source:
+        // function(a, b) { return typeof b === 'function' ? b(a) : b; }
+        function isBasicStateReducer(reducer) {
+          if (reducer.name === 'basicStateReducer') return true;
+          try {
+            var code = Function.prototype.toString.call(reducer).replace(/\\s+/g, '');
+            return /^function\\w*\\((\\w+),(\\w+)\\)\\{return(typeof\\2===?["']function["']|["']function["']===?typeof\\2)\\?\\2\\(\\1\\):\\2;?\\}$/.test(code);
+          } catch (e) {
+            return false;
+          }
+        }
+
+        // Contexts a fiber read during its last render, in reading order,
+        // with their values and displayNames
+        function getContextDependencies(fiber) {
+          var dependencies = fiber.dependencies || fiber.contextDependencies;
+          var item = dependencies && dependencies.firstContext;
+          var contexts = [];
+          while (item && item.context && contexts.length < ${MAX_COMPONENT_HOOKS}) {
+            contexts.push({
+              name: item.context.displayName || null,
+              // React 18.3 and later record the value that was read
+              value: 'memoizedValue' in item ? item.memoizedValue : getProvidedValue(fiber, item.context)
+            });
+            item = item.next;
+          }
+          return contexts;
+        }
+
+        // Value of the nearest provider of a context above a fiber, or the
+        // context's default value
+        function getProvidedValue(fiber, context) {
+          var current = fiber.return;
+          while (current) {
+            var type = current.type;
+            // Providers are the context itself in React 19, { _context } before
+            if (type && (type === context || type._context === context) &&
+                current.memoizedProps && 'value' in current.memoizedProps) {
+              return current.memoizedProps.value;
+            }
+            current = current.return;
+          }
+          return context._currentValue;
+        }
+
         // =========================================
         // Vue Component Extraction
         // =========================================
@@ -245,6 +421,7 @@ export function getFrameworkDetectorCode() {
             if (vc.type && vc.type.__file) {
               component.file = vc.type.__file;
             }
+            componentFunction = vc.type && (vc.type.setup || vc.type.render);
           }
           // Vue 2
           else if (el.__vue__) {
@@ -262,6 +439,7 @@ export function getFrameworkDetectorCode() {
             if (vm.$options && vm.$options.__file) {
               component.file = vm.$options.__file;
             }
+            componentFunction = vm.$options && (vm.$options.render || vm.$options.data);
           }
 
           return component;
@@ -331,6 +509,227 @@ export function getFrameworkDetectorCode() {
           return component;
         }
 
+        // =========================================
+        // Source Locations
+        // =========================================
+
+        // Declaration file and position of a component registered through
+        // the SDK, which the Babel, Vite and webpack plugins do for every
+        // React component
+        function applyRegisteredComponent(component) {
+          var registration = getRegistration(component.name);
+          if (!registration) return;
+
+          component.file = registration.file;
+          component.line = registration.line || null;
+          component.column = registration.column || null;
+        }
+
+        // SDK registration of a component name, if it has a file
+        function getRegistration(name) {
+          var reporter = window.__AI_CONTEXT_REPORTER__;
+          if (!name || !reporter || typeof reporter.getComponent !== 'function') return null;
+
+          var registration = reporter.getComponent(name);
+          return registration && registration.file ? registration : null;
+        }
+
+        // JSX call site that rendered an element: the data-ai-source
+        // attribute added by the SDK build plugins, or React's _debugSource
+        // (development builds before React 19)
+        function getElementSource(el) {
+          var match = /^(.+):(\\d+):(\\d+)$/.exec(el.getAttribute('data-ai-source') || '');
+          if (match) {
+            return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
+          }
+
+          var fiberKey = Object.keys(el).find(function(k) {
+            return k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$');
+          });
+          var source = fiberKey && el[fiberKey] && el[fiberKey]._debugSource;
+          if (source && source.fileName) {
+            return { file: source.fileName, line: source.lineNumber || null, column: source.columnNumber || null };
+          }
+          return null;
+        }
+
+        // =========================================
+        // Component Hierarchy
+        // =========================================
+
+        // Components from the root down to the element's own component,
+        // e.g. App > Layout > CheckoutPage > CartItem, with files from the
+        // framework or the SDK registry and a few primitive props each
+        function getComponentHierarchy(el, frameworkName) {
+          var ancestors = [];  // nearest first
+          try {
+            if (frameworkName === 'react') {
+              collectReactAncestors(el, ancestors);
+            } else if (frameworkName === 'vue') {
+              collectVueAncestors(el, ancestors);
+            } else if (frameworkName === 'angular') {
+              collectAngularAncestors(el, ancestors);
+            } else if (frameworkName === 'svelte') {
+              collectSvelteAncestors(el, ancestors);
+            }
+          } catch (e) {
+            // Keep the ancestors found before the error
+          }
+          if (ancestors.length === 0) return null;
+
+          return ancestors.reverse().map(function(ancestor) {
+            var registration = getRegistration(ancestor.name);
+            if (registration && (!ancestor.file || ancestor.file === registration.file)) {
+              ancestor.file = registration.file;
+              ancestor.line = registration.line || null;
+            }
+            return ancestor;
+          });
+        }
+
+        function addAncestor(ancestors, name, file, key, props) {
+          if (!name || ancestors.length >= ${MAX_COMPONENT_HIERARCHY}) return;
+          ancestors.push({
+            name: name,
+            file: file || null,
+            line: null,
+            key: key === null || key === undefined ? null : String(key),
+            props: getKeyProps(props)
+          });
+        }
+
+        // Function and class components up the fiber tree. memo() and
+        // forwardRef() wrappers are named after the component they wrap.
+        function collectReactAncestors(el, ancestors) {
+          var fiberKey = Object.keys(el).find(function(k) {
+            return k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$');
+          });
+          for (var fiber = fiberKey ? el[fiberKey] : null; fiber; fiber = fiber.return) {
+            var type = fiber.type;
+            if (!type || typeof type === 'string') continue;
+
+            var name = null;
+            if (typeof type === 'function') {
+              name = type.displayName || type.name;
+            } else if (typeof type === 'object') {
+              // A memo() fiber whose child renders the wrapped component
+              if (type.type && fiber.child && fiber.child.type === type.type) continue;
+              var inner = type.render || type.type;
+              name = type.displayName || (typeof inner === 'function' ? inner.displayName || inner.name : null);
+            }
+            addAncestor(ancestors, name, null, fiber.key, fiber.memoizedProps);
+          }
+        }
+
+        function collectVueAncestors(el, ancestors) {
+          // Vue 3
+          for (var vc = el.__vueParentComponent; vc; vc = vc.parent) {
+            var type = vc.type || {};
+            var name = type.name || type.__name || getFileBaseName(type.__file) || (vc.parent ? 'Anonymous' : 'App');
+            addAncestor(ancestors, name, type.__file, vc.vnode && vc.vnode.key, vc.props);
+          }
+          if (el.__vueParentComponent) return;
+
+          // Vue 2
+          for (var vm = el.__vue__; vm; vm = vm.$parent) {
+            var options = vm.$options || {};
+            var vueName = options.name || options._componentTag || (vm.$parent ? 'Anonymous' : 'Root');
+            addAncestor(ancestors, vueName, options.__file, vm.$vnode && vm.$vnode.key, vm.$props);
+          }
+        }
+
+        // Component host elements up the DOM
+        function collectAngularAncestors(el, ancestors) {
+          if (!window.ng || !window.ng.getComponent) return;
+          var previous = null;
+          for (var node = el; node && node.nodeType === 1; node = node.parentElement) {
+            var instance = window.ng.getComponent(node);
+            if (instance && instance !== previous) {
+              addAncestor(ancestors, instance.constructor && instance.constructor.name, null, null, instance);
+              previous = instance;
+            }
+          }
+        }
+
+        // Svelte development builds record each element's source file in
+        // __svelte_meta; a change of file up the DOM is a parent component
+        function collectSvelteAncestors(el, ancestors) {
+          var previousFile = null;
+          for (var node = el; node && node.nodeType === 1; node = node.parentElement) {
+            var meta = node.__svelte_meta;
+            var file = meta && meta.loc && meta.loc.file;
+            if (file && file !== previousFile) {
+              addAncestor(ancestors, getFileBaseName(file), file, null, null);
+              previousFile = file;
+            }
+          }
+        }
+
+        // Up to ${MAX_HIERARCHY_PROPS} string, number or boolean props, to tell
+        // ancestors of the same component apart
+        function getKeyProps(props) {
+          if (!props || typeof props !== 'object') return null;
+          var keyProps = {};
+          var count = 0;
+          Object.keys(props).some(function(key) {
+            var value = props[key];
+            var type = typeof value;
+            if (key === 'children' || key.charAt(0) === '_' || key.charAt(0) === '$') return false;
+            if (type !== 'string' && type !== 'number' && type !== 'boolean') return false;
+            keyProps[key] = sanitizeValue(value, 1, ${HIERARCHY_PROP_LENGTH});
+            count++;
+            return count >= ${MAX_HIERARCHY_PROPS};
+          });
+          return count > 0 ? keyProps : null;
+        }
+
+        // "CartItem" for "src/components/CartItem.vue"
+        function getFileBaseName(file) {
+          return file ? file.split(/[\\/]/).pop().replace(/\\.[^.]+$/, '') : null;
+        }
+
+        // =========================================
+        // Component Source
+        // =========================================
+
+        // Start of a component function's source text and the page-origin
+        // scripts that may define it. Scripts named after the component come
+        // first, since dev servers serve one module per file.
+        function getComponentSource(fn, name) {
+          if (typeof fn !== 'function') return null;
+          var code = Function.prototype.toString.call(fn);
+          if (code.indexOf('[native code]') !== -1) return null;
+
+          var urls = Array.prototype.map.call(document.scripts, function(script) {
+            return script.src;
+          });
+          performance.getEntriesByType('resource').forEach(function(entry) {
+            if (entry.initiatorType === 'script' || /\\.(m?js|jsx|tsx?|vue|svelte)(\\?|$)/.test(entry.name)) {
+              urls.push(entry.name);
+            }
+          });
+
+          var seen = {};
+          var scripts = urls.filter(function(url) {
+            if (!url || seen[url] || url.indexOf(location.origin + '/') !== 0) return false;
+            seen[url] = true;
+            return true;
+          });
+
+          var baseName = function(url) {
+            return url.split(/[?#]/)[0].split('/').pop().split('.')[0].toLowerCase();
+          };
+          var lowerName = (name || '').toLowerCase();
+          scripts.sort(function(a, b) {
+            return (baseName(b) === lowerName ? 1 : 0) - (baseName(a) === lowerName ? 1 : 0);
+          });
+
+          return {
+            code: code.substring(0, ${COMPONENT_SOURCE_LENGTH}),
+            scripts: scripts.slice(0, ${MAX_SOURCE_MAP_SCRIPTS})
+          };
+        }
+
         // =========================================
         // Utility Functions (injected from shared-utils)
         // =========================================
@@ -348,6 +747,13 @@ export function getFrameworkDetectorCode() {
           result.component = getSvelteComponent(element);
         }
 
+        // Declaration position and the JSX call site of the element
+        result.component.line = null;
+        result.component.column = null;
+        applyRegisteredComponent(result.component);
+        result.component.elementSource = getElementSource(element);
+        result.component.hierarchy = getComponentHierarchy(element, result.framework.name);
+
         // Check for developer-provided context via data attribute
         if (result.dataAttributes['data-ai-context']) {
           try {
@@ -356,6 +762,11 @@ export function getFrameworkDetectorCode() {
               result.component.name = result.component.name || devContext.component;
             }
             if (devContext.file) {
+              // A registered position belongs to the registered file
+              if (devContext.file !== result.component.file) {
+                result.component.line = null;
+                result.component.column = null;
+              }
               result.component.file = devContext.file;
             }
             result.developerContext = devContext;
@@ -363,6 +774,16 @@ export function getFrameworkDetectorCode() {
             // Invalid JSON in data-ai-context
           }
         }
+
+        // Without a recorded file, the extension looks the function up
+        // through source maps
+        if (result.component.name && !result.component.file) {
+          try {
+            result.componentSource = getComponentSource(componentFunction, result.component.name);
+          } catch (e) {
+            // Function source unavailable (e.g. a revoked proxy)
+          }
+        }
       }
 
       return result;
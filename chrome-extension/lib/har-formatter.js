@@ -0,0 +1,194 @@
+/**
+ * HAR Formatter Module
+ *
+ * Converts a session's network log into an HTTP Archive (HAR 1.2) so the
+ * recorded traffic can be opened in DevTools, proxies and HAR viewers, or
+ * replayed in tests (e.g. Playwright's routeFromHAR).
+ *
+ * The session recorder only sees what the page sees: timings are total
+ * durations (no DNS/connect breakdown), bodies are truncated, and headers
+ * the browser adds itself (Cookie, Set-Cookie) are absent.
+ */
+
+import { MAX_BODY_LENGTH } from './constants.js';
+
+const HAR_VERSION = '1.2';
+const PAGE_ID = 'page_1';
+
+/**
+ * Build a HAR 1.2 object from a session recording.
+ *
+ * @param {Object} session - The session object (see session-recorder.js)
+ * @param {Object} [options] - HAR options
+ * @param {string} [options.creatorVersion] - Extension version for log.creator
+ * @param {string} [options.comment] - User comment stored on the log
+ * @returns {Object} HAR object ({ log: {...} })
+ */
+export function buildSessionHar(session, options) {
+  options = options || {};
+
+  const entries = (session.networkLog || [])
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(entry => buildEntry(entry, session.url));
+
+  const log = {
+    version: HAR_VERSION,
+    creator: {
+      name: 'AI Context Reporter',
+      version: options.creatorVersion || '0.0.0'
+    },
+    pages: [{
+      startedDateTime: new Date(session.startTime).toISOString(),
+      id: PAGE_ID,
+      title: session.title || session.url || '',
+      pageTimings: {}
+    }],
+    entries: entries
+  };
+
+  if (options.comment) {
+    log.comment = options.comment;
+  }
+
+  return { log: log };
+}
+
+/**
+ * Format a session recording as a HAR 1.2 JSON string.
+ *
+ * @param {Object} session - The session object
+ * @param {Object} [options] - Same options as buildSessionHar
+ * @returns {string} Pretty-printed HAR JSON
+ */
+export function formatSessionAsHar(session, options) {
+  return JSON.stringify(buildSessionHar(session, options), null, 2);
+}
+
+/**
+ * Convert a network log entry into a HAR entry.
+ * @private
+ */
+function buildEntry(entry, pageUrl) {
+  const url = resolveUrl(entry.url, pageUrl);
+  const requestHeaders = toHarHeaders(entry.requestHeaders);
+  const responseHeaders = toHarHeaders(entry.responseHeaders);
+  const duration = Math.max(0, entry.duration || 0);
+
+  const request = {
+    method: entry.method || 'GET',
+    url: url,
+    httpVersion: '',
+    cookies: [],
+    headers: requestHeaders,
+    queryString: parseQueryString(url),
+    headersSize: -1,
+    bodySize: entry.requestBody ? entry.requestBody.length : 0
+  };
+
+  if (entry.requestBody) {
+    request.postData = {
+      mimeType: headerValue(entry.requestHeaders, 'content-type') || 'application/octet-stream',
+      text: entry.requestBody
+    };
+    addTruncationComment(request.postData, entry.requestBody);
+  }
+
+  const content = {
+    size: entry.responseBody ? entry.responseBody.length : 0,
+    mimeType: headerValue(entry.responseHeaders, 'content-type') || ''
+  };
+  if (entry.responseBody) {
+    content.text = entry.responseBody;
+    addTruncationComment(content, entry.responseBody);
+  }
+
+  const harEntry = {
+    pageref: PAGE_ID,
+    startedDateTime: new Date(entry.timestamp).toISOString(),
+    time: duration,
+    request: request,
+    response: {
+      status: entry.status || 0,
+      statusText: entry.statusText || entry.error || '',
+      httpVersion: '',
+      cookies: [],
+      headers: responseHeaders,
+      content: content,
+      redirectURL: headerValue(entry.responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    // Only the total duration is known; attribute it to waiting
+    timings: {
+      send: 0,
+      wait: duration,
+      receive: 0
+    }
+  };
+
+  if (entry.failed) {
+    harEntry._failed = true;
+  }
+  if (entry.error) {
+    harEntry._error = entry.error;
+  }
+
+  return harEntry;
+}
+
+/**
+ * Resolve a possibly relative request URL against the page URL.
+ * @private
+ */
+function resolveUrl(url, pageUrl) {
+  try {
+    return new URL(url, pageUrl).href;
+  } catch (e) {
+    return url || '';
+  }
+}
+
+/**
+ * Parse the query string of a URL into HAR name/value pairs.
+ * @private
+ */
+function parseQueryString(url) {
+  try {
+    const params = [];
+    new URL(url).searchParams.forEach((value, name) => {
+      params.push({ name: name, value: value });
+    });
+    return params;
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Convert a headers object into HAR name/value pairs.
+ * @private
+ */
+function toHarHeaders(headers) {
+  if (!headers) return [];
+  return Object.keys(headers).map(name => ({ name: name, value: headers[name] }));
+}
+
+/**
+ * Read a header from a lowercased headers object.
+ * @private
+ */
+function headerValue(headers, name) {
+  return (headers && headers[name]) || null;
+}
+
+/**
+ * Note on a postData/content object when the recorder truncated the body.
+ * @private
+ */
+function addTruncationComment(target, body) {
+  if (body.length >= MAX_BODY_LENGTH) {
+    target.comment = 'Truncated to ' + MAX_BODY_LENGTH + ' characters';
+  }
+}
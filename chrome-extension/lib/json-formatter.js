@@ -0,0 +1,153 @@
+/**
+ * JSON Formatter Module
+ *
+ * Builds structured JSON documents for reports and sessions, the
+ * machine-readable counterpart to markdown-formatter.js. Documents follow
+ * the versioned schema published in schemas/report.schema.json.
+ *
+ * Bump REPORT_SCHEMA_VERSION when a field is removed or changes meaning;
+ * adding optional fields does not require a bump.
+ */
+
+import { REPORT_SCHEMA_VERSION } from './constants.js';
+
+/**
+ * Build the JSON document for a single element report.
+ *
+ * @param {Object} report - The report object
+ * @param {string} [projectName] - Optional project name to include
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.screenshotFile] - Screenshot filename, relative to the report file
+ * @param {Array<string|null>} [options.screenshotFiles] - Per-element screenshot filenames (multi-element reports)
+ * @returns {Object} Report document (schema kind "element")
+ */
+export function buildReportDocument(report, projectName, options) {
+  options = options || {};
+
+  const doc = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind: 'element',
+    reportId: report.reportId || null,
+    capturedAt: report.timestamp || new Date().toISOString(),
+    projectName: projectName || null,
+    url: report.url || '',
+    comment: report.comment || '',
+    framework: report.framework || null,
+    component: report.component || null,
+    element: buildElement(report.element),
+    screenshot: buildScreenshotRef(report.screenshot, options.screenshotFile),
+    dataAttributes: report.dataAttributes || {},
+    eventListeners: report.eventListeners || [],
+    consoleErrors: report.consoleErrors || [],
+    networkRequests: report.networkRequests || [],
+    developerContext: report.developerContext || null
+  };
+
+  // Multi-element reports; the top-level fields above describe the first element
+  if (report.elements && report.elements.length > 1) {
+    const screenshotFiles = options.screenshotFiles || [];
+    doc.elements = report.elements.map((item, index) => ({
+      comment: item.comment || '',
+      component: item.component || null,
+      element: buildElement(item.element),
+      screenshot: buildScreenshotRef(item.screenshot, screenshotFiles[index]),
+      dataAttributes: item.dataAttributes || {},
+      eventListeners: item.eventListeners || [],
+      developerContext: item.developerContext || null
+    }));
+  }
+
+  // Region reports: the dragged rectangle; the screenshot above shows it
+  if (report.region) {
+    doc.region = report.region;
+  }
+
+  return doc;
+}
+
+/**
+ * Build the JSON document for a session recording.
+ *
+ * @param {Object} session - The session object
+ * @param {string} [comment] - Optional user comment
+ * @param {string} [projectName] - Optional project name to include
+ * @returns {Object} Session document (schema kind "session")
+ */
+export function buildSessionDocument(session, comment, projectName) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind: 'session',
+    sessionId: session.sessionId,
+    projectName: projectName || null,
+    url: session.url || '',
+    title: session.title || null,
+    comment: comment || '',
+    startTime: session.startTime,
+    endTime: session.endTime || null,
+    duration: session.duration || 0,
+    interactions: session.interactions || [],
+    mutations: session.mutations || [],
+    consoleLog: session.consoleLog || [],
+    networkLog: session.networkLog || [],
+    snapshots: session.snapshots || []
+  };
+}
+
+/**
+ * Format a single element report as JSON.
+ *
+ * @param {Object} report - The report object
+ * @param {string} [projectName] - Optional project name to include
+ * @param {Object} [options] - Same options as buildReportDocument
+ * @returns {string} Pretty-printed JSON
+ */
+export function formatReportAsJson(report, projectName, options) {
+  return JSON.stringify(buildReportDocument(report, projectName, options), null, 2);
+}
+
+/**
+ * Format a session recording as JSON.
+ *
+ * @param {Object} session - The session object
+ * @param {string} [comment] - Optional user comment
+ * @param {string} [projectName] - Optional project name to include
+ * @returns {string} Pretty-printed JSON
+ */
+export function formatSessionAsJson(session, comment, projectName) {
+  return JSON.stringify(buildSessionDocument(session, comment, projectName), null, 2);
+}
+
+/**
+ * Pick the schema's element fields from a captured element.
+ * @private
+ */
+function buildElement(element) {
+  if (!element) return null;
+  return {
+    tagName: element.tagName || null,
+    elementId: element.elementId || null,
+    selector: element.selector || null,
+    xpath: element.xpath || null,
+    textContent: element.textContent || null,
+    computedStyles: element.computedStyles || {},
+    customProperties: element.customProperties || {},
+    designTokens: element.designTokens || null,
+    boundingRect: element.boundingRect || null,
+    accessibility: element.accessibility || null,
+    context: element.context || null,
+    matchedRules: element.matchedRules || null
+  };
+}
+
+/**
+ * Reference a screenshot written next to the report; the image itself
+ * is not embedded.
+ * @private
+ */
+function buildScreenshotRef(screenshot, file) {
+  return file && screenshot ? {
+    file: file,
+    width: screenshot.width,
+    height: screenshot.height
+  } : null;
+}
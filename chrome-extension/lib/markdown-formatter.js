@@ -5,14 +5,30 @@
  * Used by background.js, sidebar/main.js, and session export.
  */
 
+import { getEditorUrl } from './editor-links.js';
+
 /**
- * Format a single element report as Markdown.
+ * Format an element report as Markdown.
+ *
+ * Reports with several picked elements (`report.elements`) get one
+ * `## Element N` section per element, followed by the page-level sections.
+ * Region reports (`report.region`) show the region screenshot up front.
  *
  * @param {Object} report - The report object
  * @param {string} [projectName] - Optional project name to include
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.screenshotFile] - Screenshot filename, relative to the report file
+ * @param {Array<string|null>} [options.screenshotFiles] - Per-element screenshot filenames (multi-element reports)
+ * @param {{editor: string|null, repoPath: string|null}} [options.editor] - Editor settings of the project
+ *   mapping; component files and render locations then link to the editor (see editor-links.js)
  * @returns {string} Markdown formatted report
  */
-export function formatReportAsMarkdown(report, projectName) {
+export function formatReportAsMarkdown(report, projectName, options) {
+  options = options || {};
+  const editorLink = location => getEditorUrl(location, options.editor, report.url);
+
+  const elements = report.elements && report.elements.length > 1 ? report.elements : null;
+
   const lines = [
     '# Element Context Report',
     ''
@@ -32,12 +48,28 @@ export function formatReportAsMarkdown(report, projectName) {
   }
 
   // Component info
-  if (report.component && report.component.name) {
-    let componentStr = report.component.name;
-    if (report.component.file) {
-      componentStr += ' (' + report.component.file + ')';
+  if (!elements && report.component && report.component.name) {
+    lines.push('**Component:** ' + formatComponentName(report.component, editorLink));
+  }
+  if (!elements && report.component && report.component.hierarchy) {
+    lines.push('**Component Tree:** ' + formatComponentHierarchy(report.component.hierarchy));
+  }
+  if (!elements && report.component && report.component.elementSource) {
+    lines.push('**Rendered at:** ' + formatSourceLocation(report.component.elementSource, editorLink));
+  }
+
+  if (report.region) {
+    const region = report.region;
+    let regionStr = region.width + 'x' + region.height + ' px at (' + region.left + ', ' + region.top + ')';
+    const shown = elements ? elements.length : 1;
+    if (region.elementCount > shown) {
+      regionStr += ', first ' + shown + ' of ' + region.elementCount + ' elements';
     }
-    lines.push('**Component:** ' + componentStr);
+    lines.push('**Region:** ' + regionStr);
+  }
+
+  if (elements) {
+    lines.push('**Elements:** ' + elements.length);
   }
 
   lines.push('**Page URL:** ' + (report.url || ''));
@@ -51,72 +83,40 @@ export function formatReportAsMarkdown(report, projectName) {
     lines.push('');
   }
 
-  if (report.element) {
-    lines.push('## Element');
+  if (report.region && options.screenshotFile) {
+    lines.push('## Screenshot');
     lines.push('');
-    if (report.element.tagName) lines.push('- **Tag:** `<' + report.element.tagName + '>`');
-    if (report.element.elementId) lines.push('- **ID:** `' + report.element.elementId + '`');
-    if (report.element.selector) lines.push('- **CSS Selector:** `' + report.element.selector + '`');
-    if (report.element.xpath) lines.push('- **XPath:** `' + report.element.xpath + '`');
+    lines.push('![Region screenshot](' + encodeURI(options.screenshotFile) + ')');
     lines.push('');
+  }
 
-    if (report.element.textContent) {
-      lines.push('## Text Content');
-      lines.push('');
-      lines.push('```');
-      lines.push(report.element.textContent.substring(0, 500));
-      lines.push('```');
-      lines.push('');
-    }
-
-    if (report.element.computedStyles && Object.keys(report.element.computedStyles).length > 0) {
-      lines.push('## Computed Styles');
+  if (elements) {
+    const screenshotFiles = options.screenshotFiles || [];
+    elements.forEach(function(item, index) {
+      lines.push('## Element ' + (index + 1) + ': `' + formatElementLabel(item.element) + '`');
       lines.push('');
-      lines.push('```css');
-      Object.keys(report.element.computedStyles).forEach(function(key) {
-        lines.push(key + ': ' + report.element.computedStyles[key] + ';');
-      });
-      lines.push('```');
+      if (item.comment) {
+        lines.push(item.comment);
+        lines.push('');
+      }
+      if (item.component && item.component.name) {
+        lines.push('- **Component:** ' + formatComponentName(item.component, editorLink));
+      }
+      if (item.component && item.component.hierarchy) {
+        lines.push('- **Component Tree:** ' + formatComponentHierarchy(item.component.hierarchy));
+      }
+      if (item.component && item.component.elementSource) {
+        lines.push('- **Rendered at:** ' + formatSourceLocation(item.component.elementSource, editorLink));
+      }
+      formatElementDetails(lines, item, '###', screenshotFiles[index]);
+      formatDeveloperContext(lines, item.developerContext, '###');
+    });
+  } else {
+    if (report.element) {
+      lines.push('## Element');
       lines.push('');
     }
-  }
-
-  // Component Props
-  if (report.component && report.component.props && Object.keys(report.component.props).length > 0) {
-    lines.push('## Component Props');
-    lines.push('');
-    lines.push('```json');
-    lines.push(JSON.stringify(report.component.props, null, 2));
-    lines.push('```');
-    lines.push('');
-  }
-
-  // Component State
-  if (report.component && report.component.state && Object.keys(report.component.state).length > 0) {
-    lines.push('## Component State');
-    lines.push('');
-    lines.push('```json');
-    lines.push(JSON.stringify(report.component.state, null, 2));
-    lines.push('```');
-    lines.push('');
-  }
-
-  // Data Attributes
-  if (report.dataAttributes && Object.keys(report.dataAttributes).length > 0) {
-    lines.push('## Data Attributes');
-    lines.push('');
-    Object.keys(report.dataAttributes).forEach(function(key) {
-      lines.push('- `' + key + '`: `' + report.dataAttributes[key] + '`');
-    });
-    lines.push('');
-  }
-
-  // Event Listeners
-  if (report.eventListeners && report.eventListeners.length > 0) {
-    lines.push('## Event Listeners');
-    lines.push('');
-    lines.push(report.eventListeners.map(function(e) { return '`' + e + '`'; }).join(', '));
-    lines.push('');
+    formatElementDetails(lines, report, '##', report.region ? null : options.screenshotFile);
   }
 
   // Console Errors
@@ -157,14 +157,8 @@ export function formatReportAsMarkdown(report, projectName) {
     lines.push('');
   }
 
-  // Developer Context
-  if (report.developerContext) {
-    lines.push('## Developer Context');
-    lines.push('');
-    lines.push('```json');
-    lines.push(JSON.stringify(report.developerContext, null, 2));
-    lines.push('```');
-    lines.push('');
+  if (!elements) {
+    formatDeveloperContext(lines, report.developerContext, '##');
   }
 
   return lines.join('\n');
@@ -236,6 +230,17 @@ export function formatSessionAsMarkdown(session, comment) {
     });
   }
 
+  // Add DOM changes to timeline
+  if (session.mutations) {
+    session.mutations.forEach(m => {
+      events.push({
+        time: m.timestamp,
+        type: 'mutation',
+        label: formatMutationLabel(m)
+      });
+    });
+  }
+
   // Add snapshots to timeline
   if (session.snapshots) {
     session.snapshots.forEach(s => {
@@ -338,6 +343,8 @@ export function formatSessionAsMarkdown(session, comment) {
       failed.slice(0, 5).forEach(req => {
         lines.push('**' + req.method + ' ' + req.url + '**');
         lines.push('- Status: ' + req.status);
+        pushHeaders(lines, 'Request Headers', req.requestHeaders);
+        pushHeaders(lines, 'Response Headers', req.responseHeaders);
         if (req.requestBody) {
           lines.push('- Request Body:');
           lines.push('```json');
@@ -388,6 +395,49 @@ export function formatSessionAsMarkdown(session, comment) {
   return lines.join('\n');
 }
 
+/**
+ * Append a headers block (one `name: value` per line) if there are any.
+ * @private
+ */
+function pushHeaders(lines, label, headers) {
+  if (!headers || Object.keys(headers).length === 0) return;
+  lines.push('- ' + label + ':');
+  lines.push('```http');
+  Object.keys(headers).forEach(name => {
+    lines.push(name + ': ' + headers[name]);
+  });
+  lines.push('```');
+}
+
+/**
+ * Format a DOM mutation entry as a one-line timeline label.
+ * @private
+ */
+function formatMutationLabel(mutation) {
+  const times = mutation.count > 1 ? ' (x' + mutation.count + ')' : '';
+
+  switch (mutation.type) {
+    case 'added':
+    case 'removed':
+      return '[DOM ' + (mutation.type === 'added' ? '+' : '-') + '] ' + mutation.target +
+        (mutation.parent ? ' in ' + mutation.parent : '') +
+        (mutation.text ? ' "' + mutation.text + '"' : '') + times;
+    case 'attribute':
+      return '[DOM attr] ' + mutation.target + ' ' + mutation.attribute + ': ' +
+        formatAttributeValue(mutation.oldValue) + ' -> ' + formatAttributeValue(mutation.value) + times;
+    default:
+      return '[DOM] ' + mutation.count + ' more changes not recorded';
+  }
+}
+
+/**
+ * Quote an attribute value for display; null means the attribute was absent.
+ * @private
+ */
+function formatAttributeValue(value) {
+  return value === null || value === undefined ? '(none)' : '"' + value + '"';
+}
+
 /**
  * Format duration in human readable form.
  * @private
@@ -410,3 +460,417 @@ function formatTimeOffset(seconds) {
   const secs = seconds % 60;
   return String(mins).padStart(2, '0') + ':' + String(secs).padStart(2, '0');
 }
+
+/**
+ * Component name with its source file and line, e.g.
+ * "Button (src/Button.tsx:12)", the location linking to the editor if one
+ * is configured.
+ * @private
+ */
+function formatComponentName(component, editorLink) {
+  let componentStr = component.name;
+  if (component.file) {
+    const location = component.file + (component.line ? ':' + component.line : '');
+    componentStr += ' (' + formatLink(location, editorLink(component)) + ')';
+  }
+  return componentStr;
+}
+
+/**
+ * Breadcrumb of component names from the root, e.g.
+ * "App > Layout > CheckoutPage > CartItem".
+ * @private
+ */
+function formatComponentHierarchy(hierarchy) {
+  return hierarchy.map(function(ancestor) { return ancestor.name; }).join(' > ');
+}
+
+/**
+ * One hook and its value, e.g. "`items` (useState #0): `[{"id":1}]`".
+ * Contexts have no position in the hook list.
+ * @private
+ */
+function formatHook(hook) {
+  let label = hook.hook + (hook.index !== null && hook.index !== undefined ? ' #' + hook.index : '');
+  label = hook.name ? '`' + hook.name + '` (' + label + ')' : label;
+  const value = hook.value === undefined ? 'undefined' : JSON.stringify(hook.value);
+  return label + ': `' + value + '`';
+}
+
+/**
+ * "file:line:column", as far as known, e.g. "src/Button.tsx:12:5", linking
+ * to the editor if one is configured.
+ * @private
+ */
+function formatSourceLocation(location, editorLink) {
+  let locationStr = location.file;
+  if (location.line) {
+    locationStr += ':' + location.line;
+    if (location.column) {
+      locationStr += ':' + location.column;
+    }
+  }
+  return formatLink(locationStr, editorLink(location));
+}
+
+/**
+ * Markdown link, or the plain text without a URL. The URL is wrapped in
+ * angle brackets so parentheses in paths do not end it.
+ * @private
+ */
+function formatLink(text, url) {
+  return url ? '[' + text + '](<' + url + '>)' : text;
+}
+
+/**
+ * Short element label for section headings, e.g. "<button>#submit".
+ * @private
+ */
+function formatElementLabel(element) {
+  if (!element) return '<element>';
+  return '<' + (element.tagName || 'element') + '>' + (element.elementId ? '#' + element.elementId : '');
+}
+
+/**
+ * Append the element identifiers, screenshot, text, styles and component
+ * sections of one picked element. `item` has the report's per-element
+ * fields (element, component, dataAttributes, eventListeners).
+ * @private
+ */
+function formatElementDetails(lines, item, heading, screenshotFile) {
+  if (item.element) {
+    if (item.element.tagName) lines.push('- **Tag:** `<' + item.element.tagName + '>`');
+    if (item.element.elementId) lines.push('- **ID:** `' + item.element.elementId + '`');
+    if (item.element.selector) lines.push('- **CSS Selector:** `' + item.element.selector + '`');
+    if (item.element.xpath) lines.push('- **XPath:** `' + item.element.xpath + '`');
+    lines.push('');
+
+    if (screenshotFile) {
+      lines.push(heading + ' Screenshot');
+      lines.push('');
+      lines.push('![Element screenshot](' + encodeURI(screenshotFile) + ')');
+      lines.push('');
+    }
+
+    if (item.element.textContent) {
+      lines.push(heading + ' Text Content');
+      lines.push('');
+      lines.push('```');
+      lines.push(item.element.textContent.substring(0, 500));
+      lines.push('```');
+      lines.push('');
+    }
+
+    if (item.element.computedStyles && Object.keys(item.element.computedStyles).length > 0) {
+      lines.push(heading + ' Computed Styles');
+      lines.push('');
+      lines.push('```css');
+      Object.keys(item.element.computedStyles).forEach(function(key) {
+        lines.push(formatStyleLine(key, item.element.computedStyles[key], item.element.designTokens));
+      });
+      lines.push('```');
+      lines.push('');
+    }
+
+    if (item.element.customProperties && Object.keys(item.element.customProperties).length > 0) {
+      lines.push(heading + ' CSS Custom Properties');
+      lines.push('');
+      lines.push('```css');
+      Object.keys(item.element.customProperties).forEach(function(key) {
+        lines.push(formatStyleLine(key, item.element.customProperties[key], item.element.designTokens));
+      });
+      lines.push('```');
+      lines.push('');
+    }
+
+    if (item.element.matchedRules && hasMatchedRules(item.element.matchedRules)) {
+      lines.push(heading + ' Matched Rules');
+      lines.push('');
+      lines.push('Highest precedence first; declarations that lose the cascade are marked `overridden`.');
+      lines.push('');
+      lines.push('```css');
+      formatMatchedRules(item.element.matchedRules).forEach(function(line) {
+        lines.push(line);
+      });
+      lines.push('```');
+      lines.push('');
+    }
+
+    if (item.element.context) {
+      lines.push(heading + ' Layout Context');
+      lines.push('');
+      lines.push('```');
+      formatContextTree(item.element).forEach(function(line) {
+        lines.push(line);
+      });
+      lines.push('```');
+      lines.push('');
+
+      if (item.element.context.parentHtml) {
+        lines.push(heading + ' Parent HTML');
+        lines.push('');
+        lines.push('```html');
+        lines.push(item.element.context.parentHtml);
+        lines.push('```');
+        lines.push('');
+      }
+    }
+
+    if (item.element.accessibility) {
+      lines.push(heading + ' Accessibility');
+      lines.push('');
+      formatAccessibility(item.element.accessibility).forEach(function(line) {
+        lines.push(line);
+      });
+      lines.push('');
+    }
+  }
+
+  // Component Props
+  if (item.component && item.component.props && Object.keys(item.component.props).length > 0) {
+    lines.push(heading + ' Component Props');
+    lines.push('');
+    lines.push('```json');
+    lines.push(JSON.stringify(item.component.props, null, 2));
+    lines.push('```');
+    lines.push('');
+  }
+
+  // Component State
+  if (item.component && item.component.state && Object.keys(item.component.state).length > 0) {
+    lines.push(heading + ' Component State');
+    lines.push('');
+    lines.push('```json');
+    lines.push(JSON.stringify(item.component.state, null, 2));
+    lines.push('```');
+    lines.push('');
+  }
+
+  // Component Hooks (React function components)
+  if (item.component && item.component.hooks && item.component.hooks.length > 0) {
+    lines.push(heading + ' Component Hooks');
+    lines.push('');
+    item.component.hooks.forEach(function(hook) {
+      lines.push('- ' + formatHook(hook));
+    });
+    lines.push('');
+  }
+
+  // Data Attributes
+  if (item.dataAttributes && Object.keys(item.dataAttributes).length > 0) {
+    lines.push(heading + ' Data Attributes');
+    lines.push('');
+    Object.keys(item.dataAttributes).forEach(function(key) {
+      lines.push('- `' + key + '`: `' + item.dataAttributes[key] + '`');
+    });
+    lines.push('');
+  }
+
+  // Event Listeners
+  if (item.eventListeners && item.eventListeners.length > 0) {
+    lines.push(heading + ' Event Listeners');
+    lines.push('');
+    lines.push(item.eventListeners.map(function(e) { return '`' + e + '`'; }).join(', '));
+    lines.push('');
+  }
+}
+
+/**
+ * One declaration, with a trailing comment naming the design tokens that
+ * share its value.
+ * @private
+ */
+function formatStyleLine(property, value, designTokens) {
+  const line = property + ': ' + value + ';';
+  const tokens = designTokens && designTokens[property];
+  return tokens && tokens.length > 0 ? line + ' /* token: ' + tokens.join(', ') + ' */' : line;
+}
+
+/**
+ * Append the developer-provided `data-ai-context` JSON, if any.
+ * @private
+ */
+function formatDeveloperContext(lines, developerContext, heading) {
+  if (!developerContext) return;
+  lines.push(heading + ' Developer Context');
+  lines.push('');
+  lines.push('```json');
+  lines.push(JSON.stringify(developerContext, null, 2));
+  lines.push('```');
+  lines.push('');
+}
+
+/**
+ * Render an element's ancestors and siblings as an indented tree, outermost
+ * ancestor first, with each node's layout styles.
+ * @private
+ */
+function formatContextTree(element) {
+  const context = element.context;
+  const ancestors = (context.ancestors || []).slice().reverse();
+  const previous = context.previousSiblings || [];
+  const next = context.nextSiblings || [];
+  const lines = [];
+
+  ancestors.forEach(function(node, depth) {
+    lines.push('  '.repeat(depth) + formatContextNode(node));
+  });
+
+  const indent = '  '.repeat(ancestors.length);
+  const hiddenBefore = context.index - previous.length;
+  const hiddenAfter = context.siblingCount - context.index - 1 - next.length;
+
+  if (hiddenBefore > 0) {
+    lines.push(indent + '... ' + hiddenBefore + ' more');
+  }
+  previous.forEach(function(node) {
+    lines.push(indent + formatContextNode(node));
+  });
+  lines.push(indent + (element.elementId || element.tagName || 'element') + '  <-- selected');
+  next.forEach(function(node) {
+    lines.push(indent + formatContextNode(node));
+  });
+  if (hiddenAfter > 0) {
+    lines.push(indent + '... ' + hiddenAfter + ' more');
+  }
+
+  return lines;
+}
+
+/**
+ * One tree line: "main#content.grid  [display: grid; gap: 16px]".
+ * @private
+ */
+function formatContextNode(node) {
+  let label = node.tag + (node.id ? '#' + node.id : '');
+  (node.classes || []).forEach(function(c) {
+    label += '.' + c;
+  });
+
+  const styles = Object.keys(node.styles || {}).map(function(key) {
+    return key + ': ' + node.styles[key];
+  });
+  return styles.length > 0 ? label + '  [' + styles.join('; ') + ']' : label;
+}
+
+/**
+ * Whether captured matched rules have anything to show.
+ * @private
+ */
+function hasMatchedRules(matchedRules) {
+  return (matchedRules.rules || []).length > 0 || (matchedRules.inherited || []).length > 0;
+}
+
+/**
+ * Render matched rules as CSS, each rule preceded by a comment with its
+ * source location; inherited rules follow under the ancestor they match.
+ * @private
+ */
+function formatMatchedRules(matchedRules) {
+  const lines = [];
+  (matchedRules.rules || []).forEach(function(rule) {
+    formatCssRule(lines, rule);
+  });
+  (matchedRules.inherited || []).forEach(function(entry) {
+    lines.push('/* Inherited from ' + (entry.ancestor || 'ancestor') + ' */');
+    lines.push('');
+    entry.rules.forEach(function(rule) {
+      formatCssRule(lines, rule);
+    });
+  });
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Append one rule, preceded by a comment with its source location and
+ * media queries.
+ * @private
+ */
+function formatCssRule(lines, rule) {
+  const notes = [];
+  if (rule.source) {
+    notes.push(formatRuleSource(rule.source));
+  }
+  (rule.media || []).forEach(function(media) {
+    notes.push('@media ' + media);
+  });
+  if (notes.length > 0) {
+    lines.push('/* ' + notes.join(' | ') + ' */');
+  }
+
+  lines.push(rule.selector + ' {');
+  rule.declarations.forEach(function(declaration) {
+    let line = '  ' + declaration.name + ': ' + declaration.value + (declaration.important ? ' !important' : '') + ';';
+    if (!declaration.valid) {
+      line += ' /* invalid */';
+    } else if (declaration.overridden) {
+      line += ' /* overridden */';
+    }
+    lines.push(line);
+  });
+  lines.push('}');
+  lines.push('');
+}
+
+/**
+ * Source location, e.g. "https://example.com/app.css:12:1" or
+ * "https://example.com/ (inline <style>):40:3".
+ * @private
+ */
+function formatRuleSource(source) {
+  let label = source.url || 'constructed stylesheet';
+  if (source.inline) {
+    label += ' (inline <style>)';
+  }
+  if (source.line) {
+    label += ':' + source.line + (source.column ? ':' + source.column : '');
+  }
+  return label;
+}
+
+/**
+ * Render an accessibility audit: role, name, states, focus, contrast and
+ * ARIA attributes, then the rule violations found in the subtree.
+ * @private
+ */
+function formatAccessibility(accessibility) {
+  const lines = [];
+  lines.push('- **Role:** ' + (accessibility.role ? '`' + accessibility.role + '`' : 'none'));
+  lines.push('- **Name:** ' + (accessibility.name ? '"' + accessibility.name + '"' : 'none'));
+
+  const states = Object.keys(accessibility.states || {}).map(function(key) {
+    const value = accessibility.states[key];
+    return value === true ? key : key + '=' + value;
+  });
+  if (states.length > 0) {
+    lines.push('- **States:** ' + states.join(', '));
+  }
+  lines.push('- **Focusable:** ' + (accessibility.focusable ? 'yes' : 'no') + ' (tabindex ' + accessibility.tabIndex + ')');
+
+  const contrast = accessibility.contrast;
+  if (contrast) {
+    const notes = [contrast.foreground + ' on ' + contrast.background];
+    notes.push(contrast.passesAAA ? 'passes AAA' : contrast.passesAA ? 'passes AA' : 'fails AA');
+    if (contrast.largeText) notes.push('large text');
+    if (contrast.approximate) notes.push('approximate, background image');
+    lines.push('- **Contrast:** ' + contrast.ratio + ':1 (' + notes.join(', ') + ')');
+  }
+
+  Object.keys(accessibility.ariaAttributes || {}).forEach(function(key) {
+    lines.push('- `' + key + '`: ' + accessibility.ariaAttributes[key]);
+  });
+
+  const violations = accessibility.violations || [];
+  if (violations.length > 0) {
+    const total = accessibility.violationCount || violations.length;
+    lines.push('');
+    lines.push('**Violations' + (total > violations.length ? ' (showing ' + violations.length + ' of ' + total + ')' : '') + ':**');
+    violations.forEach(function(violation) {
+      lines.push('- `' + violation.rule + '` `' + violation.element + '`: ' + violation.message);
+    });
+  }
+  return lines;
+}
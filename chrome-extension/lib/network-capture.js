@@ -9,6 +9,61 @@
  * via window.__AI_CONTEXT_NETWORK_LOG__.
  */
 
+/**
+ * Returns injectable helper functions for capturing HTTP headers.
+ * Interpolated into the network and session recorder injectors.
+ *
+ * Defines in the enclosing scope:
+ * - headersToObject(headers): Headers, [name, value][] or plain object → object
+ * - parseRawHeaders(raw): XHR getAllResponseHeaders() string → object
+ *
+ * Header names are lowercased and values truncated. Sensitive headers
+ * (Authorization, Cookie, ...) are kept here and removed by the redaction
+ * engine before anything is saved.
+ *
+ * @returns {string} JavaScript code to interpolate into an injector
+ */
+export function getHeaderUtilsCode() {
+  return `
+      var MAX_HEADERS = 50;
+      var MAX_HEADER_LENGTH = 500;
+
+      function addHeader(result, name, value) {
+        if (Object.keys(result).length >= MAX_HEADERS) return;
+        value = String(value);
+        result[String(name).toLowerCase()] = value.length > MAX_HEADER_LENGTH
+          ? value.substring(0, MAX_HEADER_LENGTH) + '...'
+          : value;
+      }
+
+      function headersToObject(headers) {
+        var result = {};
+        if (!headers) return result;
+        try {
+          if (Array.isArray(headers)) {
+            headers.forEach(function(pair) { addHeader(result, pair[0], pair[1]); });
+          } else if (typeof headers.forEach === 'function') {
+            headers.forEach(function(value, name) { addHeader(result, name, value); });
+          } else {
+            Object.keys(headers).forEach(function(name) { addHeader(result, name, headers[name]); });
+          }
+        } catch (e) {}
+        return result;
+      }
+
+      function parseRawHeaders(raw) {
+        var result = {};
+        (raw || '').trim().split(/[\\r\\n]+/).forEach(function(line) {
+          var index = line.indexOf(':');
+          if (index > 0) {
+            addHeader(result, line.slice(0, index).trim(), line.slice(index + 1).trim());
+          }
+        });
+        return result;
+      }
+  `;
+}
+
 /**
  * Returns injectable code that monitors network requests.
  * Should be injected once per page.
@@ -17,7 +72,7 @@
  * - Uses PerformanceObserver for resource timing
  * - Patches fetch() and XMLHttpRequest for more details
  * - Maintains a buffer of the last 50 requests
- * - Captures URL, method, status, duration, and failure state
+ * - Captures URL, method, status, duration, headers, and failure state
  * - Exposes data via window.__AI_CONTEXT_NETWORK_LOG__
  *
  * @returns {string} JavaScript code to inject into page
@@ -38,7 +93,7 @@ export function getNetworkInjectorCode() {
       // Track pending requests (for correlation)
       var pendingRequests = new Map();
       var requestIdCounter = 0;
-
+${getHeaderUtilsCode()}
       function addEntry(entry) {
         // Truncate URL if needed
         if (entry.url && entry.url.length > MAX_URL_LENGTH) {
@@ -61,6 +116,7 @@ export function getNetworkInjectorCode() {
         var startTime = performance.now();
         var url = '';
         var method = 'GET';
+        var requestHeaders = {};
 
         // Parse input
         if (typeof input === 'string') {
@@ -68,6 +124,7 @@ export function getNetworkInjectorCode() {
         } else if (input instanceof Request) {
           url = input.url;
           method = input.method;
+          requestHeaders = headersToObject(input.headers);
         } else if (input && input.toString) {
           url = input.toString();
         }
@@ -75,11 +132,15 @@ export function getNetworkInjectorCode() {
         if (init && init.method) {
           method = init.method;
         }
+        if (init && init.headers) {
+          requestHeaders = Object.assign(requestHeaders, headersToObject(init.headers));
+        }
 
         // Track pending request
         pendingRequests.set(requestId, {
           url: url,
           method: method.toUpperCase(),
+          requestHeaders: requestHeaders,
           startTime: startTime,
           type: 'fetch'
         });
@@ -94,6 +155,8 @@ export function getNetworkInjectorCode() {
                 method: pending.method,
                 status: response.status,
                 statusText: response.statusText,
+                requestHeaders: pending.requestHeaders,
+                responseHeaders: headersToObject(response.headers),
                 duration: duration,
                 failed: !response.ok,
                 type: 'fetch',
@@ -112,6 +175,8 @@ export function getNetworkInjectorCode() {
                 method: pending.method,
                 status: 0,
                 statusText: error.message || 'Network Error',
+                requestHeaders: pending.requestHeaders,
+                responseHeaders: {},
                 duration: duration,
                 failed: true,
                 type: 'fetch',
@@ -129,13 +194,22 @@ export function getNetworkInjectorCode() {
 
       var XHROpen = XMLHttpRequest.prototype.open;
       var XHRSend = XMLHttpRequest.prototype.send;
+      var XHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
 
       XMLHttpRequest.prototype.open = function(method, url) {
         this._aiContextMethod = method ? method.toUpperCase() : 'GET';
         this._aiContextUrl = url;
+        this._aiContextHeaders = {};
         return XHROpen.apply(this, arguments);
       };
 
+      XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        if (this._aiContextHeaders) {
+          addHeader(this._aiContextHeaders, name, value);
+        }
+        return XHRSetRequestHeader.apply(this, arguments);
+      };
+
       XMLHttpRequest.prototype.send = function(body) {
         var xhr = this;
         var startTime = performance.now();
@@ -144,6 +218,7 @@ export function getNetworkInjectorCode() {
         pendingRequests.set(requestId, {
           url: xhr._aiContextUrl,
           method: xhr._aiContextMethod,
+          requestHeaders: xhr._aiContextHeaders || {},
           startTime: startTime,
           type: 'xhr'
         });
@@ -157,6 +232,8 @@ export function getNetworkInjectorCode() {
               method: pending.method,
               status: xhr.status,
               statusText: xhr.statusText,
+              requestHeaders: pending.requestHeaders,
+              responseHeaders: parseRawHeaders(xhr.getAllResponseHeaders()),
               duration: duration,
               failed: xhr.status === 0 || xhr.status >= 400,
               type: 'xhr',
@@ -0,0 +1,334 @@
+/**
+ * Redaction Module
+ *
+ * Scrubs secrets and PII from reports and sessions before they are stored
+ * or exported. Every string in the data is checked against the enabled
+ * rules; matches are replaced with a `[REDACTED:rule]` marker so readers
+ * can still tell what kind of value was there.
+ *
+ * Three kinds of rules are applied:
+ * - Built-in pattern rules (bearer tokens, JWTs, cookies, emails, credit
+ *   cards, API keys), which also redact values stored under telling keys
+ *   such as `Authorization` or `apiKey`
+ * - User-defined regexes
+ * - JSON-path denylists (e.g. `$.snapshots[*].localStorage.authToken`),
+ *   which also reach into JSON request/response bodies
+ */
+
+/**
+ * @typedef {Object} RedactionSettings
+ * @property {boolean} enabled - Master switch
+ * @property {string[]} disabledRules - Names of built-in rules to skip
+ * @property {{name: string, pattern: string, flags?: string}[]} customRules - User regexes
+ * @property {string[]} denylistPaths - JSON paths whose values are always redacted
+ */
+
+/** @type {RedactionSettings} */
+export const DEFAULT_REDACTION_SETTINGS = {
+  enabled: true,
+  disabledRules: [],
+  customRules: [],
+  denylistPaths: []
+};
+
+// Paths never redacted: the screenshots the extension itself writes (the
+// report's, and each element's in multi-element reports). Page data under
+// a `screenshot` key anywhere else is redacted as usual.
+const SKIPPED_PATHS = ['$.screenshot', '$.elements[*].screenshot'].map(parseJsonPath);
+
+/**
+ * Built-in rules. `patterns` are matched against string values; when a
+ * pattern has a capture group, the group (e.g. "Bearer ") is kept and only
+ * the rest is replaced. `keys` redacts the whole value of a matching key.
+ */
+export const BUILT_IN_REDACTION_RULES = [
+  {
+    name: 'bearer-token',
+    description: 'Authorization header credentials (Bearer, Basic, Token)',
+    patterns: [/\b((?:Bearer|Basic|Token)\s+)[A-Za-z0-9\-._~+/]+=*/gi],
+    keys: /^(proxy-)?authorization$/i
+  },
+  {
+    name: 'jwt',
+    description: 'JSON Web Tokens',
+    patterns: [/\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g]
+  },
+  {
+    name: 'cookie',
+    description: 'Cookie and Set-Cookie values',
+    patterns: [/\b((?:Set-)?Cookie\s*:\s*)[^\r\n]+/gi],
+    keys: /^(set-)?cookies?$/i
+  },
+  {
+    name: 'email',
+    description: 'Email addresses',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g]
+  },
+  {
+    name: 'credit-card',
+    description: 'Credit card numbers (Luhn-checked)',
+    patterns: [/\b(?:4\d{3}|5[1-5]\d{2}|2[2-7]\d{2}|3[47]\d{2}|6(?:011|5\d{2}))(?:[ -]?\d){9,15}\b/g],
+    validate: isLuhnValid
+  },
+  {
+    name: 'api-key',
+    description: 'API keys, secrets and passwords in values, query strings and key names',
+    patterns: [
+      // Well-known key formats (OpenAI/Stripe, AWS, GitHub, Slack, Google)
+      /\b(?:sk-[A-Za-z0-9_-]{20,}|(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[baprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g,
+      // key=value and "key": "value" pairs, including URL query strings
+      /((?:api[_-]?key|apikey|access[_-]?token|auth[_-]?token|refresh[_-]?token|client[_-]?secret|secret|password|passwd)["']?\s*[:=]\s*["']?)[^"'\s&,;}]+/gi,
+      // Short credential names, only as URL query parameters
+      /([?&](?:token|key|sig|signature|auth|session)=)[^&#\s]+/gi
+    ],
+    keys: /(api[-_]?key|apikey|secret|password|passwd|(access|auth|refresh|id)[-_]?token|session[-_]?id)$/i
+  }
+];
+
+/**
+ * Create a redaction function for the given settings.
+ * Compile once and reuse when redacting many objects.
+ *
+ * @param {RedactionSettings} [settings] - Redaction settings (defaults apply)
+ * @returns {function(*): *} Function returning a redacted deep copy of its input
+ */
+export function createRedactor(settings) {
+  settings = Object.assign({}, DEFAULT_REDACTION_SETTINGS, settings);
+
+  if (!settings.enabled) {
+    return (value) => value;
+  }
+
+  const rules = BUILT_IN_REDACTION_RULES
+    .filter((rule) => settings.disabledRules.indexOf(rule.name) === -1)
+    .concat(compileCustomRules(settings.customRules));
+  const denylist = settings.denylistPaths.map(parseJsonPath).filter(Boolean);
+
+  const redactString = (str) => {
+    let result = str;
+    rules.forEach((rule) => {
+      rule.patterns.forEach((pattern) => {
+        result = result.replace(pattern, (match, keep) => {
+          if (rule.validate && !rule.validate(match)) return match;
+          const prefix = typeof keep === 'string' ? keep : '';
+          return prefix + marker(rule.name);
+        });
+      });
+    });
+    return result;
+  };
+
+  const keyRule = (key) => rules.find((rule) => rule.keys && rule.keys.test(key));
+
+  const walk = (value, path) => {
+    if (path.length > 0 && denylist.some((segments) => matchJsonPath(segments, path))) {
+      return marker('denylist');
+    }
+
+    if (typeof value === 'string') {
+      // Image data URLs are base64, which the patterns can match by chance
+      if (value.startsWith('data:image/')) {
+        return value;
+      }
+      // Request/response bodies are often JSON; redact structurally so
+      // key rules and denylist paths apply inside them too
+      const parsed = parseJsonString(value);
+      if (parsed !== undefined) {
+        const redacted = walk(parsed, path);
+        if (JSON.stringify(redacted) !== JSON.stringify(parsed)) {
+          return JSON.stringify(redacted);
+        }
+      }
+      return redactString(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, i) => walk(item, path.concat(String(i))));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        const keyPath = path.concat(key);
+        if (SKIPPED_PATHS.some((segments) => matchJsonPath(segments, keyPath))) {
+          result[key] = value[key];
+          return;
+        }
+        const rule = keyRule(key);
+        result[key] = rule && value[key] !== null && value[key] !== ''
+          && typeof value[key] !== 'object'
+          ? marker(rule.name)
+          : walk(value[key], keyPath);
+      });
+      return result;
+    }
+
+    return value;
+  };
+
+  return (value) => walk(value, []);
+}
+
+/**
+ * Redact a report or session with the given settings.
+ *
+ * @param {Object} data - Report or session object
+ * @param {RedactionSettings} [settings] - Redaction settings
+ * @returns {Object} Redacted deep copy
+ */
+export function redactData(data, settings) {
+  return createRedactor(settings)(data);
+}
+
+/**
+ * Parse the user-facing custom rule syntax: one rule per line, either
+ * `name: pattern`, `name: /pattern/flags`, or just a pattern.
+ *
+ * @param {string} text - Textarea contents
+ * @returns {{name: string, pattern: string, flags: string}[]} Custom rules
+ */
+export function parseCustomRules(text) {
+  return text.split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      const named = line.match(/^([\w-]+):\s+(.+)$/);
+      const name = named ? named[1] : 'custom-' + (i + 1);
+      const source = named ? named[2] : line;
+      const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+      return literal
+        ? { name: name, pattern: literal[1], flags: literal[2] }
+        : { name: name, pattern: source, flags: '' };
+    });
+}
+
+/**
+ * Format custom rules back into the textarea syntax.
+ *
+ * @param {{name: string, pattern: string, flags?: string}[]} customRules - Custom rules
+ * @returns {string} One rule per line
+ */
+export function formatCustomRules(customRules) {
+  return (customRules || []).map((rule) =>
+    rule.name + ': ' + (rule.flags ? '/' + rule.pattern + '/' + rule.flags : rule.pattern)
+  ).join('\n');
+}
+
+/**
+ * Build the redaction marker for a rule.
+ * @private
+ */
+function marker(ruleName) {
+  return '[REDACTED:' + ruleName + ']';
+}
+
+/**
+ * Compile user regexes, skipping (and logging) invalid ones.
+ * @private
+ */
+function compileCustomRules(customRules) {
+  const compiled = [];
+  (customRules || []).forEach((rule) => {
+    try {
+      const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+      compiled.push({ name: rule.name, patterns: [new RegExp(rule.pattern, flags)] });
+    } catch (e) {
+      console.warn('[AI Context] Invalid redaction pattern "' + rule.name + '":', e.message);
+    }
+  });
+  return compiled;
+}
+
+/**
+ * Parse a JSON path into segments. Supports `$`, `.key`, `['key']`, `[0]`,
+ * `*`, `[*]` and recursive descent (`..key`).
+ * @private
+ */
+function parseJsonPath(path) {
+  const source = String(path).trim().replace(/^\$/, '');
+  if (!source) return null;
+
+  const segments = [];
+  const re = /\.\.|\.([^.[\]]+)|\[\s*(?:'([^']*)'|"([^"]*)"|(\d+)|\*)\s*\]/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = re.exec(source)) !== null) {
+    if (match.index !== lastIndex) return null;
+    lastIndex = re.lastIndex;
+
+    if (match[0] === '..') {
+      segments.push({ descend: true });
+      // `..key` - the key follows without a leading dot
+      const key = source.slice(lastIndex).match(/^[^.[\]]+/);
+      if (key) {
+        segments.push(key[0] === '*' ? { any: true } : { key: key[0] });
+        lastIndex += key[0].length;
+        re.lastIndex = lastIndex;
+      }
+    } else {
+      const key = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      segments.push(key === undefined || key === '*' ? { any: true } : { key: key });
+    }
+  }
+
+  if (lastIndex !== source.length) {
+    console.warn('[AI Context] Invalid redaction JSON path: ' + path);
+    return null;
+  }
+  return segments;
+}
+
+/**
+ * Check whether a value path matches parsed JSON path segments.
+ * @private
+ */
+function matchJsonPath(segments, path) {
+  if (segments.length === 0) return path.length === 0;
+
+  const [head, ...rest] = segments;
+  if (head.descend) {
+    for (let i = 0; i <= path.length; i++) {
+      if (matchJsonPath(rest, path.slice(i))) return true;
+    }
+    return false;
+  }
+  if (path.length === 0) return false;
+  if (!head.any && head.key !== path[0]) return false;
+  return matchJsonPath(rest, path.slice(1));
+}
+
+/**
+ * Parse a string as a JSON object or array; undefined if it isn't one.
+ * @private
+ */
+function parseJsonString(str) {
+  const trimmed = str.trim();
+  if (!/^[[{]/.test(trimmed)) return undefined;
+  try {
+    const parsed = JSON.parse(trimmed);
+    return parsed && typeof parsed === 'object' ? parsed : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Luhn checksum for credit card candidates.
+ * @private
+ */
+function isLuhnValid(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
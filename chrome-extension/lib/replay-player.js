@@ -0,0 +1,225 @@
+/**
+ * Replay Player Module
+ *
+ * Rebuilds a recording made by replay-recorder.js inside an iframe and
+ * moves it to any point in time. Seeking forward applies the events since
+ * the current position; seeking backward rebuilds from the snapshot.
+ *
+ * The iframe must be sandboxed without `allow-scripts` (but with
+ * `allow-same-origin`, so the panel can build the document). Stylesheets
+ * and images still load from the recorded site.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// How long a click stays highlighted on the pointer overlay
+const CLICK_HIGHLIGHT_MS = 400;
+
+/**
+ * @typedef {Object} ReplayPlayer
+ * @property {number} duration - Recording length in ms
+ * @property {function(number): void} seek - Show the page at a time offset (ms)
+ * @property {function(): number} getTime - Current time offset (ms)
+ * @property {function(): {width: number, height: number}} getViewport - Viewport at the current time
+ */
+
+/**
+ * Create a player for a replay recording.
+ *
+ * @param {HTMLIFrameElement} iframe - Sandboxed iframe to render into
+ * @param {Object} recording - Replay recording (see replay-recorder.js)
+ * @param {Object} [options] - Player options
+ * @param {function({x: number, y: number, clicking: boolean}|null): void} [options.onPointer] - Pointer position after each seek
+ * @param {function({width: number, height: number}): void} [options.onViewport] - Viewport size changes
+ * @returns {ReplayPlayer} Player
+ */
+export function createReplayPlayer(iframe, recording, options) {
+  options = options || {};
+
+  const events = recording.events || [];
+  const duration = Math.max(0, (recording.endTime || recording.startTime) - recording.startTime);
+  let nodes = new Map();
+  let applied = 0;
+  let currentTime = 0;
+  let built = false;
+  let viewport = recording.viewport;
+  let pointer = null;
+  let lastClick = null;
+
+  const setViewport = (size) => {
+    viewport = size;
+    if (options.onViewport) {
+      options.onViewport(viewport);
+    }
+  };
+
+  const buildNode = (doc, data) => {
+    let node;
+    if (data.type === 3) {
+      node = doc.createTextNode(data.text || '');
+    } else if (data.type === 8) {
+      node = doc.createComment('');
+    } else {
+      node = data.ns === 'svg' ? doc.createElementNS(SVG_NS, data.tag) : doc.createElement(data.tag);
+      Object.keys(data.attrs || {}).forEach((name) => setAttribute(node, name, data.attrs[name]));
+      (data.children || []).forEach((child) => node.appendChild(buildNode(doc, child)));
+      if (data.css) {
+        node.textContent = data.css;
+      }
+      // Set after the children so <select> options exist
+      if (data.value !== undefined) {
+        node.value = data.value;
+      }
+      if (data.checked !== undefined) {
+        node.checked = data.checked;
+      }
+    }
+    nodes.set(data.id, node);
+    return node;
+  };
+
+  const scrollNode = (id, x, y) => {
+    if (id === 0) {
+      iframe.contentWindow.scrollTo(x, y);
+      return;
+    }
+    const node = nodes.get(id);
+    if (node) {
+      node.scrollLeft = x;
+      node.scrollTop = y;
+    }
+  };
+
+  const rebuild = () => {
+    const doc = iframe.contentDocument;
+    doc.open();
+    doc.write('<!DOCTYPE html><html></html>');
+    doc.close();
+
+    nodes = new Map();
+    doc.replaceChild(buildNode(doc, recording.snapshot), doc.documentElement);
+    addBase(doc, recording.url);
+
+    applied = 0;
+    pointer = null;
+    lastClick = null;
+    built = true;
+    setViewport(recording.viewport);
+    if (recording.scroll) {
+      scrollNode(0, recording.scroll.x, recording.scroll.y);
+    }
+  };
+
+  const applyOp = (op) => {
+    if (op.op === 'add') {
+      const parent = nodes.get(op.parentId);
+      if (!parent) return;
+      const node = buildNode(iframe.contentDocument, op.node);
+      const next = op.nextId ? nodes.get(op.nextId) : null;
+      if (next && next.parentNode === parent) {
+        parent.insertBefore(node, next);
+      } else {
+        parent.appendChild(node);
+      }
+      return;
+    }
+
+    const node = nodes.get(op.id);
+    if (!node) return;
+
+    if (op.op === 'remove') {
+      node.remove();
+    } else if (op.op === 'attr') {
+      if (op.value === null) {
+        node.removeAttribute(op.name);
+      } else {
+        setAttribute(node, op.name, op.value);
+      }
+    } else if (op.op === 'text') {
+      node.data = op.text;
+    }
+  };
+
+  const applyEvent = (event) => {
+    switch (event.type) {
+      case 'mutation':
+        event.ops.forEach(applyOp);
+        break;
+      case 'input': {
+        const node = nodes.get(event.id);
+        if (!node) break;
+        if (event.checked !== undefined) {
+          node.checked = event.checked;
+        } else {
+          node.value = event.value;
+        }
+        break;
+      }
+      case 'scroll':
+        scrollNode(event.id, event.x, event.y);
+        break;
+      case 'viewport':
+        setViewport({ width: event.width, height: event.height });
+        break;
+      case 'click':
+        lastClick = event.timestamp;
+        pointer = { x: event.x, y: event.y };
+        break;
+      case 'pointer':
+        pointer = { x: event.x, y: event.y };
+        break;
+    }
+  };
+
+  const seek = (time) => {
+    time = Math.min(Math.max(0, time), duration);
+    if (!built || time < currentTime) {
+      rebuild();
+    }
+
+    const until = recording.startTime + time;
+    while (applied < events.length && events[applied].timestamp <= until) {
+      applyEvent(events[applied]);
+      applied++;
+    }
+    currentTime = time;
+
+    if (options.onPointer) {
+      options.onPointer(pointer && {
+        x: pointer.x,
+        y: pointer.y,
+        clicking: lastClick !== null && until - lastClick < CLICK_HIGHLIGHT_MS
+      });
+    }
+  };
+
+  return {
+    duration: duration,
+    seek: seek,
+    getTime: () => currentTime,
+    getViewport: () => viewport
+  };
+}
+
+/**
+ * Set an attribute, ignoring names the DOM API rejects (e.g. Vue's `@click`).
+ * @private
+ */
+function setAttribute(node, name, value) {
+  try {
+    node.setAttribute(name, value);
+  } catch (e) {
+    // Only the HTML parser accepts these names
+  }
+}
+
+/**
+ * Resolve relative URLs (srcset, CSS url()) against the recorded page.
+ * @private
+ */
+function addBase(doc, url) {
+  if (!url || !doc.head || doc.querySelector('base[href]')) return;
+  const base = doc.createElement('base');
+  base.href = url;
+  doc.head.insertBefore(base, doc.head.firstChild);
+}
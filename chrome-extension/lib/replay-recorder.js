@@ -0,0 +1,367 @@
+/**
+ * Replay Recorder Module
+ *
+ * Records a serialized DOM snapshot when a session starts, then the
+ * incremental changes after it (mutations, form values, scrolling, pointer
+ * movement and viewport size), so the Deep Inspection panel can play the
+ * session back visually. replay-player.js consumes this format.
+ *
+ * Replays must never run page code: scripts are captured as empty
+ * placeholders and inline event handlers, `javascript:` URLs and iframe
+ * sources are dropped. Password and other sensitive fields are masked
+ * like interaction-recorder.js masks them.
+ */
+
+/**
+ * @typedef {Object} ReplayNode
+ * @property {number} id - Node id, referenced by later events
+ * @property {number} type - DOM nodeType (1 element, 3 text, 8 comment)
+ * @property {string} [tag] - Lowercase tag name (elements)
+ * @property {string} [ns] - 'svg' for SVG elements
+ * @property {Record<string, string>} [attrs] - Attributes, URLs made absolute
+ * @property {string} [value] - Current value of inputs, textareas and selects
+ * @property {boolean} [checked] - Checked state of checkboxes and radios
+ * @property {string} [css] - Rules of a <style> element filled through the CSSOM
+ * @property {string} [text] - Text of text nodes
+ * @property {ReplayNode[]} [children] - Child nodes (elements)
+ */
+
+/**
+ * @typedef {Object} ReplayEvent
+ * @property {string} type - 'mutation' | 'input' | 'scroll' | 'pointer' | 'click' | 'viewport'
+ * @property {number} timestamp - When the event happened
+ * @property {Object[]} [ops] - Mutation operations, applied in order:
+ *   `{ op: 'add', parentId, nextId, node }`, `{ op: 'remove', id }`,
+ *   `{ op: 'attr', id, name, value }` (null removes) and `{ op: 'text', id, text }`
+ * @property {number} [id] - Target node of input and scroll events (0 = the window)
+ * @property {string} [value] - Input value
+ * @property {boolean} [checked] - Checkbox/radio state
+ * @property {number} [x] - Scroll offset or pointer position
+ * @property {number} [y] - Scroll offset or pointer position
+ * @property {number} [width] - Viewport width
+ * @property {number} [height] - Viewport height
+ */
+
+/**
+ * @typedef {Object} ReplayRecording
+ * @property {number} startTime - When the snapshot was taken
+ * @property {number} endTime - When recording stopped
+ * @property {string} url - Page URL at start, used to resolve relative URLs
+ * @property {{width: number, height: number}} viewport - Initial viewport size
+ * @property {{x: number, y: number}} scroll - Initial window scroll offset
+ * @property {ReplayNode} snapshot - Serialized <html> element
+ * @property {ReplayEvent[]} events - Changes after the snapshot
+ * @property {boolean} truncated - Whether recording stopped early at the event limit
+ */
+
+/**
+ * Returns injectable code that sets up replay recording in the page context.
+ * Must be injected AFTER session-recorder.js, which starts and stops it
+ * together with the session.
+ *
+ * @returns {string} JavaScript code to inject
+ */
+export function getReplayRecorderInjectorCode() {
+  return `
+    (function() {
+      // Don't inject twice
+      if (window.__AI_CONTEXT_REPLAY_INITIALIZED__) return;
+      window.__AI_CONTEXT_REPLAY_INITIALIZED__ = true;
+
+      var MAX_EVENTS = 10000;
+      var THROTTLE_MS = 100;
+      var SVG_NS = 'http://www.w3.org/2000/svg';
+      var SENSITIVE_FIELD = /email|phone|ssn|credit|card|cvv|pin/i;
+      var URL_ATTRIBUTES = ['src', 'href', 'poster', 'action'];
+
+      var nodeIds = new WeakMap();
+      var nextId = 1;
+      var recording = null;
+      var observer = null;
+      var timers = {};
+      var lastPointer = 0;
+
+      function idOf(node) {
+        return nodeIds.get(node) || null;
+      }
+
+      function isIgnored(node) {
+        return node.nodeType === 1 && node.hasAttribute('data-ai-context-extension');
+      }
+
+      function isIgnoredTarget(node) {
+        var element = node.nodeType === 1 ? node : node.parentElement;
+        if (!element) return false;
+        return !!element.closest('[data-ai-context-extension], script, noscript');
+      }
+
+      function maskValue(element, value) {
+        var sensitive = element.type === 'password' ||
+                        SENSITIVE_FIELD.test(element.name || '') ||
+                        SENSITIVE_FIELD.test(element.id || '');
+        return sensitive ? value.replace(/./g, '*') : value;
+      }
+
+      // Returns the value to record, or undefined to drop the attribute
+      function attributeValue(element, name, value) {
+        if (/^on/i.test(name) || name === 'srcdoc' || name === 'http-equiv') return undefined;
+        if (element.tagName === 'IFRAME' && name === 'src') return undefined;
+        if (/^\\s*javascript:/i.test(value)) return undefined;
+
+        if (URL_ATTRIBUTES.indexOf(name) !== -1) {
+          try {
+            return new URL(value, document.baseURI).href;
+          } catch (e) {
+            return value;
+          }
+        }
+        if (name === 'value' && element.tagName === 'INPUT') {
+          return maskValue(element, value);
+        }
+        return value;
+      }
+
+      function serialize(node) {
+        if (node.nodeType === 3) {
+          var textId = nextId++;
+          nodeIds.set(node, textId);
+          return { id: textId, type: 3, text: node.data };
+        }
+        if (node.nodeType === 8) {
+          var commentId = nextId++;
+          nodeIds.set(node, commentId);
+          return { id: commentId, type: 8 };
+        }
+        if (node.nodeType !== 1 || isIgnored(node)) return null;
+
+        var id = nextId++;
+        nodeIds.set(node, id);
+
+        var tag = node.tagName.toLowerCase();
+        var result = { id: id, type: 1, tag: tag, attrs: {}, children: [] };
+        if (node.namespaceURI === SVG_NS) {
+          result.ns = 'svg';
+        }
+
+        // Placeholders keep sibling positions without carrying any code
+        if (tag === 'script' || tag === 'noscript') {
+          return result;
+        }
+
+        Array.prototype.forEach.call(node.attributes, function(attr) {
+          var value = attributeValue(node, attr.name, attr.value);
+          if (value !== undefined) {
+            result.attrs[attr.name] = value;
+          }
+        });
+
+        if (tag === 'input' || tag === 'textarea' || tag === 'select') {
+          result.value = maskValue(node, String(node.value || ''));
+          if (node.type === 'checkbox' || node.type === 'radio') {
+            result.checked = node.checked;
+          }
+        }
+
+        // CSS-in-JS libraries insert rules through the CSSOM, leaving the tag empty
+        if (tag === 'style' && node.sheet && !node.textContent.trim()) {
+          try {
+            result.css = Array.prototype.map.call(node.sheet.cssRules, function(rule) {
+              return rule.cssText;
+            }).join('\\n');
+          } catch (e) {}
+        }
+
+        Array.prototype.forEach.call(node.childNodes, function(child) {
+          var serialized = serialize(child);
+          if (serialized) {
+            result.children.push(serialized);
+          }
+        });
+
+        return result;
+      }
+
+      function pushEvent(event) {
+        if (!recording || !observer) return;
+        event.timestamp = Date.now();
+        recording.events.push(event);
+        if (recording.events.length >= MAX_EVENTS) {
+          recording.truncated = true;
+          stopTracking();
+        }
+      }
+
+      // Trailing-edge throttle so the final position of a burst is kept
+      function throttle(key, callback) {
+        if (timers[key]) return;
+        timers[key] = setTimeout(function() {
+          delete timers[key];
+          callback();
+        }, THROTTLE_MS);
+      }
+
+      function nextKnownSibling(node) {
+        var sibling = node.nextSibling;
+        while (sibling && (!idOf(sibling) || isIgnored(sibling))) {
+          sibling = sibling.nextSibling;
+        }
+        return sibling ? idOf(sibling) : null;
+      }
+
+      function handleMutations(records) {
+        // Nodes serialized during this batch already reflect their final state
+        var batchStart = nextId;
+        var seen = {};
+        var ops = [];
+
+        records.forEach(function(record) {
+          var target = record.target;
+          var targetId = idOf(target);
+          if (!targetId || targetId >= batchStart || isIgnoredTarget(target)) return;
+
+          if (record.type === 'childList') {
+            Array.prototype.forEach.call(record.removedNodes, function(node) {
+              var id = idOf(node);
+              if (id && id < batchStart) {
+                ops.push({ op: 'remove', id: id });
+              }
+            });
+            Array.prototype.forEach.call(record.addedNodes, function(node) {
+              if (node.parentNode !== target) return;
+              var existing = idOf(node);
+              if (existing && existing >= batchStart) return;
+              var serialized = serialize(node);
+              if (serialized) {
+                ops.push({ op: 'add', parentId: targetId, nextId: nextKnownSibling(node), node: serialized });
+              }
+            });
+          } else if (record.type === 'attributes') {
+            var name = record.attributeName;
+            if (seen[targetId + ' ' + name]) return;
+            seen[targetId + ' ' + name] = true;
+
+            var raw = target.getAttribute(name);
+            var value = raw === null ? null : attributeValue(target, name, raw);
+            if (value !== undefined) {
+              ops.push({ op: 'attr', id: targetId, name: name, value: value });
+            }
+          } else if (record.type === 'characterData') {
+            if (seen[targetId]) return;
+            seen[targetId] = true;
+            ops.push({ op: 'text', id: targetId, text: target.data });
+          }
+        });
+
+        if (ops.length > 0) {
+          pushEvent({ type: 'mutation', ops: ops });
+        }
+      }
+
+      function onInput(event) {
+        var element = event.target;
+        var id = idOf(element);
+        if (!id || !('value' in element) || isIgnoredTarget(element)) return;
+
+        var entry = { type: 'input', id: id, value: maskValue(element, String(element.value || '')) };
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          entry.checked = element.checked;
+        }
+        pushEvent(entry);
+      }
+
+      function onScroll(event) {
+        var target = event.target;
+        var isWindow = target === document || target === document.documentElement || target === document.body;
+        var id = isWindow ? 0 : idOf(target);
+        if (id === null) return;
+
+        throttle('scroll-' + id, function() {
+          pushEvent({
+            type: 'scroll',
+            id: id,
+            x: Math.round(isWindow ? window.scrollX : target.scrollLeft),
+            y: Math.round(isWindow ? window.scrollY : target.scrollTop)
+          });
+        });
+      }
+
+      function onPointerMove(event) {
+        var now = Date.now();
+        if (now - lastPointer < THROTTLE_MS) return;
+        lastPointer = now;
+        pushEvent({ type: 'pointer', x: event.clientX, y: event.clientY });
+      }
+
+      function onClick(event) {
+        pushEvent({ type: 'click', x: event.clientX, y: event.clientY });
+      }
+
+      function onResize() {
+        throttle('viewport', function() {
+          pushEvent({ type: 'viewport', width: window.innerWidth, height: window.innerHeight });
+        });
+      }
+
+      function stopTracking() {
+        if (observer) {
+          observer.disconnect();
+          observer = null;
+        }
+        document.removeEventListener('input', onInput, true);
+        document.removeEventListener('change', onInput, true);
+        document.removeEventListener('scroll', onScroll, true);
+        document.removeEventListener('mousemove', onPointerMove, true);
+        document.removeEventListener('click', onClick, true);
+        window.removeEventListener('resize', onResize);
+        Object.keys(timers).forEach(function(key) {
+          clearTimeout(timers[key]);
+        });
+        timers = {};
+      }
+
+      window.__AI_CONTEXT_REPLAY_START__ = function() {
+        stopTracking();
+        nodeIds = new WeakMap();
+        nextId = 1;
+
+        recording = {
+          startTime: Date.now(),
+          endTime: null,
+          url: location.href,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) },
+          snapshot: serialize(document.documentElement),
+          events: [],
+          truncated: false
+        };
+
+        observer = new MutationObserver(handleMutations);
+        observer.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true
+        });
+        document.addEventListener('input', onInput, true);
+        document.addEventListener('change', onInput, true);
+        document.addEventListener('scroll', onScroll, true);
+        document.addEventListener('mousemove', onPointerMove, true);
+        document.addEventListener('click', onClick, true);
+        window.addEventListener('resize', onResize);
+      };
+
+      window.__AI_CONTEXT_REPLAY_STOP__ = function() {
+        if (!recording) return null;
+        if (observer) {
+          handleMutations(observer.takeRecords());
+        }
+        stopTracking();
+
+        var result = recording;
+        result.endTime = Date.now();
+        recording = null;
+        return result;
+      };
+    })();
+  `;
+}
@@ -0,0 +1,108 @@
+/**
+ * Screenshot Capture Module
+ *
+ * Captures the visible area of a tab and crops it to the bounding rect of
+ * the picked element. Runs in the background service worker, which has
+ * access to chrome.tabs.captureVisibleTab and OffscreenCanvas.
+ */
+
+import { SCREENSHOT_PADDING } from './constants.js';
+
+/**
+ * @typedef {Object} ElementScreenshot
+ * @property {string} dataUrl - PNG image as a base64 data URL
+ * @property {number} width - Image width in device pixels
+ * @property {number} height - Image height in device pixels
+ */
+
+/**
+ * Captures the visible tab in the given window and crops it to an element.
+ *
+ * @param {number} windowId - ID of the window whose active tab is captured
+ * @param {Object} rect - Element rect from getBoundingRect() (CSS pixels)
+ * @returns {Promise<ElementScreenshot|null>} Cropped screenshot, or null if
+ *   the element is not visible in the viewport
+ */
+export async function captureElementScreenshot(windowId, rect) {
+  if (!rect || rect.width <= 0 || rect.height <= 0) return null;
+
+  const tabDataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  return cropScreenshot(tabDataUrl, rect);
+}
+
+/**
+ * Captures the visible tab once and crops it to several elements, so a
+ * multi-element report stays within the captureVisibleTab rate limit.
+ *
+ * @param {number} windowId - ID of the window whose active tab is captured
+ * @param {Object[]} rects - Element rects from getBoundingRect() (CSS pixels)
+ * @returns {Promise<Array<ElementScreenshot|null>>} One screenshot per rect,
+ *   null for elements outside the viewport
+ */
+export async function captureElementScreenshots(windowId, rects) {
+  const visible = rects.filter(rect => rect && rect.width > 0 && rect.height > 0);
+  if (visible.length === 0) return rects.map(() => null);
+
+  const tabDataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  const screenshots = [];
+  for (const rect of rects) {
+    screenshots.push(rect && rect.width > 0 && rect.height > 0
+      ? await cropScreenshot(tabDataUrl, rect)
+      : null);
+  }
+  return screenshots;
+}
+
+/**
+ * Crops a full-viewport screenshot to an element rect.
+ * The rect is padded slightly and clipped to the viewport.
+ *
+ * @param {string} dataUrl - Full viewport screenshot as a data URL
+ * @param {Object} rect - Element rect from getBoundingRect() (CSS pixels)
+ * @returns {Promise<ElementScreenshot|null>} Cropped screenshot or null
+ */
+export async function cropScreenshot(dataUrl, rect) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+
+  // Screenshot is in device pixels; rect is in CSS pixels
+  const scale = rect.viewportWidth ? bitmap.width / rect.viewportWidth : 1;
+
+  const left = Math.max(0, (rect.left - SCREENSHOT_PADDING) * scale);
+  const top = Math.max(0, (rect.top - SCREENSHOT_PADDING) * scale);
+  const right = Math.min(bitmap.width, (rect.left + rect.width + SCREENSHOT_PADDING) * scale);
+  const bottom = Math.min(bitmap.height, (rect.top + rect.height + SCREENSHOT_PADDING) * scale);
+
+  const width = Math.round(right - left);
+  const height = Math.round(bottom - top);
+
+  if (width <= 0 || height <= 0) {
+    bitmap.close();
+    return null;
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, Math.round(left), Math.round(top), width, height, 0, 0, width, height);
+  bitmap.close();
+
+  const cropped = await canvas.convertToBlob({ type: 'image/png' });
+  return {
+    dataUrl: 'data:image/png;base64,' + arrayBufferToBase64(await cropped.arrayBuffer()),
+    width: width,
+    height: height
+  };
+}
+
+/**
+ * Base64-encode an ArrayBuffer without blowing the call stack on large images.
+ * @private
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
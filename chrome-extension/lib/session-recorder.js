@@ -8,6 +8,8 @@
  * an issue, not just the final state.
  */
 
+import { getHeaderUtilsCode } from './network-capture.js';
+
 /**
  * @typedef {Object} SessionSnapshot
  * @property {string} label - User-provided label for this snapshot
@@ -33,6 +35,8 @@
  * @property {number} status - Response status code
  * @property {string} [requestBody] - Request body (truncated)
  * @property {string} [responseBody] - Response body (truncated)
+ * @property {Record<string, string>} [requestHeaders] - Request headers set by the page (lowercased names)
+ * @property {Record<string, string>} [responseHeaders] - Response headers visible to the page
  * @property {number} duration - Request duration in ms
  * @property {number} timestamp - When request started
  * @property {boolean} failed - Whether request failed
@@ -47,6 +51,19 @@
  * @property {number} timestamp - When interaction occurred
  */
 
+/**
+ * @typedef {Object} MutationEntry
+ * @property {string} type - 'added' | 'removed' | 'attribute' | 'overflow'
+ * @property {string} target - Selector of the changed element (added/removed node for childList changes)
+ * @property {string} [parent] - Selector of the parent the node was added to or removed from
+ * @property {string} [text] - Text content of an added or removed node (truncated)
+ * @property {string} [attribute] - Changed attribute name
+ * @property {string|null} [oldValue] - Attribute value before the first change in the batch
+ * @property {string|null} [value] - Attribute value after the batch
+ * @property {number} count - How many identical changes were merged into this entry
+ * @property {number} timestamp - When the first merged change happened
+ */
+
 /**
  * @typedef {Object} CaptureSession
  * @property {string} sessionId - Unique session identifier
@@ -59,6 +76,8 @@
  * @property {ConsoleEntry[]} consoleLog - Console entries
  * @property {NetworkEntry[]} networkLog - Network requests
  * @property {InteractionEntry[]} interactions - User interactions
+ * @property {MutationEntry[]} mutations - Summarized DOM changes
+ * @property {Object|null} [replay] - Visual replay recording (see replay-recorder.js)
  * @property {string} [comment] - User comment about the session
  * @property {boolean} isRecording - Whether session is actively recording
  */
@@ -89,13 +108,14 @@ export function getSessionRecorderInjectorCode() {
         consoleLog: [],
         networkLog: [],
         interactions: [],
+        mutations: [],
         snapshots: []
       };
 
       var session = window.__AI_CONTEXT_SESSION__;
       var MAX_ENTRIES = 200;
       var MAX_BODY = 5000;
-
+${getHeaderUtilsCode()}
       // Store original console methods
       var originalConsole = {
         log: console.log,
@@ -202,6 +222,10 @@ export function getSessionRecorderInjectorCode() {
         var url = typeof input === 'string' ? input : (input.url || String(input));
         var method = (init && init.method) || (input.method) || 'GET';
         var requestBody = null;
+        var requestHeaders = Object.assign(
+          input instanceof Request ? headersToObject(input.headers) : {},
+          headersToObject(init && init.headers)
+        );
 
         if (init && init.body) {
           try {
@@ -220,6 +244,8 @@ export function getSessionRecorderInjectorCode() {
               url: url.substring(0, 500),
               method: method.toUpperCase(),
               status: response.status,
+              requestHeaders: requestHeaders,
+              responseHeaders: headersToObject(response.headers),
               requestBody: requestBody,
               responseBody: null,
               duration: Date.now() - startTime,
@@ -244,6 +270,8 @@ export function getSessionRecorderInjectorCode() {
               url: url.substring(0, 500),
               method: method.toUpperCase(),
               status: 0,
+              requestHeaders: requestHeaders,
+              responseHeaders: {},
               requestBody: requestBody,
               responseBody: null,
               duration: Date.now() - startTime,
@@ -258,13 +286,22 @@ export function getSessionRecorderInjectorCode() {
       // Enhanced XHR capture
       var XHROpen = XMLHttpRequest.prototype.open;
       var XHRSend = XMLHttpRequest.prototype.send;
+      var XHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
 
       XMLHttpRequest.prototype.open = function(method, url) {
         this._sessionMethod = method;
         this._sessionUrl = url;
+        this._sessionHeaders = {};
         return XHROpen.apply(this, arguments);
       };
 
+      XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        if (this._sessionHeaders) {
+          addHeader(this._sessionHeaders, name, value);
+        }
+        return XHRSetRequestHeader.apply(this, arguments);
+      };
+
       XMLHttpRequest.prototype.send = function(body) {
         var xhr = this;
         if (!session.isRecording) {
@@ -294,6 +331,8 @@ export function getSessionRecorderInjectorCode() {
             url: (xhr._sessionUrl || '').substring(0, 500),
             method: (xhr._sessionMethod || 'GET').toUpperCase(),
             status: xhr.status,
+            requestHeaders: xhr._sessionHeaders || {},
+            responseHeaders: parseRawHeaders(xhr.getAllResponseHeaders()),
             requestBody: requestBody,
             responseBody: responseBody,
             duration: Date.now() - startTime,
@@ -309,6 +348,179 @@ export function getSessionRecorderInjectorCode() {
         return XHRSend.apply(this, arguments);
       };
 
+      // DOM mutation tracking
+      // Changes are batched, merged per element and flushed at most every
+      // MUTATION_FLUSH_MS so animations don't flood the log
+      var MAX_MUTATIONS = 300;
+      var MAX_MUTATIONS_PER_FLUSH = 20;
+      var MAX_PENDING_MUTATIONS = 2000;
+      var MUTATION_FLUSH_MS = 250;
+      var mutationObserver = null;
+      var pendingMutations = [];
+      var droppedMutations = 0;
+      var mutationFlushTimer = null;
+
+      function describeNode(node) {
+        if (!node || node.nodeType !== 1) return null;
+        if (node === document.body) return 'body';
+        if (node === document.documentElement) return 'html';
+        if (node.id) return '#' + CSS.escape(node.id);
+
+        var selector = node.tagName.toLowerCase();
+        var testId = node.getAttribute('data-testid');
+        if (testId) return selector + '[data-testid="' + testId + '"]';
+
+        var classes = Array.from(node.classList || []).slice(0, 2);
+        if (classes.length > 0) {
+          selector += '.' + classes.map(function(c) { return CSS.escape(c); }).join('.');
+        }
+        var role = node.getAttribute('role');
+        if (role) {
+          selector += '[role="' + role + '"]';
+        }
+        return selector.length > 80 ? selector.substring(0, 77) + '...' : selector;
+      }
+
+      function nodeText(node) {
+        var text = (node.textContent || '').replace(/\\s+/g, ' ').trim();
+        return text ? text.substring(0, 60) : null;
+      }
+
+      function truncateValue(value) {
+        if (value === null || value === undefined) return null;
+        return value.length > 100 ? value.substring(0, 97) + '...' : value;
+      }
+
+      function isIgnoredNode(node) {
+        if (!node || node.nodeType !== 1) return true;
+        if (/^(SCRIPT|STYLE|LINK|META|NOSCRIPT)$/.test(node.tagName)) return true;
+        return !!(node.closest && node.closest('[data-ai-context-extension]'));
+      }
+
+      function flushMutations() {
+        clearTimeout(mutationFlushTimer);
+        mutationFlushTimer = null;
+
+        var pending = pendingMutations;
+        var dropped = droppedMutations;
+        pendingMutations = [];
+        droppedMutations = 0;
+        if (!session.isRecording) return;
+
+        var grouped = {};
+        var order = [];
+
+        function merge(key, entry, time) {
+          if (grouped[key]) {
+            grouped[key].count++;
+            return;
+          }
+          entry.count = 1;
+          entry.timestamp = time;
+          grouped[key] = entry;
+          order.push(key);
+        }
+
+        pending.forEach(function(item) {
+          var record = item.record;
+          if (isIgnoredNode(record.target)) return;
+          var parent = describeNode(record.target);
+
+          if (record.type === 'attributes') {
+            // Never log what is typed into password fields
+            if (record.attributeName === 'value' && record.target.type === 'password') return;
+            merge('attribute|' + parent + '|' + record.attributeName, {
+              type: 'attribute',
+              target: parent,
+              attribute: record.attributeName,
+              oldValue: truncateValue(record.oldValue),
+              value: truncateValue(record.target.getAttribute(record.attributeName))
+            }, item.time);
+            return;
+          }
+
+          ['added', 'removed'].forEach(function(type) {
+            var nodes = type === 'added' ? record.addedNodes : record.removedNodes;
+            Array.prototype.forEach.call(nodes, function(node) {
+              if (isIgnoredNode(node)) return;
+              var target = describeNode(node);
+              merge(type + '|' + parent + '|' + target, {
+                type: type,
+                target: target,
+                parent: parent,
+                text: nodeText(node)
+              }, item.time);
+            });
+          });
+        });
+
+        var entries = order.map(function(key) { return grouped[key]; });
+        if (entries.length > MAX_MUTATIONS_PER_FLUSH) {
+          dropped += entries.length - MAX_MUTATIONS_PER_FLUSH;
+          entries = entries.slice(0, MAX_MUTATIONS_PER_FLUSH);
+        }
+        if (dropped > 0) {
+          entries.push({
+            type: 'overflow',
+            target: 'document',
+            count: dropped,
+            timestamp: pending.length > 0 ? pending[pending.length - 1].time : Date.now()
+          });
+        }
+
+        entries.forEach(function(entry) {
+          session.mutations.push(entry);
+          if (session.mutations.length > MAX_MUTATIONS) {
+            session.mutations.shift();
+          }
+        });
+      }
+
+      // Changes that only touch ignored nodes, such as the extension's own
+      // (the reference iframe of getDefaultStyles, capture overlays)
+      function isIgnoredRecord(record) {
+        if (isIgnoredNode(record.target)) return true;
+        if (record.type !== 'childList') return false;
+        return Array.prototype.every.call(record.addedNodes, isIgnoredNode) &&
+          Array.prototype.every.call(record.removedNodes, isIgnoredNode);
+      }
+
+      function queueMutations(records) {
+        var time = Date.now();
+        records.forEach(function(record) {
+          // Dropped here so they never take up the pending buffer
+          if (isIgnoredRecord(record)) return;
+          if (pendingMutations.length >= MAX_PENDING_MUTATIONS) {
+            droppedMutations++;
+          } else {
+            pendingMutations.push({ record: record, time: time });
+          }
+        });
+        if (!mutationFlushTimer) {
+          mutationFlushTimer = setTimeout(flushMutations, MUTATION_FLUSH_MS);
+        }
+      }
+
+      function startMutationTracking() {
+        if (mutationObserver || typeof MutationObserver === 'undefined') return;
+        mutationObserver = new MutationObserver(queueMutations);
+        mutationObserver.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeOldValue: true
+        });
+      }
+
+      function stopMutationTracking() {
+        if (!mutationObserver) return;
+        // Deliver changes the observer has not reported yet
+        queueMutations(mutationObserver.takeRecords());
+        mutationObserver.disconnect();
+        mutationObserver = null;
+        flushMutations();
+      }
+
       // Session control functions
       window.__AI_CONTEXT_START_SESSION__ = function(sessionId) {
         session.isRecording = true;
@@ -317,12 +529,20 @@ export function getSessionRecorderInjectorCode() {
         session.consoleLog = [];
         session.networkLog = [];
         session.interactions = [];
+        session.mutations = [];
         session.snapshots = [];
+        startMutationTracking();
+        // Visual replay is optional; see replay-recorder.js
+        if (window.__AI_CONTEXT_REPLAY_START__) {
+          window.__AI_CONTEXT_REPLAY_START__();
+        }
         console.info('[AI Context] Recording session started: ' + session.sessionId);
         return session.sessionId;
       };
 
       window.__AI_CONTEXT_STOP_SESSION__ = function() {
+        stopMutationTracking();
+        var replay = window.__AI_CONTEXT_REPLAY_STOP__ ? window.__AI_CONTEXT_REPLAY_STOP__() : null;
         session.isRecording = false;
         session.endTime = Date.now();
         console.info('[AI Context] Recording session stopped');
@@ -334,7 +554,9 @@ export function getSessionRecorderInjectorCode() {
           consoleLog: session.consoleLog,
           networkLog: session.networkLog,
           interactions: session.interactions,
-          snapshots: session.snapshots
+          mutations: session.mutations,
+          snapshots: session.snapshots,
+          replay: replay
         };
       };
 
@@ -385,6 +607,7 @@ export function getSessionRecorderInjectorCode() {
           consoleCount: session.consoleLog.length,
           networkCount: session.networkLog.length,
           interactionCount: session.interactions.length,
+          mutationCount: session.mutations.length,
           snapshotCount: session.snapshots.length
         };
       };
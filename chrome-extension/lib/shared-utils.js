@@ -15,7 +15,22 @@ import {
   MAX_OBJECT_DEPTH,
   MAX_OBJECT_KEYS,
   MAX_ARRAY_LENGTH,
-  COMPUTED_STYLE_PROPERTIES
+  MAX_HTML_LENGTH,
+  MAX_ATTR_LENGTH,
+  STYLE_PROFILES,
+  DEFAULT_STYLE_PROFILE,
+  DEFAULT_CONTEXT_RADIUS,
+  MAX_CONTEXT_CLASSES,
+  CONTEXT_LAYOUT_PROPERTIES,
+  MAX_CUSTOM_PROPERTIES,
+  MAX_TOKEN_MATCHES,
+  DESIGN_TOKENS_ELEMENT_ID,
+  MAX_A11Y_NODES,
+  MAX_A11Y_VIOLATIONS,
+  ARIA_ROLES,
+  ARIA_NAME_FROM_CONTENT_ROLES,
+  ARIA_REQUIRED_ATTRIBUTES,
+  IMPLICIT_ARIA_ROLES
 } from './constants.js';
 
 // ========== SANITIZATION FUNCTIONS ==========
@@ -205,20 +220,90 @@ export function getXPath(el) {
  * Extracts computed styles for an element.
  *
  * @param {Element} el - Target element
+ * @param {Object} [options] - Style options
+ * @param {string} [options.profile] - Name of a STYLE_PROFILES entry (default: 'default')
+ * @param {boolean} [options.nonDefaultOnly] - Leave out values equal to the browser default for the tag
  * @returns {Object} Key-value pairs of computed styles
  */
-export function getComputedStyles(el) {
+export function getComputedStyles(el, options = {}) {
+  const profile = STYLE_PROFILES[options.profile] || STYLE_PROFILES[DEFAULT_STYLE_PROFILE];
   const computed = window.getComputedStyle(el);
+  const properties = profile.properties || Array.from(computed);
+  const defaults = options.nonDefaultOnly || !profile.properties ? getDefaultStyles(el) : null;
   const result = {};
 
-  for (let i = 0; i < COMPUTED_STYLE_PROPERTIES.length; i++) {
-    const prop = COMPUTED_STYLE_PROPERTIES[i];
-    result[prop] = computed.getPropertyValue(prop);
+  for (let i = 0; i < properties.length; i++) {
+    const prop = properties[i];
+    const value = computed.getPropertyValue(prop);
+    if (defaults && defaults[prop] === value) continue;
+    result[prop] = value;
   }
 
   return result;
 }
 
+// Browser default styles per tag, computed once per page
+const defaultStylesCache = {};
+
+/**
+ * Gets the browser's default computed styles for an element's tag, read
+ * from a fresh element of the same tag in a blank, unstyled iframe.
+ *
+ * @param {Element} el - Element whose tag to look up
+ * @returns {Object} Key-value pairs of every computed property and every
+ *   STYLE_PROFILES property
+ */
+export function getDefaultStyles(el) {
+  const key = el.namespaceURI + ' ' + el.localName;
+  if (defaultStylesCache[key]) return defaultStylesCache[key];
+
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('data-ai-context-extension', '');
+  iframe.style.cssText = 'position: absolute; width: 0; height: 0; border: 0; visibility: hidden;';
+  (document.body || document.documentElement).appendChild(iframe);
+
+  const styles = {};
+  try {
+    const doc = iframe.contentDocument;
+    const reference = doc.createElementNS(el.namespaceURI, el.localName);
+    doc.body.appendChild(reference);
+    const computed = iframe.contentWindow.getComputedStyle(reference);
+    for (let i = 0; i < computed.length; i++) {
+      styles[computed[i]] = computed.getPropertyValue(computed[i]);
+    }
+    // Shorthands such as `gap` are not enumerated; read profile properties by name
+    Object.keys(STYLE_PROFILES).forEach(name => {
+      (STYLE_PROFILES[name].properties || []).forEach(prop => {
+        styles[prop] = computed.getPropertyValue(prop);
+      });
+    });
+  } finally {
+    iframe.remove();
+  }
+
+  defaultStylesCache[key] = styles;
+  return styles;
+}
+
+/**
+ * Gets the element's bounding rect in viewport (CSS) pixels, along with
+ * the viewport size so screenshots can be scaled to device pixels.
+ *
+ * @param {Element} el - Target element
+ * @returns {Object} Rect with top, left, width, height, viewportWidth, viewportHeight
+ */
+export function getBoundingRect(el) {
+  const rect = el.getBoundingClientRect();
+  return {
+    top: Math.round(rect.top),
+    left: Math.round(rect.left),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight
+  };
+}
+
 /**
  * Gets a short identifier for an element (tag + id/class).
  *
@@ -311,6 +396,592 @@ export function getEventListenerTypes(el) {
   return listeners;
 }
 
+/**
+ * Extracts the layout styles that matter for a context node, leaving out
+ * properties still at their initial value.
+ *
+ * @param {Element} el - Target element
+ * @returns {Object} Key-value pairs of layout styles
+ */
+export function getLayoutStyles(el) {
+  const computed = window.getComputedStyle(el);
+  const result = {};
+
+  Object.keys(CONTEXT_LAYOUT_PROPERTIES).forEach(prop => {
+    const value = computed.getPropertyValue(prop);
+    if (value && value !== CONTEXT_LAYOUT_PROPERTIES[prop]) {
+      result[prop] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Serializes the parent element with its children one level deep: child
+ * elements keep their attributes, but their content is reduced to a short
+ * text preview (or an ellipsis when they have children of their own).
+ *
+ * @param {Element} el - Target element
+ * @param {number} maxLength - Max length before truncation
+ * @returns {string|null} Trimmed outerHTML of the parent, or null without a parent
+ */
+export function getParentHtml(el, maxLength = MAX_HTML_LENGTH) {
+  const parent = el.parentElement;
+  if (!parent) return null;
+
+  const clone = shallowClone(parent);
+  for (let i = 0; i < parent.children.length; i++) {
+    const child = parent.children[i];
+    const childClone = shallowClone(child);
+    const tag = child.tagName;
+
+    if (tag !== 'SCRIPT' && tag !== 'STYLE') {
+      if (child.children.length > 0) {
+        childClone.textContent = '...';
+      } else {
+        const text = (child.textContent || '').trim().replace(/\s+/g, ' ');
+        childClone.textContent = text.length > 40 ? text.substring(0, 40) + '...' : text;
+      }
+    }
+    clone.appendChild(childClone);
+  }
+
+  const html = clone.outerHTML;
+  return html.length > maxLength ? html.substring(0, maxLength) + '...' : html;
+}
+
+/**
+ * Captures the layout context around an element: its ancestor chain and
+ * nearest siblings with their layout styles, plus the trimmed parent HTML.
+ *
+ * @param {Element} el - Target element
+ * @param {number} radius - Ancestor levels, and siblings on each side, to include
+ * @returns {Object|null} Context, or null when radius is 0 or there is no parent:
+ *   ancestors (nearest first), previousSiblings and nextSiblings (document
+ *   order), index (position among the parent's children), siblingCount and
+ *   parentHtml
+ */
+export function getElementContext(el, radius = DEFAULT_CONTEXT_RADIUS) {
+  if (!radius || !el.parentElement) return null;
+
+  const ancestors = [];
+  let current = el.parentElement;
+  while (current && ancestors.length < radius) {
+    ancestors.push(describeContextNode(current));
+    current = current.parentElement;
+  }
+
+  const siblings = Array.from(el.parentElement.children);
+  const index = siblings.indexOf(el);
+
+  return {
+    ancestors: ancestors,
+    previousSiblings: siblings.slice(Math.max(0, index - radius), index).map(describeContextNode),
+    nextSiblings: siblings.slice(index + 1, index + 1 + radius).map(describeContextNode),
+    index: index,
+    siblingCount: siblings.length,
+    parentHtml: getParentHtml(el)
+  };
+}
+
+/**
+ * Extracts the CSS custom properties in scope for an element, including
+ * those inherited from ancestors.
+ *
+ * @param {Element} el - Target element
+ * @returns {Object} Key-value pairs of custom properties (at most MAX_CUSTOM_PROPERTIES)
+ */
+export function getCustomProperties(el) {
+  const computed = window.getComputedStyle(el);
+  const result = {};
+  let count = 0;
+
+  for (let i = 0; i < computed.length && count < MAX_CUSTOM_PROPERTIES; i++) {
+    const prop = computed[i];
+    if (!prop.startsWith('--')) continue;
+    const value = computed.getPropertyValue(prop).trim();
+    result[prop] = value.length > MAX_STRING_LENGTH ? value.substring(0, MAX_STRING_LENGTH) + '...' : value;
+    count++;
+  }
+
+  return result;
+}
+
+/**
+ * Maps style values to the names of design tokens registered through the
+ * SDK. Colors and lengths are compared in computed form, so a "#2563eb"
+ * token matches "rgb(37, 99, 235)" and a "1rem" token matches "16px".
+ *
+ * @param {Object} styles - Key-value pairs of styles or custom properties
+ * @returns {Object|null} Property names mapped to matching token names (at
+ *   most MAX_TOKEN_MATCHES each), or null when the page registered no tokens
+ */
+export function matchDesignTokens(styles) {
+  const tokens = readDesignTokens();
+  if (!tokens) return null;
+
+  const probe = document.createElement('div');
+  probe.setAttribute('data-ai-context-extension', '');
+  probe.style.cssText = 'position: absolute; visibility: hidden;';
+  document.documentElement.appendChild(probe);
+
+  const result = {};
+  try {
+    const index = {};
+    Object.keys(tokens).forEach(name => {
+      const value = normalizeStyleValue(probe, tokens[name]);
+      if (value) (index[value] = index[value] || []).push(name);
+    });
+    Object.keys(styles).forEach(prop => {
+      const names = index[normalizeStyleValue(probe, styles[prop])];
+      if (names) result[prop] = names.slice(0, MAX_TOKEN_MATCHES);
+    });
+  } finally {
+    probe.remove();
+  }
+
+  return result;
+}
+
+/**
+ * Tag, id, classes and layout styles of an ancestor or sibling.
+ * @private
+ */
+function describeContextNode(el) {
+  const classes = el.className && typeof el.className === 'string'
+    ? el.className.trim().split(/\s+/).filter(c => c)
+    : [];
+  return {
+    tag: el.tagName.toLowerCase(),
+    id: el.id || null,
+    classes: classes.slice(0, MAX_CONTEXT_CLASSES),
+    styles: getLayoutStyles(el)
+  };
+}
+
+/**
+ * Copy of an element without children, long attribute values truncated.
+ * @private
+ */
+function shallowClone(el) {
+  const clone = el.cloneNode(false);
+  for (let i = 0; i < clone.attributes.length; i++) {
+    const attr = clone.attributes[i];
+    if (attr.value.length > MAX_ATTR_LENGTH) {
+      attr.value = attr.value.substring(0, MAX_ATTR_LENGTH) + '...';
+    }
+  }
+  return clone;
+}
+
+/**
+ * Flat token map published by the SDK, or null.
+ * @private
+ */
+function readDesignTokens() {
+  const script = document.getElementById(DESIGN_TOKENS_ELEMENT_ID);
+  if (!script) return null;
+  try {
+    const tokens = JSON.parse(script.textContent);
+    return tokens && typeof tokens === 'object' && Object.keys(tokens).length > 0 ? tokens : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Comparable form of a style value: colors and lengths as the browser
+ * computes them on a probe element, anything else lowercased. Zero lengths
+ * and CSS-wide keywords are not matched.
+ * @private
+ */
+function normalizeStyleValue(probe, value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value).trim();
+  if (!text || /^(inherit|initial|unset|revert|revert-layer|currentcolor)$/i.test(text)) return '';
+
+  probe.style.color = '';
+  probe.style.color = text;
+  if (probe.style.color) return window.getComputedStyle(probe).color;
+
+  if (/^-?(\d+|\d*\.\d+)(px|rem|em|pt)$/.test(text)) {
+    probe.style.marginLeft = text;
+    const length = window.getComputedStyle(probe).marginLeft;
+    return length === '0px' ? '' : length;
+  }
+
+  return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+// ========== ACCESSIBILITY ==========
+
+/**
+ * Audits an element's accessibility: role, accessible name, states, ARIA
+ * attributes, keyboard focusability and text contrast, plus rule
+ * violations in the element and its subtree.
+ *
+ * The accessible name follows the main steps of the accname algorithm
+ * (aria-labelledby, aria-label, native labels and alt text, content, title)
+ * rather than all of it.
+ *
+ * @param {Element} el - Target element
+ * @returns {Object} role, name, states, ariaAttributes, tabIndex, focusable,
+ *   contrast (null for elements without text), violations (at most
+ *   MAX_A11Y_VIOLATIONS) and violationCount (all violations found)
+ */
+export function getAccessibilityInfo(el) {
+  const nodes = [el].concat(Array.from(el.querySelectorAll('*')).slice(0, MAX_A11Y_NODES - 1));
+  const violations = [];
+  let violationCount = 0;
+
+  nodes.forEach(node => {
+    if (node.closest('[data-ai-context-extension]')) return;
+    getA11yViolations(node).forEach(violation => {
+      violationCount++;
+      if (violations.length < MAX_A11Y_VIOLATIONS) violations.push(violation);
+    });
+  });
+
+  return {
+    role: getRole(el),
+    name: truncateName(getAccessibleName(el)),
+    states: getAccessibleStates(el),
+    ariaAttributes: getAriaAttributes(el),
+    tabIndex: el.tabIndex,
+    focusable: isFocusable(el),
+    contrast: (el.textContent || '').trim() ? getTextContrast(el) : null,
+    violations: violations,
+    violationCount: violationCount
+  };
+}
+
+/**
+ * Explicit role (first token of the role attribute) or the implicit role
+ * of the element.
+ * @private
+ */
+function getRole(el) {
+  const explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicit) return explicit;
+
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'a' || tag === 'area') return el.hasAttribute('href') ? 'link' : null;
+  if (tag === 'img') return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+  if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'input') {
+    const type = (el.getAttribute('type') || 'text').toLowerCase();
+    const role = IMPLICIT_ARIA_ROLES['input:' + type] || null;
+    return role === 'textbox' && el.hasAttribute('list') ? 'combobox' : role;
+  }
+  return IMPLICIT_ARIA_ROLES[tag] || null;
+}
+
+/**
+ * Accessible name of an element, or '' when it has none.
+ * @private
+ */
+function getAccessibleName(el) {
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').trim();
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .map(ref => (ref.getAttribute('aria-label') || '').trim() || getContentText(ref))
+      .join(' ')
+      .trim();
+    if (text) return text;
+  }
+
+  const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) return ariaLabel;
+
+  const tag = el.tagName;
+  const type = (el.getAttribute('type') || '').toLowerCase();
+  if (tag === 'INPUT' && (type === 'submit' || type === 'reset' || type === 'button')) {
+    if (el.value) return el.value;
+    if (type !== 'button') return type === 'submit' ? 'Submit' : 'Reset';
+  } else if (tag === 'INPUT' && type === 'image') {
+    if (el.getAttribute('alt')) return el.getAttribute('alt').trim();
+  } else if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+    const labels = Array.from(el.labels || []).map(getContentText).join(' ').trim();
+    if (labels) return labels;
+  } else if (tag === 'IMG' || tag === 'AREA') {
+    const alt = (el.getAttribute('alt') || '').trim();
+    if (alt) return alt;
+  } else if (tag === 'FIELDSET' || tag === 'TABLE' || tag === 'FIGURE') {
+    const caption = el.querySelector(tag === 'FIELDSET' ? 'legend' : tag === 'TABLE' ? 'caption' : 'figcaption');
+    if (caption && getContentText(caption)) return getContentText(caption);
+  }
+
+  if (ARIA_NAME_FROM_CONTENT_ROLES.indexOf(getRole(el)) !== -1) {
+    const text = getContentText(el);
+    if (text) return text;
+  }
+
+  return (el.getAttribute('title') || el.getAttribute('placeholder') || '').trim();
+}
+
+/**
+ * Text of an element's rendered content, using aria-label and alt text of
+ * descendants and skipping hidden ones.
+ * @private
+ */
+function getContentText(el) {
+  let text = '';
+  el.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent;
+    } else if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('aria-hidden') !== 'true' && !isHidden(child)) {
+      const label = (child.getAttribute('aria-label') || '').trim();
+      const content = label || (child.tagName === 'IMG' ? child.getAttribute('alt') || '' : getContentText(child));
+      // Block-level children separate words; inline ones do not
+      text += window.getComputedStyle(child).display.indexOf('inline') === 0 ? content : ' ' + content + ' ';
+    }
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Truncate long accessible names, e.g. from large link content.
+ * @private
+ */
+function truncateName(name) {
+  return name.length > MAX_STRING_LENGTH ? name.substring(0, MAX_STRING_LENGTH) + '...' : name;
+}
+
+/**
+ * States from native properties and ARIA attributes; only states that
+ * apply are included.
+ * @private
+ */
+function getAccessibleStates(el) {
+  const states = {};
+  const aria = name => el.getAttribute('aria-' + name);
+  const tristate = value => (value === 'mixed' ? 'mixed' : value === 'true');
+  const checkable = el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio');
+
+  if (el.disabled || aria('disabled') === 'true') states.disabled = true;
+  if (checkable) {
+    states.checked = el.indeterminate ? 'mixed' : el.checked;
+  } else if (aria('checked') !== null) {
+    states.checked = tristate(aria('checked'));
+  }
+  if (aria('pressed') !== null) states.pressed = tristate(aria('pressed'));
+  if (aria('expanded') !== null) {
+    states.expanded = aria('expanded') === 'true';
+  } else if (el.tagName === 'DETAILS') {
+    states.expanded = el.open;
+  }
+  if (el.tagName === 'OPTION') {
+    states.selected = el.selected;
+  } else if (aria('selected') !== null) {
+    states.selected = aria('selected') === 'true';
+  }
+  if (el.required || aria('required') === 'true') states.required = true;
+  if (el.readOnly || aria('readonly') === 'true') states.readonly = true;
+  if (aria('invalid') && aria('invalid') !== 'false') states.invalid = true;
+  if (aria('hidden') === 'true') states.hidden = true;
+  if (aria('busy') === 'true') states.busy = true;
+  if (aria('current') && aria('current') !== 'false') states.current = aria('current');
+
+  return states;
+}
+
+/**
+ * aria-* attributes of an element, long values truncated.
+ * @private
+ */
+function getAriaAttributes(el) {
+  const attrs = {};
+  for (let i = 0; i < el.attributes.length; i++) {
+    const attr = el.attributes[i];
+    if (attr.name.startsWith('aria-')) {
+      attrs[attr.name] = attr.value.length > MAX_ATTR_LENGTH ? attr.value.substring(0, MAX_ATTR_LENGTH) + '...' : attr.value;
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Whether the element is reachable with the Tab key.
+ * @private
+ */
+function isFocusable(el) {
+  return el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') && !isHidden(el);
+}
+
+/**
+ * Whether the element is not rendered (display: none on it or an
+ * ancestor, or visibility: hidden).
+ * @private
+ */
+function isHidden(el) {
+  if (typeof el.checkVisibility === 'function') {
+    return !el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+  }
+  const style = window.getComputedStyle(el);
+  return el.hidden || style.display === 'none' || style.visibility === 'hidden';
+}
+
+/**
+ * WCAG contrast of the element's text color against the background behind
+ * it, composited from ancestor background colors over white. Background
+ * images and gradients are not sampled; `approximate` is set when one is
+ * behind the text.
+ * @private
+ */
+function getTextContrast(el) {
+  const style = window.getComputedStyle(el);
+  const foreground = parseColor(style.color);
+  const background = getBackgroundColor(el);
+  if (!foreground || !background) return null;
+
+  const text = blendColors(foreground, background.color);
+  const ratio = contrastRatio(text, background.color);
+  const fontSize = parseFloat(style.fontSize);
+  const largeText = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+
+  return {
+    ratio: Math.round(ratio * 100) / 100,
+    foreground: formatColor(text),
+    background: formatColor(background.color),
+    largeText: largeText,
+    passesAA: ratio >= (largeText ? 3 : 4.5),
+    passesAAA: ratio >= (largeText ? 4.5 : 7),
+    approximate: background.image
+  };
+}
+
+/**
+ * Opaque background color behind an element, or null if a color cannot
+ * be parsed (e.g. non-sRGB color spaces).
+ * @private
+ */
+function getBackgroundColor(el) {
+  const layers = [];
+  let image = false;
+
+  for (let node = el; node; node = node.parentElement) {
+    const style = window.getComputedStyle(node);
+    if (style.backgroundImage && style.backgroundImage !== 'none') image = true;
+    const color = parseColor(style.backgroundColor);
+    if (!color) return null;
+    if (color[3] > 0) layers.push(color);
+    if (color[3] >= 1) break;
+  }
+
+  let color = [255, 255, 255, 1];
+  for (let i = layers.length - 1; i >= 0; i--) {
+    color = blendColors(layers[i], color);
+  }
+  return { color: color, image: image };
+}
+
+/**
+ * [r, g, b, a] from a computed rgb()/rgba() value.
+ * @private
+ */
+function parseColor(value) {
+  const match = /^rgba?\(([^)]+)\)$/.exec((value || '').trim());
+  if (!match) return null;
+  const parts = match[1].split(/[\s,/]+/).filter(part => part).map(parseFloat);
+  if (parts.length < 3 || parts.some(isNaN)) return null;
+  return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+}
+
+/**
+ * Composite a color over an opaque background.
+ * @private
+ */
+function blendColors(top, bottom) {
+  const alpha = top[3];
+  return [0, 1, 2].map(i => top[i] * alpha + bottom[i] * (1 - alpha)).concat(1);
+}
+
+/**
+ * WCAG 2 contrast ratio between two opaque colors.
+ * @private
+ */
+function contrastRatio(a, b) {
+  const luminance = color => {
+    const channels = color.slice(0, 3).map(value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+  };
+  const l1 = luminance(a);
+  const l2 = luminance(b);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * "rgb(r, g, b)" from an opaque color.
+ * @private
+ */
+function formatColor(color) {
+  return 'rgb(' + color.slice(0, 3).map(Math.round).join(', ') + ')';
+}
+
+/**
+ * Rule violations of a single node: missing names and labels, unknown
+ * roles, missing required ARIA attributes, focusable content hidden from
+ * assistive technology, positive tabindex and low text contrast.
+ * @private
+ */
+function getA11yViolations(node) {
+  if (isHidden(node)) return [];
+
+  const violations = [];
+  const role = getRole(node);
+  const tag = node.tagName;
+  const element = getElementId(node);
+  const add = (rule, message) => violations.push({ rule: rule, message: message, element: element });
+  const explicitRole = (node.getAttribute('role') || '').trim().split(/\s+/)[0];
+  const presentational = role === 'presentation' || role === 'none';
+
+  if (tag === 'IMG' && !node.hasAttribute('alt') && !presentational && node.getAttribute('aria-hidden') !== 'true') {
+    add('image-alt', 'Image has no alt attribute');
+  }
+  if (role === 'button' && !getAccessibleName(node)) {
+    add('button-name', 'Button has no accessible name');
+  }
+  if (role === 'link' && !getAccessibleName(node)) {
+    add('link-name', 'Link has no accessible name');
+  }
+  if (role === 'heading' && !getAccessibleName(node)) {
+    add('empty-heading', 'Heading has no text');
+  }
+  if ((tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && role !== 'button' && node.type !== 'hidden')) &&
+      !getAccessibleName(node)) {
+    add('label', 'Form field has no label');
+  }
+  if (explicitRole && ARIA_ROLES.indexOf(explicitRole) === -1) {
+    add('aria-roles', 'Unknown ARIA role "' + explicitRole + '"');
+  }
+  (ARIA_REQUIRED_ATTRIBUTES[explicitRole] || []).forEach(attr => {
+    if (!node.hasAttribute(attr)) add('aria-required-attr', 'Role "' + explicitRole + '" requires ' + attr);
+  });
+  if (node.closest('[aria-hidden="true"]') && isFocusable(node)) {
+    add('aria-hidden-focus', 'Focusable element is hidden from assistive technology');
+  }
+  if (parseInt(node.getAttribute('tabindex'), 10) > 0) {
+    add('tabindex', 'Positive tabindex changes the focus order');
+  }
+
+  const hasOwnText = Array.prototype.some.call(node.childNodes, child =>
+    child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+  if (hasOwnText) {
+    const contrast = getTextContrast(node);
+    if (contrast && !contrast.passesAA) {
+      add('color-contrast', 'Text contrast ' + contrast.ratio + ':1 is below ' + (contrast.largeText ? 3 : 4.5) + ':1');
+    }
+  }
+
+  return violations;
+}
+
 // ========== INJECTABLE CODE GENERATORS ==========
 
 /**
@@ -407,10 +1078,20 @@ export function getSanitizationCode() {
  * @returns {string} JavaScript code string
  */
 export function getElementUtilsCode() {
-  const propsJson = JSON.stringify(COMPUTED_STYLE_PROPERTIES);
+  const profilesJson = JSON.stringify(STYLE_PROFILES);
+  const layoutPropsJson = JSON.stringify(CONTEXT_LAYOUT_PROPERTIES);
 
   return `
-    var COMPUTED_STYLE_PROPERTIES = ${propsJson};
+    var STYLE_PROFILES = ${profilesJson};
+    var DEFAULT_STYLE_PROFILE = '${DEFAULT_STYLE_PROFILE}';
+    var CONTEXT_LAYOUT_PROPERTIES = ${layoutPropsJson};
+    var MAX_HTML_LENGTH = ${MAX_HTML_LENGTH};
+    var MAX_ATTR_LENGTH = ${MAX_ATTR_LENGTH};
+    var MAX_CONTEXT_CLASSES = ${MAX_CONTEXT_CLASSES};
+    var MAX_STRING_LENGTH = ${MAX_STRING_LENGTH};
+    var MAX_CUSTOM_PROPERTIES = ${MAX_CUSTOM_PROPERTIES};
+    var MAX_TOKEN_MATCHES = ${MAX_TOKEN_MATCHES};
+    var DESIGN_TOKENS_ELEMENT_ID = '${DESIGN_TOKENS_ELEMENT_ID}';
 
     function getCssSelector(el) {
       if (!el || el.nodeType !== Node.ELEMENT_NODE) return '';
@@ -490,18 +1171,69 @@ export function getElementUtilsCode() {
       return '/' + path.join('/');
     }
 
-    function getComputedStyles(el) {
+    function getComputedStyles(el, options) {
+      options = options || {};
+      var profile = STYLE_PROFILES[options.profile] || STYLE_PROFILES[DEFAULT_STYLE_PROFILE];
       var computed = window.getComputedStyle(el);
+      var properties = profile.properties || Array.prototype.slice.call(computed);
+      var defaults = options.nonDefaultOnly || !profile.properties ? getDefaultStyles(el) : null;
       var result = {};
 
-      for (var i = 0; i < COMPUTED_STYLE_PROPERTIES.length; i++) {
-        var prop = COMPUTED_STYLE_PROPERTIES[i];
-        result[prop] = computed.getPropertyValue(prop);
+      for (var i = 0; i < properties.length; i++) {
+        var prop = properties[i];
+        var value = computed.getPropertyValue(prop);
+        if (defaults && defaults[prop] === value) continue;
+        result[prop] = value;
       }
 
       return result;
     }
 
+    var defaultStylesCache = {};
+
+    function getDefaultStyles(el) {
+      var key = el.namespaceURI + ' ' + el.localName;
+      if (defaultStylesCache[key]) return defaultStylesCache[key];
+
+      var iframe = document.createElement('iframe');
+      iframe.setAttribute('data-ai-context-extension', '');
+      iframe.style.cssText = 'position: absolute; width: 0; height: 0; border: 0; visibility: hidden;';
+      (document.body || document.documentElement).appendChild(iframe);
+
+      var styles = {};
+      try {
+        var doc = iframe.contentDocument;
+        var reference = doc.createElementNS(el.namespaceURI, el.localName);
+        doc.body.appendChild(reference);
+        var computed = iframe.contentWindow.getComputedStyle(reference);
+        for (var i = 0; i < computed.length; i++) {
+          styles[computed[i]] = computed.getPropertyValue(computed[i]);
+        }
+        Object.keys(STYLE_PROFILES).forEach(function(name) {
+          (STYLE_PROFILES[name].properties || []).forEach(function(prop) {
+            styles[prop] = computed.getPropertyValue(prop);
+          });
+        });
+      } finally {
+        iframe.remove();
+      }
+
+      defaultStylesCache[key] = styles;
+      return styles;
+    }
+
+    function getBoundingRect(el) {
+      var rect = el.getBoundingClientRect();
+      return {
+        top: Math.round(rect.top),
+        left: Math.round(rect.left),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight
+      };
+    }
+
     function getElementId(el) {
       var tag = el.tagName.toLowerCase();
       var identifier = tag;
@@ -564,5 +1296,464 @@ export function getElementUtilsCode() {
       } catch (e) {}
       return listeners;
     }
+
+    function getLayoutStyles(el) {
+      var computed = window.getComputedStyle(el);
+      var result = {};
+
+      Object.keys(CONTEXT_LAYOUT_PROPERTIES).forEach(function(prop) {
+        var value = computed.getPropertyValue(prop);
+        if (value && value !== CONTEXT_LAYOUT_PROPERTIES[prop]) {
+          result[prop] = value;
+        }
+      });
+
+      return result;
+    }
+
+    function shallowClone(el) {
+      var clone = el.cloneNode(false);
+      for (var i = 0; i < clone.attributes.length; i++) {
+        var attr = clone.attributes[i];
+        if (attr.value.length > MAX_ATTR_LENGTH) {
+          attr.value = attr.value.substring(0, MAX_ATTR_LENGTH) + '...';
+        }
+      }
+      return clone;
+    }
+
+    function getParentHtml(el, maxLength) {
+      if (maxLength === undefined) maxLength = MAX_HTML_LENGTH;
+      var parent = el.parentElement;
+      if (!parent) return null;
+
+      var clone = shallowClone(parent);
+      for (var i = 0; i < parent.children.length; i++) {
+        var child = parent.children[i];
+        var childClone = shallowClone(child);
+        var tag = child.tagName;
+
+        if (tag !== 'SCRIPT' && tag !== 'STYLE') {
+          if (child.children.length > 0) {
+            childClone.textContent = '...';
+          } else {
+            var text = (child.textContent || '').trim().replace(/\\s+/g, ' ');
+            childClone.textContent = text.length > 40 ? text.substring(0, 40) + '...' : text;
+          }
+        }
+        clone.appendChild(childClone);
+      }
+
+      var html = clone.outerHTML;
+      return html.length > maxLength ? html.substring(0, maxLength) + '...' : html;
+    }
+
+    function describeContextNode(el) {
+      var classes = el.className && typeof el.className === 'string'
+        ? el.className.trim().split(/\\s+/).filter(function(c) { return c; })
+        : [];
+      return {
+        tag: el.tagName.toLowerCase(),
+        id: el.id || null,
+        classes: classes.slice(0, MAX_CONTEXT_CLASSES),
+        styles: getLayoutStyles(el)
+      };
+    }
+
+    function getElementContext(el, radius) {
+      if (!radius || !el.parentElement) return null;
+
+      var ancestors = [];
+      var current = el.parentElement;
+      while (current && ancestors.length < radius) {
+        ancestors.push(describeContextNode(current));
+        current = current.parentElement;
+      }
+
+      var siblings = Array.prototype.slice.call(el.parentElement.children);
+      var index = siblings.indexOf(el);
+
+      return {
+        ancestors: ancestors,
+        previousSiblings: siblings.slice(Math.max(0, index - radius), index).map(describeContextNode),
+        nextSiblings: siblings.slice(index + 1, index + 1 + radius).map(describeContextNode),
+        index: index,
+        siblingCount: siblings.length,
+        parentHtml: getParentHtml(el)
+      };
+    }
+    function getCustomProperties(el) {
+      var computed = window.getComputedStyle(el);
+      var result = {};
+      var count = 0;
+
+      for (var i = 0; i < computed.length && count < MAX_CUSTOM_PROPERTIES; i++) {
+        var prop = computed[i];
+        if (prop.indexOf('--') !== 0) continue;
+        var value = computed.getPropertyValue(prop).trim();
+        result[prop] = value.length > MAX_STRING_LENGTH ? value.substring(0, MAX_STRING_LENGTH) + '...' : value;
+        count++;
+      }
+
+      return result;
+    }
+
+    function readDesignTokens() {
+      var script = document.getElementById(DESIGN_TOKENS_ELEMENT_ID);
+      if (!script) return null;
+      try {
+        var tokens = JSON.parse(script.textContent);
+        return tokens && typeof tokens === 'object' && Object.keys(tokens).length > 0 ? tokens : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function normalizeStyleValue(probe, value) {
+      if (value === null || value === undefined) return '';
+      var text = String(value).trim();
+      if (!text || /^(inherit|initial|unset|revert|revert-layer|currentcolor)$/i.test(text)) return '';
+
+      probe.style.color = '';
+      probe.style.color = text;
+      if (probe.style.color) return window.getComputedStyle(probe).color;
+
+      if (/^-?(\\d+|\\d*\\.\\d+)(px|rem|em|pt)$/.test(text)) {
+        probe.style.marginLeft = text;
+        var length = window.getComputedStyle(probe).marginLeft;
+        return length === '0px' ? '' : length;
+      }
+
+      return text.toLowerCase().replace(/\\s+/g, ' ');
+    }
+
+    function matchDesignTokens(styles) {
+      var tokens = readDesignTokens();
+      if (!tokens) return null;
+
+      var probe = document.createElement('div');
+      probe.setAttribute('data-ai-context-extension', '');
+      probe.style.cssText = 'position: absolute; visibility: hidden;';
+      document.documentElement.appendChild(probe);
+
+      var result = {};
+      try {
+        var index = {};
+        Object.keys(tokens).forEach(function(name) {
+          var value = normalizeStyleValue(probe, tokens[name]);
+          if (value) (index[value] = index[value] || []).push(name);
+        });
+        Object.keys(styles).forEach(function(prop) {
+          var names = index[normalizeStyleValue(probe, styles[prop])];
+          if (names) result[prop] = names.slice(0, MAX_TOKEN_MATCHES);
+        });
+      } finally {
+        probe.remove();
+      }
+
+      return result;
+    }
+
+    ${getAccessibilityCode()}
+  `;
+}
+
+/**
+ * Returns injectable code string for the accessibility audit
+ * (getAccessibilityInfo). Expects getElementId, MAX_STRING_LENGTH and
+ * MAX_ATTR_LENGTH in scope, as in getElementUtilsCode() and the Safari
+ * shared utilities generated by scripts/sync-shared-to-safari.js.
+ *
+ * @returns {string} JavaScript code string
+ */
+export function getAccessibilityCode() {
+  return `
+    var MAX_A11Y_NODES = ${MAX_A11Y_NODES};
+    var MAX_A11Y_VIOLATIONS = ${MAX_A11Y_VIOLATIONS};
+    var ARIA_ROLES = ${JSON.stringify(ARIA_ROLES)};
+    var ARIA_NAME_FROM_CONTENT_ROLES = ${JSON.stringify(ARIA_NAME_FROM_CONTENT_ROLES)};
+    var ARIA_REQUIRED_ATTRIBUTES = ${JSON.stringify(ARIA_REQUIRED_ATTRIBUTES)};
+    var IMPLICIT_ARIA_ROLES = ${JSON.stringify(IMPLICIT_ARIA_ROLES)};
+
+    function getAccessibilityInfo(el) {
+      var nodes = [el].concat(Array.prototype.slice.call(el.querySelectorAll('*'), 0, MAX_A11Y_NODES - 1));
+      var violations = [];
+      var violationCount = 0;
+
+      nodes.forEach(function(node) {
+        if (node.closest('[data-ai-context-extension]')) return;
+        getA11yViolations(node).forEach(function(violation) {
+          violationCount++;
+          if (violations.length < MAX_A11Y_VIOLATIONS) violations.push(violation);
+        });
+      });
+
+      var name = getAccessibleName(el);
+      return {
+        role: getRole(el),
+        name: name.length > MAX_STRING_LENGTH ? name.substring(0, MAX_STRING_LENGTH) + '...' : name,
+        states: getAccessibleStates(el),
+        ariaAttributes: getAriaAttributes(el),
+        tabIndex: el.tabIndex,
+        focusable: isFocusable(el),
+        contrast: (el.textContent || '').trim() ? getTextContrast(el) : null,
+        violations: violations,
+        violationCount: violationCount
+      };
+    }
+
+    function getRole(el) {
+      var explicit = (el.getAttribute('role') || '').trim().split(/\\s+/)[0];
+      if (explicit) return explicit;
+
+      var tag = el.tagName.toLowerCase();
+      if (tag === 'a' || tag === 'area') return el.hasAttribute('href') ? 'link' : null;
+      if (tag === 'img') return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+      if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      if (tag === 'input') {
+        var type = (el.getAttribute('type') || 'text').toLowerCase();
+        var role = IMPLICIT_ARIA_ROLES['input:' + type] || null;
+        return role === 'textbox' && el.hasAttribute('list') ? 'combobox' : role;
+      }
+      return IMPLICIT_ARIA_ROLES[tag] || null;
+    }
+
+    function getAccessibleName(el) {
+      var labelledBy = (el.getAttribute('aria-labelledby') || '').trim();
+      if (labelledBy) {
+        var labelText = labelledBy.split(/\\s+/)
+          .map(function(id) { return document.getElementById(id); })
+          .filter(Boolean)
+          .map(function(ref) { return (ref.getAttribute('aria-label') || '').trim() || getContentText(ref); })
+          .join(' ')
+          .trim();
+        if (labelText) return labelText;
+      }
+
+      var ariaLabel = (el.getAttribute('aria-label') || '').trim();
+      if (ariaLabel) return ariaLabel;
+
+      var tag = el.tagName;
+      var type = (el.getAttribute('type') || '').toLowerCase();
+      if (tag === 'INPUT' && (type === 'submit' || type === 'reset' || type === 'button')) {
+        if (el.value) return el.value;
+        if (type !== 'button') return type === 'submit' ? 'Submit' : 'Reset';
+      } else if (tag === 'INPUT' && type === 'image') {
+        if (el.getAttribute('alt')) return el.getAttribute('alt').trim();
+      } else if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+        var labels = Array.prototype.map.call(el.labels || [], getContentText).join(' ').trim();
+        if (labels) return labels;
+      } else if (tag === 'IMG' || tag === 'AREA') {
+        var alt = (el.getAttribute('alt') || '').trim();
+        if (alt) return alt;
+      } else if (tag === 'FIELDSET' || tag === 'TABLE' || tag === 'FIGURE') {
+        var caption = el.querySelector(tag === 'FIELDSET' ? 'legend' : tag === 'TABLE' ? 'caption' : 'figcaption');
+        if (caption && getContentText(caption)) return getContentText(caption);
+      }
+
+      if (ARIA_NAME_FROM_CONTENT_ROLES.indexOf(getRole(el)) !== -1) {
+        var text = getContentText(el);
+        if (text) return text;
+      }
+
+      return (el.getAttribute('title') || el.getAttribute('placeholder') || '').trim();
+    }
+
+    function getContentText(el) {
+      var text = '';
+      el.childNodes.forEach(function(child) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          text += child.textContent;
+        } else if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('aria-hidden') !== 'true' && !isHidden(child)) {
+          var label = (child.getAttribute('aria-label') || '').trim();
+          var content = label || (child.tagName === 'IMG' ? child.getAttribute('alt') || '' : getContentText(child));
+          text += window.getComputedStyle(child).display.indexOf('inline') === 0 ? content : ' ' + content + ' ';
+        }
+      });
+      return text.replace(/\\s+/g, ' ').trim();
+    }
+
+    function getAccessibleStates(el) {
+      var states = {};
+      var aria = function(name) { return el.getAttribute('aria-' + name); };
+      var tristate = function(value) { return value === 'mixed' ? 'mixed' : value === 'true'; };
+      var checkable = el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio');
+
+      if (el.disabled || aria('disabled') === 'true') states.disabled = true;
+      if (checkable) {
+        states.checked = el.indeterminate ? 'mixed' : el.checked;
+      } else if (aria('checked') !== null) {
+        states.checked = tristate(aria('checked'));
+      }
+      if (aria('pressed') !== null) states.pressed = tristate(aria('pressed'));
+      if (aria('expanded') !== null) {
+        states.expanded = aria('expanded') === 'true';
+      } else if (el.tagName === 'DETAILS') {
+        states.expanded = el.open;
+      }
+      if (el.tagName === 'OPTION') {
+        states.selected = el.selected;
+      } else if (aria('selected') !== null) {
+        states.selected = aria('selected') === 'true';
+      }
+      if (el.required || aria('required') === 'true') states.required = true;
+      if (el.readOnly || aria('readonly') === 'true') states.readonly = true;
+      if (aria('invalid') && aria('invalid') !== 'false') states.invalid = true;
+      if (aria('hidden') === 'true') states.hidden = true;
+      if (aria('busy') === 'true') states.busy = true;
+      if (aria('current') && aria('current') !== 'false') states.current = aria('current');
+
+      return states;
+    }
+
+    function getAriaAttributes(el) {
+      var attrs = {};
+      for (var i = 0; i < el.attributes.length; i++) {
+        var attr = el.attributes[i];
+        if (attr.name.indexOf('aria-') === 0) {
+          attrs[attr.name] = attr.value.length > MAX_ATTR_LENGTH ? attr.value.substring(0, MAX_ATTR_LENGTH) + '...' : attr.value;
+        }
+      }
+      return attrs;
+    }
+
+    function isFocusable(el) {
+      return el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') && !isHidden(el);
+    }
+
+    function isHidden(el) {
+      if (typeof el.checkVisibility === 'function') {
+        return !el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+      }
+      var style = window.getComputedStyle(el);
+      return el.hidden || style.display === 'none' || style.visibility === 'hidden';
+    }
+
+    function getTextContrast(el) {
+      var style = window.getComputedStyle(el);
+      var foreground = parseColor(style.color);
+      var background = getBackgroundColor(el);
+      if (!foreground || !background) return null;
+
+      var text = blendColors(foreground, background.color);
+      var ratio = contrastRatio(text, background.color);
+      var fontSize = parseFloat(style.fontSize);
+      var largeText = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+
+      return {
+        ratio: Math.round(ratio * 100) / 100,
+        foreground: formatColor(text),
+        background: formatColor(background.color),
+        largeText: largeText,
+        passesAA: ratio >= (largeText ? 3 : 4.5),
+        passesAAA: ratio >= (largeText ? 4.5 : 7),
+        approximate: background.image
+      };
+    }
+
+    function getBackgroundColor(el) {
+      var layers = [];
+      var image = false;
+
+      for (var node = el; node; node = node.parentElement) {
+        var style = window.getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') image = true;
+        var layer = parseColor(style.backgroundColor);
+        if (!layer) return null;
+        if (layer[3] > 0) layers.push(layer);
+        if (layer[3] >= 1) break;
+      }
+
+      var color = [255, 255, 255, 1];
+      for (var i = layers.length - 1; i >= 0; i--) {
+        color = blendColors(layers[i], color);
+      }
+      return { color: color, image: image };
+    }
+
+    function parseColor(value) {
+      var match = /^rgba?\\(([^)]+)\\)$/.exec((value || '').trim());
+      if (!match) return null;
+      var parts = match[1].split(/[\\s,/]+/).filter(function(part) { return part; }).map(parseFloat);
+      if (parts.length < 3 || parts.some(isNaN)) return null;
+      return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+    }
+
+    function blendColors(top, bottom) {
+      var alpha = top[3];
+      return [0, 1, 2].map(function(i) { return top[i] * alpha + bottom[i] * (1 - alpha); }).concat(1);
+    }
+
+    function contrastRatio(a, b) {
+      function luminance(color) {
+        var channels = color.slice(0, 3).map(function(value) {
+          var c = value / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+      }
+      var l1 = luminance(a);
+      var l2 = luminance(b);
+      return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    function formatColor(color) {
+      return 'rgb(' + color.slice(0, 3).map(Math.round).join(', ') + ')';
+    }
+
+    function getA11yViolations(node) {
+      if (isHidden(node)) return [];
+
+      var violations = [];
+      var role = getRole(node);
+      var tag = node.tagName;
+      var element = getElementId(node);
+      var add = function(rule, message) {
+        violations.push({ rule: rule, message: message, element: element });
+      };
+      var explicitRole = (node.getAttribute('role') || '').trim().split(/\\s+/)[0];
+      var presentational = role === 'presentation' || role === 'none';
+
+      if (tag === 'IMG' && !node.hasAttribute('alt') && !presentational && node.getAttribute('aria-hidden') !== 'true') {
+        add('image-alt', 'Image has no alt attribute');
+      }
+      if (role === 'button' && !getAccessibleName(node)) {
+        add('button-name', 'Button has no accessible name');
+      }
+      if (role === 'link' && !getAccessibleName(node)) {
+        add('link-name', 'Link has no accessible name');
+      }
+      if (role === 'heading' && !getAccessibleName(node)) {
+        add('empty-heading', 'Heading has no text');
+      }
+      if ((tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && role !== 'button' && node.type !== 'hidden')) &&
+          !getAccessibleName(node)) {
+        add('label', 'Form field has no label');
+      }
+      if (explicitRole && ARIA_ROLES.indexOf(explicitRole) === -1) {
+        add('aria-roles', 'Unknown ARIA role "' + explicitRole + '"');
+      }
+      (ARIA_REQUIRED_ATTRIBUTES[explicitRole] || []).forEach(function(attr) {
+        if (!node.hasAttribute(attr)) add('aria-required-attr', 'Role "' + explicitRole + '" requires ' + attr);
+      });
+      if (node.closest('[aria-hidden="true"]') && isFocusable(node)) {
+        add('aria-hidden-focus', 'Focusable element is hidden from assistive technology');
+      }
+      if (parseInt(node.getAttribute('tabindex'), 10) > 0) {
+        add('tabindex', 'Positive tabindex changes the focus order');
+      }
+
+      var hasOwnText = Array.prototype.some.call(node.childNodes, function(child) {
+        return child.nodeType === Node.TEXT_NODE && child.textContent.trim();
+      });
+      if (hasOwnText) {
+        var contrast = getTextContrast(node);
+        if (contrast && !contrast.passesAA) {
+          add('color-contrast', 'Text contrast ' + contrast.ratio + ':1 is below ' + (contrast.largeText ? 3 : 4.5) + ':1');
+        }
+      }
+
+      return violations;
+    }
   `;
 }
@@ -0,0 +1,388 @@
+/**
+ * Source Maps Module
+ *
+ * Rewrites console stack frames that point into bundled scripts, like
+ * `main.abc123.js:1:40231`, to original source positions such as
+ * `src/components/Cart.jsx:42:7`, so reports name files an agent can edit.
+ * Also finds the source file of a component function for apps that do not
+ * record one (no SDK, no Vite plugin).
+ *
+ * Runs in extension pages and the background service worker, which can
+ * fetch page scripts through the <all_urls> host permission. Only scripts
+ * served from the page's own origin are considered (this covers local dev
+ * servers). Each script is fetched to find its SourceMap header or
+ * sourceMappingURL comment, then the map is fetched (data: URLs included).
+ * Frames that cannot be resolved are left as they are.
+ */
+
+import { MAX_SOURCE_MAP_SCRIPTS, MAX_SOURCE_MAP_SIZE, SOURCE_MAP_FETCH_TIMEOUT_MS } from './constants.js';
+
+/** Location in a stack frame: script URL, 1-based line and 1-based column */
+const FRAME_LOCATION = /\b(https?:\/\/[^\s()@]+?):(\d+):(\d+)/g;
+
+/** Last sourceMappingURL comment of a script (// or /* style) */
+const SOURCE_MAPPING_URL = /\/[/*][#@][ \t]*sourceMappingURL=([^\s'"*]+)/g;
+
+/** Base64 digit values by character code; -1 for other characters */
+const BASE64_DIGITS = new Int8Array(128).fill(-1);
+'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'.split('').forEach((char, i) => {
+  BASE64_DIGITS[char.charCodeAt(0)] = i;
+});
+
+/**
+ * Rewrites the stacks of console entries to original source positions.
+ * Maps are fetched once per call, so a rebuilt bundle is never resolved
+ * against a stale map.
+ *
+ * @param {Array<{stack?: string|null}>} entries - Console entries, e.g. a
+ *   report's consoleErrors or a session's consoleLog
+ * @param {string} pageUrl - URL of the page the entries were logged on
+ * @returns {Promise<Array>} The entries, with resolved stacks in copies of
+ *   the entries that have one
+ */
+export async function resolveConsoleStacks(entries, pageUrl) {
+  if (!entries || entries.length === 0) return entries || [];
+
+  const maps = await loadSourceMaps(entries.map(entry => entry.stack), pageUrl);
+  if (maps.size === 0) return entries;
+
+  return entries.map(entry => (entry.stack
+    ? Object.assign({}, entry, { stack: rewriteStack(entry.stack, maps) })
+    : entry));
+}
+
+/**
+ * Finds the original source file of a component function by locating its
+ * source text in the page's scripts and mapping that position through the
+ * script's source map. A script without a source map is taken to be the
+ * source itself.
+ *
+ * @param {{code: string, scripts: string[]}} componentSource - Start of the
+ *   function's source text and candidate script URLs, most likely first
+ *   (see getFrameworkDetectorCode)
+ * @param {string} pageUrl - URL of the inspected page; scripts on other
+ *   origins are skipped
+ * @param {Object} [cache] - Scripts and maps fetched by earlier lookups
+ *   (see createSourceCache); without one, everything is fetched again
+ * @returns {Promise<{file: string, line: number, column: number}|null>}
+ *   1-based position of the function, or null if it was not found
+ */
+export async function resolveComponentFile(componentSource, pageUrl, cache) {
+  const origin = getOrigin(pageUrl);
+  if (!origin || !componentSource || !componentSource.code) return null;
+
+  const scripts = (componentSource.scripts || [])
+    .filter(url => getOrigin(url) === origin)
+    .slice(0, MAX_SOURCE_MAP_SCRIPTS);
+
+  // One script at a time; the first candidate usually defines the function
+  for (const url of scripts) {
+    const script = await fetchText(url).catch(() => null);
+    const offset = script ? script.text.indexOf(componentSource.code) : -1;
+    if (offset === -1) continue;
+
+    let line = 0;
+    let lineStart = 0;
+    for (let i = script.text.indexOf('\n'); i !== -1 && i < offset; i = script.text.indexOf('\n', i + 1)) {
+      line++;
+      lineStart = i + 1;
+    }
+    const column = offset - lineStart;
+
+    const reference = findSourceMapReference(script);
+    if (!reference) {
+      return { file: formatSourcePath(url, url), line: line + 1, column: column + 1 };
+    }
+    // Cached maps are decoded in full, for the components found later, and
+    // reused only while the script is unchanged (e.g. not rebuilt by HMR)
+    const map = await (cache
+      ? fromCache(cache, new URL(reference, url).href, script.text, () => fetchSourceMap(reference, url, Infinity))
+      : fetchSourceMap(reference, url, line)
+    ).catch(() => null);
+    const position = map && lookupPosition(map, line, column);
+    return position ? { file: position.source, line: position.line, column: position.column } : null;
+  }
+  return null;
+}
+
+/**
+ * Cache for resolveComponentFile, so selecting one element after another
+ * does not download and decode the page's source maps again each time.
+ * Scripts are still fetched on every lookup (through the HTTP cache); a
+ * map is kept by URL, failed fetches included, together with the text of
+ * the script that referred to it, and fetched again once that text
+ * changes. Create a new cache when the page navigates.
+ *
+ * @returns {{maps: Map<string, {script: string, map: Promise}>}} Empty cache
+ */
+export function createSourceCache() {
+  return { maps: new Map() };
+}
+
+/**
+ * Load the source maps of the page-origin scripts in the given stacks.
+ * @private
+ * @returns {Promise<Map<string, Object>>} Parsed maps by script URL
+ */
+async function loadSourceMaps(stacks, pageUrl) {
+  const origin = getOrigin(pageUrl);
+  if (!origin) return new Map();
+
+  // Highest line referenced per script; mappings are decoded up to it
+  const scripts = new Map();
+  stacks.forEach(stack => {
+    for (const match of (stack || '').matchAll(FRAME_LOCATION)) {
+      const url = match[1];
+      if (getOrigin(url) !== origin) continue;
+      if (!scripts.has(url) && scripts.size >= MAX_SOURCE_MAP_SCRIPTS) continue;
+      scripts.set(url, Math.max(scripts.get(url) || 0, Number(match[2])));
+    }
+  });
+
+  const maps = new Map();
+  await Promise.all(Array.from(scripts, ([url, lastLine]) =>
+    // A missing or broken map only leaves that script's frames unresolved
+    loadSourceMap(url, lastLine - 1)
+      .then(map => { if (map) maps.set(url, map); })
+      .catch(() => {})
+  ));
+  return maps;
+}
+
+/**
+ * Fetch a script and its source map. Resolves to null when the script
+ * declares no map.
+ * @private
+ */
+async function loadSourceMap(scriptUrl, lastLine) {
+  const script = await fetchText(scriptUrl);
+  const reference = findSourceMapReference(script);
+  return reference ? fetchSourceMap(reference, scriptUrl, lastLine) : null;
+}
+
+/**
+ * Fetch and parse the source map a script refers to.
+ * @private
+ */
+async function fetchSourceMap(reference, scriptUrl, lastLine) {
+  const mapUrl = new URL(reference, scriptUrl).href;
+  const map = await fetchText(mapUrl);
+  // Maps may start with an XSSI guard line: )]}'
+  const json = JSON.parse(map.text.replace(/^\)\]\}'[^\n]*\n/, ''));
+
+  // Inline maps resolve relative sources against the script instead
+  const baseUrl = mapUrl.startsWith('data:') ? scriptUrl : mapUrl;
+  return parseSourceMap(json, baseUrl, lastLine);
+}
+
+/**
+ * Source map of a script from the cache, loading it when there is none yet
+ * or the script's text has changed since.
+ * @private
+ */
+function fromCache(cache, mapUrl, scriptText, load) {
+  const entry = cache.maps.get(mapUrl);
+  if (entry && entry.script === scriptText) return entry.map;
+
+  const map = load();
+  cache.maps.set(mapUrl, { script: scriptText, map: map });
+  return map;
+}
+
+/**
+ * Fetch a URL as text, within the size and time limits.
+ * @private
+ */
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SOURCE_MAP_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error('HTTP ' + response.status + ' fetching ' + url);
+    }
+    if (Number(response.headers.get('Content-Length')) > MAX_SOURCE_MAP_SIZE) {
+      throw new Error('Too large to resolve: ' + url);
+    }
+    const text = await response.text();
+    if (text.length > MAX_SOURCE_MAP_SIZE) {
+      throw new Error('Too large to resolve: ' + url);
+    }
+    return { text: text, headers: response.headers };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Source map URL of a fetched script, from its SourceMap header or its
+ * last sourceMappingURL comment, or null.
+ * @private
+ */
+function findSourceMapReference(script) {
+  let url = script.headers.get('SourceMap') || script.headers.get('X-SourceMap');
+  if (url) return url;
+  for (const match of script.text.matchAll(SOURCE_MAPPING_URL)) {
+    url = match[1];
+  }
+  return url;
+}
+
+/**
+ * Parse a source map, or an index map with sections, up to a generated line
+ * (0-based).
+ * @private
+ */
+function parseSourceMap(map, baseUrl, lastLine) {
+  if (Array.isArray(map.sections)) {
+    return {
+      sections: map.sections
+        .filter(section => section.map && section.offset.line <= lastLine)
+        .map(section => ({
+          offset: section.offset,
+          map: parseSourceMap(section.map, baseUrl, lastLine - section.offset.line)
+        }))
+    };
+  }
+
+  const sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+  return {
+    lines: decodeMappings(map.mappings || '', lastLine),
+    sources: (map.sources || []).map(source => formatSourcePath(sourceRoot + (source || ''), baseUrl))
+  };
+}
+
+/**
+ * Decode base64 VLQ mappings into segments per generated line:
+ * [column, source, sourceLine, sourceColumn, name], absolute and 0-based.
+ * Stops after lastLine.
+ * @private
+ */
+function decodeMappings(mappings, lastLine) {
+  const lines = [[]];
+  // Fields are relative to the previous segment; the generated column
+  // restarts on every line
+  const previous = [0, 0, 0, 0, 0];
+  let fields = [];
+  let value = 0;
+  let shift = 0;
+
+  for (let i = 0; i <= mappings.length; i++) {
+    const char = i < mappings.length ? mappings[i] : ';';
+    if (char === ',' || char === ';') {
+      if (fields.length > 0) {
+        fields.forEach((field, f) => { previous[f] += field; });
+        lines[lines.length - 1].push(previous.slice(0, fields.length));
+        fields = [];
+      }
+      if (char === ';') {
+        if (lines.length > lastLine) break;
+        lines.push([]);
+        previous[0] = 0;
+      }
+      continue;
+    }
+
+    const digit = BASE64_DIGITS[char.charCodeAt(0)];
+    if (digit === undefined || digit < 0) {
+      throw new Error('Invalid source map mappings');
+    }
+    value += (digit & 31) * Math.pow(2, shift);
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      // The lowest bit is the sign
+      fields.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Original position of a 0-based generated position, or null if unmapped.
+ * @private
+ */
+function lookupPosition(map, line, column) {
+  if (map.sections) {
+    const section = map.sections.filter(s =>
+      s.offset.line < line || (s.offset.line === line && s.offset.column <= column)).pop();
+    if (!section) return null;
+    return lookupPosition(
+      section.map,
+      line - section.offset.line,
+      line === section.offset.line ? column - section.offset.column : column
+    );
+  }
+
+  // Last segment starting at or before the column
+  const segments = map.lines[line] || [];
+  let low = 0;
+  let high = segments.length - 1;
+  let segment = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= column) {
+      segment = segments[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (!segment || segment.length < 4 || !map.sources[segment[1]]) return null;
+  return { source: map.sources[segment[1]], line: segment[2] + 1, column: segment[3] + 1 };
+}
+
+/**
+ * Replace the bundled locations in a stack with original ones.
+ * @private
+ */
+function rewriteStack(stack, maps) {
+  return stack.replace(FRAME_LOCATION, (match, url, line, column) => {
+    const map = maps.get(url);
+    const position = map && lookupPosition(map, Number(line) - 1, Number(column) - 1);
+    return position ? position.source + ':' + position.line + ':' + position.column : match;
+  });
+}
+
+/**
+ * Readable path for a map source: project-relative for webpack sources and
+ * files served by the dev server itself (e.g. Vite), a filesystem path for
+ * file: URLs, otherwise the resolved URL.
+ * @private
+ */
+function formatSourcePath(source, baseUrl) {
+  // webpack://app/./src/App.jsx and webpack:///src/App.jsx
+  const webpack = /^webpack:\/\/[^/]*\/(?:\.\/)?([^?]*)/.exec(source);
+  if (webpack) return webpack[1];
+
+  let url;
+  try {
+    url = new URL(source, baseUrl);
+  } catch (e) {
+    return source;
+  }
+
+  if (url.protocol === 'file:') {
+    return decodeURIComponent(url.pathname);
+  }
+  if (url.origin === getOrigin(baseUrl)) {
+    return decodeURIComponent(url.pathname.replace(/^\//, ''));
+  }
+  return url.href;
+}
+
+/**
+ * Origin of an http(s) URL, or null.
+ * @private
+ */
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -1,13 +1,28 @@
 /**
  * Storage module for Claude Context Report Chrome Extension
  *
- * Provides typed CRUD operations for Report storage using chrome.storage.local.
+ * Provides typed CRUD operations for Report storage using chrome.storage.local
+ * (through WXT's typed `browser` export).
  * This module isolates storage implementation from business logic.
  */
 
+import { browser } from 'wxt/browser';
+
 const STORAGE_KEY = 'ai-context-reports';
 const SETTINGS_KEY = 'ai-context-settings';
 
+/**
+ * Items this module keeps in storage
+ */
+interface StoredItems {
+  [STORAGE_KEY]?: Report[];
+  [SETTINGS_KEY]?: {
+    projectMappings?: ProjectMapping[];
+    redaction?: RedactionSettings;
+    capture?: CaptureSettings;
+  };
+}
+
 /**
  * Project mapping for URL-based folder routing
  */
@@ -16,6 +31,11 @@ export interface ProjectMapping {
   name: string;
   patterns: string[];  // URL patterns like "localhost:3000", "*.myapp.com"
   folder: string;      // Subfolder name within ai-agent-reports
+  repoPath?: string;   // Absolute repo path; reports go to <repoPath>/.ai-reports via the native host
+  format?: 'markdown' | 'json' | 'both';  // Export format (default: markdown)
+  styleProfile?: string;       // Computed-style profile name from STYLE_PROFILES (default: 'default')
+  nonDefaultStyles?: boolean;  // Only capture styles that differ from the browser default for the tag
+  editor?: string;             // Editor name from EDITORS for open-in-editor links (default: none)
 }
 
 /**
@@ -31,6 +51,26 @@ export interface Report {
     xpath: string;
     computedStyles: Record<string, string>;
   };
+  screenshot?: {
+    dataUrl: string;  // Cropped PNG of the element as a data URL
+    width: number;
+    height: number;
+  } | null;
+  // Set when several elements were shift-click selected; the fields above
+  // then describe the first element and each entry carries its own screenshot
+  elements?: Array<{
+    comment: string;
+    element: Report['element'];
+    screenshot?: Report['screenshot'];
+  }>;
+  // Set by region capture; the screenshot above then shows the whole region
+  region?: {
+    top: number;
+    left: number;
+    width: number;
+    height: number;
+    elementCount: number;  // Elements found, before the MAX_REGION_ELEMENTS cap
+  };
 }
 
 /**
@@ -38,7 +78,7 @@ export interface Report {
  * @returns Promise resolving to array of reports (empty array if none exist)
  */
 export async function getReports(): Promise<Report[]> {
-  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  const result = await browser.storage.local.get<StoredItems>([STORAGE_KEY]);
   return result[STORAGE_KEY] || [];
 }
 
@@ -50,7 +90,7 @@ export async function getReports(): Promise<Report[]> {
 export async function saveReport(report: Report): Promise<void> {
   const reports = await getReports();
   reports.push(report);
-  await chrome.storage.local.set({ [STORAGE_KEY]: reports });
+  await browser.storage.local.set({ [STORAGE_KEY]: reports });
 }
 
 /**
@@ -60,21 +100,21 @@ export async function saveReport(report: Report): Promise<void> {
 export async function deleteReport(reportId: string): Promise<void> {
   const reports = await getReports();
   const filtered = reports.filter((r) => r.reportId !== reportId);
-  await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
+  await browser.storage.local.set({ [STORAGE_KEY]: filtered });
 }
 
 /**
  * Clear all reports from storage.
  */
 export async function clearReports(): Promise<void> {
-  await chrome.storage.local.remove(STORAGE_KEY);
+  await browser.storage.local.remove(STORAGE_KEY);
 }
 
 /**
  * Get all project mappings from storage.
  */
 export async function getProjectMappings(): Promise<ProjectMapping[]> {
-  const result = await chrome.storage.local.get([SETTINGS_KEY]);
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
   return result[SETTINGS_KEY]?.projectMappings || [];
 }
 
@@ -82,10 +122,10 @@ export async function getProjectMappings(): Promise<ProjectMapping[]> {
  * Save project mappings to storage.
  */
 export async function saveProjectMappings(mappings: ProjectMapping[]): Promise<void> {
-  const result = await chrome.storage.local.get([SETTINGS_KEY]);
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
   const settings = result[SETTINGS_KEY] || {};
   settings.projectMappings = mappings;
-  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await browser.storage.local.set({ [SETTINGS_KEY]: settings });
 }
 
 /**
@@ -123,6 +163,40 @@ export async function deleteProjectMapping(id: string): Promise<void> {
   await saveProjectMappings(filtered);
 }
 
+/**
+ * Redaction settings (see lib/redaction.js for the built-in rules)
+ */
+export interface RedactionSettings {
+  enabled: boolean;
+  disabledRules: string[];  // Built-in rule names to skip
+  customRules: { name: string; pattern: string; flags?: string }[];
+  denylistPaths: string[];  // JSON paths like "$.snapshots[*].localStorage.token"
+}
+
+/**
+ * Get redaction settings from storage, with defaults applied.
+ */
+export async function getRedactionSettings(): Promise<RedactionSettings> {
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
+  return {
+    enabled: true,
+    disabledRules: [],
+    customRules: [],
+    denylistPaths: [],
+    ...result[SETTINGS_KEY]?.redaction
+  };
+}
+
+/**
+ * Save redaction settings to storage.
+ */
+export async function saveRedactionSettings(redaction: RedactionSettings): Promise<void> {
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
+  const settings = result[SETTINGS_KEY] || {};
+  settings.redaction = redaction;
+  await browser.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
 /**
  * Match a URL against project mappings.
  * Returns the matching project or null if no match.
@@ -170,6 +244,32 @@ export function matchUrlToProject(url: string, mappings: ProjectMapping[]): Proj
   return null;
 }
 
+/**
+ * Computed-style options for a page: the style profile and non-default
+ * filter of the project mapping that matches the URL.
+ */
+export async function getStyleOptions(url: string): Promise<{ profile: string; nonDefaultOnly: boolean }> {
+  const mappings = await getProjectMappings();
+  const matchedProject = matchUrlToProject(url, mappings);
+  return {
+    profile: matchedProject?.styleProfile || 'default',
+    nonDefaultOnly: !!matchedProject?.nonDefaultStyles
+  };
+}
+
+/**
+ * Open-in-editor settings for a page: the editor and repository path of the
+ * project mapping that matches the URL (see lib/editor-links.js).
+ */
+export async function getEditorOptions(url: string): Promise<{ editor: string | null; repoPath: string | null }> {
+  const mappings = await getProjectMappings();
+  const matchedProject = matchUrlToProject(url, mappings);
+  return {
+    editor: matchedProject?.editor || null,
+    repoPath: matchedProject?.repoPath || null
+  };
+}
+
 /**
  * Get the export folder for a given URL.
  * Uses project mapping if available, otherwise creates domain-based subfolder.
@@ -219,3 +319,31 @@ function sanitizeFolderName(name: string): string {
     .replace(/^-|-$/g, '')
     .slice(0, 50) || 'default';
 }
+
+/**
+ * Element capture settings
+ */
+export interface CaptureSettings {
+  contextRadius: number;  // Ancestor levels and siblings per side to capture (0 disables)
+}
+
+/**
+ * Get capture settings from storage, with defaults applied.
+ */
+export async function getCaptureSettings(): Promise<CaptureSettings> {
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
+  return {
+    contextRadius: 3,  // DEFAULT_CONTEXT_RADIUS in constants.js
+    ...result[SETTINGS_KEY]?.capture
+  };
+}
+
+/**
+ * Save capture settings to storage.
+ */
+export async function saveCaptureSettings(capture: CaptureSettings): Promise<void> {
+  const result = await browser.storage.local.get<StoredItems>([SETTINGS_KEY]);
+  const settings = result[SETTINGS_KEY] || {};
+  settings.capture = capture;
+  await browser.storage.local.set({ [SETTINGS_KEY]: settings });
+}
@@ -0,0 +1,677 @@
+/**
+ * Test Generator Module
+ *
+ * Turns a recorded session into a runnable end-to-end spec so a bug can be
+ * reproduced before it is fixed. Recorded interactions become Playwright
+ * (or Cypress) actions; snapshots and failed network calls become
+ * `expect` assertions.
+ *
+ * The spec can only replay what the recorder saw: truncated selectors fall
+ * back to the element's text, masked input values are left as TODOs, and
+ * assertions describe the recorded (possibly buggy) behaviour.
+ */
+
+/**
+ * Supported test frameworks and the file extension of their specs.
+ */
+export const TEST_FRAMEWORKS = {
+  playwright: { label: 'Playwright', extension: '.spec.ts' },
+  cypress: { label: 'Cypress', extension: '.cy.js' }
+};
+
+// Modifier names as recorded by interaction-recorder.js
+const PLAYWRIGHT_MODIFIERS = { Ctrl: 'Control', Cmd: 'Meta', Alt: 'Alt', Shift: 'Shift' };
+const CYPRESS_MODIFIERS = { Ctrl: '{ctrl}', Cmd: '{meta}', Alt: '{alt}', Shift: '{shift}' };
+const CYPRESS_KEYS = {
+  Enter: '{enter}',
+  Escape: '{esc}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  ArrowUp: '{upArrow}',
+  ArrowDown: '{downArrow}',
+  ArrowLeft: '{leftArrow}',
+  ArrowRight: '{rightArrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageUp}',
+  PageDown: '{pageDown}'
+};
+
+// A `change` this close to an `input` on the same element replaces it
+// (checkboxes and selects fire both)
+const CHANGE_WINDOW_MS = 1000;
+
+/**
+ * Build the framework-neutral list of test steps for a session.
+ *
+ * Each step is one of:
+ * - `{ action, target?, ..., responses }` - something the test does;
+ *   `responses` lists failed requests the action is expected to trigger
+ * - `{ assert: 'url', url }`, `{ assert: 'pathname', pathname }` or
+ *   `{ assert: 'storageKeys', keys }`
+ * - `{ comment }` - a recorded event that cannot be replayed
+ *
+ * @param {Object} session - The session object (see session-recorder.js)
+ * @returns {Object[]} Test steps in recorded order
+ */
+export function buildTestSteps(session) {
+  const pageUrl = session.startUrl || session.url || '';
+  const interactions = session.interactions || [];
+  const events = [];
+
+  interactions.forEach((interaction, index) => {
+    events.push({ timestamp: interaction.timestamp, interaction: interaction, index: index });
+  });
+  (session.snapshots || []).forEach((snapshot) => {
+    events.push({ timestamp: snapshot.timestamp, snapshot: snapshot });
+  });
+  (session.networkLog || []).forEach((entry) => {
+    if (entry.failed || entry.status >= 400) {
+      events.push({ timestamp: entry.timestamp, failure: entry });
+    }
+  });
+  events.sort((a, b) => a.timestamp - b.timestamp);
+
+  const steps = [];
+  if (isHiddenValue(pageUrl)) {
+    steps.push({ comment: 'TODO: the start URL was redacted during recording' });
+  }
+  steps.push({ action: 'goto', url: pageUrl, responses: [] });
+  let lastAction = steps[steps.length - 1];
+  let pendingDrag = null;
+
+  const push = (step) => {
+    const previous = steps[steps.length - 1];
+    // Collapse bursts of scrolling into the final position
+    if (step.action === 'scroll' && previous.action === 'scroll') {
+      previous.x = step.x;
+      previous.y = step.y;
+      return;
+    }
+    if (step.action) {
+      step.responses = [];
+      lastAction = step;
+    }
+    steps.push(step);
+  };
+
+  events.forEach((event) => {
+    if (event.snapshot) {
+      push({ comment: 'Snapshot: ' + event.snapshot.label });
+      if (event.snapshot.url) {
+        push(urlAssertion(event.snapshot.url));
+      }
+      const keys = Object.keys(event.snapshot.localStorage || {});
+      if (keys.length > 0) {
+        push({ assert: 'storageKeys', keys: keys });
+      }
+      return;
+    }
+
+    if (event.failure) {
+      // Requests are logged when they complete, so attribute each one to
+      // the last action before it
+      lastAction.responses.push(describeRequest(event.failure, pageUrl));
+      return;
+    }
+
+    const interaction = event.interaction;
+    const target = toTarget(interaction);
+    const name = interaction.label || interaction.target;
+
+    switch (interaction.type) {
+      case 'click':
+      case 'dblclick':
+      case 'contextmenu':
+        if (!target) {
+          push({ comment: 'Skipped ' + interaction.type + ' on ' + name + ': selector was truncated' });
+        } else {
+          push({ action: interaction.type, target: target });
+        }
+        break;
+
+      case 'input': {
+        if (hasNearbyChange(interactions, event.index)) break;
+        if (!target) {
+          push({ comment: 'Skipped input into ' + name + ': selector was truncated' });
+          break;
+        }
+        const value = interaction.value || '';
+        if (isHiddenValue(value)) {
+          push({ comment: 'TODO: value was masked or redacted during recording' });
+          push({ action: 'fill', target: target, value: '' });
+        } else {
+          if (/\.\.\.$/.test(value) && value.length >= 100) {
+            push({ comment: 'TODO: value was truncated during recording' });
+          }
+          push({ action: 'fill', target: target, value: value });
+        }
+        break;
+      }
+
+      case 'change':
+        if (!target) {
+          push({ comment: 'Skipped change of ' + name + ': selector was truncated' });
+        } else if (interaction.value === 'checked' || interaction.value === 'unchecked') {
+          push({ action: interaction.value === 'checked' ? 'check' : 'uncheck', target: target });
+        } else {
+          push({ action: 'select', target: target, label: interaction.value || '' });
+        }
+        break;
+
+      case 'submit':
+        // Submitting by clicking a button is already replayed by the click
+        if (lastAction.action === 'click' || lastAction.action === 'press') {
+          push({ comment: 'Form ' + interaction.target + ' submitted by the previous action' });
+        } else if (!target) {
+          push({ comment: 'Skipped submit of ' + name + ': selector was truncated' });
+        } else {
+          push({ action: 'submit', target: target });
+        }
+        break;
+
+      case 'keydown':
+        push({
+          action: 'press',
+          target: interaction.target === 'body' ? null : target,
+          key: interaction.key
+        });
+        break;
+
+      case 'scroll':
+        push({ action: 'scroll', x: interaction.scrollX || 0, y: interaction.scrollY || 0 });
+        break;
+
+      case 'navigation':
+        if (interaction.trigger === 'popstate') {
+          push({ comment: 'Browser history navigation (back or forward)' });
+          push({ action: 'back' });
+        }
+        push(urlAssertion(interaction.url));
+        break;
+
+      case 'dragstart':
+        pendingDrag = target;
+        break;
+
+      case 'drop':
+        if (pendingDrag && target) {
+          push({ action: 'drag', target: pendingDrag, to: target });
+        } else {
+          push({ comment: 'Skipped drag and drop onto ' + name });
+        }
+        pendingDrag = null;
+        break;
+
+      case 'copy':
+      case 'paste':
+        push({ comment: 'User ' + interaction.type + ' in ' + name + ' (clipboard is not replayed)' });
+        break;
+
+      default:
+        // focus/blur are implied by the surrounding actions
+        break;
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Generate a Playwright spec from a session.
+ *
+ * @param {Object} session - The session object
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.comment] - User comment added to the header
+ * @returns {string} Playwright test source (TypeScript-compatible)
+ */
+export function formatSessionAsPlaywright(session, options) {
+  options = options || {};
+
+  const steps = buildTestSteps(session);
+  const lines = formatHeader(session, options.comment);
+  let requestCount = 0;
+
+  lines.push("import { test, expect } from '@playwright/test';");
+  lines.push('');
+  lines.push('test(' + quote(testTitle(session, options.comment)) + ', async ({ page }) => {');
+
+  steps.forEach((step) => {
+    if (step.comment) {
+      lines.push('  // ' + oneLine(step.comment));
+      return;
+    }
+    if (step.assert) {
+      lines.push('  ' + playwrightAssertion(step));
+      return;
+    }
+
+    const waits = step.responses.map((request) => {
+      requestCount++;
+      const name = (request.status ? 'response' : 'failedRequest') + requestCount;
+      lines.push('  const ' + name + ' = ' + playwrightWait(request) + ';');
+      return { name: name, request: request };
+    });
+
+    lines.push('  ' + playwrightAction(step));
+
+    waits.forEach((wait) => {
+      lines.push(wait.request.status
+        ? '  expect((await ' + wait.name + ').status()).toBe(' + wait.request.status + ');'
+        : '  await ' + wait.name + ';');
+    });
+  });
+
+  lines.push('});');
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Generate a Cypress spec from a session.
+ *
+ * @param {Object} session - The session object
+ * @param {Object} [options] - Same options as formatSessionAsPlaywright
+ * @returns {string} Cypress test source
+ */
+export function formatSessionAsCypress(session, options) {
+  options = options || {};
+
+  const steps = buildTestSteps(session);
+  const lines = formatHeader(session, options.comment);
+  const aliases = {};
+  const body = [];
+
+  steps.forEach((step) => {
+    if (step.comment) {
+      body.push('    // ' + oneLine(step.comment));
+      return;
+    }
+    if (step.assert) {
+      body.push('    ' + cypressAssertion(step));
+      return;
+    }
+
+    body.push('    ' + cypressAction(step));
+
+    step.responses.forEach((request) => {
+      // One intercept per endpoint; each cy.wait() consumes the next match
+      const key = request.method + ' ' + request.host + request.pathname;
+      if (!aliases[key]) {
+        aliases[key] = { name: 'request' + (Object.keys(aliases).length + 1), request: request };
+      }
+      const wait = "cy.wait('@" + aliases[key].name + "')";
+      body.push(request.status
+        ? '    ' + wait + ".its('response.statusCode').should('eq', " + request.status + ');'
+        : '    ' + wait + ".its('error').should('exist');");
+    });
+  });
+
+  lines.push('describe(' + quote(session.title || 'Recorded session') + ', () => {');
+  lines.push('  it(' + quote(testTitle(session, options.comment)) + ', () => {');
+  Object.keys(aliases).forEach((key) => {
+    const alias = aliases[key];
+    lines.push('    cy.intercept(' + cypressMatcher(alias.request) + ").as('" + alias.name + "');");
+  });
+  lines.push.apply(lines, body);
+  lines.push('  });');
+  lines.push('});');
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Generate a spec for the given framework.
+ *
+ * @param {Object} session - The session object
+ * @param {string} framework - Key of TEST_FRAMEWORKS
+ * @param {Object} [options] - Same options as formatSessionAsPlaywright
+ * @returns {string} Test source
+ */
+export function formatSessionAsTest(session, framework, options) {
+  return framework === 'cypress'
+    ? formatSessionAsCypress(session, options)
+    : formatSessionAsPlaywright(session, options);
+}
+
+/**
+ * Header comment shared by both frameworks.
+ * @private
+ */
+function formatHeader(session, comment) {
+  const lines = [
+    '// Generated by AI Context Reporter from session ' + session.sessionId,
+    '// Recorded on ' + (session.startUrl || session.url || 'unknown page') +
+      (session.startTime ? ' at ' + new Date(session.startTime).toISOString() : '')
+  ];
+
+  if (comment) {
+    lines.push('//');
+    comment.split('\n').forEach((line) => {
+      lines.push('// ' + line);
+    });
+  }
+
+  lines.push('//');
+  lines.push('// Assertions describe the recorded behaviour, including failed requests.');
+  lines.push('// Once the bug is fixed, update them to the expected behaviour.');
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Test title from the first line of the comment or the page title.
+ * @private
+ */
+function testTitle(session, comment) {
+  const firstLine = (comment || '').split('\n')[0].trim();
+  return 'reproduces: ' + (firstLine || session.title || session.url || 'recorded session');
+}
+
+/**
+ * Render a step's action as a Playwright statement.
+ * @private
+ */
+function playwrightAction(step) {
+  switch (step.action) {
+    case 'goto':
+      return 'await page.goto(' + quote(step.url) + ');';
+    case 'click':
+      return 'await ' + playwrightLocator(step.target) + '.click();';
+    case 'dblclick':
+      return 'await ' + playwrightLocator(step.target) + '.dblclick();';
+    case 'contextmenu':
+      return 'await ' + playwrightLocator(step.target) + ".click({ button: 'right' });";
+    case 'fill':
+      return 'await ' + playwrightLocator(step.target) + '.fill(' + quote(step.value) + ');';
+    case 'check':
+      return 'await ' + playwrightLocator(step.target) + '.check();';
+    case 'uncheck':
+      return 'await ' + playwrightLocator(step.target) + '.uncheck();';
+    case 'select':
+      return 'await ' + playwrightLocator(step.target) + '.selectOption({ label: ' + quote(step.label) + ' });';
+    case 'submit':
+      return 'await ' + playwrightLocator(step.target) + '.evaluate((form) => form.requestSubmit());';
+    case 'press': {
+      const key = step.key.split('+').map((part) => PLAYWRIGHT_MODIFIERS[part] || part).join('+');
+      return step.target
+        ? 'await ' + playwrightLocator(step.target) + '.press(' + quote(key) + ');'
+        : 'await page.keyboard.press(' + quote(key) + ');';
+    }
+    case 'scroll':
+      return 'await page.evaluate(() => window.scrollTo(' + step.x + ', ' + step.y + '));';
+    case 'drag':
+      return 'await ' + playwrightLocator(step.target) + '.dragTo(' + playwrightLocator(step.to) + ');';
+    case 'back':
+      return 'await page.goBack();';
+    default:
+      return '// Unsupported action: ' + step.action;
+  }
+}
+
+/**
+ * Render an assertion step for Playwright.
+ * @private
+ */
+function playwrightAssertion(step) {
+  if (step.assert === 'url') {
+    return 'await expect(page).toHaveURL(' + quote(step.url) + ');';
+  }
+  if (step.assert === 'pathname') {
+    return 'await expect.poll(() => new URL(page.url()).pathname).toBe(' + quote(step.pathname) + ');';
+  }
+  return 'expect(await page.evaluate(() => Object.keys(localStorage))).toEqual(expect.arrayContaining([' +
+    step.keys.map(quote).join(', ') + ']));';
+}
+
+/**
+ * Promise expression that resolves when a failed request recurs.
+ * @private
+ */
+function playwrightWait(request) {
+  if (!request.status) {
+    return "page.waitForEvent('requestfailed', (request) => " + playwrightUrlMatch('request', request) + ')';
+  }
+  return 'page.waitForResponse((response) => ' + playwrightUrlMatch('response', request) +
+    (request.method ? ' && response.request().method() === ' + quote(request.method) : '') + ')';
+}
+
+/**
+ * URL predicate for a request or response.
+ * @private
+ */
+function playwrightUrlMatch(variable, request) {
+  return variable + '.url().includes(' + quote(request.host + request.pathname) + ')';
+}
+
+/**
+ * Playwright locator for a step target.
+ * @private
+ */
+function playwrightLocator(target) {
+  return target.css
+    ? 'page.locator(' + quote(target.css) + ')'
+    : 'page.getByText(' + quote(target.text) + ', { exact: true }).first()';
+}
+
+/**
+ * Render a step's action as a Cypress command.
+ * @private
+ */
+function cypressAction(step) {
+  switch (step.action) {
+    case 'goto':
+      return 'cy.visit(' + quote(step.url) + ');';
+    case 'click':
+      return cypressSubject(step.target) + '.click();';
+    case 'dblclick':
+      return cypressSubject(step.target) + '.dblclick();';
+    case 'contextmenu':
+      return cypressSubject(step.target) + '.rightclick();';
+    case 'fill':
+      return step.value
+        ? cypressSubject(step.target) + '.clear().type(' + quote(escapeCypressText(step.value)) + ');'
+        : cypressSubject(step.target) + '.clear();';
+    case 'check':
+      return cypressSubject(step.target) + '.check();';
+    case 'uncheck':
+      return cypressSubject(step.target) + '.uncheck();';
+    case 'select':
+      return cypressSubject(step.target) + '.select(' + quote(step.label) + ');';
+    case 'submit':
+      return cypressSubject(step.target) + '.submit();';
+    case 'press': {
+      const sequence = cypressKeySequence(step.key);
+      if (!sequence) {
+        return '// Skipped key press ' + step.key + ': not supported by cy.type()';
+      }
+      return (step.target ? cypressSubject(step.target) : "cy.get('body')") + '.type(' + quote(sequence) + ');';
+    }
+    case 'scroll':
+      return 'cy.scrollTo(' + step.x + ', ' + step.y + ');';
+    case 'drag':
+      return '// Skipped drag from ' + describeTarget(step.target) + ' to ' + describeTarget(step.to) +
+        ': Cypress has no built-in drag and drop';
+    case 'back':
+      return "cy.go('back');";
+    default:
+      return '// Unsupported action: ' + step.action;
+  }
+}
+
+/**
+ * Render an assertion step for Cypress.
+ * @private
+ */
+function cypressAssertion(step) {
+  if (step.assert === 'url') {
+    return "cy.url().should('eq', " + quote(step.url) + ');';
+  }
+  if (step.assert === 'pathname') {
+    return "cy.location('pathname').should('eq', " + quote(step.pathname) + ');';
+  }
+  return "cy.window().its('localStorage').should((storage) => {\n" +
+    '      expect(Object.keys(storage)).to.include.members([' + step.keys.map(quote).join(', ') + ']);\n' +
+    '    });';
+}
+
+/**
+ * Route matcher for cy.intercept().
+ * @private
+ */
+function cypressMatcher(request) {
+  const parts = [];
+  if (request.method) parts.push('method: ' + quote(request.method));
+  if (request.hostname) parts.push('hostname: ' + quote(request.hostname));
+  if (request.port) parts.push('port: ' + request.port);
+  parts.push('pathname: ' + quote(request.pathname));
+  return '{ ' + parts.join(', ') + ' }';
+}
+
+/**
+ * Cypress subject for a step target.
+ * @private
+ */
+function cypressSubject(target) {
+  return target.css
+    ? 'cy.get(' + quote(target.css) + ')'
+    : 'cy.contains(' + quote(target.text) + ')';
+}
+
+/**
+ * Convert a recorded shortcut (e.g. "Ctrl+Shift+k") to a cy.type() sequence.
+ * @private
+ */
+function cypressKeySequence(key) {
+  const parts = key.split('+');
+  const main = parts.pop();
+  const mainSequence = main.length === 1 ? escapeCypressText(main) : CYPRESS_KEYS[main];
+  if (!mainSequence) return null;
+  return parts.map((part) => CYPRESS_MODIFIERS[part] || '').join('') + mainSequence;
+}
+
+/**
+ * Escape cy.type() special sequences in literal text.
+ * @private
+ */
+function escapeCypressText(text) {
+  return text.replace(/\{/g, '{{}');
+}
+
+/**
+ * Locator target for an interaction: its selector, or its text when the
+ * recorder truncated the selector. Null when neither is usable.
+ * @private
+ */
+function toTarget(interaction) {
+  const selector = interaction.target || '';
+  if (selector && !/\.\.\.$/.test(selector) && selector !== 'window' && selector !== 'history') {
+    return { css: selector };
+  }
+  if (interaction.label && !/\.\.\.$/.test(interaction.label)) {
+    return { text: interaction.label };
+  }
+  return null;
+}
+
+/**
+ * Human-readable description of a target for comments.
+ * @private
+ */
+function describeTarget(target) {
+  return target.css || '"' + target.text + '"';
+}
+
+/**
+ * Whether an input event is followed by a change event on the same element.
+ * @private
+ */
+function hasNearbyChange(interactions, index) {
+  const input = interactions[index];
+  return interactions.some((other) =>
+    other.type === 'change' &&
+    other.target === input.target &&
+    Math.abs(other.timestamp - input.timestamp) <= CHANGE_WINDOW_MS
+  );
+}
+
+/**
+ * Assertion step for a recorded URL. Redacted URLs can never match, so
+ * only their path is checked.
+ * @private
+ */
+function urlAssertion(url) {
+  if (!isHiddenValue(url)) {
+    return { assert: 'url', url: url };
+  }
+  try {
+    return { assert: 'pathname', pathname: new URL(url).pathname };
+  } catch (e) {
+    return { comment: 'Skipped URL check: URL was redacted during recording' };
+  }
+}
+
+/**
+ * Whether a recorded value was masked by the recorder or redacted.
+ * @private
+ */
+function isHiddenValue(value) {
+  return value === '[masked]' || value.indexOf('[REDACTED:') !== -1;
+}
+
+/**
+ * Reduce a failed network entry to what the assertions match on.
+ * Query strings are left out because they often carry redacted values.
+ * @private
+ */
+function describeRequest(entry, pageUrl) {
+  let host = '';
+  let hostname = '';
+  let port = null;
+  let pathname = entry.url || '';
+  try {
+    const url = new URL(entry.url, pageUrl);
+    const page = new URL(pageUrl);
+    pathname = url.pathname;
+    if (url.host !== page.host) {
+      // host ("api.local:8080") for Playwright's URL check, hostname and
+      // port separately for cy.intercept(), whose hostname has no port
+      host = url.host;
+      hostname = url.hostname;
+      port = url.port ? Number(url.port) : null;
+    }
+  } catch (e) {
+    pathname = pathname.split('?')[0];
+  }
+
+  return {
+    method: entry.method && entry.method !== 'UNKNOWN' ? entry.method : null,
+    host: host,
+    hostname: hostname,
+    port: port,
+    pathname: pathname,
+    status: entry.status || 0
+  };
+}
+
+/**
+ * Collapse whitespace so text fits in a line comment.
+ * @private
+ */
+function oneLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Single-quoted JavaScript string literal.
+ * @private
+ */
+function quote(value) {
+  return "'" + String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029') + "'";
+}
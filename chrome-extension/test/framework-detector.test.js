@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import { getFrameworkDetectorCode } from '../lib/framework-detector.js';
+
+const ThemeContext = React.createContext('light');
+ThemeContext.displayName = 'ThemeContext';
+
+function Counter() {
+  const [, startTransition] = React.useTransition();
+  const snapshot = React.useSyncExternalStore(() => () => {}, () => 'snap');
+  const [count] = React.useState(42);
+  const theme = React.useContext(ThemeContext);
+  const doubled = React.useMemo(() => count * 2, [count]);
+  return React.createElement('div', { onClick: startTransition }, snapshot, theme, doubled);
+}
+
+/**
+ * Run the detector on a page whose selected element is the <div> rendered
+ * by Counter. The result is passed through JSON, as inspectedWindow.eval
+ * returns it.
+ */
+function detectCounter(prepareFiber) {
+  let renderer;
+  TestRenderer.act(() => {
+    renderer = TestRenderer.create(
+      React.createElement(ThemeContext.Provider, { value: 'dark' }, React.createElement(Counter))
+    );
+  });
+  const hostFiber = renderer.root.findByType('div')._fiber;
+  prepareFiber(hostFiber.return);
+
+  const { window } = new JSDOM('<div id="root"><div id="selected"></div></div>', { runScripts: 'outside-only' });
+  window.React = { version: React.version };
+  window.$0 = window.document.getElementById('selected');
+  window.$0.__reactFiber$test = hostFiber;
+  return JSON.parse(JSON.stringify(window.eval(getFrameworkDetectorCode())));
+}
+
+test('reports hook values from a real fiber, skipping the extra nodes of multi-node hooks', () => {
+  const result = detectCounter(fiber => {
+    assert.deepEqual(fiber._debugHookTypes, ['useTransition', 'useSyncExternalStore', 'useState', 'useContext', 'useMemo']);
+  });
+
+  assert.equal(result.component.name, 'Counter');
+  assert.deepEqual(result.component.hooks, [
+    { index: 2, hook: 'useSyncExternalStore', name: null, value: 'snap' },
+    { index: 4, hook: 'useState', name: null, value: 42 },
+    { index: null, hook: 'useContext', name: 'ThemeContext', value: 'dark' },
+    { index: 5, hook: 'useMemo', name: null, value: 84 }
+  ]);
+});
+
+test('infers hook types without _debugHookTypes', () => {
+  const result = detectCounter(fiber => {
+    fiber._debugHookTypes = null;
+  });
+
+  // useTransition's pending flag is a plain state hook
+  assert.deepEqual(result.component.hooks, [
+    { index: 0, hook: 'useState', name: null, value: false },
+    { index: 2, hook: 'useSyncExternalStore', name: null, value: 'snap' },
+    { index: 4, hook: 'useState', name: null, value: 42 },
+    { index: 5, hook: 'useMemo', name: null, value: 84 },
+    { index: null, hook: 'useContext', name: 'ThemeContext', value: 'dark' }
+  ]);
+});
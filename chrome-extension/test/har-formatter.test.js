@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSessionHar, formatSessionAsHar } from '../lib/har-formatter.js';
+
+const session = {
+  sessionId: 'session-1',
+  url: 'http://localhost:3000/checkout',
+  title: 'Checkout',
+  startTime: 1706450400000,
+  networkLog: [
+    {
+      timestamp: 1706450402000,
+      method: 'GET',
+      url: '/api/cart?currency=EUR&items=2',
+      status: 302,
+      statusText: 'Found',
+      duration: 12.5,
+      requestHeaders: { accept: 'application/json' },
+      responseHeaders: { location: '/api/cart/v2', 'content-type': 'text/plain' },
+      responseBody: 'Moved'
+    },
+    {
+      timestamp: 1706450401000,
+      method: 'POST',
+      url: 'http://api.local:8080/pay',
+      status: 500,
+      statusText: 'Internal Server Error',
+      duration: 80,
+      requestHeaders: { 'content-type': 'application/json', authorization: '[REDACTED:bearer-token]' },
+      responseHeaders: { 'content-type': 'application/json' },
+      requestBody: '{"amount":42}',
+      responseBody: '{"error":"declined"}'
+    },
+    {
+      timestamp: 1706450403000,
+      method: 'GET',
+      url: '/api/receipt',
+      status: 0,
+      failed: true,
+      error: 'net::ERR_CONNECTION_REFUSED'
+    }
+  ]
+};
+
+/**
+ * Check the fields HAR 1.2 requires, and their types.
+ */
+function assertValidHar(har) {
+  const isNameValueList = (list) => Array.isArray(list) &&
+    list.every((item) => typeof item.name === 'string' && typeof item.value === 'string');
+  const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString() === value;
+
+  const log = har.log;
+  assert.equal(log.version, '1.2');
+  assert.equal(typeof log.creator.name, 'string');
+  assert.equal(typeof log.creator.version, 'string');
+  assert.ok(Array.isArray(log.pages));
+  log.pages.forEach((page) => {
+    assert.ok(isDate(page.startedDateTime));
+    assert.equal(typeof page.id, 'string');
+    assert.equal(typeof page.title, 'string');
+    assert.equal(typeof page.pageTimings, 'object');
+  });
+  assert.ok(Array.isArray(log.entries));
+
+  log.entries.forEach((entry) => {
+    assert.ok(log.pages.some((page) => page.id === entry.pageref));
+    assert.ok(isDate(entry.startedDateTime));
+    assert.equal(typeof entry.cache, 'object');
+
+    const { request, response, timings } = entry;
+    assert.equal(typeof request.method, 'string');
+    assert.doesNotThrow(() => new URL(request.url));
+    assert.equal(typeof request.httpVersion, 'string');
+    assert.ok(isNameValueList(request.cookies));
+    assert.ok(isNameValueList(request.headers));
+    assert.ok(isNameValueList(request.queryString));
+    assert.equal(typeof request.headersSize, 'number');
+    assert.equal(typeof request.bodySize, 'number');
+    if (request.postData) {
+      assert.equal(typeof request.postData.mimeType, 'string');
+      assert.equal(typeof request.postData.text, 'string');
+    }
+
+    assert.equal(typeof response.status, 'number');
+    assert.equal(typeof response.statusText, 'string');
+    assert.equal(typeof response.httpVersion, 'string');
+    assert.ok(isNameValueList(response.cookies));
+    assert.ok(isNameValueList(response.headers));
+    assert.equal(typeof response.content.size, 'number');
+    assert.equal(typeof response.content.mimeType, 'string');
+    assert.equal(typeof response.redirectURL, 'string');
+    assert.equal(typeof response.headersSize, 'number');
+    assert.equal(typeof response.bodySize, 'number');
+
+    // send, wait and receive are required; the entry's time is the sum of
+    // the known (non-negative) timings
+    ['send', 'wait', 'receive'].forEach((name) => {
+      assert.equal(typeof timings[name], 'number');
+      assert.ok(timings[name] >= 0);
+    });
+    const total = Object.keys(timings)
+      .filter((name) => name !== 'comment' && timings[name] !== -1)
+      .reduce((sum, name) => sum + timings[name], 0);
+    assert.equal(entry.time, total);
+  });
+}
+
+test('builds a valid HAR 1.2 log', () => {
+  const har = buildSessionHar(session, { creatorVersion: '1.4.0', comment: 'Payment fails' });
+
+  assertValidHar(har);
+  assert.deepEqual(har.log.creator, { name: 'AI Context Reporter', version: '1.4.0' });
+  assert.equal(har.log.comment, 'Payment fails');
+  assert.deepEqual(har.log.pages, [{
+    startedDateTime: '2024-01-28T14:00:00.000Z',
+    id: 'page_1',
+    title: 'Checkout',
+    pageTimings: {}
+  }]);
+});
+
+test('orders entries by time and resolves relative URLs', () => {
+  const { entries } = buildSessionHar(session).log;
+
+  assert.deepEqual(entries.map((entry) => entry.request.url), [
+    'http://api.local:8080/pay',
+    'http://localhost:3000/api/cart?currency=EUR&items=2',
+    'http://localhost:3000/api/receipt'
+  ]);
+  assert.deepEqual(entries.map((entry) => entry.startedDateTime), [
+    '2024-01-28T14:00:01.000Z',
+    '2024-01-28T14:00:02.000Z',
+    '2024-01-28T14:00:03.000Z'
+  ]);
+});
+
+test('converts headers, query strings and bodies', () => {
+  const [pay, cart, receipt] = buildSessionHar(session).log.entries;
+
+  assert.deepEqual(pay.request.headers, [
+    { name: 'content-type', value: 'application/json' },
+    { name: 'authorization', value: '[REDACTED:bearer-token]' }
+  ]);
+  assert.deepEqual(pay.request.cookies, []);
+  assert.deepEqual(pay.request.postData, { mimeType: 'application/json', text: '{"amount":42}' });
+  assert.equal(pay.request.bodySize, 13);
+  assert.deepEqual(pay.response.content, { size: 20, mimeType: 'application/json', text: '{"error":"declined"}' });
+  assert.deepEqual(pay.timings, { send: 0, wait: 80, receive: 0 });
+
+  assert.deepEqual(cart.request.queryString, [
+    { name: 'currency', value: 'EUR' },
+    { name: 'items', value: '2' }
+  ]);
+  assert.equal(cart.response.redirectURL, '/api/cart/v2');
+  assert.equal(cart.time, 12.5);
+
+  assert.equal(receipt._failed, true);
+  assert.equal(receipt._error, 'net::ERR_CONNECTION_REFUSED');
+  assert.equal(receipt.response.statusText, 'net::ERR_CONNECTION_REFUSED');
+  assert.deepEqual(receipt.response.headers, []);
+  assert.deepEqual(receipt.timings, { send: 0, wait: 0, receive: 0 });
+});
+
+test('formats an empty session as a valid HAR', () => {
+  const har = JSON.parse(formatSessionAsHar({ url: 'http://localhost:3000/', startTime: 1706450400000 }));
+
+  assertValidHar(har);
+  assert.deepEqual(har.log.entries, []);
+  assert.equal(har.log.creator.version, '0.0.0');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { getSessionRecorderInjectorCode, getStartSessionCode, getStopSessionCode } from '../lib/session-recorder.js';
+import { getReplayRecorderInjectorCode } from '../lib/replay-recorder.js';
+import { getElementUtilsCode } from '../lib/shared-utils.js';
+
+test('does not record the extension\'s own nodes', () => {
+  const { window } = new JSDOM('<body><p id="price" style="color: red">42</p></body>', {
+    runScripts: 'outside-only',
+    url: 'http://localhost:3000/'
+  });
+  window.console.log = () => {};
+  window.eval(getSessionRecorderInjectorCode());
+  window.eval(getReplayRecorderInjectorCode());
+  window.eval(getElementUtilsCode());
+
+  window.eval(getStartSessionCode('session-1'));
+  window.eval(`
+    // Adds and removes a reference iframe
+    getComputedStyles(document.getElementById('price'), { nonDefaultOnly: true });
+    var overlay = document.createElement('div');
+    overlay.setAttribute('data-ai-context-extension', '');
+    document.body.appendChild(overlay);
+    overlay.remove();
+    var note = document.createElement('div');
+    note.textContent = 'Sold out';
+    document.body.appendChild(note);
+  `);
+  const session = JSON.parse(JSON.stringify(window.eval(getStopSessionCode())));
+
+  assert.deepEqual(session.mutations.map((entry) => entry.type + ' ' + entry.target), ['added div']);
+  const replayAdds = session.replay.events
+    .filter((event) => event.type === 'mutation')
+    .flatMap((event) => event.ops)
+    .filter((op) => op.op === 'add');
+  assert.deepEqual(replayAdds.map((op) => op.node.tag), ['div']);
+  assert.deepEqual(replayAdds[0].node.attrs, {});
+});
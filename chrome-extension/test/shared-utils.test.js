@@ -0,0 +1,200 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+  getAccessibilityInfo,
+  getComputedStyles,
+  getElementContext,
+  getParentHtml,
+  getElementUtilsCode
+} from '../lib/shared-utils.js';
+
+const PAGE = `
+  <style>
+    .card { background-color: rgb(255, 255, 255); }
+    .faint { color: rgb(200, 200, 200); }
+    .strong { color: rgb(0, 0, 0); }
+    .shade { background-color: rgba(0, 0, 0, 0.5); }
+    .hidden { display: none; }
+  </style>
+  <main id="main">
+    <h2 id="title">Checkout</h2>
+    <section id="form" class="card">
+      <label for="email">Email <span class="hidden">(required)</span></label>
+      <input id="email" type="email">
+      <input id="submit" type="submit">
+      <button id="icon-button"><img src="close.png" alt="Close"></button>
+      <button id="labelled" aria-labelledby="title">Ignored</button>
+      <button id="empty"></button>
+      <a id="link" href="/help" title="Help page"></a>
+      <p id="faint" class="faint">Fine print</p>
+      <p id="strong" class="strong">Total</p>
+      <div id="bad" role="bogus" tabindex="2"><img src="ad.png"></div>
+      <div id="check" role="checkbox" tabindex="0">Agree</div>
+    </section>
+    <div class="shade"><p id="shaded" class="strong" style="font-size: 24px">Banner</p></div>
+  </main>`;
+
+let window;
+
+beforeEach(() => {
+  window = new JSDOM(PAGE, { runScripts: 'outside-only' }).window;
+  // The module reads the page globals, as in a content script
+  globalThis.window = window;
+  globalThis.document = window.document;
+  globalThis.Node = window.Node;
+  // The injected copy, as evaluated in the inspected page
+  window.eval(getElementUtilsCode());
+});
+
+after(() => {
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.Node;
+});
+
+function byId(id) {
+  return window.document.getElementById(id);
+}
+
+/** Call a function of the injected copy; results pass through JSON, as from inspectedWindow.eval */
+function injected(name, ...args) {
+  return JSON.parse(JSON.stringify(window[name](...args)));
+}
+
+test('parses computed colors', () => {
+  assert.deepEqual(injected('parseColor', 'rgb(1, 2, 3)'), [1, 2, 3, 1]);
+  assert.deepEqual(injected('parseColor', 'rgba(0, 0, 0, 0.5)'), [0, 0, 0, 0.5]);
+  assert.deepEqual(injected('parseColor', 'rgb(10 20 30 / 0.25)'), [10, 20, 30, 0.25]);
+  assert.equal(window.parseColor('color(srgb 1 0 0)'), null);
+  assert.equal(window.parseColor('rgb(1, 2)'), null);
+  assert.equal(window.parseColor(''), null);
+});
+
+test('blends colors over an opaque background', () => {
+  assert.deepEqual(injected('blendColors', [0, 0, 0, 0.5], [255, 255, 255, 1]), [127.5, 127.5, 127.5, 1]);
+  assert.deepEqual(injected('blendColors', [10, 20, 30, 1], [255, 255, 255, 1]), [10, 20, 30, 1]);
+  assert.deepEqual(injected('blendColors', [10, 20, 30, 0], [255, 255, 255, 1]), [255, 255, 255, 1]);
+});
+
+test('computes WCAG contrast ratios', () => {
+  assert.equal(window.contrastRatio([0, 0, 0, 1], [255, 255, 255, 1]), 21);
+  assert.equal(window.contrastRatio([255, 255, 255, 1], [0, 0, 0, 1]), 21);
+  assert.equal(window.contrastRatio([119, 119, 119, 1], [119, 119, 119, 1]), 1);
+  assert.equal(Math.round(window.contrastRatio([119, 119, 119, 1], [255, 255, 255, 1]) * 100) / 100, 4.48);
+});
+
+test('reports text contrast against composited backgrounds', () => {
+  assert.deepEqual(getAccessibilityInfo(byId('strong')).contrast, {
+    ratio: 21,
+    foreground: 'rgb(0, 0, 0)',
+    background: 'rgb(255, 255, 255)',
+    largeText: false,
+    passesAA: true,
+    passesAAA: true,
+    approximate: false
+  });
+  // Half-transparent black over the white page
+  assert.deepEqual(getAccessibilityInfo(byId('shaded')).contrast, {
+    ratio: 5.28,
+    foreground: 'rgb(0, 0, 0)',
+    background: 'rgb(128, 128, 128)',
+    largeText: true,
+    passesAA: true,
+    passesAAA: true,
+    approximate: false
+  });
+});
+
+test('computes accessible names', () => {
+  const name = (id) => getAccessibilityInfo(byId(id)).name;
+
+  // Hidden label content is left out
+  assert.equal(name('email'), 'Email');
+  assert.equal(name('submit'), 'Submit');
+  assert.equal(name('icon-button'), 'Close');
+  assert.equal(name('labelled'), 'Checkout');
+  assert.equal(name('link'), 'Help page');
+  assert.equal(name('check'), 'Agree');
+  assert.equal(name('empty'), '');
+});
+
+test('reports roles, states and focusability', () => {
+  const check = getAccessibilityInfo(byId('check'));
+  const email = getAccessibilityInfo(byId('email'));
+
+  assert.equal(check.role, 'checkbox');
+  assert.equal(check.focusable, true);
+  assert.equal(email.role, 'textbox');
+  assert.deepEqual(email.states, {});
+  assert.equal(getAccessibilityInfo(byId('title')).role, 'heading');
+});
+
+test('collects accessibility violations in a subtree', () => {
+  const info = getAccessibilityInfo(byId('form'));
+
+  assert.deepEqual(info.violations.map((violation) => violation.rule + ' ' + violation.message), [
+    'button-name Button has no accessible name',
+    'color-contrast Text contrast 1.67:1 is below 4.5:1',
+    'aria-roles Unknown ARIA role "bogus"',
+    'tabindex Positive tabindex changes the focus order',
+    'image-alt Image has no alt attribute',
+    'aria-required-attr Role "checkbox" requires aria-checked'
+  ]);
+  assert.equal(info.violationCount, 6);
+});
+
+test('captures parent HTML with trimmed children', () => {
+  const html = getParentHtml(byId('shaded'));
+
+  assert.equal(html, '<div class="shade"><p id="shaded" class="strong" style="font-size: 24px">Banner</p></div>');
+  assert.match(getParentHtml(byId('email')), /^<section id="form" class="card"><label for="email">\.\.\.<\/label><input id="email" type="email">/);
+  assert.equal(getParentHtml(window.document.documentElement), null);
+});
+
+test('captures ancestors and nearest siblings', () => {
+  const context = getElementContext(byId('empty'), 2);
+
+  assert.deepEqual(context.ancestors.map((node) => node.tag + (node.id ? '#' + node.id : '')), ['section#form', 'main#main']);
+  assert.deepEqual(context.ancestors[0].classes, ['card']);
+  assert.deepEqual(context.previousSiblings.map((node) => node.id), ['icon-button', 'labelled']);
+  assert.deepEqual(context.nextSiblings.map((node) => node.id), ['link', 'faint']);
+  assert.equal(context.index, 5);
+  assert.equal(context.siblingCount, 11);
+  assert.equal(getElementContext(byId('empty'), 0), null);
+});
+
+test('leaves out default style values when asked', () => {
+  const all = getComputedStyles(byId('faint'));
+  const changed = getComputedStyles(byId('faint'), { nonDefaultOnly: true });
+
+  assert.equal(all.color, 'rgb(200, 200, 200)');
+  assert.equal(all.display, 'block');
+  assert.equal(changed.color, 'rgb(200, 200, 200)');
+  assert.equal('display' in changed, false);
+  // The reference iframe is removed again
+  assert.equal(window.document.querySelectorAll('iframe').length, 0);
+});
+
+test('the injected copy matches the module', () => {
+  ['main', 'form', 'email', 'icon-button', 'labelled', 'faint', 'shaded', 'bad', 'check'].forEach((id) => {
+    const el = byId(id);
+    const module = JSON.parse(JSON.stringify({
+      accessibility: getAccessibilityInfo(el),
+      context: getElementContext(el, 2),
+      parentHtml: getParentHtml(el),
+      styles: getComputedStyles(el),
+      nonDefaultStyles: getComputedStyles(el, { nonDefaultOnly: true }),
+      layoutStyles: getComputedStyles(el, { profile: 'layout' })
+    }));
+
+    assert.deepEqual({
+      accessibility: injected('getAccessibilityInfo', el),
+      context: injected('getElementContext', el, 2),
+      parentHtml: injected('getParentHtml', el),
+      styles: injected('getComputedStyles', el),
+      nonDefaultStyles: injected('getComputedStyles', el, { nonDefaultOnly: true }),
+      layoutStyles: injected('getComputedStyles', el, { profile: 'layout' })
+    }, module, id);
+  });
+});
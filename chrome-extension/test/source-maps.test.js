@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConsoleStacks, resolveComponentFile } from '../lib/source-maps.js';
+
+const PAGE_URL = 'http://localhost:3000/cart';
+const SCRIPT_URL = 'http://localhost:3000/assets/app.js';
+
+// Generated (0-based line, column) -> source, original line, column:
+//   0:0  -> App.jsx 0:0     0:10 -> App.jsx 4:2     0:40 -> Cart.jsx 20:6
+//   (line 1 unmapped)
+//   2:4  -> Cart.jsx 2:0    2:100 -> App.jsx 50:10
+// Covers multi-digit VLQ values, negative deltas and an empty line.
+const MAPPINGS = 'AAAA,UAIE,8BCgBI;;IAlBN,gGDgDU';
+
+const MAP = {
+  version: 3,
+  sourceRoot: '/src',
+  sources: ['App.jsx', 'Cart.jsx'],
+  names: [],
+  mappings: MAPPINGS
+};
+
+let files;
+let originalFetch;
+
+beforeEach(() => {
+  files = {};
+  originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    if (url.startsWith('data:')) return originalFetch(url, options);
+    const file = files[url];
+    return file
+      ? new Response(file.body, { headers: file.headers || {} })
+      : new Response('', { status: 404 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function serveScript(body, mapReference, headers) {
+  files[SCRIPT_URL] = {
+    body: mapReference ? body + '\n//# sourceMappingURL=' + mapReference : body,
+    headers: headers
+  };
+}
+
+async function resolveFrame(line, column) {
+  const [entry] = await resolveConsoleStacks([{ stack: 'at f (' + SCRIPT_URL + ':' + line + ':' + column + ')' }], PAGE_URL);
+  return entry.stack.slice('at f ('.length, -1);
+}
+
+test('maps stack frames through the decoded segments', async () => {
+  serveScript('bundle();', 'app.js.map');
+  files[SCRIPT_URL + '.map'] = { body: JSON.stringify(MAP) };
+
+  assert.equal(await resolveFrame(1, 1), 'src/App.jsx:1:1');
+  // Last segment starting at or before the column
+  assert.equal(await resolveFrame(1, 12), 'src/App.jsx:5:3');
+  assert.equal(await resolveFrame(1, 40), 'src/App.jsx:5:3');
+  assert.equal(await resolveFrame(1, 41), 'src/Cart.jsx:21:7');
+  assert.equal(await resolveFrame(3, 5), 'src/Cart.jsx:3:1');
+  assert.equal(await resolveFrame(3, 250), 'src/App.jsx:51:11');
+});
+
+test('leaves unmapped positions and other origins alone', async () => {
+  serveScript('bundle();', 'app.js.map');
+  files[SCRIPT_URL + '.map'] = { body: JSON.stringify(MAP) };
+
+  assert.equal(await resolveFrame(2, 1), SCRIPT_URL + ':2:1');
+  assert.equal(await resolveFrame(3, 1), SCRIPT_URL + ':3:1');
+
+  const entries = [{ stack: 'at g (https://cdn.example.com/lib.js:1:1)' }, { message: 'no stack' }];
+  assert.deepEqual(await resolveConsoleStacks(entries, PAGE_URL), entries);
+});
+
+test('leaves stacks alone when the map cannot be fetched', async () => {
+  serveScript('bundle();', 'missing.js.map');
+
+  assert.equal(await resolveFrame(1, 12), SCRIPT_URL + ':1:12');
+});
+
+test('resolves sources against the map URL without a sourceRoot', async () => {
+  serveScript('bundle();', 'maps/app.js.map');
+  files['http://localhost:3000/assets/maps/app.js.map'] = {
+    body: JSON.stringify(Object.assign({}, MAP, { sourceRoot: undefined, sources: ['../../src/App.jsx', 'webpack://shop/./src/Cart.jsx'] }))
+  };
+
+  assert.equal(await resolveFrame(1, 12), 'src/App.jsx:5:3');
+  assert.equal(await resolveFrame(1, 41), 'src/Cart.jsx:21:7');
+});
+
+test('reads inline maps, SourceMap headers and XSSI-guarded maps', async () => {
+  const inline = 'data:application/json;base64,' + Buffer.from(JSON.stringify(MAP)).toString('base64');
+  serveScript('bundle();', inline);
+  assert.equal(await resolveFrame(1, 12), 'src/App.jsx:5:3');
+
+  serveScript('bundle();', null, { SourceMap: '/maps/app.js.map' });
+  files['http://localhost:3000/maps/app.js.map'] = { body: ")]}'\n" + JSON.stringify(MAP) };
+  assert.equal(await resolveFrame(1, 12), 'src/App.jsx:5:3');
+});
+
+test('maps through the sections of an index map', async () => {
+  serveScript('bundle();', 'app.js.map');
+  files[SCRIPT_URL + '.map'] = {
+    body: JSON.stringify({
+      version: 3,
+      sections: [
+        { offset: { line: 0, column: 0 }, map: MAP },
+        { offset: { line: 10, column: 5 }, map: Object.assign({}, MAP, { sourceRoot: '/lib' }) }
+      ]
+    })
+  };
+
+  assert.equal(await resolveFrame(1, 12), 'src/App.jsx:5:3');
+  // Columns on the section's first line are relative to its offset
+  assert.equal(await resolveFrame(11, 16), 'lib/App.jsx:5:3');
+  assert.equal(await resolveFrame(13, 5), 'lib/Cart.jsx:3:1');
+});
+
+test('finds the source file of a component function', async () => {
+  serveScript('bundle();\n\n    function Cart(props) {}', 'app.js.map');
+  files[SCRIPT_URL + '.map'] = { body: JSON.stringify(MAP) };
+
+  const location = await resolveComponentFile({ code: 'function Cart(props)', scripts: [SCRIPT_URL] }, PAGE_URL);
+
+  assert.deepEqual(location, { file: 'src/Cart.jsx', line: 3, column: 1 });
+});
+
+test('takes a script without a map as the source itself', async () => {
+  files['http://localhost:3000/src/Cart.jsx'] = { body: 'import x;\nexport function Cart() {}' };
+
+  const location = await resolveComponentFile({
+    code: 'function Cart()',
+    scripts: ['https://cdn.example.com/vendor.js', 'http://localhost:3000/src/Cart.jsx']
+  }, PAGE_URL);
+
+  assert.deepEqual(location, { file: 'src/Cart.jsx', line: 2, column: 8 });
+});
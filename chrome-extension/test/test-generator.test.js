@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  buildTestSteps,
+  formatSessionAsPlaywright,
+  formatSessionAsCypress,
+  formatSessionAsTest
+} from '../lib/test-generator.js';
+
+const session = JSON.parse(fs.readFileSync(new URL('./fixtures/session.json', import.meta.url), 'utf8'));
+const options = { comment: 'Payment fails\nsecond line' };
+
+const HEADER = [
+  '// Generated by AI Context Reporter from session session-1',
+  '// Recorded on http://localhost:3000/checkout at 2024-01-28T14:00:00.000Z',
+  '//',
+  '// Payment fails',
+  '// second line',
+  '//',
+  '// Assertions describe the recorded behaviour, including failed requests.',
+  '// Once the bug is fixed, update them to the expected behaviour.',
+  ''
+];
+
+test('generates a Playwright spec from a recorded session', () => {
+  assert.equal(formatSessionAsPlaywright(session, options), HEADER.concat([
+    "import { test, expect } from '@playwright/test';",
+    '',
+    "test('reproduces: Payment fails', async ({ page }) => {",
+    "  await page.goto('http://localhost:3000/checkout');",
+    "  await page.locator('button#add').click();",
+    "  await page.locator('input#name').fill('O\\'Brien {VIP}\\\\');",
+    '  // TODO: value was masked or redacted during recording',
+    "  await page.locator('input#card').fill('');",
+    '  // TODO: value was masked or redacted during recording',
+    "  await page.locator('input#email').fill('');",
+    "  await page.locator('input#terms').check();",
+    "  await page.keyboard.press('Control+Enter');",
+    "  const response1 = page.waitForResponse((response) => response.url().includes('api.local:8080/pay') && response.request().method() === 'POST');",
+    "  const failedRequest2 = page.waitForEvent('requestfailed', (request) => request.url().includes('/api/receipt'));",
+    "  await page.getByText('Pay now', { exact: true }).first().click();",
+    '  expect((await response1).status()).toBe(500);',
+    '  await failedRequest2;',
+    "  await expect.poll(() => new URL(page.url()).pathname).toBe('/done');",
+    '  // Snapshot: After payment',
+    "  await expect(page).toHaveURL('http://localhost:3000/done');",
+    "  expect(await page.evaluate(() => Object.keys(localStorage))).toEqual(expect.arrayContaining(['cart', 'lastOrder']));",
+    '});',
+    ''
+  ]).join('\n'));
+});
+
+test('generates a Cypress spec from a recorded session', () => {
+  assert.equal(formatSessionAsCypress(session, options), HEADER.concat([
+    "describe('Checkout - O\\'Brien\\'s shop', () => {",
+    "  it('reproduces: Payment fails', () => {",
+    "    cy.intercept({ method: 'POST', hostname: 'api.local', port: 8080, pathname: '/pay' }).as('request1');",
+    "    cy.intercept({ method: 'GET', pathname: '/api/receipt' }).as('request2');",
+    "    cy.visit('http://localhost:3000/checkout');",
+    "    cy.get('button#add').click();",
+    "    cy.get('input#name').clear().type('O\\'Brien {{}VIP}\\\\');",
+    '    // TODO: value was masked or redacted during recording',
+    "    cy.get('input#card').clear();",
+    '    // TODO: value was masked or redacted during recording',
+    "    cy.get('input#email').clear();",
+    "    cy.get('input#terms').check();",
+    "    cy.get('body').type('{ctrl}{enter}');",
+    "    cy.contains('Pay now').click();",
+    "    cy.wait('@request1').its('response.statusCode').should('eq', 500);",
+    "    cy.wait('@request2').its('error').should('exist');",
+    "    cy.location('pathname').should('eq', '/done');",
+    '    // Snapshot: After payment',
+    "    cy.url().should('eq', 'http://localhost:3000/done');",
+    "    cy.window().its('localStorage').should((storage) => {",
+    "      expect(Object.keys(storage)).to.include.members(['cart', 'lastOrder']);",
+    '    });',
+    '  });',
+    '});',
+    ''
+  ]).join('\n'));
+});
+
+test('generates specs that parse as JavaScript', () => {
+  const playwright = formatSessionAsTest(session, 'playwright', options).replace(/^import .*$/m, '');
+  const cypress = formatSessionAsTest(session, 'cypress', options);
+
+  assert.doesNotThrow(() => new Function(playwright));
+  assert.doesNotThrow(() => new Function(cypress));
+});
+
+test('attributes failed requests to the action before them', () => {
+  const steps = buildTestSteps(session);
+  const pay = steps.find((step) => step.target && step.target.text === 'Pay now');
+
+  assert.deepEqual(pay.responses, [
+    { method: 'POST', host: 'api.local:8080', hostname: 'api.local', port: 8080, pathname: '/pay', status: 500 },
+    { method: 'GET', host: '', hostname: '', port: null, pathname: '/api/receipt', status: 0 }
+  ]);
+  assert.ok(steps.every((step) => !step.responses || step === pay || step.responses.length === 0));
+});
+
+test('flags a redacted start URL', () => {
+  const steps = buildTestSteps(Object.assign({}, session, {
+    startUrl: 'http://localhost:3000/checkout?token=[REDACTED:api-key]',
+    interactions: [],
+    snapshots: [],
+    networkLog: []
+  }));
+
+  assert.deepEqual(steps, [
+    { comment: 'TODO: the start URL was redacted during recording' },
+    { action: 'goto', url: 'http://localhost:3000/checkout?token=[REDACTED:api-key]', responses: [] }
+  ]);
+});
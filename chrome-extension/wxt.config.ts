@@ -5,6 +5,7 @@ export default defineConfig({
     name: 'AI Context Reporter',
     description: 'Capture element context for AI coding agents',
     version: '0.1.0',
-    permissions: ['storage', 'downloads', 'contextMenus'],
+    permissions: ['storage', 'unlimitedStorage', 'downloads', 'contextMenus', 'nativeMessaging', 'debugger'],
+    host_permissions: ['<all_urls>'],
   },
 });
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * AI Context MCP Server - CLI entry point
+ *
+ * Runs the MCP server over stdio. The reports folder defaults to
+ * ~/Downloads/ai-agent-reports (where the extension saves reports) and can
+ * be overridden with --dir or the AI_CONTEXT_REPORTS_DIR environment variable.
+ *
+ * Usage:
+ *   ai-context-mcp [--dir <path>]
+ */
+
+import os from 'os';
+import path from 'path';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createServer } from './server.js';
+
+const BASE_EXPORT_FOLDER = 'ai-agent-reports';
+
+/**
+ * Resolve the reports folder from CLI args and environment.
+ * @private
+ */
+function resolveReportsDir(argv) {
+  const dirIndex = argv.indexOf('--dir');
+  if (dirIndex !== -1 && argv[dirIndex + 1]) {
+    return path.resolve(expandHome(argv[dirIndex + 1]));
+  }
+  if (process.env.AI_CONTEXT_REPORTS_DIR) {
+    return path.resolve(expandHome(process.env.AI_CONTEXT_REPORTS_DIR));
+  }
+  return path.join(os.homedir(), 'Downloads', BASE_EXPORT_FOLDER);
+}
+
+/**
+ * Expand a leading ~ to the user's home directory.
+ * @private
+ */
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+async function main() {
+  const reportsDir = resolveReportsDir(process.argv.slice(2));
+  const server = createServer({ reportsDir });
+
+  await server.connect(new StdioServerTransport());
+
+  // stdout carries the protocol; log to stderr only
+  console.error('[AI Context MCP] Serving reports from ' + reportsDir);
+}
+
+main().catch((error) => {
+  console.error('[AI Context MCP] Failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,325 @@
+/**
+ * Report Index
+ *
+ * Scans the AI Context Reporter export folder and extracts metadata from
+ * the markdown and JSON reports written by the browser extension.
+ *
+ * Expected layout (produced by getExportFolder in the extension):
+ *
+ *   ai-agent-reports/
+ *   ├── {project-or-domain}/
+ *   │   ├── 2024-01-28-143022-localhost-3000-button.md
+ *   │   ├── 2024-01-28-143022-localhost-3000-button.png
+ *   │   ├── 2024-01-28-143512-localhost-3000-region.md
+ *   │   ├── 2024-01-28-143512-localhost-3000-region.png
+ *   │   ├── 2024-01-28-143512-localhost-3000-region-2.png
+ *   │   └── sessions/
+ *   │       └── 2024-01-28-150000-localhost-session.md
+ *
+ * Projects exporting JSON (format "json") have `.json` reports in place of
+ * the `.md` files; with format "both", the markdown is indexed and the JSON
+ * next to it is skipped. Multi-element reports have one screenshot per
+ * element: `<report>.png` for the first, then `<report>-2.png` and so on.
+ *
+ * Reports written into a repository by the native host use the same layout
+ * without the project folder (`<repo>/.ai-reports/*.md` and `sessions/`).
+ * Point the root at `.ai-reports` and those are indexed with an empty folder.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {string} id - Report path relative to the reports root (POSIX separators)
+ * @property {'element'|'session'} type - Report kind
+ * @property {string} folder - Project or domain folder the report lives in ('' at the root)
+ * @property {string|null} projectName - Project name from the report header
+ * @property {string|null} url - Page URL the report was captured on
+ * @property {string} capturedAt - ISO timestamp of the capture
+ * @property {string|null} comment - User comment
+ * @property {string|null} component - Component name and file, if detected
+ * @property {string|null} element - Element tag, if an element report
+ * @property {string|null} selector - CSS selector, if an element report
+ * @property {string|null} screenshot - Screenshot path relative to the reports root
+ *   (the first element's, for multi-element reports)
+ * @property {string[]} screenshots - Paths of all the report's screenshots, in
+ *   element order
+ */
+
+const SESSIONS_FOLDER = 'sessions';
+
+/**
+ * Lists every report under the reports root, newest first.
+ *
+ * @param {string} rootDir - Absolute path of the ai-agent-reports folder
+ * @returns {Promise<ReportEntry[]>} Report entries sorted by capture time (newest first)
+ */
+export async function indexReports(rootDir) {
+  const entries = [];
+  const folders = await readDirSafe(rootDir);
+
+  // Repository layout: reports directly under the root
+  await collectReports(rootDir, rootDir, '', entries);
+  await collectReports(rootDir, path.join(rootDir, SESSIONS_FOLDER), '', entries);
+
+  for (const folder of folders) {
+    if (!folder.isDirectory() || folder.name === SESSIONS_FOLDER) continue;
+
+    const folderPath = path.join(rootDir, folder.name);
+    await collectReports(rootDir, folderPath, folder.name, entries);
+    await collectReports(rootDir, path.join(folderPath, SESSIONS_FOLDER), folder.name, entries);
+  }
+
+  entries.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  return entries;
+}
+
+/**
+ * Reads the markdown or JSON of a report by its ID.
+ * Refuses IDs that resolve outside the reports root.
+ *
+ * @param {string} rootDir - Absolute path of the ai-agent-reports folder
+ * @param {string} id - Report ID as returned by indexReports
+ * @returns {Promise<string>} Markdown or JSON content
+ */
+export async function readReport(rootDir, id) {
+  return fs.readFile(resolveReportPath(rootDir, id), 'utf8');
+}
+
+/**
+ * Reads a report's screenshots as base64, in element order. Screenshots
+ * that can no longer be read are left out.
+ *
+ * @param {string} rootDir - Absolute path of the ai-agent-reports folder
+ * @param {ReportEntry} entry - Report entry
+ * @returns {Promise<string[]>} Base64 PNG data (empty if none was exported)
+ */
+export async function readScreenshots(rootDir, entry) {
+  const screenshots = await Promise.all(entry.screenshots.map((screenshot) =>
+    fs.readFile(resolveReportPath(rootDir, screenshot)).then((data) => data.toString('base64'), () => null)
+  ));
+  return screenshots.filter(Boolean);
+}
+
+/**
+ * Checks whether a report belongs to a project.
+ * Matches the folder name, the project name from the report header, or
+ * a host such as `localhost:3000` (sanitized the same way as folder names).
+ *
+ * @param {ReportEntry} entry - Report entry
+ * @param {string} project - Project name, folder, or host
+ * @returns {boolean} True if the report belongs to the project
+ */
+export function matchesProject(entry, project) {
+  const wanted = project.trim().toLowerCase();
+  if (!wanted) return true;
+
+  return entry.folder === wanted ||
+    entry.folder === sanitizeFolderName(wanted) ||
+    (entry.projectName !== null && entry.projectName.toLowerCase() === wanted);
+}
+
+/**
+ * Resolve a report ID to an absolute path inside the reports root.
+ * @private
+ */
+function resolveReportPath(rootDir, id) {
+  const root = path.resolve(rootDir);
+  const resolved = path.resolve(root, id);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('Report path is outside the reports folder: ' + id);
+  }
+  return resolved;
+}
+
+/**
+ * Add every markdown or JSON report in a directory to the entries array.
+ * @private
+ */
+async function collectReports(rootDir, dir, folder, entries) {
+  const files = await readDirSafe(dir);
+  const names = new Set(files.map((f) => f.name));
+
+  for (const file of files) {
+    const extension = path.extname(file.name);
+    if (!file.isFile() || (extension !== '.md' && extension !== '.json')) continue;
+    // Format "both": the markdown next to it is indexed instead
+    if (extension === '.json' && names.has(file.name.replace(/\.json$/, '.md'))) continue;
+
+    const filePath = path.join(dir, file.name);
+    let content;
+    let stat;
+    try {
+      [content, stat] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+    } catch (e) {
+      continue;
+    }
+
+    let fields;
+    if (extension === '.json') {
+      fields = parseReportJson(content);
+      // Not a report document (e.g. a HAR export of a session)
+      if (!fields) continue;
+    } else {
+      fields = parseReportMarkdown(content);
+    }
+
+    const id = toPosix(path.relative(rootDir, filePath));
+    const screenshots = screenshotNames(file.name.slice(0, -extension.length), names)
+      .map((name) => toPosix(path.relative(rootDir, path.join(dir, name))));
+
+    entries.push({
+      id,
+      ...fields,
+      folder,
+      capturedAt: parseFilenameTimestamp(file.name) || stat.mtime.toISOString(),
+      screenshot: screenshots[0] || null,
+      screenshots
+    });
+  }
+}
+
+/**
+ * Extract header fields from a report written by formatReportAsMarkdown
+ * or formatSessionAsMarkdown.
+ *
+ * @param {string} markdown - Report markdown
+ * @returns {Object} Parsed fields (type, projectName, url, comment, component, element, selector)
+ */
+export function parseReportMarkdown(markdown) {
+  const lines = markdown.split('\n');
+  const type = /^# Deep Inspection Session Report/.test(lines[0] || '') ? 'session' : 'element';
+
+  const header = (label) => {
+    const prefix = '**' + label + ':** ';
+    const line = lines.find((l) => l.startsWith(prefix));
+    return line ? line.slice(prefix.length).trim() : null;
+  };
+
+  const listItem = (label) => {
+    const prefix = '- **' + label + ':** ';
+    const line = lines.find((l) => l.startsWith(prefix));
+    return line ? line.slice(prefix.length).trim().replace(/^`|`$/g, '') : null;
+  };
+
+  return {
+    type,
+    projectName: header('Project'),
+    url: header('Page URL') || header('URL'),
+    comment: section(lines, 'Comment'),
+    component: header('Component'),
+    element: listItem('Tag'),
+    selector: listItem('CSS Selector')
+  };
+}
+
+/**
+ * Extract the same fields from a JSON report written by formatReportAsJson
+ * or formatSessionAsJson (see buildReportDocument in the extension).
+ *
+ * @param {string} json - Report JSON
+ * @returns {Object|null} Parsed fields (type, projectName, url, comment,
+ *   component, element, selector), or null if it is not a report document
+ */
+export function parseReportJson(json) {
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  if (!doc || (doc.kind !== 'element' && doc.kind !== 'session')) return null;
+
+  // Formatted as on the markdown report's Component line
+  const component = doc.component && doc.component.name
+    ? doc.component.name + (doc.component.file
+      ? ' (' + doc.component.file + (doc.component.line ? ':' + doc.component.line : '') + ')'
+      : '')
+    : null;
+
+  return {
+    type: doc.kind,
+    projectName: doc.projectName || null,
+    url: doc.url || null,
+    comment: doc.comment || null,
+    component,
+    element: doc.element && doc.element.tagName ? '<' + doc.element.tagName + '>' : null,
+    selector: doc.element && doc.element.selector ? doc.element.selector : null
+  };
+}
+
+/**
+ * Names of a report's screenshots among the files of its directory:
+ * `<report>.png`, then `<report>-2.png`, `<report>-3.png`... as long as
+ * they follow on.
+ * @private
+ */
+function screenshotNames(baseName, names) {
+  const found = [];
+  for (let n = 1; names.has(baseName + (n === 1 ? '' : '-' + n) + '.png'); n++) {
+    found.push(baseName + (n === 1 ? '' : '-' + n) + '.png');
+  }
+  return found;
+}
+
+/**
+ * Return the body of a `## Title` section, trimmed.
+ * @private
+ */
+function section(lines, title) {
+  const start = lines.indexOf('## ' + title);
+  if (start === -1) return null;
+
+  const body = [];
+  for (let i = start + 1; i < lines.length; i++) {
+    if (lines[i].startsWith('## ')) break;
+    body.push(lines[i]);
+  }
+  return body.join('\n').trim() || null;
+}
+
+/**
+ * Parse the `YYYY-MM-DD-HHMMSS` prefix the extension puts on filenames.
+ * The extension derives it from toISOString(), so it is UTC.
+ * @private
+ */
+function parseFilenameTimestamp(filename) {
+  const match = filename.match(/^(\d{4}-\d{2}-\d{2})-(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return match[1] + 'T' + match[2] + ':' + match[3] + ':' + match[4] + '.000Z';
+}
+
+/**
+ * Sanitize a string the same way the extension sanitizes folder names.
+ * @private
+ */
+function sanitizeFolderName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 50) || 'default';
+}
+
+/**
+ * Read a directory, treating a missing directory as empty.
+ * @private
+ */
+async function readDirSafe(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return [];
+    throw e;
+  }
+}
+
+/**
+ * Convert a relative path to forward slashes for stable report IDs.
+ * @private
+ */
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
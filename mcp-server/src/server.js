@@ -0,0 +1,175 @@
+/**
+ * AI Context MCP Server
+ *
+ * Model Context Protocol server that exposes reports saved by the
+ * AI Context Reporter extension to coding agents.
+ *
+ * Tools:
+ * - list_reports: List reports, newest first
+ * - get_report: Read a report's markdown (and screenshots, if any)
+ * - get_latest_report_for_project: Read the newest report for a project
+ * - search_reports: Full-text search across reports
+ */
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import {
+  indexReports,
+  readReport,
+  readScreenshots,
+  matchesProject
+} from './report-index.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Create an MCP server backed by a reports folder.
+ * The folder is re-scanned on every tool call so new captures show up
+ * without restarting the server.
+ *
+ * @param {Object} options - Server options
+ * @param {string} options.reportsDir - Absolute path of the ai-agent-reports folder
+ * @param {string} [options.version] - Server version reported to clients
+ * @returns {McpServer} Configured server (not yet connected)
+ */
+export function createServer({ reportsDir, version = '0.1.0' }) {
+  const server = new McpServer({
+    name: 'ai-context-reporter',
+    version
+  });
+
+  const projectArg = z.string().describe('Project name, folder name, or host (e.g. "localhost:3000")');
+  const typeArg = z.enum(['element', 'session']).describe('Only return element reports or session recordings');
+  const limitArg = z.number().int().min(1).max(MAX_LIMIT).describe('Maximum number of results (default ' + DEFAULT_LIMIT + ')');
+
+  server.registerTool('list_reports', {
+    description: 'List saved AI Context Reporter reports, newest first.',
+    inputSchema: {
+      project: projectArg.optional(),
+      type: typeArg.optional(),
+      limit: limitArg.optional()
+    }
+  }, async ({ project, type, limit }) => {
+    const entries = filterEntries(await indexReports(reportsDir), project, type);
+    return jsonResult(entries.slice(0, limit || DEFAULT_LIMIT));
+  });
+
+  server.registerTool('get_report', {
+    description: 'Read a saved report by ID. Returns the markdown and the element screenshots when they were captured.',
+    inputSchema: {
+      id: z.string().describe('Report ID as returned by list_reports or search_reports')
+    }
+  }, async ({ id }) => {
+    const entries = await indexReports(reportsDir);
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) {
+      return errorResult('Report not found: ' + id);
+    }
+    return reportResult(reportsDir, entry);
+  });
+
+  server.registerTool('get_latest_report_for_project', {
+    description: 'Read the most recent report captured for a project.',
+    inputSchema: {
+      project: projectArg,
+      type: typeArg.optional()
+    }
+  }, async ({ project, type }) => {
+    const entries = filterEntries(await indexReports(reportsDir), project, type);
+    if (entries.length === 0) {
+      return errorResult('No reports found for project: ' + project);
+    }
+    return reportResult(reportsDir, entries[0]);
+  });
+
+  server.registerTool('search_reports', {
+    description: 'Search report contents (comments, selectors, URLs, errors). All words must match; case-insensitive.',
+    inputSchema: {
+      query: z.string().min(1).describe('Words to search for'),
+      project: projectArg.optional(),
+      type: typeArg.optional(),
+      limit: limitArg.optional()
+    }
+  }, async ({ query, project, type, limit }) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = filterEntries(await indexReports(reportsDir), project, type);
+    const results = [];
+
+    for (const entry of entries) {
+      const content = await readReport(reportsDir, entry.id);
+      const haystack = content.toLowerCase();
+      if (!terms.every((term) => haystack.includes(term))) continue;
+
+      results.push({ ...entry, snippet: makeSnippet(content, haystack.indexOf(terms[0])) });
+      if (results.length >= (limit || DEFAULT_LIMIT)) break;
+    }
+
+    return jsonResult(results);
+  });
+
+  return server;
+}
+
+/**
+ * Filter entries by project and report type.
+ * @private
+ */
+function filterEntries(entries, project, type) {
+  return entries.filter((entry) =>
+    (!project || matchesProject(entry, project)) &&
+    (!type || entry.type === type)
+  );
+}
+
+/**
+ * Build a tool result with a report's markdown and screenshots.
+ * @private
+ */
+async function reportResult(reportsDir, entry) {
+  const content = [{
+    type: 'text',
+    text: 'Report ID: ' + entry.id + '\n\n' + await readReport(reportsDir, entry.id)
+  }];
+
+  const screenshots = await readScreenshots(reportsDir, entry);
+  screenshots.forEach((screenshot) => {
+    content.push({ type: 'image', data: screenshot, mimeType: 'image/png' });
+  });
+
+  return { content };
+}
+
+/**
+ * Build a tool result containing pretty-printed JSON.
+ * @private
+ */
+function jsonResult(value) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(value, null, 2) }]
+  };
+}
+
+/**
+ * Build an error tool result.
+ * @private
+ */
+function errorResult(message) {
+  return {
+    content: [{ type: 'text', text: message }],
+    isError: true
+  };
+}
+
+/**
+ * Extract a single-line snippet around a match position.
+ * @private
+ */
+function makeSnippet(content, index) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(content.length, index + SNIPPET_RADIUS);
+  return (start > 0 ? '...' : '') +
+    content.slice(start, end).replace(/\s+/g, ' ').trim() +
+    (end < content.length ? '...' : '');
+}
@@ -0,0 +1,152 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  indexReports,
+  readReport,
+  readScreenshots,
+  parseReportMarkdown,
+  parseReportJson
+} from '../src/report-index.js';
+
+const ELEMENT_MARKDOWN = [
+  '# Element Context Report',
+  '',
+  '**Project:** My App',
+  '**Page URL:** http://localhost:3000/signup',
+  '**Component:** SignupForm (src/SignupForm.tsx:12)',
+  '',
+  '## Comment',
+  '',
+  'Email field loses focus',
+  '',
+  '## Element',
+  '',
+  '- **Tag:** `<input>`',
+  '- **CSS Selector:** `form > input#email`',
+  ''
+].join('\n');
+
+const SESSION_MARKDOWN = [
+  '# Deep Inspection Session Report',
+  '',
+  '**URL:** http://localhost:3000/cart',
+  ''
+].join('\n');
+
+const ELEMENT_JSON = JSON.stringify({
+  kind: 'element',
+  projectName: 'My App',
+  url: 'http://localhost:3000/cart',
+  comment: 'Total is wrong',
+  component: { name: 'CartTotal', file: 'src/CartTotal.jsx', line: 7 },
+  element: { tagName: 'span', selector: '.cart-total' }
+});
+
+let root;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-index-'));
+  const files = {
+    'my-app/2024-01-28-143022-localhost-3000-input.md': ELEMENT_MARKDOWN,
+    'my-app/2024-01-28-143022-localhost-3000-input.png': 'first',
+    'my-app/2024-01-28-143512-localhost-3000-region.md': ELEMENT_MARKDOWN,
+    'my-app/2024-01-28-143512-localhost-3000-region.png': 'first',
+    'my-app/2024-01-28-143512-localhost-3000-region-2.png': 'second',
+    'my-app/2024-01-28-143512-localhost-3000-region-3.png': 'third',
+    'my-app/2024-01-28-150000-localhost-3000-span.json': ELEMENT_JSON,
+    // Format "both": only the markdown is indexed
+    'my-app/2024-01-28-151000-localhost-3000-both.md': ELEMENT_MARKDOWN,
+    'my-app/2024-01-28-151000-localhost-3000-both.json': ELEMENT_JSON,
+    'my-app/sessions/2024-01-28-160000-localhost-session.md': SESSION_MARKDOWN,
+    'my-app/sessions/2024-01-28-160000-localhost-session.har.json': '{"log":{}}',
+    // Repository layout (.ai-reports)
+    '2024-01-27-090000-localhost-div.md': ELEMENT_MARKDOWN
+  };
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+    await fs.writeFile(path.join(root, name), content);
+  }
+});
+
+after(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('indexes markdown and JSON reports, newest first', async () => {
+  const entries = await indexReports(root);
+
+  assert.deepEqual(entries.map((entry) => entry.id), [
+    'my-app/sessions/2024-01-28-160000-localhost-session.md',
+    'my-app/2024-01-28-151000-localhost-3000-both.md',
+    'my-app/2024-01-28-150000-localhost-3000-span.json',
+    'my-app/2024-01-28-143512-localhost-3000-region.md',
+    'my-app/2024-01-28-143022-localhost-3000-input.md',
+    '2024-01-27-090000-localhost-div.md'
+  ]);
+  assert.deepEqual(entries.map((entry) => entry.folder), ['my-app', 'my-app', 'my-app', 'my-app', 'my-app', '']);
+  assert.equal(entries[0].type, 'session');
+  assert.equal(entries[0].capturedAt, '2024-01-28T16:00:00.000Z');
+});
+
+test('indexes every screenshot of a multi-element report', async () => {
+  const entries = await indexReports(root);
+  const region = entries.find((entry) => entry.id.endsWith('-region.md'));
+  const input = entries.find((entry) => entry.id.endsWith('-input.md'));
+  const span = entries.find((entry) => entry.id.endsWith('-span.json'));
+
+  assert.deepEqual(region.screenshots, [
+    'my-app/2024-01-28-143512-localhost-3000-region.png',
+    'my-app/2024-01-28-143512-localhost-3000-region-2.png',
+    'my-app/2024-01-28-143512-localhost-3000-region-3.png'
+  ]);
+  assert.equal(region.screenshot, region.screenshots[0]);
+  assert.deepEqual(input.screenshots, ['my-app/2024-01-28-143022-localhost-3000-input.png']);
+  assert.equal(span.screenshot, null);
+  assert.deepEqual(span.screenshots, []);
+
+  const images = await readScreenshots(root, region);
+  assert.deepEqual(images.map((image) => Buffer.from(image, 'base64').toString()), ['first', 'second', 'third']);
+});
+
+test('parses the header fields of a markdown report', () => {
+  assert.deepEqual(parseReportMarkdown(ELEMENT_MARKDOWN), {
+    type: 'element',
+    projectName: 'My App',
+    url: 'http://localhost:3000/signup',
+    comment: 'Email field loses focus',
+    component: 'SignupForm (src/SignupForm.tsx:12)',
+    element: '<input>',
+    selector: 'form > input#email'
+  });
+  assert.equal(parseReportMarkdown(SESSION_MARKDOWN).type, 'session');
+  assert.equal(parseReportMarkdown(SESSION_MARKDOWN).url, 'http://localhost:3000/cart');
+});
+
+test('parses the fields of a JSON report', () => {
+  assert.deepEqual(parseReportJson(ELEMENT_JSON), {
+    type: 'element',
+    projectName: 'My App',
+    url: 'http://localhost:3000/cart',
+    comment: 'Total is wrong',
+    component: 'CartTotal (src/CartTotal.jsx:7)',
+    element: '<span>',
+    selector: '.cart-total'
+  });
+});
+
+test('ignores JSON that is not a report', () => {
+  assert.equal(parseReportJson('{"log":{}}'), null);
+  assert.equal(parseReportJson('not json'), null);
+});
+
+test('refuses report paths outside the reports folder', async () => {
+  const outside = path.join(path.dirname(root), path.basename(root) + '-secret.md');
+
+  await assert.rejects(readReport(root, '../' + path.basename(outside)), /outside the reports folder/);
+  await assert.rejects(readReport(root, outside), /outside the reports folder/);
+  await assert.rejects(readReport(root, 'my-app/../../etc/passwd'), /outside the reports folder/);
+  assert.equal(await readReport(root, 'my-app/../2024-01-27-090000-localhost-div.md'), ELEMENT_MARKDOWN);
+});
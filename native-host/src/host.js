@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * AI Context Native Host
+ *
+ * Chrome native messaging host that lets the AI Context Reporter extension
+ * write reports straight into a project repository instead of the Downloads
+ * folder. Chrome starts the host for each message and talks to it over
+ * stdio using length-prefixed JSON (4-byte native-endian length + UTF-8 body).
+ *
+ * Messages:
+ * - { type: 'ping' } → { success, version }
+ * - { type: 'write', repoPath, path, data } → { success, path }
+ *     Writes base64 `data` to `<repoPath>/.ai-reports/<path>`.
+ *
+ * Writes are confined to the `.ai-reports` folder of an existing directory;
+ * anything that resolves outside it, also through symlinks, is rejected.
+ */
+
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const VERSION = '0.1.0';
+const REPORTS_FOLDER = '.ai-reports';
+
+// Chrome limits messages from the host to 1 MB; responses here are tiny
+const MAX_INCOMING_MESSAGE = 64 * 1024 * 1024;
+
+/**
+ * Handle a single message from the extension.
+ *
+ * @param {Object} message - Decoded message
+ * @returns {Promise<Object>} Response sent back to the extension
+ */
+export async function handleMessage(message) {
+  if (!message || typeof message.type !== 'string') {
+    return { success: false, error: 'Invalid message' };
+  }
+
+  if (message.type === 'ping') {
+    return { success: true, version: VERSION };
+  }
+
+  if (message.type === 'write') {
+    const filePath = await writeReportFile(message.repoPath, message.path, message.data);
+    return { success: true, path: filePath };
+  }
+
+  return { success: false, error: 'Unknown message type: ' + message.type };
+}
+
+/**
+ * Write a base64 payload into a repository's .ai-reports folder.
+ * Existing files are never overwritten; a numeric suffix is added instead,
+ * matching the extension's `conflictAction: 'uniquify'` downloads.
+ *
+ * @param {string} repoPath - Absolute path of the repository root
+ * @param {string} relativePath - File path relative to .ai-reports (e.g. "sessions/x.md")
+ * @param {string} data - Base64-encoded file contents
+ * @returns {Promise<string>} Absolute path of the written file
+ */
+export async function writeReportFile(repoPath, relativePath, data) {
+  if (typeof repoPath !== 'string' || !path.isAbsolute(repoPath)) {
+    throw new Error('Repository path must be absolute: ' + repoPath);
+  }
+  if (typeof relativePath !== 'string' || !relativePath || typeof data !== 'string') {
+    throw new Error('Missing file path or data');
+  }
+
+  const stat = await fs.stat(repoPath).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    throw new Error('Repository path does not exist: ' + repoPath);
+  }
+
+  const reportsDir = path.join(await fs.realpath(repoPath), REPORTS_FOLDER);
+  const target = path.resolve(reportsDir, relativePath);
+  // A symlinked folder on the way (.ai-reports itself included) could
+  // point anywhere, so none is followed
+  if (!target.startsWith(reportsDir + path.sep) || !(await isRealPath(path.dirname(target)))) {
+    throw new Error('File path is outside ' + REPORTS_FOLDER + ': ' + relativePath);
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  return writeUnique(target, Buffer.from(data, 'base64'));
+}
+
+/**
+ * Whether the existing part of an absolute path goes through no symlinks,
+ * i.e. resolves to itself.
+ * @private
+ */
+async function isRealPath(dir) {
+  for (;;) {
+    try {
+      return (await fs.realpath(dir)) === dir;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+/**
+ * Write a file, appending " (1)", " (2)", ... before the extension if it exists.
+ * @private
+ */
+async function writeUnique(target, buffer) {
+  const ext = path.extname(target);
+  const base = target.slice(0, target.length - ext.length);
+
+  for (let i = 0; ; i++) {
+    const candidate = i === 0 ? target : base + ' (' + i + ')' + ext;
+    try {
+      await fs.writeFile(candidate, buffer, { flag: 'wx' });
+      return candidate;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+}
+
+/**
+ * Send a length-prefixed JSON message to the extension.
+ * @private
+ */
+function sendMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+/**
+ * Read length-prefixed messages from stdin until it closes.
+ * @private
+ */
+function listen() {
+  let buffer = Buffer.alloc(0);
+  let queue = Promise.resolve();
+
+  process.stdin.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (length > MAX_INCOMING_MESSAGE) {
+        sendMessage({ success: false, error: 'Message too large' });
+        process.exit(1);
+      }
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length).toString('utf8');
+      buffer = buffer.subarray(4 + length);
+
+      // Handle messages in order so responses line up with requests
+      queue = queue.then(async () => {
+        let response;
+        try {
+          response = await handleMessage(JSON.parse(body));
+        } catch (error) {
+          response = { success: false, error: error.message };
+        }
+        sendMessage(response);
+      });
+    }
+  });
+
+  process.stdin.on('end', () => {
+    queue.then(() => process.exit(0));
+  });
+}
+
+// Only start listening when run as the host, not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  listen();
+}
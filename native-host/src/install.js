@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * AI Context Native Host - installer
+ *
+ * Registers the native messaging host with Chrome (or Chromium) for the
+ * current user. Writes a launcher script that runs host.js with the current
+ * Node binary (browsers start hosts with a minimal PATH, so `env node` is
+ * not reliable) and the host manifest that points at it.
+ *
+ * Usage:
+ *   ai-context-install-host --extension-id <id> [--browser chrome|chromium]
+ *   ai-context-install-host --uninstall [--browser chrome|chromium]
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Must match NATIVE_HOST_NAME in chrome-extension/lib/constants.js
+const HOST_NAME = 'com.ai_context_reporter.host';
+
+const MANIFEST_DIRS = {
+  darwin: {
+    chrome: 'Library/Application Support/Google/Chrome/NativeMessagingHosts',
+    chromium: 'Library/Application Support/Chromium/NativeMessagingHosts'
+  },
+  linux: {
+    chrome: '.config/google-chrome/NativeMessagingHosts',
+    chromium: '.config/chromium/NativeMessagingHosts'
+  }
+};
+
+/**
+ * Read a `--name value` argument.
+ * @private
+ */
+function getArg(argv, name) {
+  const index = argv.indexOf(name);
+  return index !== -1 ? argv[index + 1] : undefined;
+}
+
+/**
+ * Resolve the per-user manifest directory for a browser.
+ * @private
+ */
+function getManifestDir(browser) {
+  const dirs = MANIFEST_DIRS[process.platform];
+  if (!dirs) {
+    throw new Error('Automatic install is not supported on ' + process.platform + '. ' +
+      'See native-host/README.md for manual registration.');
+  }
+  if (!dirs[browser]) {
+    throw new Error('Unknown browser: ' + browser + ' (expected chrome or chromium)');
+  }
+  return path.join(os.homedir(), dirs[browser]);
+}
+
+async function install(manifestDir, extensionId) {
+  if (!extensionId || !/^[a-p]{32}$/.test(extensionId)) {
+    throw new Error('Pass the extension ID shown on chrome://extensions: --extension-id <id>');
+  }
+
+  const hostScript = path.join(path.dirname(fileURLToPath(import.meta.url)), 'host.js');
+  const launcherPath = path.join(manifestDir, HOST_NAME + '.sh');
+  const manifestPath = path.join(manifestDir, HOST_NAME + '.json');
+
+  const manifest = {
+    name: HOST_NAME,
+    description: 'AI Context Reporter - write reports into project repositories',
+    path: launcherPath,
+    type: 'stdio',
+    allowed_origins: ['chrome-extension://' + extensionId + '/']
+  };
+
+  await fs.mkdir(manifestDir, { recursive: true });
+  await fs.writeFile(launcherPath,
+    '#!/bin/sh\nexec ' + JSON.stringify(process.execPath) + ' ' + JSON.stringify(hostScript) + ' "$@"\n',
+    { mode: 0o755 });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log('Installed native host manifest: ' + manifestPath);
+  console.log('Launcher: ' + launcherPath);
+}
+
+async function uninstall(manifestDir) {
+  for (const file of [HOST_NAME + '.json', HOST_NAME + '.sh']) {
+    await fs.rm(path.join(manifestDir, file), { force: true });
+  }
+  console.log('Removed native host from ' + manifestDir);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const manifestDir = getManifestDir(getArg(argv, '--browser') || 'chrome');
+
+  if (argv.includes('--uninstall')) {
+    await uninstall(manifestDir);
+  } else {
+    await install(manifestDir, getArg(argv, '--extension-id'));
+  }
+}
+
+main().catch((error) => {
+  console.error('[AI Context Native Host] ' + error.message);
+  process.exit(1);
+});
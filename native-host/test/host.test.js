@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { handleMessage, writeReportFile } from '../src/host.js';
+
+const DATA = Buffer.from('# Report\n').toString('base64');
+
+let tmp;
+let repo;
+
+beforeEach(async () => {
+  tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'native-host-')));
+  repo = path.join(tmp, 'repo');
+  await fs.mkdir(repo);
+});
+
+afterEach(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('writes into the .ai-reports folder', async () => {
+  const written = await writeReportFile(repo, 'sessions/report.md', DATA);
+
+  assert.equal(written, path.join(repo, '.ai-reports', 'sessions', 'report.md'));
+  assert.equal(await fs.readFile(written, 'utf8'), '# Report\n');
+});
+
+test('adds a numeric suffix instead of overwriting', async () => {
+  const first = await writeReportFile(repo, 'report.md', DATA);
+  const second = await writeReportFile(repo, 'report.md', Buffer.from('second').toString('base64'));
+  const third = await writeReportFile(repo, 'report.md', DATA);
+
+  assert.equal(path.basename(first), 'report.md');
+  assert.equal(path.basename(second), 'report (1).md');
+  assert.equal(path.basename(third), 'report (2).md');
+  assert.equal(await fs.readFile(first, 'utf8'), '# Report\n');
+  assert.equal(await fs.readFile(second, 'utf8'), 'second');
+});
+
+test('refuses paths that leave .ai-reports', async () => {
+  const outside = /outside \.ai-reports/;
+
+  await assert.rejects(writeReportFile(repo, '../escape.md', DATA), outside);
+  await assert.rejects(writeReportFile(repo, 'sessions/../../escape.md', DATA), outside);
+  await assert.rejects(writeReportFile(repo, path.join(tmp, 'escape.md'), DATA), outside);
+  await assert.rejects(writeReportFile(repo, '.', DATA), outside);
+  await assert.rejects(fs.access(path.join(repo, 'escape.md')));
+  await assert.rejects(fs.access(path.join(tmp, 'escape.md')));
+});
+
+test('refuses to write through symlinked folders', async () => {
+  const outsideDir = path.join(tmp, 'outside');
+  await fs.mkdir(outsideDir);
+  await fs.mkdir(path.join(repo, '.ai-reports'));
+  await fs.symlink(outsideDir, path.join(repo, '.ai-reports', 'sessions'));
+
+  await assert.rejects(writeReportFile(repo, 'sessions/report.md', DATA), /outside \.ai-reports/);
+  await assert.rejects(writeReportFile(repo, 'sessions/nested/report.md', DATA), /outside \.ai-reports/);
+  assert.deepEqual(await fs.readdir(outsideDir), []);
+});
+
+test('refuses a symlinked .ai-reports folder', async () => {
+  const outsideDir = path.join(tmp, 'outside');
+  await fs.mkdir(outsideDir);
+  await fs.symlink(outsideDir, path.join(repo, '.ai-reports'));
+
+  await assert.rejects(writeReportFile(repo, 'report.md', DATA), /outside \.ai-reports/);
+  assert.deepEqual(await fs.readdir(outsideDir), []);
+});
+
+test('does not write through a symlinked file', async () => {
+  const outsideFile = path.join(tmp, 'outside.md');
+  await fs.writeFile(outsideFile, 'keep');
+  await fs.mkdir(path.join(repo, '.ai-reports'));
+  await fs.symlink(outsideFile, path.join(repo, '.ai-reports', 'report.md'));
+
+  const written = await writeReportFile(repo, 'report.md', DATA);
+
+  assert.equal(path.basename(written), 'report (1).md');
+  assert.equal(await fs.readFile(outsideFile, 'utf8'), 'keep');
+});
+
+test('refuses relative and missing repository paths', async () => {
+  await assert.rejects(writeReportFile('repo', 'report.md', DATA), /must be absolute/);
+  await assert.rejects(writeReportFile(path.join(tmp, 'missing'), 'report.md', DATA), /does not exist/);
+});
+
+test('answers ping and write messages', async () => {
+  assert.deepEqual(await handleMessage({ type: 'ping' }), { success: true, version: '0.1.0' });
+  assert.deepEqual(await handleMessage({ type: 'write', repoPath: repo, path: 'report.md', data: DATA }), {
+    success: true,
+    path: path.join(repo, '.ai-reports', 'report.md')
+  });
+  assert.equal((await handleMessage({ type: 'unknown' })).success, false);
+});
@@ -1327,6 +1327,25 @@
     return component;
   }
 
+  // JSX call site that rendered an element: the data-ai-source attribute
+  // added by the SDK build plugins, or React's _debugSource (development
+  // builds before React 19)
+  function getElementSource(el) {
+    const match = /^(.+):(\d+):(\d+)$/.exec(el.getAttribute('data-ai-source') || '');
+    if (match) {
+      return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
+    }
+
+    const fiberKey = Object.keys(el).find(k =>
+      k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$')
+    );
+    const source = fiberKey && el[fiberKey] && el[fiberKey]._debugSource;
+    if (source && source.fileName) {
+      return { file: source.fileName, line: source.lineNumber || null, column: source.columnNumber || null };
+    }
+    return null;
+  }
+
   function sanitizeValueForReport(value, depth) {
     if (depth <= 0) return '[max depth]';
     if (value === null) return null;
@@ -1415,7 +1434,8 @@
       dataAttributes: {},
       consoleErrors: [],
       networkRequests: [],
-      developerContext: null
+      developerContext: null,
+      accessibility: null
     };
 
     try {
@@ -1467,6 +1487,10 @@
       data.boundingRect = getBoundingRect(element);
     } catch { /* ignore */ }
 
+    try {
+      data.accessibility = window.__AI_CONTEXT_SHARED__.getAccessibilityInfo(element);
+    } catch { /* ignore */ }
+
     try {
       data.pageUrl = window.location.href;
       data.pageTitle = document.title || "";
@@ -1480,6 +1504,7 @@
     // Phase 1: Component info
     try {
       data.component = getComponentInfo(element);
+      data.component.elementSource = getElementSource(element);
     } catch { /* ignore */ }
 
     // Phase 1: Data attributes
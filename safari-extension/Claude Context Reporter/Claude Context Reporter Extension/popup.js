@@ -521,6 +521,14 @@ document.addEventListener("DOMContentLoaded", () => {
       }
       lines.push(`**Component:** ${componentStr}`);
     }
+    if (report.component && report.component.elementSource) {
+      const source = report.component.elementSource;
+      let sourceStr = source.file;
+      if (source.line) {
+        sourceStr += `:${source.line}` + (source.column ? `:${source.column}` : "");
+      }
+      lines.push(`**Rendered at:** ${sourceStr}`);
+    }
 
     lines.push(`**Page:** ${escapeMarkdown(report.pageTitle || "Untitled")}`);
     lines.push(`**URL:** ${report.pageUrl || ""}`);
@@ -581,6 +589,35 @@ document.addEventListener("DOMContentLoaded", () => {
       lines.push("");
     }
 
+    if (report.accessibility) {
+      const a11y = report.accessibility;
+      lines.push("## Accessibility");
+      lines.push("");
+      lines.push(`- **Role:** ${a11y.role || "none"}`);
+      lines.push(`- **Name:** ${a11y.name ? `"${escapeMarkdown(a11y.name)}"` : "none"}`);
+      const states = Object.entries(a11y.states || {}).map(([key, value]) => value === true ? key : `${key}=${value}`);
+      if (states.length > 0) lines.push(`- **States:** ${states.join(", ")}`);
+      lines.push(`- **Focusable:** ${a11y.focusable ? "yes" : "no"} (tabindex ${a11y.tabIndex})`);
+      if (a11y.contrast) {
+        const c = a11y.contrast;
+        const level = c.passesAAA ? "passes AAA" : c.passesAA ? "passes AA" : "fails AA";
+        const notes = [c.largeText ? "large text" : "", c.approximate ? "approximate, background image" : ""].filter(Boolean);
+        lines.push(`- **Contrast:** ${c.ratio}:1 (${c.foreground} on ${c.background}, ${level}${notes.length ? ", " + notes.join(", ") : ""})`);
+      }
+      for (const [key, value] of Object.entries(a11y.ariaAttributes || {})) {
+        lines.push(`- \`${key}\`: ${escapeMarkdown(String(value))}`);
+      }
+      if (a11y.violations && a11y.violations.length > 0) {
+        lines.push("");
+        const more = a11y.violationCount > a11y.violations.length ? ` (showing ${a11y.violations.length} of ${a11y.violationCount})` : "";
+        lines.push(`**Violations${more}:**`);
+        for (const v of a11y.violations) {
+          lines.push(`- \`${v.rule}\` \`${v.element}\`: ${escapeMarkdown(v.message)}`);
+        }
+      }
+      lines.push("");
+    }
+
     // Phase 1: Component Props
     if (report.component && report.component.props && Object.keys(report.component.props).length > 0) {
       lines.push("## Component Props");
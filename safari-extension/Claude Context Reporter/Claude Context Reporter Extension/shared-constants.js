@@ -23,6 +23,164 @@ const MAX_URL_LENGTH = 500;
 const MAX_BODY_LENGTH = 5000;
 const MAX_ATTR_LENGTH = 200;
 
+// Screenshot capture
+const SCREENSHOT_PADDING = 8;
+
+// Region capture (drag-a-rectangle mode)
+const MIN_REGION_SIZE = 8;
+const MAX_REGION_ELEMENTS = 30;
+
+// Element context (ancestors, siblings and parent HTML around a picked element)
+const DEFAULT_CONTEXT_RADIUS = 3;
+const MAX_CONTEXT_RADIUS = 10;
+const MAX_CONTEXT_CLASSES = 5;
+
+// Layout properties captured for context nodes, mapped to the initial value
+// that is left out (null: always captured)
+const CONTEXT_LAYOUT_PROPERTIES = {
+  'display': null,
+  'position': 'static',
+  'width': null,
+  'height': null,
+  'box-sizing': 'content-box',
+  'margin': '0px',
+  'padding': '0px',
+  'overflow': 'visible',
+  'flex-direction': 'row',
+  'flex-wrap': 'nowrap',
+  'flex': '0 1 auto',
+  'justify-content': 'normal',
+  'align-items': 'normal',
+  'align-self': 'auto',
+  'gap': 'normal',
+  'grid-template-columns': 'none',
+  'grid-template-rows': 'none',
+  'grid-column': 'auto',
+  'grid-row': 'auto'
+};
+
+// CSS custom properties and design tokens. The SDK publishes registered
+// tokens as JSON in a <script> element with this id.
+const MAX_CUSTOM_PROPERTIES = 100;
+const MAX_TOKEN_MATCHES = 3;
+const DESIGN_TOKENS_ELEMENT_ID = 'ai-context-tokens';
+
+// Matched CSS rules (DevTools protocol), element and inherited rules combined
+const MAX_MATCHED_RULES = 30;
+
+// Accessibility audit of the picked element and its subtree
+const MAX_A11Y_NODES = 500;
+const MAX_A11Y_VIOLATIONS = 20;
+
+// WAI-ARIA 1.2 roles, for flagging unknown role attributes
+const ARIA_ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button',
+  'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary',
+  'contentinfo', 'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis',
+  'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img',
+  'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math',
+  'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+  'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar',
+  'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
+  'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript',
+  'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time',
+  'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+// Roles whose accessible name comes from their content
+const ARIA_NAME_FROM_CONTENT_ROLES = [
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch',
+  'tab', 'tooltip', 'treeitem'
+];
+
+// Attributes an explicit role needs to be usable
+const ARIA_REQUIRED_ATTRIBUTES = {
+  'checkbox': ['aria-checked'],
+  'combobox': ['aria-expanded'],
+  'menuitemcheckbox': ['aria-checked'],
+  'menuitemradio': ['aria-checked'],
+  'meter': ['aria-valuenow'],
+  'radio': ['aria-checked'],
+  'scrollbar': ['aria-controls', 'aria-valuenow'],
+  'slider': ['aria-valuenow'],
+  'switch': ['aria-checked']
+};
+
+// Implicit roles of HTML elements, by tag or "input:<type>". Links, images
+// and selects depend on their attributes and are resolved in code.
+const IMPLICIT_ARIA_ROLES = {
+  'article': 'article',
+  'aside': 'complementary',
+  'blockquote': 'blockquote',
+  'button': 'button',
+  'details': 'group',
+  'dialog': 'dialog',
+  'fieldset': 'group',
+  'figure': 'figure',
+  'footer': 'contentinfo',
+  'form': 'form',
+  'h1': 'heading',
+  'h2': 'heading',
+  'h3': 'heading',
+  'h4': 'heading',
+  'h5': 'heading',
+  'h6': 'heading',
+  'header': 'banner',
+  'hr': 'separator',
+  'li': 'listitem',
+  'main': 'main',
+  'menu': 'list',
+  'meter': 'meter',
+  'nav': 'navigation',
+  'ol': 'list',
+  'option': 'option',
+  'output': 'status',
+  'p': 'paragraph',
+  'progress': 'progressbar',
+  'search': 'search',
+  'section': 'region',
+  'table': 'table',
+  'tbody': 'rowgroup',
+  'td': 'cell',
+  'textarea': 'textbox',
+  'tfoot': 'rowgroup',
+  'th': 'columnheader',
+  'thead': 'rowgroup',
+  'tr': 'row',
+  'ul': 'list',
+  'input:button': 'button',
+  'input:checkbox': 'checkbox',
+  'input:email': 'textbox',
+  'input:image': 'button',
+  'input:number': 'spinbutton',
+  'input:radio': 'radio',
+  'input:range': 'slider',
+  'input:reset': 'button',
+  'input:search': 'searchbox',
+  'input:submit': 'button',
+  'input:tel': 'textbox',
+  'input:text': 'textbox',
+  'input:url': 'textbox'
+};
+
+// Source maps for console stack traces, fetched from the page origin
+const MAX_SOURCE_MAP_SCRIPTS = 20;
+const MAX_SOURCE_MAP_SIZE = 20 * 1024 * 1024; // bytes, per script or map
+const SOURCE_MAP_FETCH_TIMEOUT_MS = 5000;
+// Leading characters of a component function searched for in page scripts
+const COMPONENT_SOURCE_LENGTH = 300;
+
+// Component hierarchy (root to the element's component): ancestors kept,
+// nearest first, and the primitive props shown for each
+const MAX_COMPONENT_HIERARCHY = 50;
+const MAX_HIERARCHY_PROPS = 5;
+const HIERARCHY_PROP_LENGTH = 50;
+
+// React hooks reported for a function component (state, reducer, context,
+// memo and external store values)
+const MAX_COMPONENT_HOOKS = 50;
+
 // Object sanitization limits
 const MAX_OBJECT_DEPTH = 3;
 const MAX_OBJECT_KEYS = 20;
@@ -45,9 +203,86 @@ const COMPUTED_STYLE_PROPERTIES = [
   'flex-direction', 'justify-content', 'align-items'
 ];
 
+// Named computed-style profiles, selectable per project mapping and in the
+// DevTools panel. `properties: null` captures every property, and always
+// leaves out values equal to the browser default for the tag.
+const STYLE_PROFILES = {
+  default: {
+    label: 'Default',
+    properties: COMPUTED_STYLE_PROPERTIES
+  },
+  layout: {
+    label: 'Layout',
+    properties: [
+      'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index', 'float', 'clear',
+      'box-sizing', 'width', 'height', 'min-width', 'max-width', 'min-height', 'max-height',
+      'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+      'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+      'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+      'overflow-x', 'overflow-y', 'visibility', 'transform',
+      'flex-direction', 'flex-wrap', 'flex-grow', 'flex-shrink', 'flex-basis', 'order',
+      'justify-content', 'align-items', 'align-self', 'align-content', 'gap'
+    ]
+  },
+  typography: {
+    label: 'Typography',
+    properties: [
+      'font-family', 'font-size', 'font-weight', 'font-style', 'line-height',
+      'letter-spacing', 'word-spacing', 'text-align', 'text-decoration-line',
+      'text-transform', 'text-indent', 'text-overflow', 'white-space',
+      'word-break', 'overflow-wrap', 'color', 'direction', 'writing-mode'
+    ]
+  },
+  grid: {
+    label: 'Grid',
+    properties: [
+      'display', 'grid-template-columns', 'grid-template-rows', 'grid-template-areas',
+      'grid-auto-flow', 'grid-auto-columns', 'grid-auto-rows',
+      'grid-column-start', 'grid-column-end', 'grid-row-start', 'grid-row-end',
+      'row-gap', 'column-gap', 'justify-items', 'justify-content', 'justify-self',
+      'align-items', 'align-content', 'align-self'
+    ]
+  },
+  animation: {
+    label: 'Animation',
+    properties: [
+      'transition-property', 'transition-duration', 'transition-timing-function', 'transition-delay',
+      'animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+      'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state',
+      'transform', 'transform-origin', 'opacity', 'will-change'
+    ]
+  },
+  all: {
+    label: 'All non-default',
+    properties: null
+  }
+};
+const DEFAULT_STYLE_PROFILE = 'default';
+
+// Editors for open-in-editor links, selectable per project mapping. `url`
+// gets the absolute file path (project-relative paths are joined to the
+// mapping's repository path), line and column. 'dev-server' calls the
+// page's OPEN_IN_EDITOR_PATH endpoint instead, which takes project-relative
+// paths as they are (Vite and the SDK's Vite plugin serve it).
+const EDITORS = {
+  vscode: { label: 'VS Code', url: 'vscode://file{path}:{line}:{column}' },
+  cursor: { label: 'Cursor', url: 'cursor://file{path}:{line}:{column}' },
+  idea: { label: 'JetBrains IDE', url: 'idea://open?file={path}&line={line}&column={column}' },
+  'dev-server': { label: 'Dev server', url: null }
+};
+const OPEN_IN_EDITOR_PATH = '/__open-in-editor';
+
 // Storage keys
 const STORAGE_KEY_REPORTS = 'ai-context-reports';
 const STORAGE_KEY_SETTINGS = 'ai-context-settings';
 
 // Export folder
 const BASE_EXPORT_FOLDER = 'ai-agent-reports';
+
+// Export formats (per project mapping)
+const DEFAULT_EXPORT_FORMAT = 'markdown';
+const REPORT_SCHEMA_VERSION = '1.0';
+
+// Native messaging host (writes reports into project repositories)
+const NATIVE_HOST_NAME = 'com.ai_context_reporter.host';
+const REPO_REPORTS_FOLDER = '.ai-reports';
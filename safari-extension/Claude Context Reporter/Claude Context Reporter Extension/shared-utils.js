@@ -9,6 +9,7 @@
   var MAX_OBJECT_DEPTH = 3;
   var MAX_OBJECT_KEYS = 20;
   var MAX_ARRAY_LENGTH = 10;
+  var MAX_ATTR_LENGTH = 200;
   var COMPUTED_STYLE_PROPERTIES = [
     'display', 'position', 'float', 'clear',
     'width', 'height', 'min-width', 'max-width', 'min-height', 'max-height',
@@ -239,6 +240,297 @@
     return attrs;
   }
 
+  // ========== ACCESSIBILITY ==========
+
+    var MAX_A11Y_NODES = 500;
+    var MAX_A11Y_VIOLATIONS = 20;
+    var ARIA_ROLES = ["alert","alertdialog","application","article","banner","blockquote","button","caption","cell","checkbox","code","columnheader","combobox","complementary","contentinfo","definition","deletion","dialog","directory","document","emphasis","feed","figure","form","generic","grid","gridcell","group","heading","img","insertion","link","list","listbox","listitem","log","main","marquee","math","menu","menubar","menuitem","menuitemcheckbox","menuitemradio","meter","navigation","none","note","option","paragraph","presentation","progressbar","radio","radiogroup","region","row","rowgroup","rowheader","scrollbar","search","searchbox","separator","slider","spinbutton","status","strong","subscript","superscript","switch","tab","table","tablist","tabpanel","term","textbox","time","timer","toolbar","tooltip","tree","treegrid","treeitem"];
+    var ARIA_NAME_FROM_CONTENT_ROLES = ["button","cell","checkbox","columnheader","gridcell","heading","link","menuitem","menuitemcheckbox","menuitemradio","option","radio","row","rowheader","switch","tab","tooltip","treeitem"];
+    var ARIA_REQUIRED_ATTRIBUTES = {"checkbox":["aria-checked"],"combobox":["aria-expanded"],"menuitemcheckbox":["aria-checked"],"menuitemradio":["aria-checked"],"meter":["aria-valuenow"],"radio":["aria-checked"],"scrollbar":["aria-controls","aria-valuenow"],"slider":["aria-valuenow"],"switch":["aria-checked"]};
+    var IMPLICIT_ARIA_ROLES = {"article":"article","aside":"complementary","blockquote":"blockquote","button":"button","details":"group","dialog":"dialog","fieldset":"group","figure":"figure","footer":"contentinfo","form":"form","h1":"heading","h2":"heading","h3":"heading","h4":"heading","h5":"heading","h6":"heading","header":"banner","hr":"separator","li":"listitem","main":"main","menu":"list","meter":"meter","nav":"navigation","ol":"list","option":"option","output":"status","p":"paragraph","progress":"progressbar","search":"search","section":"region","table":"table","tbody":"rowgroup","td":"cell","textarea":"textbox","tfoot":"rowgroup","th":"columnheader","thead":"rowgroup","tr":"row","ul":"list","input:button":"button","input:checkbox":"checkbox","input:email":"textbox","input:image":"button","input:number":"spinbutton","input:radio":"radio","input:range":"slider","input:reset":"button","input:search":"searchbox","input:submit":"button","input:tel":"textbox","input:text":"textbox","input:url":"textbox"};
+
+    function getAccessibilityInfo(el) {
+      var nodes = [el].concat(Array.prototype.slice.call(el.querySelectorAll('*'), 0, MAX_A11Y_NODES - 1));
+      var violations = [];
+      var violationCount = 0;
+
+      nodes.forEach(function(node) {
+        if (node.closest('[data-ai-context-extension]')) return;
+        getA11yViolations(node).forEach(function(violation) {
+          violationCount++;
+          if (violations.length < MAX_A11Y_VIOLATIONS) violations.push(violation);
+        });
+      });
+
+      var name = getAccessibleName(el);
+      return {
+        role: getRole(el),
+        name: name.length > MAX_STRING_LENGTH ? name.substring(0, MAX_STRING_LENGTH) + '...' : name,
+        states: getAccessibleStates(el),
+        ariaAttributes: getAriaAttributes(el),
+        tabIndex: el.tabIndex,
+        focusable: isFocusable(el),
+        contrast: (el.textContent || '').trim() ? getTextContrast(el) : null,
+        violations: violations,
+        violationCount: violationCount
+      };
+    }
+
+    function getRole(el) {
+      var explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+      if (explicit) return explicit;
+
+      var tag = el.tagName.toLowerCase();
+      if (tag === 'a' || tag === 'area') return el.hasAttribute('href') ? 'link' : null;
+      if (tag === 'img') return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+      if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      if (tag === 'input') {
+        var type = (el.getAttribute('type') || 'text').toLowerCase();
+        var role = IMPLICIT_ARIA_ROLES['input:' + type] || null;
+        return role === 'textbox' && el.hasAttribute('list') ? 'combobox' : role;
+      }
+      return IMPLICIT_ARIA_ROLES[tag] || null;
+    }
+
+    function getAccessibleName(el) {
+      var labelledBy = (el.getAttribute('aria-labelledby') || '').trim();
+      if (labelledBy) {
+        var labelText = labelledBy.split(/\s+/)
+          .map(function(id) { return document.getElementById(id); })
+          .filter(Boolean)
+          .map(function(ref) { return (ref.getAttribute('aria-label') || '').trim() || getContentText(ref); })
+          .join(' ')
+          .trim();
+        if (labelText) return labelText;
+      }
+
+      var ariaLabel = (el.getAttribute('aria-label') || '').trim();
+      if (ariaLabel) return ariaLabel;
+
+      var tag = el.tagName;
+      var type = (el.getAttribute('type') || '').toLowerCase();
+      if (tag === 'INPUT' && (type === 'submit' || type === 'reset' || type === 'button')) {
+        if (el.value) return el.value;
+        if (type !== 'button') return type === 'submit' ? 'Submit' : 'Reset';
+      } else if (tag === 'INPUT' && type === 'image') {
+        if (el.getAttribute('alt')) return el.getAttribute('alt').trim();
+      } else if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+        var labels = Array.prototype.map.call(el.labels || [], getContentText).join(' ').trim();
+        if (labels) return labels;
+      } else if (tag === 'IMG' || tag === 'AREA') {
+        var alt = (el.getAttribute('alt') || '').trim();
+        if (alt) return alt;
+      } else if (tag === 'FIELDSET' || tag === 'TABLE' || tag === 'FIGURE') {
+        var caption = el.querySelector(tag === 'FIELDSET' ? 'legend' : tag === 'TABLE' ? 'caption' : 'figcaption');
+        if (caption && getContentText(caption)) return getContentText(caption);
+      }
+
+      if (ARIA_NAME_FROM_CONTENT_ROLES.indexOf(getRole(el)) !== -1) {
+        var text = getContentText(el);
+        if (text) return text;
+      }
+
+      return (el.getAttribute('title') || el.getAttribute('placeholder') || '').trim();
+    }
+
+    function getContentText(el) {
+      var text = '';
+      el.childNodes.forEach(function(child) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          text += child.textContent;
+        } else if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('aria-hidden') !== 'true' && !isHidden(child)) {
+          var label = (child.getAttribute('aria-label') || '').trim();
+          var content = label || (child.tagName === 'IMG' ? child.getAttribute('alt') || '' : getContentText(child));
+          text += window.getComputedStyle(child).display.indexOf('inline') === 0 ? content : ' ' + content + ' ';
+        }
+      });
+      return text.replace(/\s+/g, ' ').trim();
+    }
+
+    function getAccessibleStates(el) {
+      var states = {};
+      var aria = function(name) { return el.getAttribute('aria-' + name); };
+      var tristate = function(value) { return value === 'mixed' ? 'mixed' : value === 'true'; };
+      var checkable = el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio');
+
+      if (el.disabled || aria('disabled') === 'true') states.disabled = true;
+      if (checkable) {
+        states.checked = el.indeterminate ? 'mixed' : el.checked;
+      } else if (aria('checked') !== null) {
+        states.checked = tristate(aria('checked'));
+      }
+      if (aria('pressed') !== null) states.pressed = tristate(aria('pressed'));
+      if (aria('expanded') !== null) {
+        states.expanded = aria('expanded') === 'true';
+      } else if (el.tagName === 'DETAILS') {
+        states.expanded = el.open;
+      }
+      if (el.tagName === 'OPTION') {
+        states.selected = el.selected;
+      } else if (aria('selected') !== null) {
+        states.selected = aria('selected') === 'true';
+      }
+      if (el.required || aria('required') === 'true') states.required = true;
+      if (el.readOnly || aria('readonly') === 'true') states.readonly = true;
+      if (aria('invalid') && aria('invalid') !== 'false') states.invalid = true;
+      if (aria('hidden') === 'true') states.hidden = true;
+      if (aria('busy') === 'true') states.busy = true;
+      if (aria('current') && aria('current') !== 'false') states.current = aria('current');
+
+      return states;
+    }
+
+    function getAriaAttributes(el) {
+      var attrs = {};
+      for (var i = 0; i < el.attributes.length; i++) {
+        var attr = el.attributes[i];
+        if (attr.name.indexOf('aria-') === 0) {
+          attrs[attr.name] = attr.value.length > MAX_ATTR_LENGTH ? attr.value.substring(0, MAX_ATTR_LENGTH) + '...' : attr.value;
+        }
+      }
+      return attrs;
+    }
+
+    function isFocusable(el) {
+      return el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') && !isHidden(el);
+    }
+
+    function isHidden(el) {
+      if (typeof el.checkVisibility === 'function') {
+        return !el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+      }
+      var style = window.getComputedStyle(el);
+      return el.hidden || style.display === 'none' || style.visibility === 'hidden';
+    }
+
+    function getTextContrast(el) {
+      var style = window.getComputedStyle(el);
+      var foreground = parseColor(style.color);
+      var background = getBackgroundColor(el);
+      if (!foreground || !background) return null;
+
+      var text = blendColors(foreground, background.color);
+      var ratio = contrastRatio(text, background.color);
+      var fontSize = parseFloat(style.fontSize);
+      var largeText = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+
+      return {
+        ratio: Math.round(ratio * 100) / 100,
+        foreground: formatColor(text),
+        background: formatColor(background.color),
+        largeText: largeText,
+        passesAA: ratio >= (largeText ? 3 : 4.5),
+        passesAAA: ratio >= (largeText ? 4.5 : 7),
+        approximate: background.image
+      };
+    }
+
+    function getBackgroundColor(el) {
+      var layers = [];
+      var image = false;
+
+      for (var node = el; node; node = node.parentElement) {
+        var style = window.getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') image = true;
+        var layer = parseColor(style.backgroundColor);
+        if (!layer) return null;
+        if (layer[3] > 0) layers.push(layer);
+        if (layer[3] >= 1) break;
+      }
+
+      var color = [255, 255, 255, 1];
+      for (var i = layers.length - 1; i >= 0; i--) {
+        color = blendColors(layers[i], color);
+      }
+      return { color: color, image: image };
+    }
+
+    function parseColor(value) {
+      var match = /^rgba?\(([^)]+)\)$/.exec((value || '').trim());
+      if (!match) return null;
+      var parts = match[1].split(/[\s,/]+/).filter(function(part) { return part; }).map(parseFloat);
+      if (parts.length < 3 || parts.some(isNaN)) return null;
+      return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+    }
+
+    function blendColors(top, bottom) {
+      var alpha = top[3];
+      return [0, 1, 2].map(function(i) { return top[i] * alpha + bottom[i] * (1 - alpha); }).concat(1);
+    }
+
+    function contrastRatio(a, b) {
+      function luminance(color) {
+        var channels = color.slice(0, 3).map(function(value) {
+          var c = value / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+      }
+      var l1 = luminance(a);
+      var l2 = luminance(b);
+      return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    function formatColor(color) {
+      return 'rgb(' + color.slice(0, 3).map(Math.round).join(', ') + ')';
+    }
+
+    function getA11yViolations(node) {
+      if (isHidden(node)) return [];
+
+      var violations = [];
+      var role = getRole(node);
+      var tag = node.tagName;
+      var element = getElementId(node);
+      var add = function(rule, message) {
+        violations.push({ rule: rule, message: message, element: element });
+      };
+      var explicitRole = (node.getAttribute('role') || '').trim().split(/\s+/)[0];
+      var presentational = role === 'presentation' || role === 'none';
+
+      if (tag === 'IMG' && !node.hasAttribute('alt') && !presentational && node.getAttribute('aria-hidden') !== 'true') {
+        add('image-alt', 'Image has no alt attribute');
+      }
+      if (role === 'button' && !getAccessibleName(node)) {
+        add('button-name', 'Button has no accessible name');
+      }
+      if (role === 'link' && !getAccessibleName(node)) {
+        add('link-name', 'Link has no accessible name');
+      }
+      if (role === 'heading' && !getAccessibleName(node)) {
+        add('empty-heading', 'Heading has no text');
+      }
+      if ((tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && role !== 'button' && node.type !== 'hidden')) &&
+          !getAccessibleName(node)) {
+        add('label', 'Form field has no label');
+      }
+      if (explicitRole && ARIA_ROLES.indexOf(explicitRole) === -1) {
+        add('aria-roles', 'Unknown ARIA role "' + explicitRole + '"');
+      }
+      (ARIA_REQUIRED_ATTRIBUTES[explicitRole] || []).forEach(function(attr) {
+        if (!node.hasAttribute(attr)) add('aria-required-attr', 'Role "' + explicitRole + '" requires ' + attr);
+      });
+      if (node.closest('[aria-hidden="true"]') && isFocusable(node)) {
+        add('aria-hidden-focus', 'Focusable element is hidden from assistive technology');
+      }
+      if (parseInt(node.getAttribute('tabindex'), 10) > 0) {
+        add('tabindex', 'Positive tabindex changes the focus order');
+      }
+
+      var hasOwnText = Array.prototype.some.call(node.childNodes, function(child) {
+        return child.nodeType === Node.TEXT_NODE && child.textContent.trim();
+      });
+      if (hasOwnText) {
+        var contrast = getTextContrast(node);
+        if (contrast && !contrast.passesAA) {
+          add('color-contrast', 'Text contrast ' + contrast.ratio + ':1 is below ' + (contrast.largeText ? 3 : 4.5) + ':1');
+        }
+      }
+
+      return violations;
+    }
+  
+
   // Export to global scope for Safari content script
   window.__AI_CONTEXT_SHARED__ = {
     sanitizeValue: sanitizeValue,
@@ -249,6 +541,7 @@
     getElementId: getElementId,
     getTextContent: getTextContent,
     getDataAttributes: getDataAttributes,
+    getAccessibilityInfo: getAccessibilityInfo,
     COMPUTED_STYLE_PROPERTIES: COMPUTED_STYLE_PROPERTIES
   };
 })();
@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 
 const CHROME_LIB = path.join(__dirname, '../chrome-extension/lib');
 const SAFARI_EXT = path.join(__dirname, '../safari-extension/Claude Context Reporter/Claude Context Reporter Extension');
@@ -41,9 +42,12 @@ fs.writeFileSync(safariConstantsPath, safariConstantsContent);
 console.log('Created:', safariConstantsPath);
 
 // Extract sanitization and element utility functions
-// For Safari, we need ES5-compatible code without module imports
+// For Safari, we need ES5-compatible code without module imports.
+// The accessibility audit is taken from getAccessibilityCode() so both
+// browsers run the same checks.
 
-const safariSharedUtilsContent = `// Auto-generated from chrome-extension/lib/shared-utils.js
+function buildSafariSharedUtils(accessibilityCode) {
+  return `// Auto-generated from chrome-extension/lib/shared-utils.js
 // DO NOT EDIT - Run scripts/sync-shared-to-safari.js to update
 
 (function() {
@@ -54,6 +58,7 @@ const safariSharedUtilsContent = `// Auto-generated from chrome-extension/lib/sh
   var MAX_OBJECT_DEPTH = 3;
   var MAX_OBJECT_KEYS = 20;
   var MAX_ARRAY_LENGTH = 10;
+  var MAX_ATTR_LENGTH = 200;
   var COMPUTED_STYLE_PROPERTIES = [
     'display', 'position', 'float', 'clear',
     'width', 'height', 'min-width', 'max-width', 'min-height', 'max-height',
@@ -284,6 +289,9 @@ const safariSharedUtilsContent = `// Auto-generated from chrome-extension/lib/sh
     return attrs;
   }
 
+  // ========== ACCESSIBILITY ==========
+${accessibilityCode}
+
   // Export to global scope for Safari content script
   window.__AI_CONTEXT_SHARED__ = {
     sanitizeValue: sanitizeValue,
@@ -294,15 +302,23 @@ const safariSharedUtilsContent = `// Auto-generated from chrome-extension/lib/sh
     getElementId: getElementId,
     getTextContent: getTextContent,
     getDataAttributes: getDataAttributes,
+    getAccessibilityInfo: getAccessibilityInfo,
     COMPUTED_STYLE_PROPERTIES: COMPUTED_STYLE_PROPERTIES
   };
 })();
 `;
-
-const safariSharedUtilsPath = path.join(SAFARI_EXT, 'shared-utils.js');
-fs.writeFileSync(safariSharedUtilsPath, safariSharedUtilsContent);
-console.log('Created:', safariSharedUtilsPath);
-
-console.log('\\nSync complete! Remember to:');
-console.log('1. Add shared-utils.js to Safari manifest.json content_scripts');
-console.log('2. Update Safari content.js to use window.__AI_CONTEXT_SHARED__.*');
+}
+
+// shared-utils.js is an ES module (chrome-extension/package.json sets "type": "module")
+import(pathToFileURL(sharedUtilsPath).href).then(({ getAccessibilityCode }) => {
+  const safariSharedUtilsPath = path.join(SAFARI_EXT, 'shared-utils.js');
+  fs.writeFileSync(safariSharedUtilsPath, buildSafariSharedUtils(getAccessibilityCode()));
+  console.log('Created:', safariSharedUtilsPath);
+
+  console.log('\\nSync complete! Remember to:');
+  console.log('1. Add shared-utils.js to Safari manifest.json content_scripts');
+  console.log('2. Update Safari content.js to use window.__AI_CONTEXT_SHARED__.*');
+}).catch(error => {
+  console.error('Failed to load', sharedUtilsPath, error);
+  process.exit(1);
+});
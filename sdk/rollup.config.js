@@ -1,7 +1,7 @@
 import resolve from '@rollup/plugin-node-resolve';
 import terser from '@rollup/plugin-terser';
 
-const external = ['react', 'vue', '@rollup/pluginutils', 'path'];
+const external = ['react', 'vue', '@rollup/pluginutils', '@babel/core', 'launch-editor', 'path', 'url'];
 
 const plugins = [
   resolve()
@@ -117,5 +117,65 @@ export default [
     },
     external,
     plugins
+  },
+
+  // Babel plugin - ESM
+  {
+    input: 'src/babel-plugin.js',
+    output: {
+      file: 'dist/babel-plugin.esm.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    external,
+    plugins
+  },
+  // Babel plugin - CJS
+  {
+    input: 'src/babel-plugin.js',
+    output: {
+      file: 'dist/babel-plugin.js',
+      format: 'cjs',
+      sourcemap: true,
+      exports: 'named'
+    },
+    external,
+    plugins
+  },
+
+  // Webpack plugin - ESM
+  {
+    input: 'src/webpack-plugin.js',
+    output: {
+      file: 'dist/webpack-plugin.esm.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    external,
+    plugins
+  },
+  // Webpack plugin - CJS
+  {
+    input: 'src/webpack-plugin.js',
+    output: {
+      file: 'dist/webpack-plugin.js',
+      format: 'cjs',
+      sourcemap: true,
+      exports: 'named'
+    },
+    external,
+    plugins
+  },
+  // Webpack loader - CJS (loaded by the plugin from the same directory)
+  {
+    input: 'src/webpack-loader.js',
+    output: {
+      file: 'dist/webpack-loader.js',
+      format: 'cjs',
+      sourcemap: true,
+      exports: 'default'
+    },
+    external,
+    plugins
   }
 ];
@@ -18,6 +18,12 @@ export interface AIContextConfig {
 export interface ComponentRegistration {
   /** File path relative to repository root */
   file: string;
+  /** Line of the component definition (1-based) */
+  line?: number;
+  /** Column of the component definition (1-based) */
+  column?: number;
+  /** Built-in hooks the component calls, in call order (registered by the Babel plugin) */
+  hooks?: ComponentHook[];
   /** Human-readable description */
   description?: string;
   /** Tags for categorization */
@@ -26,6 +32,13 @@ export interface ComponentRegistration {
   metadata?: Record<string, unknown>;
 }
 
+export interface ComponentHook {
+  /** Hook name, e.g. 'useState' */
+  hook: string;
+  /** Variable the hook result is assigned to */
+  name: string | null;
+}
+
 export interface StateSnapshot {
   /** Name of the state slice */
   name: string;
@@ -40,9 +53,18 @@ export interface FullContext {
   components: Record<string, ComponentRegistration>;
   stateSnapshots: StateSnapshot[];
   customContext: Record<string, unknown>;
+  tokens: Record<string, string>;
   timestamp: number;
 }
 
+/**
+ * Design token tree (W3C `$value` or Style Dictionary `value` leaves)
+ * or a flat map of token names to values.
+ */
+export interface DesignTokens {
+  [name: string]: string | number | DesignTokens;
+}
+
 export class AIContextReporter {
   constructor(config?: AIContextConfig);
 
@@ -99,6 +121,16 @@ export class AIContextReporter {
    */
   getAllContext(): Record<string, unknown>;
 
+  /**
+   * Register design tokens so reports name the token behind a style value.
+   */
+  registerTokens(tokens: DesignTokens): this;
+
+  /**
+   * Get all registered design tokens as a flat map.
+   */
+  getTokens(): Record<string, string>;
+
   /**
    * Get the full context object for the extension.
    */
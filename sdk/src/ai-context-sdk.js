@@ -33,6 +33,7 @@ const SDK_MAX_OBJECT_DEPTH = 3;
 const SDK_MAX_OBJECT_KEYS = 50;
 const SDK_MAX_ARRAY_LENGTH = 100;
 const SDK_MAX_SNAPSHOTS = 50;
+const SDK_MAX_TOKENS = 5000;
 
 /**
  * @typedef {Object} AIContextConfig
@@ -46,6 +47,11 @@ const SDK_MAX_SNAPSHOTS = 50;
 /**
  * @typedef {Object} ComponentRegistration
  * @property {string} file - File path relative to repository root
+ * @property {number} [line] - Line of the component definition (1-based)
+ * @property {number} [column] - Column of the component definition (1-based)
+ * @property {Array<{hook: string, name: string|null}>} [hooks] - Built-in hooks
+ *   the component calls, in call order, with the variables they are assigned
+ *   to (registered by the Babel plugin)
  * @property {string} [description] - Human-readable description of the component
  * @property {string[]} [tags] - Tags for categorization
  * @property {Record<string, unknown>} [metadata] - Additional component metadata
@@ -60,6 +66,10 @@ const SDK_MAX_SNAPSHOTS = 50;
 
 const GLOBAL_KEY = '__AI_CONTEXT_REPORTER__';
 
+// Registered tokens are published as JSON in a <script> element with this id,
+// where the extension's content script (which cannot see page globals) reads them
+const TOKENS_ELEMENT_ID = 'ai-context-tokens';
+
 class AIContextReporter {
   /**
    * Create a new AIContextReporter instance.
@@ -85,6 +95,7 @@ class AIContextReporter {
     this.components = new Map();
     this.stateSnapshots = [];
     this.customContext = {};
+    this.tokens = {};
     this.maxSnapshots = SDK_MAX_SNAPSHOTS;
 
     // Expose globally for extension detection
@@ -140,6 +151,9 @@ class AIContextReporter {
 
     this.components.set(componentName, {
       file: registration.file,
+      line: registration.line || null,
+      column: registration.column || null,
+      hooks: registration.hooks || null,
       description: registration.description || null,
       tags: registration.tags || [],
       metadata: registration.metadata || {},
@@ -282,6 +296,57 @@ class AIContextReporter {
     return { ...this.customContext };
   }
 
+  /**
+   * Register design tokens so reports can name the token behind a style
+   * value, e.g. `color.primary` instead of `rgb(37, 99, 235)`.
+   *
+   * Accepts token JSON in the W3C Design Tokens (`$value`) or Style
+   * Dictionary (`value`) format, or a flat map of names to values. Nested
+   * groups are joined with dots and aliases such as `{color.blue.500}` are
+   * resolved. Calling it again adds to the registered tokens.
+   *
+   * @param {Record<string, unknown>} tokens - Token tree or flat map
+   *
+   * @example
+   * ```js
+   * import tokens from './tokens.json';
+   *
+   * reporter.registerTokens(tokens);
+   * reporter.registerTokens({ 'space.md': '16px', 'color.brand': '#2563eb' });
+   * ```
+   */
+  registerTokens(tokens) {
+    if (!tokens || typeof tokens !== 'object') {
+      console.error('AIContextReporter: tokens must be an object');
+      return this;
+    }
+
+    const flat = {};
+    this._flattenTokens(tokens, '', flat);
+
+    for (const [name, value] of Object.entries(flat)) {
+      if (Object.keys(this.tokens).length >= SDK_MAX_TOKENS) break;
+      this.tokens[name] = value;
+    }
+
+    // Resolve aliases against everything registered so far
+    for (const name of Object.keys(this.tokens)) {
+      this.tokens[name] = this._resolveToken(this.tokens[name]);
+    }
+
+    this._publishTokens();
+    return this;
+  }
+
+  /**
+   * Get all registered design tokens as a flat map.
+   *
+   * @returns {Record<string, string>} Token names mapped to values
+   */
+  getTokens() {
+    return { ...this.tokens };
+  }
+
   /**
    * Get the full context object for the extension to consume.
    * This is called by the browser extension when capturing elements.
@@ -294,10 +359,66 @@ class AIContextReporter {
       components: this.getAllComponents(),
       stateSnapshots: this.getStateSnapshots(),
       customContext: this.getAllContext(),
+      tokens: this.getTokens(),
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Flatten a token tree into dot-separated names. A node with `$value` or
+   * `value` is a token; keys starting with `$` are metadata.
+   * @private
+   */
+  _flattenTokens(node, path, result) {
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('$')) continue;
+      const name = path ? path + '.' + key : key;
+
+      if (child && typeof child === 'object') {
+        const value = '$value' in child ? child.$value : child.value;
+        if (value !== undefined && (typeof value === 'string' || typeof value === 'number')) {
+          result[name] = String(value);
+        } else {
+          this._flattenTokens(child, name, result);
+        }
+      } else if (typeof child === 'string' || typeof child === 'number') {
+        result[name] = String(child);
+      }
+    }
+  }
+
+  /**
+   * Follow `{token.name}` aliases to a value, giving up on cycles.
+   * @private
+   */
+  _resolveToken(value) {
+    const seen = new Set();
+    let match = /^\{([^}]+)\}$/.exec(value);
+    while (match && this.tokens[match[1]] !== undefined && !seen.has(match[1])) {
+      seen.add(match[1]);
+      value = this.tokens[match[1]];
+      match = /^\{([^}]+)\}$/.exec(value);
+    }
+    return value;
+  }
+
+  /**
+   * Write the registered tokens to the DOM for the extension.
+   * @private
+   */
+  _publishTokens() {
+    if (typeof document === 'undefined') return;
+
+    let script = document.getElementById(TOKENS_ELEMENT_ID);
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/json';
+      script.id = TOKENS_ELEMENT_ID;
+      (document.head || document.documentElement).appendChild(script);
+    }
+    script.textContent = JSON.stringify(this.tokens);
+  }
+
   /**
    * Sanitize a value for safe serialization.
    * Mirrors shared-utils.js sanitizeValue but with SDK-specific limits.
@@ -0,0 +1,53 @@
+/**
+ * AI Context SDK - Babel Plugin TypeScript Definitions
+ */
+
+export interface AIContextBabelPluginOptions {
+  /** Directory file paths are relative to (default: Babel's root) */
+  root?: string;
+  /** Add data-ai-source="file:line:column" to host JSX elements (default: true) */
+  sourceAttributes?: boolean;
+}
+
+/** A component found by the plugin */
+export interface FoundComponent {
+  /** Component name */
+  name: string;
+  /** Line of the component definition (1-based) */
+  line: number | null;
+  /** Column of the component definition (1-based) */
+  column: number | null;
+  /** Built-in hooks called in the component body, in call order */
+  hooks: Array<{ hook: string; name: string | null }>;
+}
+
+/** A host JSX element found by the plugin */
+export interface FoundElement {
+  /** Offset in the source right after the tag name */
+  offset: number;
+  /** Line of the opening tag (1-based) */
+  line: number;
+  /** Column of the opening tag (1-based) */
+  column: number;
+}
+
+/**
+ * Babel plugin that registers every component in a file with its file path,
+ * line and column, and tags host JSX elements with their call sites.
+ */
+export function aiContextBabelPlugin(
+  api: { assertVersion(version: number): void; [key: string]: unknown },
+  options?: AIContextBabelPluginOptions
+): { name: string; visitor: Record<string, unknown> };
+
+/**
+ * Registration code for the components of a file.
+ */
+export function getRegistrationCode(filePath: string, components: FoundComponent[]): string;
+
+/**
+ * data-ai-source attribute for a host element, inserted after its tag name.
+ */
+export function getSourceAttribute(filePath: string, element: FoundElement): string;
+
+export default aiContextBabelPlugin;
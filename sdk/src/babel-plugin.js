@@ -0,0 +1,356 @@
+/**
+ * AI Context SDK - Babel Plugin
+ *
+ * Registers every React component declared at the top level of a file with
+ * its name, file path, line and column, and tags host JSX elements (`<div>`,
+ * `<button>`) with a `data-ai-source="file:line:column"` attribute giving
+ * the call site that rendered them. Works from any Babel setup (Next.js
+ * with a Babel config, Create React App, Jest); the Vite and webpack plugins
+ * run it too.
+ *
+ * Recognized components are PascalCase function and class declarations,
+ * variables holding functions or classes, `memo` / `forwardRef` wrappers
+ * (also as `React.memo` and nested), and default exports. Anonymous default
+ * exports are named after the file (or the directory, for index files).
+ * Function components also register the built-in hooks they call and the
+ * variables those are assigned to (`const [items, setItems] = useState()`),
+ * which name the hook values in reports.
+ *
+ * @example
+ * ```js
+ * // babel.config.js
+ * module.exports = {
+ *   presets: ['next/babel'],
+ *   plugins: process.env.NODE_ENV === 'development' ? ['ai-context-sdk/babel'] : []
+ * };
+ * ```
+ */
+
+import path from 'path';
+
+/** Components are PascalCase, as in createComponentManifest */
+const COMPONENT_NAME = /^[A-Z][a-zA-Z0-9]*$/;
+
+/** Higher-order components that wrap a component definition */
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+
+/**
+ * React's built-in hooks. Hooks called in a component body are registered in
+ * call order up to the first custom hook, whose own hooks would shift the
+ * order the extension matches them in.
+ */
+const BUILT_IN_HOOKS = [
+  'useState', 'useReducer', 'useContext', 'useMemo', 'useCallback', 'useRef',
+  'useEffect', 'useLayoutEffect', 'useInsertionEffect', 'useImperativeHandle',
+  'useDebugValue', 'useTransition', 'useDeferredValue', 'useId',
+  'useSyncExternalStore', 'useOptimistic', 'useActionState'
+];
+
+/** Attribute holding the JSX call site of a rendered DOM element */
+const SOURCE_ATTRIBUTE = 'data-ai-source';
+
+/**
+ * @typedef {Object} AIContextBabelPluginOptions
+ * @property {string} [root] - Directory file paths are relative to
+ *   (default: Babel's root, normally the working directory)
+ * @property {boolean} [sourceAttributes=true] - Whether to add the
+ *   data-ai-source attribute to host JSX elements
+ */
+
+/**
+ * Babel plugin for AI Context SDK component registration.
+ *
+ * Found components and host elements are also stored in the file metadata
+ * as `aiContextComponents` (`{name, line, column, hooks}`) and `aiContextElements`
+ * (`{offset, line, column}`, offset being the end of the tag name in the
+ * source).
+ *
+ * @param {Object} api - Babel plugin API
+ * @param {AIContextBabelPluginOptions} [options={}] - Plugin options
+ * @returns {Object} Babel plugin
+ */
+function aiContextBabelPlugin(api, options = {}) {
+  api.assertVersion(7);
+
+  return {
+    name: 'ai-context-sdk',
+
+    visitor: {
+      Program(programPath, state) {
+        const filename = state.file.opts.filename;
+        if (!filename) return;
+
+        const root = options.root || state.file.opts.root || state.cwd;
+        const filePath = path.relative(root, filename).replace(/\\/g, '/');
+
+        // Collected before other plugins compile JSX, classes or exports away
+        const components = findComponents(programPath.node, filename);
+        const elements = [];
+        if (options.sourceAttributes !== false) {
+          programPath.traverse({
+            JSXOpeningElement(elementPath) {
+              const element = findHostElement(elementPath.node);
+              if (!element) return;
+              elements.push(element);
+              elementPath.pushContainer('attributes', api.types.jsxAttribute(
+                api.types.jsxIdentifier(SOURCE_ATTRIBUTE),
+                api.types.stringLiteral(formatSourceLocation(filePath, element))
+              ));
+            }
+          });
+        }
+        state.file.metadata.aiContextComponents = components;
+        state.file.metadata.aiContextElements = elements;
+
+        if (components.length > 0) {
+          programPath.pushContainer('body', api.template.statement.ast(getRegistrationCode(filePath, components)));
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Registration code for the components of a file, appended to its source.
+ *
+ * @param {string} filePath - Path relative to the project root
+ * @param {Array<{name: string, line: number|null, column: number|null, hooks?: Array}>} components -
+ *   Components found by the plugin
+ * @returns {string} JavaScript code
+ */
+function getRegistrationCode(filePath, components) {
+  const registrations = {};
+  components.forEach(component => {
+    registrations[component.name] = { file: filePath, line: component.line, column: component.column };
+    if (component.hooks && component.hooks.length > 0) {
+      registrations[component.name].hooks = component.hooks;
+    }
+  });
+
+  return `
+
+// AI Context SDK - Component registration
+if (typeof window !== 'undefined' && window.__AI_CONTEXT_REPORTER__) {
+  window.__AI_CONTEXT_REPORTER__.registerComponents(${JSON.stringify(registrations)});
+}
+`;
+}
+
+/**
+ * Source attribute for a host element found by the plugin, to insert right
+ * after its tag name: ` data-ai-source={"src/Cart.jsx:12:5"}`.
+ *
+ * @param {string} filePath - Path relative to the project root
+ * @param {{line: number, column: number}} element - Element position
+ * @returns {string} JSX attribute
+ */
+function getSourceAttribute(filePath, element) {
+  return ' ' + SOURCE_ATTRIBUTE + '={' + JSON.stringify(formatSourceLocation(filePath, element)) + '}';
+}
+
+/**
+ * Top-level components of a program, in source order.
+ * @private
+ */
+function findComponents(program, filename) {
+  const components = [];
+  const add = (name, node, definition) => {
+    if (!name || !COMPONENT_NAME.test(name) || components.some(c => c.name === name)) return;
+    components.push({
+      name,
+      line: node.loc ? node.loc.start.line : null,
+      column: node.loc ? node.loc.start.column + 1 : null,
+      hooks: findHooks(definition)
+    });
+  };
+
+  for (const statement of program.body) {
+    const isDefaultExport = statement.type === 'ExportDefaultDeclaration';
+    const declaration = isDefaultExport || statement.type === 'ExportNamedDeclaration'
+      ? statement.declaration
+      : statement;
+    if (!declaration) continue;
+
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type === 'Identifier' && isComponentDefinition(unwrapComponent(declarator.init))) {
+          add(declarator.id.name, declarator, unwrapComponent(declarator.init));
+        }
+      });
+    } else if (isDefaultExport) {
+      // export default function Cart() {}, export default memo(() => ...)
+      const definition = unwrapComponent(declaration);
+      if (isComponentDefinition(definition)) {
+        add(definition.id ? definition.id.name : getDefaultExportName(filename), statement, definition);
+      }
+    } else if (isComponentDefinition(declaration)) {
+      add(declaration.id && declaration.id.name, declaration, declaration);
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Built-in hooks called at the top level of a function component's body, in
+ * call order, with the variable each result is assigned to
+ * (`{hook: 'useState', name: 'items'}`; name null for effects or
+ * destructured objects). Stops at the first custom hook, or at a hook
+ * called inside an expression, whose position is uncertain.
+ * @private
+ */
+function findHooks(definition) {
+  const hooks = [];
+  const body = definition && definition.type !== 'ClassDeclaration' && definition.type !== 'ClassExpression'
+    ? definition.body
+    : null;
+  if (!body || body.type !== 'BlockStatement') return hooks;
+
+  for (const statement of body.body) {
+    const calls = statement.type === 'VariableDeclaration'
+      ? statement.declarations.map(declarator => ({ call: declarator.init, id: declarator.id }))
+      : statement.type === 'ExpressionStatement' ? [{ call: statement.expression, id: null }] : [];
+
+    for (const { call, id } of calls) {
+      const hook = getHookName(call);
+      if (hook === 'use') continue;
+      if (!hook) {
+        if (containsHookCall(call)) return hooks;
+        continue;
+      }
+      if (!BUILT_IN_HOOKS.includes(hook)) return hooks;
+      hooks.push({ hook, name: getHookVariableName(id) });
+    }
+    if (calls.length === 0 && containsHookCall(statement)) return hooks;
+  }
+  return hooks;
+}
+
+/**
+ * Whether a node calls a hook outside nested functions.
+ * @private
+ */
+function containsHookCall(node) {
+  if (!node || typeof node.type !== 'string') return false;
+  if (getHookName(node)) return true;
+  if (/Function/.test(node.type)) return false;
+
+  return Object.keys(node).some(key => {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') return false;
+    const value = node[key];
+    return Array.isArray(value) ? value.some(containsHookCall) : containsHookCall(value);
+  });
+}
+
+/**
+ * Name of the hook a call expression calls (`useState`, `React.useState`),
+ * or null when it is not a hook call. Includes `use`, which does not take a
+ * place among the hooks.
+ * @private
+ */
+function getHookName(node) {
+  if (!node || node.type !== 'CallExpression') return null;
+  const callee = node.callee.type === 'MemberExpression' && !node.callee.computed
+    ? node.callee.property
+    : node.callee;
+  return callee.type === 'Identifier' && /^use([A-Z]|$)/.test(callee.name) ? callee.name : null;
+}
+
+/**
+ * Variable a hook result is assigned to: `items` for `const items = ...` and
+ * `const [items, setItems] = ...`, otherwise null.
+ * @private
+ */
+function getHookVariableName(id) {
+  if (!id) return null;
+  if (id.type === 'Identifier') return id.name;
+  if (id.type === 'ArrayPattern' && id.elements[0] && id.elements[0].type === 'Identifier') {
+    return id.elements[0].name;
+  }
+  return null;
+}
+
+/**
+ * Position of a host element's opening tag (`<div`, not `<Cart` or
+ * `<motion.div`) that does not set the source attribute itself, or null.
+ * @private
+ */
+function findHostElement(node) {
+  if (node.name.type !== 'JSXIdentifier' || !/^[a-z]/.test(node.name.name) || !node.loc) {
+    return null;
+  }
+  const hasAttribute = node.attributes.some(attribute =>
+    attribute.type === 'JSXAttribute' && attribute.name.name === SOURCE_ATTRIBUTE);
+  if (hasAttribute) {
+    return null;
+  }
+  return { offset: node.name.end, line: node.loc.start.line, column: node.loc.start.column + 1 };
+}
+
+/**
+ * "file:line:column" for an element position.
+ * @private
+ */
+function formatSourceLocation(filePath, element) {
+  return filePath + ':' + element.line + ':' + element.column;
+}
+
+/**
+ * The component inside memo / forwardRef calls, or the node itself.
+ * @private
+ */
+function unwrapComponent(node) {
+  while (node && node.type === 'CallExpression' && node.arguments.length > 0 && isComponentWrapper(node.callee)) {
+    node = node.arguments[0];
+  }
+  return node;
+}
+
+/**
+ * Whether a callee is memo / forwardRef, bare or as a member (React.memo).
+ * @private
+ */
+function isComponentWrapper(callee) {
+  if (callee.type === 'Identifier') {
+    return COMPONENT_WRAPPERS.includes(callee.name);
+  }
+  return callee.type === 'MemberExpression' && !callee.computed &&
+    callee.property.type === 'Identifier' && COMPONENT_WRAPPERS.includes(callee.property.name);
+}
+
+/**
+ * Whether a node defines a function component or a class component.
+ * @private
+ */
+function isComponentDefinition(node) {
+  if (!node) return false;
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return true;
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return Boolean(node.superClass);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Name for an anonymous default export: the file name, or the directory
+ * name for index files.
+ * @private
+ */
+function getDefaultExportName(filename) {
+  const baseName = path.basename(filename, path.extname(filename));
+  return baseName === 'index' ? path.basename(path.dirname(filename)) : baseName;
+}
+
+export {
+  aiContextBabelPlugin,
+  getRegistrationCode,
+  getSourceAttribute
+};
+
+export default aiContextBabelPlugin;
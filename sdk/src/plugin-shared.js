@@ -0,0 +1,263 @@
+/**
+ * AI Context SDK - Build Plugin Internals
+ *
+ * Shared by the Vite and webpack plugins: the inline SDK injected into
+ * development builds, and the transforms that tag React, Vue and Svelte
+ * components with their file paths. Internal; not a package export.
+ */
+
+import { transformSync } from '@babel/core';
+import path from 'path';
+import { aiContextBabelPlugin, getRegistrationCode, getSourceAttribute } from './babel-plugin.js';
+
+/**
+ * Inline SDK initialization code, run once in the page.
+ *
+ * @param {Object} sdkConfig - Config passed to the AIContextReporter constructor
+ * @param {string} bundler - Plugin name for the debug message, e.g. 'Vite'
+ * @returns {string} JavaScript code
+ */
+export function getInlineSDKCode(sdkConfig, bundler) {
+  return `
+  // AI Context SDK - Auto-injected by the ${bundler} plugin
+  (function() {
+    if (typeof window === 'undefined') return;
+
+    const GLOBAL_KEY = '__AI_CONTEXT_REPORTER__';
+
+    // Simple inline SDK for auto-injection
+    class AIContextReporter {
+      constructor(config = {}) {
+        if (window[GLOBAL_KEY]) return window[GLOBAL_KEY];
+        this.config = config;
+        this.components = new Map();
+        this.stateSnapshots = [];
+        this.customContext = {};
+        this.tokens = {};
+        window[GLOBAL_KEY] = this;
+      }
+
+      registerComponent(name, opts) {
+        this.components.set(name, { ...opts, registeredAt: Date.now() });
+        return this;
+      }
+
+      registerComponents(components) {
+        Object.entries(components).forEach(([name, opts]) => this.registerComponent(name, opts));
+        return this;
+      }
+
+      getComponent(name) { return this.components.get(name) || null; }
+
+      getAllComponents() {
+        const result = {};
+        this.components.forEach((v, k) => result[k] = v);
+        return result;
+      }
+
+      captureState(name, value) {
+        this.stateSnapshots.push({ name, value, timestamp: Date.now() });
+        if (this.stateSnapshots.length > 50) this.stateSnapshots.shift();
+        return this;
+      }
+
+      getStateSnapshots() { return [...this.stateSnapshots]; }
+      clearStateSnapshots() { this.stateSnapshots = []; return this; }
+
+      setContext(key, value) { this.customContext[key] = value; return this; }
+      getContext(key) { return this.customContext[key]; }
+      getAllContext() { return { ...this.customContext }; }
+
+      registerTokens(tokens) {
+        const flatten = (node, path) => Object.entries(node).forEach(([key, child]) => {
+          if (key.startsWith('$')) return;
+          const name = path ? path + '.' + key : key;
+          const value = child && typeof child === 'object' ? ('$value' in child ? child.$value : child.value) : child;
+          if (typeof value === 'string' || typeof value === 'number') this.tokens[name] = String(value);
+          else if (child && typeof child === 'object') flatten(child, name);
+        });
+        flatten(tokens || {}, '');
+        Object.keys(this.tokens).forEach(name => {
+          const seen = new Set();
+          let match;
+          while ((match = /^\\{([^}]+)\\}$/.exec(this.tokens[name])) && this.tokens[match[1]] !== undefined && !seen.has(match[1])) {
+            seen.add(match[1]);
+            this.tokens[name] = this.tokens[match[1]];
+          }
+        });
+        let script = document.getElementById('ai-context-tokens');
+        if (!script) {
+          script = document.createElement('script');
+          script.type = 'application/json';
+          script.id = 'ai-context-tokens';
+          document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(this.tokens);
+        return this;
+      }
+
+      getTokens() { return { ...this.tokens }; }
+
+      getFullContext() {
+        return {
+          config: this.config,
+          components: this.getAllComponents(),
+          stateSnapshots: this.getStateSnapshots(),
+          customContext: this.getAllContext(),
+          tokens: this.getTokens(),
+          timestamp: Date.now()
+        };
+      }
+    }
+
+    // Initialize
+    new AIContextReporter(${JSON.stringify(sdkConfig)});
+    console.debug('[AI Context SDK] Initialized via ${bundler} plugin');
+  })();
+`;
+}
+
+/**
+ * Tag a component file with its path, choosing the transform by extension.
+ *
+ * @param {string} code - Source code
+ * @param {string} filePath - Path relative to the project root, with forward slashes
+ * @param {string} id - Absolute module path
+ * @returns {{code: string, map: null}|null} Transformed code, or null if unchanged
+ */
+export function transformComponent(code, filePath, id) {
+  const ext = path.extname(id).toLowerCase();
+
+  if (ext === '.vue') {
+    return transformVue(code, filePath, id);
+  }
+
+  if (ext === '.tsx' || ext === '.jsx') {
+    return transformReact(code, filePath, id);
+  }
+
+  if (ext === '.svelte') {
+    return transformSvelte(code, filePath, id);
+  }
+
+  return null;
+}
+
+/**
+ * Transform Vue SFC to include file path in component definition.
+ * @private
+ */
+function transformVue(code, filePath, id) {
+  // Check if it's a Vue SFC with <script> or <script setup>
+  if (!code.includes('<script')) {
+    return null;
+  }
+
+  // For Vue 3 script setup, add __file to the component
+  if (code.includes('<script setup')) {
+    // Add a normal script block to set __file
+    const injection = `
+<script>
+// AI Context SDK - File path injection
+export default { __file: '${filePath}' };
+</script>
+`;
+    // Insert before <script setup>
+    return {
+      code: code.replace(/<script setup/, `${injection}\n<script setup`),
+      map: null
+    };
+  }
+
+  // For regular script, try to add __file to default export
+  if (code.includes('export default')) {
+    const modifiedCode = code.replace(
+      /export\s+default\s*\{/,
+      `export default {\n  __file: '${filePath}',`
+    );
+
+    if (modifiedCode !== code) {
+      return { code: modifiedCode, map: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Transform React/JSX to register components with file paths and lines,
+ * and tag host elements with their call sites. Components and elements are
+ * found by the Babel plugin; attributes are inserted into the source and
+ * the registration appended to it, so no line moves.
+ * @private
+ */
+function transformReact(code, filePath, id) {
+  let result;
+  try {
+    result = transformSync(code, {
+      filename: id,
+      babelrc: false,
+      configFile: false,
+      code: false,
+      parserOpts: {
+        plugins: path.extname(id).toLowerCase() === '.tsx' ? ['jsx', 'typescript'] : ['jsx']
+      },
+      plugins: [aiContextBabelPlugin]
+    });
+  } catch (e) {
+    // Leave syntax errors to the framework's own compiler to report
+    return null;
+  }
+
+  const components = (result && result.metadata.aiContextComponents) || [];
+  const elements = (result && result.metadata.aiContextElements) || [];
+  if (components.length === 0 && elements.length === 0) {
+    return null;
+  }
+
+  // Last element first, so earlier offsets stay valid
+  let modifiedCode = code;
+  elements.slice().sort((a, b) => b.offset - a.offset).forEach(element => {
+    modifiedCode = modifiedCode.slice(0, element.offset) +
+      getSourceAttribute(filePath, element) +
+      modifiedCode.slice(element.offset);
+  });
+
+  if (components.length > 0) {
+    modifiedCode += getRegistrationCode(filePath, components);
+  }
+
+  return { code: modifiedCode, map: null };
+}
+
+/**
+ * Transform Svelte components to include file path.
+ * @private
+ */
+function transformSvelte(code, filePath, id) {
+  // Add module context script with file path
+  if (!code.includes('<script context="module"')) {
+    const injection = `
+<script context="module">
+  // AI Context SDK - File path
+  export const __file = '${filePath}';
+</script>
+`;
+    return {
+      code: injection + code,
+      map: null
+    };
+  }
+
+  // If module script exists, try to add __file export
+  const modifiedCode = code.replace(
+    /<script context="module">/,
+    `<script context="module">\n  export const __file = '${filePath}';`
+  );
+
+  if (modifiedCode !== code) {
+    return { code: modifiedCode, map: null };
+  }
+
+  return null;
+}
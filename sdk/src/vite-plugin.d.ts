@@ -19,6 +19,8 @@ export interface AIContextPluginOptions {
   addFilePaths?: boolean;
   /** Only enable in development mode (default: true) */
   devOnly?: boolean;
+  /** Serve /__open-in-editor on the dev server (default: true) */
+  openInEditor?: boolean;
 }
 
 /**
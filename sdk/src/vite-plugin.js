@@ -22,7 +22,12 @@
  */
 
 import { createFilter } from '@rollup/pluginutils';
+import launchEditor from 'launch-editor';
 import path from 'path';
+import { getInlineSDKCode, transformComponent } from './plugin-shared.js';
+
+/** Same path as Vite's launch-editor endpoint and the extension's EDITORS */
+const OPEN_IN_EDITOR_PATH = '/__open-in-editor';
 
 /**
  * @typedef {Object} AIContextPluginOptions
@@ -33,6 +38,8 @@ import path from 'path';
  * @property {boolean} [injectSDK=true] - Whether to inject the SDK script
  * @property {boolean} [addFilePaths=true] - Whether to add file paths to components
  * @property {boolean} [devOnly=true] - Only enable in development mode
+ * @property {boolean} [openInEditor=true] - Serve /__open-in-editor on the
+ *   dev server, for the extension's open-in-editor links
  */
 
 /**
@@ -41,6 +48,7 @@ import path from 'path';
  * Features:
  * - Auto-injects SDK initialization in development
  * - Adds file path information to component exports
+ * - Opens files in the editor from the extension (/__open-in-editor)
  * - Works with React, Vue, and other frameworks
  *
  * @param {AIContextPluginOptions} [options={}] - Plugin options
@@ -54,7 +62,8 @@ function aiContextPlugin(options = {}) {
     exclude = ['**/node_modules/**', '**/dist/**'],
     injectSDK = true,
     addFilePaths = true,
-    devOnly = true
+    devOnly = true,
+    openInEditor = true
   } = options;
 
   const filter = createFilter(include, exclude);
@@ -64,11 +73,26 @@ function aiContextPlugin(options = {}) {
   return {
     name: 'ai-context-sdk',
 
+    // Transform the original source, before esbuild compiles JSX and
+    // reprints the code (which would move every line and column), as the
+    // webpack pre-loader does
+    enforce: 'pre',
+
     configResolved(resolvedConfig) {
       config = resolvedConfig;
       isDev = resolvedConfig.command === 'serve' || resolvedConfig.mode === 'development';
     },
 
+    configureServer(server) {
+      if (!openInEditor) {
+        return;
+      }
+
+      // Added before Vite's own handler for the same path, which resolves
+      // files against the working directory instead of the project root
+      server.middlewares.use(OPEN_IN_EDITOR_PATH, createOpenInEditorMiddleware(server.config.root));
+    },
+
     transformIndexHtml(html) {
       // Skip in production if devOnly is true
       if (devOnly && !isDev) {
@@ -88,72 +112,11 @@ function aiContextPlugin(options = {}) {
       };
 
       const initScript = `
-<script type="module">
-  // AI Context SDK - Auto-injected by vite-plugin
-  (function() {
-    const GLOBAL_KEY = '__AI_CONTEXT_REPORTER__';
-
-    // Simple inline SDK for auto-injection
-    class AIContextReporter {
-      constructor(config = {}) {
-        if (window[GLOBAL_KEY]) return window[GLOBAL_KEY];
-        this.config = config;
-        this.components = new Map();
-        this.stateSnapshots = [];
-        this.customContext = {};
-        window[GLOBAL_KEY] = this;
-      }
-
-      registerComponent(name, opts) {
-        this.components.set(name, { ...opts, registeredAt: Date.now() });
-        return this;
-      }
+<script type="module">${getInlineSDKCode(sdkConfig, 'Vite')}</script>`;
 
-      registerComponents(components) {
-        Object.entries(components).forEach(([name, opts]) => this.registerComponent(name, opts));
-        return this;
-      }
-
-      getComponent(name) { return this.components.get(name) || null; }
-
-      getAllComponents() {
-        const result = {};
-        this.components.forEach((v, k) => result[k] = v);
-        return result;
-      }
-
-      captureState(name, value) {
-        this.stateSnapshots.push({ name, value, timestamp: Date.now() });
-        if (this.stateSnapshots.length > 50) this.stateSnapshots.shift();
-        return this;
-      }
-
-      getStateSnapshots() { return [...this.stateSnapshots]; }
-      clearStateSnapshots() { this.stateSnapshots = []; return this; }
-
-      setContext(key, value) { this.customContext[key] = value; return this; }
-      getContext(key) { return this.customContext[key]; }
-      getAllContext() { return { ...this.customContext }; }
-
-      getFullContext() {
-        return {
-          config: this.config,
-          components: this.getAllComponents(),
-          stateSnapshots: this.getStateSnapshots(),
-          customContext: this.getAllContext(),
-          timestamp: Date.now()
-        };
-      }
-    }
-
-    // Initialize
-    new AIContextReporter(${JSON.stringify(sdkConfig)});
-    console.debug('[AI Context SDK] Initialized via Vite plugin');
-  })();
-</script>`;
-
-      // Inject before closing head tag
-      return html.replace('</head>', `${initScript}\n</head>`);
+      // Inject before closing head tag (a replacer function, so "$'" in the
+      // script is not read as a replacement pattern)
+      return html.replace('</head>', () => `${initScript}\n</head>`);
     },
 
     transform(code, id) {
@@ -171,129 +134,11 @@ function aiContextPlugin(options = {}) {
       const relativePath = path.relative(projectRoot, id).replace(/\\/g, '/');
 
       // Detect framework and transform accordingly
-      const ext = path.extname(id).toLowerCase();
-
-      if (ext === '.vue') {
-        return transformVue(code, relativePath, id);
-      }
-
-      if (ext === '.tsx' || ext === '.jsx') {
-        return transformReact(code, relativePath, id);
-      }
-
-      if (ext === '.svelte') {
-        return transformSvelte(code, relativePath, id);
-      }
-
-      return null;
+      return transformComponent(code, relativePath, id);
     }
   };
 }
 
-/**
- * Transform Vue SFC to include file path in component definition.
- * @private
- */
-function transformVue(code, filePath, id) {
-  // Check if it's a Vue SFC with <script> or <script setup>
-  if (!code.includes('<script')) {
-    return null;
-  }
-
-  // For Vue 3 script setup, add __file to the component
-  if (code.includes('<script setup')) {
-    // Add a normal script block to set __file
-    const injection = `
-<script>
-// AI Context SDK - File path injection
-export default { __file: '${filePath}' };
-</script>
-`;
-    // Insert before <script setup>
-    return {
-      code: code.replace(/<script setup/, `${injection}\n<script setup`),
-      map: null
-    };
-  }
-
-  // For regular script, try to add __file to default export
-  if (code.includes('export default')) {
-    const modifiedCode = code.replace(
-      /export\s+default\s*\{/,
-      `export default {\n  __file: '${filePath}',`
-    );
-
-    if (modifiedCode !== code) {
-      return { code: modifiedCode, map: null };
-    }
-  }
-
-  return null;
-}
-
-/**
- * Transform React/JSX to register components with file paths.
- * @private
- */
-function transformReact(code, filePath, id) {
-  // Look for function component definitions or class components
-  const componentNameMatch = code.match(/(?:export\s+(?:default\s+)?)?(?:function|const|class)\s+([A-Z][a-zA-Z0-9]*)/);
-
-  if (!componentNameMatch) {
-    return null;
-  }
-
-  const componentName = componentNameMatch[1];
-
-  // Add registration at the end of the file
-  const registration = `
-
-// AI Context SDK - Component registration
-if (typeof window !== 'undefined' && window.__AI_CONTEXT_REPORTER__) {
-  window.__AI_CONTEXT_REPORTER__.registerComponent('${componentName}', {
-    file: '${filePath}'
-  });
-}
-`;
-
-  return {
-    code: code + registration,
-    map: null
-  };
-}
-
-/**
- * Transform Svelte components to include file path.
- * @private
- */
-function transformSvelte(code, filePath, id) {
-  // Add module context script with file path
-  if (!code.includes('<script context="module"')) {
-    const injection = `
-<script context="module">
-  // AI Context SDK - File path
-  export const __file = '${filePath}';
-</script>
-`;
-    return {
-      code: injection + code,
-      map: null
-    };
-  }
-
-  // If module script exists, try to add __file export
-  const modifiedCode = code.replace(
-    /<script context="module">/,
-    `<script context="module">\n  export const __file = '${filePath}';`
-  );
-
-  if (modifiedCode !== code) {
-    return { code: modifiedCode, map: null };
-  }
-
-  return null;
-}
-
 /**
  * Create a component registration manifest from your source files.
  * Useful for pre-registering all components at build time.
@@ -328,6 +173,36 @@ function createComponentManifest(files, projectRoot = process.cwd()) {
   return manifest;
 }
 
+/**
+ * Middleware opening `?file=path:line:column` in the editor, as
+ * launch-editor-middleware does. Relative paths are resolved against the
+ * project root, and files outside it are refused.
+ * @private
+ */
+function createOpenInEditorMiddleware(projectRoot) {
+  return (req, res) => {
+    const file = new URL(req.url, 'http://localhost').searchParams.get('file');
+    const match = file && /^(.+?)(?::(\d+))?(?::(\d+))?$/.exec(file);
+    if (!match) {
+      res.statusCode = 400;
+      res.end('Missing "file" parameter');
+      return;
+    }
+
+    const filePath = path.resolve(projectRoot, match[1]);
+    const relativePath = path.relative(projectRoot, filePath);
+    if (relativePath === '..' || relativePath.startsWith('..' + path.sep) || path.isAbsolute(relativePath)) {
+      res.statusCode = 403;
+      res.end('File is outside the project root');
+      return;
+    }
+
+    launchEditor([filePath, match[2], match[3]].filter(Boolean).join(':'));
+    res.statusCode = 204;
+    res.end();
+  };
+}
+
 export {
   aiContextPlugin,
   createComponentManifest
@@ -0,0 +1,24 @@
+/**
+ * AI Context SDK - Webpack Loader
+ *
+ * Adds file path information to React, Vue and Svelte components. Added
+ * automatically by the webpack plugin as a pre-loader, so it sees component
+ * source before vue-loader, svelte-loader or Babel; not meant to be
+ * configured directly.
+ */
+
+import path from 'path';
+import { transformComponent } from './plugin-shared.js';
+
+/**
+ * @this {import('webpack').LoaderContext<{root: string}>}
+ * @param {string} source - Component source
+ * @returns {string} Source with the file path added
+ */
+export default function aiContextLoader(source) {
+  const { root } = this.getOptions();
+  const relativePath = path.relative(root, this.resourcePath).replace(/\\/g, '/');
+
+  const result = transformComponent(source, relativePath, this.resourcePath);
+  return result ? result.code : source;
+}
@@ -0,0 +1,37 @@
+/**
+ * AI Context SDK - Webpack Plugin TypeScript Definitions
+ */
+
+import { Compiler, WebpackPluginInstance } from 'webpack';
+
+export interface AIContextPluginOptions {
+  /** Git repository URL */
+  repository?: string;
+  /** Git branch (auto-detected if not provided) */
+  branch?: string;
+  /** Glob patterns for files to process */
+  include?: string[];
+  /** Glob patterns for files to exclude */
+  exclude?: string[];
+  /** Whether to inject the SDK script (default: true) */
+  injectSDK?: boolean;
+  /** Whether to add file paths to components (default: true) */
+  addFilePaths?: boolean;
+  /** Only enable in development mode (default: true) */
+  devOnly?: boolean;
+}
+
+/**
+ * Webpack 5 plugin for AI Context SDK integration.
+ */
+export class AIContextWebpackPlugin implements WebpackPluginInstance {
+  constructor(options?: AIContextPluginOptions);
+  apply(compiler: Compiler): void;
+}
+
+/**
+ * Create the webpack plugin (same options as the Vite plugin).
+ */
+export function aiContextPlugin(options?: AIContextPluginOptions): AIContextWebpackPlugin;
+
+export default AIContextWebpackPlugin;
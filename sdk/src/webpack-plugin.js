@@ -0,0 +1,200 @@
+/**
+ * AI Context SDK - Webpack Plugin
+ *
+ * Webpack 5 counterpart of the Vite plugin: injects the AI Context SDK into
+ * development builds and adds file path information to components, with
+ * the same options and transforms.
+ *
+ * @example
+ * ```js
+ * // webpack.config.js
+ * const { aiContextPlugin } = require('ai-context-sdk/webpack');
+ *
+ * module.exports = {
+ *   plugins: [
+ *     aiContextPlugin({
+ *       repository: 'https://github.com/org/repo',
+ *       include: ['src/components/**\/*.{tsx,jsx,vue}']
+ *     })
+ *   ]
+ * };
+ * ```
+ *
+ * @example
+ * ```js
+ * // next.config.js: both compilers add the data-ai-source attributes, so
+ * // server-rendered HTML hydrates without mismatches; the SDK is client-only
+ * const { aiContextPlugin } = require('ai-context-sdk/webpack');
+ *
+ * module.exports = {
+ *   webpack(config, { isServer }) {
+ *     config.plugins.push(aiContextPlugin({
+ *       repository: 'https://github.com/org/repo',
+ *       injectSDK: !isServer
+ *     }));
+ *     return config;
+ *   }
+ * };
+ * ```
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getInlineSDKCode } from './plugin-shared.js';
+
+/** Built next to this file by rollup (see rollup.config.js) */
+const LOADER_PATH = fileURLToPath(new URL('./webpack-loader.js', import.meta.url));
+
+/**
+ * @typedef {Object} AIContextPluginOptions
+ * @property {string} [repository] - Git repository URL
+ * @property {string} [branch] - Git branch (auto-detected if not provided)
+ * @property {string[]} [include] - Glob patterns for files to process
+ * @property {string[]} [exclude] - Glob patterns for files to exclude
+ * @property {boolean} [injectSDK=true] - Whether to inject the SDK script
+ * @property {boolean} [addFilePaths=true] - Whether to add file paths to components
+ * @property {boolean} [devOnly=true] - Only enable in development mode
+ */
+
+/**
+ * Webpack plugin for AI Context SDK integration.
+ *
+ * Features:
+ * - Adds the SDK initialization to every entry point in development
+ * - Adds file path information to component exports through a pre-loader
+ * - Works with React, Vue and Svelte
+ */
+class AIContextWebpackPlugin {
+  /**
+   * @param {AIContextPluginOptions} [options={}] - Plugin options
+   */
+  constructor(options = {}) {
+    this.options = {
+      repository: null,
+      branch: null,
+      include: ['**/*.{tsx,jsx,vue,svelte}'],
+      exclude: ['**/node_modules/**', '**/dist/**'],
+      injectSDK: true,
+      addFilePaths: true,
+      devOnly: true,
+      ...options
+    };
+  }
+
+  /**
+   * @param {import('webpack').Compiler} compiler - Webpack compiler
+   */
+  apply(compiler) {
+    const { repository, branch, include, exclude, injectSDK, addFilePaths, devOnly } = this.options;
+    const isDev = compiler.options.mode === 'development';
+
+    // Skip in production if devOnly is true
+    if (devOnly && !isDev) {
+      return;
+    }
+
+    const projectRoot = compiler.context;
+
+    if (injectSDK) {
+      const sdkConfig = {
+        repository,
+        branch: branch || process.env.GIT_BRANCH,
+        commit: process.env.GIT_COMMIT,
+        environment: isDev ? 'development' : 'production'
+      };
+
+      // A global entry (no name) is added to every entry point
+      const code = getInlineSDKCode(sdkConfig, 'webpack');
+      new compiler.webpack.EntryPlugin(
+        projectRoot,
+        'data:text/javascript,' + encodeURIComponent(code),
+        { name: undefined }
+      ).apply(compiler);
+    }
+
+    if (addFilePaths) {
+      // Pre-loaders run before vue-loader, svelte-loader and Babel
+      compiler.options.module.rules.push({
+        test: createGlobFilter(include, exclude, projectRoot),
+        enforce: 'pre',
+        use: [{ loader: LOADER_PATH, options: { root: projectRoot } }]
+      });
+    }
+  }
+}
+
+/**
+ * Create the webpack plugin, mirroring `aiContextPlugin` from
+ * `ai-context-sdk/vite`.
+ *
+ * @param {AIContextPluginOptions} [options={}] - Plugin options
+ * @returns {AIContextWebpackPlugin} Webpack plugin
+ */
+function aiContextPlugin(options = {}) {
+  return new AIContextWebpackPlugin(options);
+}
+
+/**
+ * Match absolute file paths against include/exclude globs. Relative globs
+ * are matched against the path from the project root, as the Vite plugin
+ * does.
+ * @private
+ */
+function createGlobFilter(include, exclude, projectRoot) {
+  const toMatchers = globs => [].concat(globs || []).map(glob => ({
+    absolute: path.isAbsolute(glob),
+    pattern: globToRegExp(glob.replace(/\\/g, '/'))
+  }));
+  const includes = toMatchers(include);
+  const excludes = toMatchers(exclude);
+
+  return file => {
+    const absolutePath = file.replace(/\\/g, '/');
+    const relativePath = path.relative(projectRoot, file).replace(/\\/g, '/');
+    const matches = matcher => matcher.pattern.test(matcher.absolute ? absolutePath : relativePath);
+
+    return !excludes.some(matches) && (includes.length === 0 || includes.some(matches));
+  };
+}
+
+/**
+ * Convert a glob (`**`, `*`, `?`, `{a,b}`) to a regular expression.
+ * @private
+ */
+function globToRegExp(glob) {
+  const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      source += '(?:' + glob.slice(i + 1, end).split(',').map(escape).join('|') + ')';
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+
+  return new RegExp('^' + source + '$');
+}
+
+export {
+  AIContextWebpackPlugin,
+  aiContextPlugin
+};
+
+export default AIContextWebpackPlugin;
@@ -0,0 +1,15 @@
+import React from 'react';
+
+const GREETING = 'Hello';
+
+export function Card({ name }) {
+  return (
+    <div className="card">
+      <Title text={GREETING + ', ' + name} />
+    </div>
+  );
+}
+
+function Title({ text }) {
+  return <h2>{text}</h2>;
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+import { aiContextPlugin } from '../src/vite-plugin.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+test('registers components and call sites at their positions in the original source', async () => {
+  const server = await createServer({
+    root,
+    configFile: false,
+    logLevel: 'silent',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+    plugins: [aiContextPlugin({ injectSDK: false, openInEditor: false })]
+  });
+
+  try {
+    const result = await server.transformRequest('/src/Card.jsx');
+    const registration = /registerComponents\((\{.*\})\)/.exec(result.code);
+
+    assert.ok(registration, 'component registration is appended');
+    assert.deepEqual(JSON.parse(registration[1]), {
+      Card: { file: 'src/Card.jsx', line: 5, column: 8 },
+      Title: { file: 'src/Card.jsx', line: 13, column: 1 }
+    });
+    assert.match(result.code, /"data-ai-source": "src\/Card\.jsx:7:5"/);
+    assert.match(result.code, /"data-ai-source": "src\/Card\.jsx:14:10"/);
+  } finally {
+    await server.close();
+  }
+});